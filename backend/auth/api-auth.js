@@ -0,0 +1,172 @@
+import { createHmac, createHash, timingSafeEqual, randomUUID } from 'crypto';
+import { apiKeyClientId } from '../services/limits/rate-limiter.js';
+import { STTError } from '../errors/stt-error.js';
+import { authConfig } from '../config/speech-config.js';
+
+// APIの認証（静的APIキーと短期トークン）
+// 認証済みの主体（principal）: { id, type, name, scopes }
+//   id はレート制限・ジョブの所有者に使うクライアントID（APIキーとそこから発行したトークンで共通）
+
+export const SCOPES = ['transcribe', 'stats', 'memos', 'admin'];
+
+// コード: AUTHENTICATION_REQUIRED / AUTHENTICATION_FAILED / TOKEN_EXPIRED / INSUFFICIENT_SCOPE / SYNC_KEY_REQUIRED
+export class AuthError extends STTError {
+  constructor(code) {
+    super(code);
+    this.name = 'AuthError';
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return createHmac('sha256', authConfig.tokenSecret).update(data).digest('base64url');
+}
+
+// 長さの違いで情報が漏れないよう、ハッシュ同士を比較する
+function safeEqual(a, b) {
+  const hashA = createHash('sha256').update(a).digest();
+  const hashB = createHash('sha256').update(b).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+// 静的APIキーを照合
+export function findApiKey(apiKey) {
+  let matched = null;
+
+  // 一致しても全件比較する（照合時間から位置を推測させない）
+  for (const [key, settings] of Object.entries(authConfig.apiKeys)) {
+    if (safeEqual(key, apiKey)) {
+      matched = { key, settings };
+    }
+  }
+
+  if (!matched) return null;
+
+  const scopes = (matched.settings.scopes || []).filter(scope => SCOPES.includes(scope));
+  return {
+    id: apiKeyClientId(matched.key),
+    type: 'api_key',
+    name: matched.settings.name || 'api-key',
+    scopes
+  };
+}
+
+export function tokensEnabled() {
+  return Boolean(authConfig.tokenSecret);
+}
+
+// 短期トークン（HS256 JWT）を発行
+export function issueToken(principal, scopes = principal.scopes) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: authConfig.tokenIssuer,
+    sub: principal.id,
+    name: principal.name,
+    scope: scopes.join(' '),
+    iat: now,
+    exp: now + authConfig.tokenTtlSeconds,
+    jti: randomUUID()
+  }));
+
+  return {
+    accessToken: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresIn: authConfig.tokenTtlSeconds,
+    scopes
+  };
+}
+
+// トークンを検証して主体を返す
+export function verifyToken(token) {
+  if (!tokensEnabled()) {
+    throw new AuthError('AUTHENTICATION_FAILED');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || !safeEqual(sign(`${parts[0]}.${parts[1]}`), parts[2])) {
+    throw new AuthError('AUTHENTICATION_FAILED');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthError('AUTHENTICATION_FAILED');
+  }
+
+  if (header.alg !== 'HS256' || payload.iss !== authConfig.tokenIssuer || typeof payload.sub !== 'string') {
+    throw new AuthError('AUTHENTICATION_FAILED');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new AuthError('TOKEN_EXPIRED');
+  }
+
+  return {
+    id: payload.sub,
+    type: 'token',
+    name: payload.name || 'token',
+    scopes: String(payload.scope || '').split(' ').filter(scope => SCOPES.includes(scope))
+  };
+}
+
+// リクエストの資格情報から主体を取得
+// credentials: { authorization, apiKey }（Authorization: Bearer <token> / ApiKey <key>、または X-API-Key）
+// 資格情報が無い場合はnull、不正な場合はAuthError
+export function authenticateCredentials({ authorization, apiKey }) {
+  if (authorization) {
+    const [scheme, value] = authorization.split(' ');
+    if (value && scheme.toLowerCase() === 'bearer') {
+      return verifyToken(value.trim());
+    }
+    if (value && scheme.toLowerCase() === 'apikey') {
+      apiKey = value.trim();
+    }
+  }
+
+  if (apiKey) {
+    const principal = findApiKey(apiKey);
+    if (!principal) {
+      throw new AuthError('AUTHENTICATION_FAILED');
+    }
+    return principal;
+  }
+
+  return null;
+}
+
+// 資格情報が無い場合の主体（認証不要モードのみ）
+export function anonymousPrincipal(address) {
+  if (authConfig.required) {
+    throw new AuthError('AUTHENTICATION_REQUIRED');
+  }
+
+  return {
+    id: `ip:${address || 'unknown'}`,
+    type: 'anonymous',
+    name: 'anonymous',
+    scopes: authConfig.anonymousScopes
+  };
+}
+
+// 同期キー（端末で作る推測できない乱数。32バイト以上を base64url で）
+const SYNC_KEY_PATTERN = /^[A-Za-z0-9_-]{43,128}$/;
+
+// 同期キーからメモの保存先のIDを決める（キー自体は保存せず、ハッシュだけを使う）
+// APIキーはフロントエンドのビルドに埋め込まれて全端末で同じため、メモは主体ではなく同期キーで分ける
+// 同じ同期キーを設定した端末どうしだけがメモを共有する
+export function memoSpaceId(syncKey) {
+  if (typeof syncKey !== 'string' || !SYNC_KEY_PATTERN.test(syncKey)) {
+    throw new AuthError('SYNC_KEY_REQUIRED');
+  }
+  return `sync:${createHash('sha256').update(syncKey).digest('hex')}`;
+}
+
+// adminは全スコープを含む
+export function hasScope(principal, scope) {
+  return Boolean(principal) && (principal.scopes.includes(scope) || principal.scopes.includes('admin'));
+}
@@ -0,0 +1,161 @@
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { authConfig } from '../config/speech-config.js';
+import { apiKeyClientId } from '../services/limits/rate-limiter.js';
+import {
+  anonymousPrincipal,
+  authenticateCredentials,
+  findApiKey,
+  hasScope,
+  issueToken,
+  memoSpaceId,
+  verifyToken
+} from './api-auth.js';
+
+const SECRET = 'test-secret';
+const principal = { id: 'key:0123456789abcdef', type: 'api_key', name: 'android-app', scopes: ['transcribe', 'memos'] };
+
+// 任意のヘッダー・ペイロードのトークンを作る
+function createToken(header, payload, secret = SECRET) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode(header)}.${encode(payload)}`;
+  return `${data}.${createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+const decodePayload = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+
+describe('api-auth', () => {
+  before(() => {
+    Object.assign(authConfig, {
+      required: false,
+      tokenSecret: SECRET,
+      tokenTtlSeconds: 900,
+      apiKeys: {
+        'app-key': { name: 'android-app', scopes: ['transcribe', 'memos', 'unknown'] },
+        'admin-key': { scopes: ['admin'] }
+      }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    authConfig.tokenSecret = SECRET;
+    authConfig.required = false;
+  });
+
+  describe('issueToken / verifyToken', () => {
+    it('発行したトークンを検証して主体を返す', () => {
+      const token = issueToken(principal);
+
+      assert.equal(token.expiresIn, 900);
+      assert.deepEqual(token.scopes, ['transcribe', 'memos']);
+      assert.deepEqual(verifyToken(token.accessToken), { id: principal.id, type: 'token', name: 'android-app', scopes: ['transcribe', 'memos'] });
+
+      const payload = decodePayload(token.accessToken);
+      assert.equal(payload.iss, 'fusenkun-stt');
+      assert.equal(payload.exp - payload.iat, 900);
+      assert.notEqual(decodePayload(issueToken(principal).accessToken).jti, payload.jti);
+    });
+
+    it('スコープを絞って発行できる', () => {
+      const token = issueToken(principal, ['transcribe']);
+
+      assert.deepEqual(verifyToken(token.accessToken).scopes, ['transcribe']);
+    });
+
+    it('有効期限を過ぎたら TOKEN_EXPIRED', () => {
+      const issuedAt = Date.now();
+      const { accessToken } = issueToken(principal);
+
+      mock.method(Date, 'now', () => issuedAt + 899 * 1000);
+      assert.equal(verifyToken(accessToken).id, principal.id);
+
+      mock.method(Date, 'now', () => issuedAt + 901 * 1000);
+      assert.throws(() => verifyToken(accessToken), { name: 'AuthError', code: 'TOKEN_EXPIRED', status: 401 });
+    });
+
+    it('署名が一致しない・改ざんされたトークンは AUTHENTICATION_FAILED', () => {
+      const { accessToken } = issueToken(principal);
+      const [header, , signature] = accessToken.split('.');
+      const payload = Buffer.from(JSON.stringify({ ...decodePayload(accessToken), scope: 'admin' })).toString('base64url');
+      const now = Math.floor(Date.now() / 1000);
+
+      for (const token of [
+        `${header}.${payload}.${signature}`,
+        `${accessToken}x`,
+        accessToken.split('.').slice(0, 2).join('.'),
+        createToken({ alg: 'HS256' }, { iss: 'fusenkun-stt', sub: 'x', exp: now + 60 }, 'other-secret'),
+        'not-a-token'
+      ]) {
+        assert.throws(() => verifyToken(token), { code: 'AUTHENTICATION_FAILED' }, token);
+      }
+    });
+
+    it('アルゴリズム・発行者・主体・有効期限が正しくないトークンは受け付けない', () => {
+      const now = Math.floor(Date.now() / 1000);
+      const valid = { iss: 'fusenkun-stt', sub: 'key:1', exp: now + 60 };
+
+      assert.throws(() => verifyToken(createToken({ alg: 'none' }, valid)), { code: 'AUTHENTICATION_FAILED' });
+      assert.throws(() => verifyToken(createToken({ alg: 'HS256' }, { ...valid, iss: 'other' })), { code: 'AUTHENTICATION_FAILED' });
+      assert.throws(() => verifyToken(createToken({ alg: 'HS256' }, { ...valid, sub: 1 })), { code: 'AUTHENTICATION_FAILED' });
+      assert.throws(() => verifyToken(createToken({ alg: 'HS256' }, { ...valid, exp: undefined })), { code: 'TOKEN_EXPIRED' });
+      assert.deepEqual(verifyToken(createToken({ alg: 'HS256' }, { ...valid, scope: 'admin root' })).scopes, ['admin']);
+    });
+
+    it('シークレットが無ければトークンを受け付けない', () => {
+      const { accessToken } = issueToken(principal);
+      authConfig.tokenSecret = null;
+
+      assert.throws(() => verifyToken(accessToken), { code: 'AUTHENTICATION_FAILED' });
+    });
+  });
+
+  describe('findApiKey / authenticateCredentials', () => {
+    it('APIキーから主体を返し、未知のスコープは除く', () => {
+      assert.deepEqual(findApiKey('app-key'), { id: apiKeyClientId('app-key'), type: 'api_key', name: 'android-app', scopes: ['transcribe', 'memos'] });
+      assert.equal(findApiKey('admin-key').name, 'api-key');
+      assert.equal(findApiKey('app-ke'), null);
+    });
+
+    it('Bearer トークン・ApiKey・X-API-Key を受け付ける', () => {
+      const { accessToken } = issueToken(principal);
+
+      assert.equal(authenticateCredentials({ authorization: `Bearer ${accessToken}` }).type, 'token');
+      assert.equal(authenticateCredentials({ authorization: 'ApiKey app-key' }).type, 'api_key');
+      assert.equal(authenticateCredentials({ apiKey: 'app-key' }).id, apiKeyClientId('app-key'));
+      assert.equal(authenticateCredentials({}), null);
+      assert.throws(() => authenticateCredentials({ apiKey: 'wrong' }), { code: 'AUTHENTICATION_FAILED' });
+      assert.throws(() => authenticateCredentials({ authorization: 'Bearer wrong' }), { code: 'AUTHENTICATION_FAILED' });
+    });
+
+    it('資格情報が無い場合は、認証が必須なら AUTHENTICATION_REQUIRED', () => {
+      assert.deepEqual(anonymousPrincipal('127.0.0.1'), { id: 'ip:127.0.0.1', type: 'anonymous', name: 'anonymous', scopes: ['transcribe', 'stats'] });
+
+      authConfig.required = true;
+      assert.throws(() => anonymousPrincipal('127.0.0.1'), { code: 'AUTHENTICATION_REQUIRED' });
+    });
+  });
+
+  describe('hasScope', () => {
+    it('admin はすべてのスコープを含む', () => {
+      assert.equal(hasScope(principal, 'memos'), true);
+      assert.equal(hasScope(principal, 'stats'), false);
+      assert.equal(hasScope({ scopes: ['admin'] }, 'stats'), true);
+      assert.equal(hasScope(null, 'transcribe'), false);
+    });
+  });
+
+  describe('memoSpaceId', () => {
+    it('同期キーのハッシュを保存先のIDにする', () => {
+      const syncKey = 'a'.repeat(43);
+
+      assert.match(memoSpaceId(syncKey), /^sync:[0-9a-f]{64}$/);
+      assert.equal(memoSpaceId(syncKey), memoSpaceId(syncKey));
+      assert.notEqual(memoSpaceId(syncKey), memoSpaceId('b'.repeat(43)));
+      for (const invalid of ['short', 'a'.repeat(42), `${'a'.repeat(43)}!`, undefined]) {
+        assert.throws(() => memoSpaceId(invalid), { code: 'SYNC_KEY_REQUIRED' });
+      }
+    });
+  });
+});
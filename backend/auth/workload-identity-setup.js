@@ -1,4 +1,5 @@
 import { GoogleAuth } from 'google-auth-library';
+import logger from '../services/observability/logger.js';
 import { workloadIdentityConfig } from '../config/speech-config.js';
 
 class WorkloadIdentityManager {
@@ -12,11 +13,11 @@ class WorkloadIdentityManager {
   async initialize() {
     // 既に初期化済みであれば、何もしないで終了
     if (this.initialized) {
-      console.log('Workload Identity: Already initialized. Skipping.');
+      logger.debug('Workload Identity already initialized');
       return;
     }
     try {
-      console.log('Workload Identity: Initializing...'); // ログメッセージを少し変更して区別しやすく
+      logger.info('Workload Identity initializing');
       
       // GitHub Actions環境での認証設定
       if (process.env.GITHUB_ACTIONS) {
@@ -38,15 +39,15 @@ class WorkloadIdentityManager {
       // ★ここがポイント★ 認証クライアントが取得できた時点でinitializedをtrueにする
       this.initialized = true; 
       
-      console.log('Workload Identity: Client obtained. Running authentication test...');
+      logger.debug('Workload Identity client obtained, running authentication test');
       
       // 認証テスト
       await this.testAuthentication();
 
-      console.log('Workload Identity: Initialized successfully.');
+      logger.info('Workload Identity initialized');
       
     } catch (error) {
-      console.error('Workload Identity initialization failed:', error);
+      logger.error('Workload Identity initialization failed', { error });
       throw new Error('認証の初期化に失敗しました');
     }
   }
@@ -55,7 +56,7 @@ class WorkloadIdentityManager {
   async testAuthentication() {
     try {
       const projectId = await this.auth.getProjectId();
-      console.log('Workload Identity:Authenticated for project:', projectId);
+      logger.info('Workload Identity authenticated', { projectId });
       
       // アクセストークンを取得してテスト
       const accessToken = await this.getAccessToken(); // ここは initialize() の中で呼ばれているので、this.initialized は既に true
@@ -63,9 +64,9 @@ class WorkloadIdentityManager {
         throw new Error('Failed to get access token');
       }
       
-      console.log('Authentication test passed');
+      logger.debug('Authentication test passed');
     } catch (error) {
-      console.error('Authentication test failed:', error);
+      logger.error('Authentication test failed', { error });
       throw error;
     }
   }
@@ -82,7 +83,7 @@ class WorkloadIdentityManager {
       const accessToken = await this.client.getAccessToken();
       return accessToken.token;
     } catch (error) {
-      console.error('Workload Identity: Failed to get access token:', error);
+      logger.error('Workload Identity failed to get access token', { error });
       throw new Error('アクセストークンの取得に失敗しました');
     }
   }
@@ -112,14 +113,14 @@ class WorkloadIdentityManager {
   // 認証情報をリフレッシュ
   async refreshAuthentication() {
     try {
-      console.log('Refreshing authentication...');
+      logger.info('Refreshing authentication');
       this.initialized = false;
       this.client = null;
       tiis.auth = null;
       await this.initialize();
-      console.log('Authentication refreshed successfully');
+      logger.info('Authentication refreshed');
     } catch (error) {
-      console.error('Failed to refresh authentication:', error);
+      logger.error('Failed to refresh authentication', { error });
       throw new Error('認証のリフレッシュに失敗しました');
     }
   }
@@ -145,7 +146,7 @@ export function validateEnvironmentVariables() {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
   }
 
-  console.log('Environment variables validated successfully');
+  logger.info('Environment variables validated');
 }
 
 // GitHub Actions用のWorkload Identity設定を表示
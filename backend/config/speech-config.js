@@ -1,10 +1,36 @@
+import { fileURLToPath } from 'url';
+
+// 設定の読み込み時の警告（ロガーはこのモジュールの設定を使うため、ここでは記録だけして server.js の起動時にログに出す）
+export const configWarnings = [];
+
+// JSON形式の環境変数を読み込み（不正な場合は既定値）
+// 値（APIキー等を含みうる）はパースエラーのメッセージにも含まれるため、警告には変数名だけを残す
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch {
+    configWarnings.push({ message: 'Invalid JSON in environment variable - using the default', variable: name });
+    return fallback;
+  }
+}
+
 // Google Cloud Speech-to-Text設定
 export const speechConfig = {
+  // STTプロバイダー（'google' | 'local'）。未指定時は本番のみGoogleを使用
+  provider: process.env.STT_PROVIDER || (process.env.NODE_ENV === 'production' ? 'google' : 'local'),
+  
   // 音声認識設定
   encoding: 'WEBM_OPUS', // Android Chrome対応
   sampleRateHertz: 16000, // Android最適化
-  languageCode: 'ja-JP',
-  alternativeLanguageCodes: ['en-US'], // フォールバック
+  languageCode: 'ja-JP', // 既定の主言語
+  alternativeLanguageCodes: ['en-US'], // 既定の候補言語（リクエストで指定が無い場合。結果の言語は自動判定）
+  maxAlternativeLanguages: 3, // 候補言語の上限（Google Speech-to-Textの制限）
+  
+  // 話者分離（リクエストで有効にした場合のみ。話者数の指定が無ければ既定値）
+  diarizationMinSpeakers: 2,
+  diarizationMaxSpeakers: 6,
+  maxDiarizationSpeakers: 10, // 指定できる話者数の上限
   
   // 認識精度向上設定
   enableAutomaticPunctuation: true,
@@ -12,19 +38,122 @@ export const speechConfig = {
   enableWordConfidence: true,
   
   // Android向け最適化
-  model: 'latest_long', // 長時間音声対応
+  model: 'latest_long', // 長時間音声対応（リクエストでプロバイダーが対応するモデルに変更できる）
   useEnhanced: true, // 高精度モデル使用
   
+  // 長時間音声の分割（同期認識は1分まで）
+  chunkDurationSeconds: 50, // 1チャンクの最大長
+  chunkSilenceSearchSeconds: 8, // チャンク終端の手前で無音位置を探す範囲
+  chunkOverlapSeconds: 1.5, // チャンク間の重なり
+  
   // ファイル制限
   maxAudioLength: 300, // 5分制限
   maxFileSize: 10 * 1024 * 1024, // 10MB制限
   
-  // サポートフォーマット
-  supportedFormats: ['webm', 'wav', 'mp3', 'ogg'],
+  // サポートフォーマット（webm/ogg(Opus)・wav(16bitモノラル)・mp3以外はWAVに変換して認識）
+  supportedFormats: ['webm', 'wav', 'mp3', 'ogg', 'flac', 'mp4', '3gp', 'aac', 'amr'],
+  
+  // 音声変換（ffmpeg）
+  transcoderCommand: process.env.FFMPEG_PATH || 'ffmpeg',
+  transcodeTimeout: 60000,
+  
+  // ストリーミング認識（WebSocket）設定
+  streamPath: '/api/stt/stream',
+  streamSessionTimeout: 330 * 1000, // 1セッションの最大時間（音声上限 + 余裕）
+  streamIdleTimeout: 15 * 1000, // 音声フレームが途絶えた場合の切断時間
+  streamMaxPendingBytes: 1024 * 1024, // プロバイダーに送れていない音声の上限
+  streamMaxClientBufferedBytes: 256 * 1024, // クライアントへの送信待ちがこれを超えたら途中結果を間引く
   
-  // レート制限
+  // 非同期文字起こしジョブ設定
+  jobStore: process.env.STT_JOB_STORE || 'memory', // 'memory' | 'file'（fileは再起動後も継続）
+  jobStoreDir: process.env.STT_JOB_STORE_DIR || fileURLToPath(new URL('../data/jobs', import.meta.url)),
+  jobConcurrency: 1, // 同時に処理するジョブ数
+  jobRetention: 24 * 60 * 60 * 1000, // 完了済みジョブの保持期間
+  jobCallbackTimeout: 10 * 1000, // コールバックURLへの通知タイムアウト
+  // コールバックURLに許可するオリジン（カンマ区切り）。未指定なら内部ネットワーク以外のすべてのホスト
+  // 例: JOB_CALLBACK_ORIGINS='https://hooks.example.com,http://worker.internal:8080'
+  jobCallbackOrigins: (process.env.JOB_CALLBACK_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  
+  // レート制限（クライアントごとのスライディングウィンドウ）
   rateLimitPerMinute: 60,
-  rateLimitPerHour: 1000
+  rateLimitPerHour: 1000,
+  rateLimitPerDay: 5000,
+  audioSecondsPerDay: 2 * 60 * 60, // 1日に認識できる音声の合計秒数
+  rateLimitStore: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' | 'file'（fileは再起動後も継続）
+  rateLimitStorePath: process.env.RATE_LIMIT_STORE_PATH || fileURLToPath(new URL('../data/rate-limits.json', import.meta.url)),
+  
+  // カスタム語彙（クライアントごとのフレーズセット。認識時にspeechContextsとして渡す）
+  phraseStore: process.env.STT_PHRASE_STORE || 'memory', // 'memory' | 'file'（fileは再起動後も残る）
+  phraseStorePath: process.env.STT_PHRASE_STORE_PATH || fileURLToPath(new URL('../data/phrases.json', import.meta.url)),
+  maxPhrasesPerClient: 500,
+  maxPhraseLength: 100, // 1フレーズの最大文字数
+  maxPhraseBoost: 20, // ブースト値の上限（大きすぎると誤認識が増える）
+  maxPhraseHints: 50, // リクエストごとに追加できるフレーズ数（再文字起こし等）
+  
+  // メモの同期（クライアントごとのメモと音声。複数端末・端末の紛失に備えてサーバーにも保存する）
+  memoStore: process.env.MEMO_STORE || 'memory', // 'memory' | 'file'（fileは再起動後も残る）
+  memoStoreDir: process.env.MEMO_STORE_DIR || fileURLToPath(new URL('../data/memos', import.meta.url)),
+  maxMemosPerClient: 5000, // 削除済み（トゥームストーン）は数えない
+  maxMemoBytes: 256 * 1024, // 1件のメモ（音声を除くJSON）の上限
+  maxMemoSyncBatch: 100, // 1回の送信で受け付けるメモ数
+  memoPageSize: 200, // 変更の取得で1回に返す件数
+  
+  // フレーズ内で使えるクラストークン（例: "部屋番号 $ADDRESSNUM"）
+  phraseClassTokens: [
+    '$ADDRESSNUM', '$DAY', '$FULLPHONENUM', '$MONEY', '$MONTH', '$OPERAND', '$PERCENT',
+    '$POSTALCODE', '$TIME', '$YEAR', '$OOV_CLASS_ALPHANUMERIC_SEQUENCE', '$OOV_CLASS_DIGIT_SEQUENCE'
+  ],
+  
+  // APIキーごとの上限（未指定の項目は上記の既定値）
+  // 例: RATE_LIMIT_KEY_QUOTAS='{"<APIキー>": {"perMinute": 120, "audioSecondsPerDay": 36000}}'
+  rateLimitKeyQuotas: parseJsonEnv('RATE_LIMIT_KEY_QUOTAS', {})
+};
+
+// ローカルプロバイダー設定（オフライン開発・CI用）
+export const localProviderConfig = {
+  // 音声ハッシュをキーにしたフィクスチャ（<sha256>.json）の置き場所
+  fixturesDir: process.env.LOCAL_STT_FIXTURES_DIR || fileURLToPath(new URL('../fixtures/transcripts', import.meta.url)),
+  
+  // 対応言語（ローカル認識エンジンに合わせて変更する）
+  languages: (process.env.LOCAL_STT_LANGUAGES || 'ja-JP,en-US').split(',').map(code => code.trim()).filter(Boolean),
+  
+  // ローカル認識エンジン（`<command> <audioFile> <languageCode>`で実行）
+  command: process.env.LOCAL_STT_COMMAND || null,
+  commandTimeout: 60000
+};
+
+// APIの認証設定
+export const authConfig = {
+  // 認証を必須にするか（未指定時は本番のみ必須）
+  required: process.env.AUTH_REQUIRED ? process.env.AUTH_REQUIRED === 'true' : process.env.NODE_ENV === 'production',
+  
+  // 静的APIキー（スコープ: transcribe / stats / memos / admin）
+  // 例: API_KEYS='{"<APIキー>": {"name": "android-app", "scopes": ["transcribe"]}}'
+  apiKeys: parseJsonEnv('API_KEYS', {}),
+  
+  // /api/auth/token で発行する短期トークン（HMAC-SHA256 JWT）
+  tokenSecret: process.env.AUTH_TOKEN_SECRET || null,
+  tokenIssuer: 'fusenkun-stt',
+  tokenTtlSeconds: 15 * 60,
+  
+  // 認証不要モードで資格情報が無いリクエストに与えるスコープ
+  anonymousScopes: ['transcribe', 'stats']
+};
+
+// ログ・メトリクス設定
+export const observabilityConfig = {
+  // ログレベル（'debug' | 'info' | 'warn' | 'error'）
+  logLevel: process.env.LOG_LEVEL || 'info',
+  
+  // 出力形式（'json': 1行1JSON、'pretty': 開発用の読みやすい形式）。未指定時は本番のみJSON
+  logFormat: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+  
+  // 文字起こし結果をログに出すか（既定はマスクする）
+  logTranscripts: process.env.LOG_TRANSCRIPTS === 'true',
+  
+  // Prometheus形式のメトリクス（statsスコープが必要）
+  metricsEnabled: process.env.METRICS_ENABLED !== 'false',
+  metricsPath: '/metrics'
 };
 
 // Workload Identity設定
@@ -46,11 +175,46 @@ export const workloadIdentityConfig = {
 
 // エラーメッセージ
 export const errorMessages = {
+  // リクエスト・音声
+  INVALID_REQUEST: 'リクエストが不正です',
+  UNSUPPORTED_LANGUAGE: '対応していない言語です',
+  UNSUPPORTED_MODEL: '対応していない認識モデルです',
+  NO_AUDIO: '音声データが見つかりません',
   UNSUPPORTED_FORMAT: '対応していない音声フォーマットです',
+  CORRUPTED_AUDIO: '音声ファイルを読み取れません（破損している可能性があります）',
+  TRANSCODE_FAILED: '音声の変換に失敗しました',
+  TRANSCODER_UNAVAILABLE: 'この音声フォーマットを変換できません（サーバーに変換ツールがありません）',
   FILE_TOO_LARGE: 'ファイルサイズが大きすぎます（10MB以下にしてください）',
   AUDIO_TOO_LONG: '音声が長すぎます（5分以下にしてください）',
+  
+  // 利用制限・認証
   RATE_LIMIT_EXCEEDED: 'リクエスト制限を超えました。しばらく待ってから再試行してください',
+  QUOTA_EXCEEDED: '本日の音声認識の利用上限に達しました',
   AUTHENTICATION_FAILED: '認証に失敗しました',
+  AUTHENTICATION_REQUIRED: 'APIキーまたはアクセストークンが必要です',
+  TOKEN_EXPIRED: 'アクセストークンの有効期限が切れています',
+  TOKENS_DISABLED: 'トークン発行は無効です',
+  INSUFFICIENT_SCOPE: 'この操作を行う権限がありません',
+  
+  // 認識処理
+  PROVIDER_UNAVAILABLE: '音声認識サービスに接続できません。しばらく待ってから再試行してください',
+  PROVIDER_AUTH_FAILED: '音声認識サービスの認証に失敗しました',
+  PROVIDER_REJECTED: '音声認識サービスが音声を処理できませんでした',
   TRANSCRIPTION_FAILED: '音声の文字起こしに失敗しました',
+  TRANSCRIPTION_CANCELLED: '文字起こしがキャンセルされました',
+  STREAM_TIME_LIMIT: 'ストリーミングセッションの制限時間を超えました',
+  STREAM_IDLE_TIMEOUT: '音声データが届かないためセッションを終了しました',
+  STREAM_OVERLOADED: '音声データの処理が追いつきません',
+  
+  // ジョブ・フレーズ・その他
+  JOB_NOT_FOUND: 'ジョブが見つかりません',
+  JOB_ALREADY_FINISHED: 'ジョブは既に終了しています',
+  PHRASE_NOT_FOUND: 'フレーズが見つかりません',
+  TOO_MANY_PHRASES: '登録できるフレーズ数の上限を超えています',
+  MEMO_NOT_FOUND: 'メモが見つかりません',
+  TOO_MANY_MEMOS: '保存できるメモ数の上限を超えています',
+  SYNC_KEY_REQUIRED: '同期キーが必要です',
+  NOT_FOUND: 'エンドポイントが見つかりません',
+  INTERNAL_ERROR: 'サーバー内部エラーが発生しました',
   NETWORK_ERROR: 'ネットワークエラーが発生しました'
 };
\ No newline at end of file
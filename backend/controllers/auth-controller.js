@@ -0,0 +1,48 @@
+import { authenticateCredentials, issueToken, tokensEnabled, SCOPES, AuthError } from '../auth/api-auth.js';
+import { STTError, sendError } from '../errors/stt-error.js';
+
+class AuthController {
+  // APIキーから短期アクセストークンを発行
+  async issueToken(req, res) {
+    try {
+      if (!tokensEnabled()) {
+        return sendError(res, new STTError('TOKENS_DISABLED', { detail: 'AUTH_TOKEN_SECRET is not set' }));
+      }
+
+      // トークンからの再発行は不可（APIキーのみ）
+      const principal = authenticateCredentials({
+        authorization: /^apikey /i.test(req.get('Authorization') || '') ? req.get('Authorization') : null,
+        apiKey: req.get('X-API-Key')
+      });
+
+      if (!principal) {
+        res.set('WWW-Authenticate', 'ApiKey realm="fusenkun-stt"');
+        return sendError(res, new AuthError('AUTHENTICATION_REQUIRED'));
+      }
+
+      // 要求されたスコープはキーのスコープの範囲内に絞る
+      let scopes = principal.scopes;
+      if (Array.isArray(req.body?.scopes)) {
+        const requested = req.body.scopes.filter(scope => SCOPES.includes(scope));
+        scopes = principal.scopes.includes('admin')
+          ? requested
+          : requested.filter(scope => principal.scopes.includes(scope));
+      }
+
+      const token = issueToken(principal, scopes);
+
+      res.json({
+        success: true,
+        accessToken: token.accessToken,
+        tokenType: 'Bearer',
+        expiresIn: token.expiresIn,
+        scopes: token.scopes
+      });
+
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
+
+export default new AuthController();
@@ -0,0 +1,134 @@
+import googleSTTService from '../services/google-stt-service.js';
+import { parsePhraseHints } from '../services/phrases/phrase-service.js';
+import transcriptionJobService from '../services/jobs/transcription-job-service.js';
+import { validateCallbackUrl } from '../services/jobs/callback-url.js';
+import { hasScope } from '../auth/api-auth.js';
+import { STTError, isRetryable, sendError } from '../errors/stt-error.js';
+
+class JobController {
+  // 文字起こしジョブ登録（処理完了を待たずに202を返す）
+  async createJob(req, res) {
+    try {
+      if (!req.file) {
+        return sendError(res, new STTError('NO_AUDIO'));
+      }
+
+      const audioBuffer = req.file.buffer;
+      const format = req.body.audioFormat || 'webm';
+      const callbackUrl = req.body.callbackUrl || null;
+      const idempotencyKey = req.get('Idempotency-Key') || null;
+
+      // 冪等キーは再送の識別にだけ使う（表示可能なASCII、255文字まで）
+      if (idempotencyKey && !/^[\x21-\x7e]{1,255}$/.test(idempotencyKey)) {
+        return sendError(res, new STTError('INVALID_REQUEST', { detail: 'Idempotency-Key must be 1-255 visible ASCII characters' }));
+      }
+
+      // コールバックURLはhttp(s)で、内部ネットワークを指さないもののみ許可
+      if (callbackUrl) {
+        await validateCallbackUrl(callbackUrl);
+      }
+
+      // 登録前にサイズと実際のフォーマット・言語を検証し、処理できない音声はすぐに返す
+      googleSTTService.inspectAudio(audioBuffer, format);
+      const languages = googleSTTService.resolveLanguages(req.body.language, req.body.alternativeLanguages);
+      const diarization = googleSTTService.resolveDiarization(req.body.diarization, req.body.minSpeakers, req.body.maxSpeakers);
+      const model = googleSTTService.resolveModel(req.body.model);
+      const phraseHints = parsePhraseHints(req.body.phraseHints);
+
+      const job = await transcriptionJobService.createJob({
+        audioBuffer,
+        format,
+        callbackUrl,
+        idempotencyKey,
+        options: {
+          ...languages,
+          diarization,
+          model,
+          phraseHints,
+          clientId: req.principal.id, // 所有者（結果の参照・キャンセルは本人かadminのみ）
+          requestId: req.id, // ジョブ処理中のログに付ける
+          sampleRate: parseInt(req.body.sampleRate) || 16000
+        }
+      });
+
+      res.status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json({
+          success: true,
+          job: formatJob(job),
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`
+        });
+
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // ジョブ状態・結果取得
+  async getJob(req, res) {
+    try {
+      const job = await transcriptionJobService.getJob(req.params.id);
+
+      if (!job || !canAccessJob(req.principal, job)) {
+        return sendError(res, new STTError('JOB_NOT_FOUND'));
+      }
+
+      res.json({
+        success: true,
+        job: formatJob(job)
+      });
+
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // ジョブキャンセル
+  async cancelJob(req, res) {
+    try {
+      const existing = await transcriptionJobService.getJob(req.params.id);
+
+      if (!existing || !canAccessJob(req.principal, existing)) {
+        return sendError(res, new STTError('JOB_NOT_FOUND'));
+      }
+
+      const job = await transcriptionJobService.cancelJob(req.params.id);
+
+      if (job.status === 'completed' || job.status === 'failed') {
+        return sendError(res, new STTError('JOB_ALREADY_FINISHED'), { job: formatJob(job) });
+      }
+
+      res.json({
+        success: true,
+        job: formatJob(job)
+      });
+
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
+
+// 他のクライアントのジョブは存在自体を見せない
+function canAccessJob(principal, job) {
+  return hasScope(principal, 'admin') || job.options.clientId === principal.id;
+}
+
+// クライアントに返すジョブ情報（内部用の項目は除く）
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode || null,
+    retryable: job.errorCode ? isRetryable(job.errorCode) : null,
+    cancelRequested: job.cancelRequested || false,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+export default new JobController();
@@ -0,0 +1,80 @@
+import memoService, { parseSyncCursor } from '../services/memos/memo-service.js';
+import { sendError } from '../errors/stt-error.js';
+import { speechConfig } from '../config/speech-config.js';
+
+// メモは同期キーごとに分かれる（req.memoSpace。APIキー・トークンは同期を使えるかの確認だけに使う）
+class MemoController {
+  // since より後の変更（削除を含む）
+  async listChanges(req, res) {
+    try {
+      const since = parseSyncCursor(req.query.since);
+      const changes = await memoService.changes(req.memoSpace, since);
+      res.json({ success: true, ...changes, limits: formatLimits() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // 端末の変更をまとめて反映
+  async pushChanges(req, res) {
+    try {
+      const result = await memoService.push(req.memoSpace, req.body?.memos);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // メモを1件取得
+  async getMemo(req, res) {
+    try {
+      const memo = await memoService.get(req.memoSpace, req.params.id);
+      res.json({ success: true, memo });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // メモを削除
+  async deleteMemo(req, res) {
+    try {
+      const memo = await memoService.remove(req.memoSpace, req.params.id);
+      res.json({ success: true, memo });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // 音声を保存（本文は音声のバイナリ、Content-Typeをそのまま記録する）
+  async uploadAudio(req, res) {
+    try {
+      const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+      const memo = await memoService.saveAudio(req.memoSpace, req.params.id, buffer, req.get('Content-Type'));
+      res.json({ success: true, memo });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // 音声を取得
+  async downloadAudio(req, res) {
+    try {
+      const { buffer, type } = await memoService.loadAudio(req.memoSpace, req.params.id);
+      res.type(type).send(buffer);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
+
+// 制限値も返し、クライアント側で送信単位を合わせられるようにする
+function formatLimits() {
+  return {
+    maxMemos: speechConfig.maxMemosPerClient,
+    maxMemoBytes: speechConfig.maxMemoBytes,
+    maxBatch: speechConfig.maxMemoSyncBatch,
+    maxAudioBytes: speechConfig.maxFileSize
+  };
+}
+
+export default new MemoController();
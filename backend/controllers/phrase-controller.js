@@ -0,0 +1,75 @@
+import phraseService from '../services/phrases/phrase-service.js';
+import { sendError } from '../errors/stt-error.js';
+import { speechConfig } from '../config/speech-config.js';
+
+// フレーズセットはクライアント（APIキー・トークンの主体）ごとに分かれる
+class PhraseController {
+  // フレーズ一覧
+  async listPhrases(req, res) {
+    try {
+      const entry = await phraseService.list(req.principal.id);
+      res.json(formatPhraseSet(entry));
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // フレーズセットを丸ごと置き換え（端末からの同期）
+  async replacePhrases(req, res) {
+    try {
+      const entry = await phraseService.replace(req.principal.id, req.body?.phrases);
+      res.json(formatPhraseSet(entry));
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // フレーズ追加
+  async createPhrase(req, res) {
+    try {
+      const phrase = await phraseService.add(req.principal.id, req.body);
+      res.status(201)
+        .location(`${req.baseUrl}/phrases/${phrase.id}`)
+        .json({ success: true, phrase });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // フレーズ更新（指定した項目のみ）
+  async updatePhrase(req, res) {
+    try {
+      const phrase = await phraseService.update(req.principal.id, req.params.id, req.body);
+      res.json({ success: true, phrase });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  // フレーズ削除
+  async deletePhrase(req, res) {
+    try {
+      const entry = await phraseService.remove(req.principal.id, req.params.id);
+      res.json(formatPhraseSet(entry));
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
+
+// 制限値も返し、クライアント側で入力時に検証できるようにする
+function formatPhraseSet(entry) {
+  return {
+    success: true,
+    phrases: entry.phrases,
+    updatedAt: entry.updatedAt,
+    limits: {
+      maxPhrases: speechConfig.maxPhrasesPerClient,
+      maxPhraseLength: speechConfig.maxPhraseLength,
+      maxBoost: speechConfig.maxPhraseBoost,
+      classTokens: speechConfig.phraseClassTokens
+    }
+  };
+}
+
+export default new PhraseController();
@@ -1,5 +1,8 @@
-import googleSTTService from '../services/google-stt-service.js';
-import { errorMessages } from '../config/speech-config.js';
+import googleSTTService, { formatDiarization } from '../services/google-stt-service.js';
+import { parsePhraseHints } from '../services/phrases/phrase-service.js';
+import { speechConfig } from '../config/speech-config.js';
+import { STTError, sendError } from '../errors/stt-error.js';
+import logger from '../services/observability/logger.js';
 
 class STTController {
   // 音声文字起こしエンドポイント
@@ -9,38 +12,44 @@ class STTController {
       
       // リクエスト検証
       if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          error: '音声ファイルが見つかりません'
-        });
+        return sendError(res, new STTError('NO_AUDIO'));
       }
 
       const audioBuffer = req.file.buffer;
       const format = req.body.audioFormat || 'webm';
-      const language = req.body.language || 'ja-JP';
-      const clientId = req.ip || 'unknown';
+      const clientId = req.principal.id; // 認証済みの主体（APIキー・トークン・匿名時はIP）
 
-      console.log('Transcription request:', {
+      // 主言語と候補言語（候補の中から言語を自動判定する）
+      const languages = googleSTTService.resolveLanguages(req.body.language, req.body.alternativeLanguages);
+      // 話者分離（任意。話者数の範囲を指定できる）
+      const diarization = googleSTTService.resolveDiarization(req.body.diarization, req.body.minSpeakers, req.body.maxSpeakers);
+      // 認識モデルと追加フレーズ（任意。保存済み音声の再文字起こしで条件を変えるときなど）
+      const model = googleSTTService.resolveModel(req.body.model);
+      const phraseHints = parsePhraseHints(req.body.phraseHints);
+
+      logger.info('Transcription request', {
         fileSize: audioBuffer.length,
         format: format,
-        language: language,
+        language: languages.languageCode,
+        alternativeLanguages: languages.alternativeLanguageCodes,
+        diarization: Boolean(diarization),
+        model: model,
+        phraseHints: phraseHints.length,
         clientId: clientId
       });
 
       // オプション設定
       const options = {
-        languageCode: language,
+        ...languages,
+        diarization,
+        model,
+        phraseHints,
         clientId: clientId,
         sampleRate: parseInt(req.body.sampleRate) || 16000
       };
 
-      // 音声文字起こし実行
-      let result;
-      if (audioBuffer.length > 4 * 1024 * 1024) { // 4MB以上は分割処理
-        result = await googleSTTService.transcribeLongAudio(audioBuffer, format, options);
-      } else {
-        result = await googleSTTService.transcribeAudio(audioBuffer, format, options);
-      }
+      // 音声文字起こし実行（長さに応じてサービス側で分割）
+      const result = await googleSTTService.transcribeLongAudio(audioBuffer, format, options);
 
       const totalTime = Date.now() - startTime;
       
@@ -53,65 +62,70 @@ class STTController {
         totalTime: totalTime,
         alternatives: result.alternatives || [],
         wordDetails: result.wordDetails || [],
+        detectedLanguage: result.detectedLanguage,
+        segments: result.segments || [],
         metadata: {
-          audioFormat: format,
+          audioFormat: result.audio ? result.audio.originalFormat : format,
           audioSize: audioBuffer.length,
-          language: language,
+          language: languages.languageCode,
+          alternativeLanguages: languages.alternativeLanguageCodes,
+          diarization: formatDiarization(diarization),
+          model: model,
+          phraseHints: phraseHints.length,
           chunks: result.chunks || 1,
+          sampleRate: result.audio?.sampleRate,
+          channels: result.audio?.channels,
+          transcoded: result.audio?.transcoded || false,
           timestamp: new Date().toISOString()
         }
       });
 
-      console.log('Transcription completed:', {
-        success: true,
+      logger.info('Transcription completed', {
         textLength: result.transcription.length,
         confidence: result.confidence,
         totalTime: totalTime
       });
 
     } catch (error) {
-      console.error('Transcription error:', error);
-      
-      // エラーレスポンス
-      res.status(500).json({
-        success: false,
-        error: error.message || errorMessages.TRANSCRIPTION_FAILED,
-        timestamp: new Date().toISOString()
-      });
+      sendError(res, error);
     }
   }
 
   // Base64音声データの文字起こし
   async transcribeBase64Audio(req, res) {
     try {
-      const { audioData, audioFormat, language } = req.body;
+      const { audioData, audioFormat, language, alternativeLanguages, diarization: diarizationRequested, minSpeakers, maxSpeakers, model: requestedModel, phraseHints: requestedHints } = req.body;
       
       if (!audioData) {
-        return res.status(400).json({
-          success: false,
-          error: '音声データが見つかりません'
-        });
+        return sendError(res, new STTError('NO_AUDIO'));
       }
 
       // Base64デコード
       const audioBuffer = Buffer.from(audioData, 'base64');
       const format = audioFormat || 'webm';
-      const lang = language || 'ja-JP';
-      const clientId = req.ip || 'unknown';
+      const languages = googleSTTService.resolveLanguages(language, alternativeLanguages);
+      const diarization = googleSTTService.resolveDiarization(diarizationRequested, minSpeakers, maxSpeakers);
+      const model = googleSTTService.resolveModel(requestedModel);
+      const phraseHints = parsePhraseHints(requestedHints);
+      const clientId = req.principal.id; // 認証済みの主体（APIキー・トークン・匿名時はIP）
 
-      console.log('Base64 transcription request:', {
+      logger.info('Base64 transcription request', {
         dataSize: audioBuffer.length,
         format: format,
-        language: lang
+        language: languages.languageCode,
+        alternativeLanguages: languages.alternativeLanguageCodes
       });
 
       const options = {
-        languageCode: lang,
+        ...languages,
+        diarization,
+        model,
+        phraseHints,
         clientId: clientId
       };
 
-      // 音声文字起こし実行
-      const result = await googleSTTService.transcribeAudio(audioBuffer, format, options);
+      // 音声文字起こし実行（正規化・分割はサービス側で行う）
+      const result = await googleSTTService.transcribeLongAudio(audioBuffer, format, options);
 
       res.json({
         success: true,
@@ -119,22 +133,24 @@ class STTController {
         confidence: result.confidence,
         processingTime: result.processingTime,
         alternatives: result.alternatives || [],
+        detectedLanguage: result.detectedLanguage,
+        segments: result.segments || [],
         metadata: {
-          audioFormat: format,
+          audioFormat: result.audio ? result.audio.originalFormat : format,
           audioSize: audioBuffer.length,
-          language: lang,
+          language: languages.languageCode,
+          alternativeLanguages: languages.alternativeLanguageCodes,
+          diarization: formatDiarization(diarization),
+          model: model,
+          phraseHints: phraseHints.length,
+          chunks: result.chunks || 1,
+          transcoded: result.audio?.transcoded || false,
           timestamp: new Date().toISOString()
         }
       });
 
     } catch (error) {
-      console.error('Base64 transcription error:', error);
-      
-      res.status(500).json({
-        success: false,
-        error: error.message || errorMessages.TRANSCRIPTION_FAILED,
-        timestamp: new Date().toISOString()
-      });
+      sendError(res, error);
     }
   }
 
@@ -142,11 +158,12 @@ class STTController {
   async healthCheck(req, res) {
     try {
       const health = await googleSTTService.healthCheck();
-      const stats = googleSTTService.getStats();
+      const stats = await googleSTTService.getStats();
       
       res.json({
         status: health.status,
-        service: 'Google Speech-to-Text',
+        service: 'Speech-to-Text',
+        provider: health.provider,
         authenticated: health.authenticated,
         initialized: health.initialized,
         stats: stats,
@@ -155,50 +172,57 @@ class STTController {
       });
 
     } catch (error) {
-      console.error('Health check error:', error);
-      
-      res.status(500).json({
-        status: 'error',
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
+      sendError(res, new STTError('PROVIDER_UNAVAILABLE', { detail: error.message, cause: error }), { status: 'error' });
     }
   }
 
   // サポートされている音声フォーマット一覧
   async getSupportedFormats(req, res) {
     try {
-      const { speechConfig } = await import('../config/speech-config.js');
-      
+      const capabilities = googleSTTService.getCapabilities();
+
       res.json({
         success: true,
+        provider: capabilities.provider,
         supportedFormats: speechConfig.supportedFormats,
         maxFileSize: speechConfig.maxFileSize,
         maxAudioLength: speechConfig.maxAudioLength,
         sampleRate: speechConfig.sampleRateHertz,
-        languages: ['ja-JP', 'en-US'],
+        // 対応言語は使用中のプロバイダーによる
+        languages: capabilities.languages,
+        defaultLanguage: speechConfig.languageCode,
+        defaultAlternativeLanguages: speechConfig.alternativeLanguageCodes.filter(code => capabilities.languages.includes(code)),
+        maxAlternativeLanguages: speechConfig.maxAlternativeLanguages,
+        // 選べる認識モデル（空ならモデルは指定できない）
+        models: capabilities.models,
+        defaultModel: speechConfig.model,
+        maxPhraseHints: speechConfig.maxPhraseHints,
+        diarizationSpeakers: {
+          min: speechConfig.diarizationMinSpeakers,
+          max: speechConfig.diarizationMaxSpeakers,
+          limit: speechConfig.maxDiarizationSpeakers
+        },
+        transcodedFormats: speechConfig.supportedFormats.filter(format => !['webm', 'ogg', 'wav', 'mp3'].includes(format)),
         features: {
           automaticPunctuation: true,
           wordTimeOffsets: true,
           wordConfidence: true,
-          longAudioSupport: true
+          longAudioSupport: true,
+          languageDetection: capabilities.languageDetection,
+          speechAdaptation: capabilities.speechAdaptation,
+          diarization: capabilities.diarization
         }
       });
 
     } catch (error) {
-      console.error('Get formats error:', error);
-      
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      sendError(res, error);
     }
   }
 
   // 統計情報取得
   async getStats(req, res) {
     try {
-      const stats = googleSTTService.getStats();
+      const stats = await googleSTTService.getStats();
       
       res.json({
         success: true,
@@ -207,33 +231,13 @@ class STTController {
       });
 
     } catch (error) {
-      console.error('Get stats error:', error);
-      
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
+      sendError(res, error);
     }
   }
 
-  // エラーハンドリングミドルウェア
-  static errorHandler(error, req, res, next) {
-    console.error('STT Controller Error:', error);
-    
-    // Multerエラー
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        error: errorMessages.FILE_TOO_LARGE
-      });
-    }
-    
-    // その他のエラー
-    res.status(500).json({
-      success: false,
-      error: error.message || 'サーバーエラーが発生しました',
-      timestamp: new Date().toISOString()
-    });
+  // エラーハンドリングミドルウェア（Multer・ボディ解析のエラーもコード付きで返す）
+  errorHandler(error, req, res, next) {
+    sendError(res, error);
   }
 }
 
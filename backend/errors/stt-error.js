@@ -0,0 +1,119 @@
+import logger from '../services/observability/logger.js';
+import { errorMessages } from '../config/speech-config.js';
+
+// エラーコード一覧（コードはAPIの互換性の一部なので変更しない）
+//   status: HTTPステータス
+//   retryable: 同じリクエストを時間をおいて再送すれば成功する可能性があるか
+// 表示用の文言はクライアント側でコードから選ぶ（サーバーの error は既定の日本語メッセージ）
+export const errorCatalogue = {
+  INVALID_REQUEST: { status: 400, retryable: false },
+  UNSUPPORTED_LANGUAGE: { status: 400, retryable: false },
+  UNSUPPORTED_MODEL: { status: 400, retryable: false },
+  NO_AUDIO: { status: 400, retryable: false },
+  UNSUPPORTED_FORMAT: { status: 415, retryable: false },
+  FILE_TOO_LARGE: { status: 413, retryable: false },
+  AUDIO_TOO_LONG: { status: 422, retryable: false },
+  CORRUPTED_AUDIO: { status: 422, retryable: false },
+  TRANSCODE_FAILED: { status: 422, retryable: false },
+  TRANSCODER_UNAVAILABLE: { status: 503, retryable: false },
+
+  RATE_LIMIT_EXCEEDED: { status: 429, retryable: true },
+  QUOTA_EXCEEDED: { status: 429, retryable: false }, // 翌日まで空かないため自動再送しない
+  AUTHENTICATION_REQUIRED: { status: 401, retryable: false },
+  AUTHENTICATION_FAILED: { status: 401, retryable: false },
+  TOKEN_EXPIRED: { status: 401, retryable: true }, // トークンを取り直せば再送できる
+  TOKENS_DISABLED: { status: 503, retryable: false },
+  INSUFFICIENT_SCOPE: { status: 403, retryable: false },
+
+  PROVIDER_UNAVAILABLE: { status: 503, retryable: true },
+  PROVIDER_AUTH_FAILED: { status: 502, retryable: false },
+  PROVIDER_REJECTED: { status: 422, retryable: false },
+  TRANSCRIPTION_FAILED: { status: 500, retryable: true },
+  TRANSCRIPTION_CANCELLED: { status: 409, retryable: false },
+  STREAM_TIME_LIMIT: { status: 408, retryable: false },
+  STREAM_IDLE_TIMEOUT: { status: 408, retryable: false },
+  STREAM_OVERLOADED: { status: 503, retryable: true },
+
+  JOB_NOT_FOUND: { status: 404, retryable: false },
+  JOB_ALREADY_FINISHED: { status: 409, retryable: false },
+  PHRASE_NOT_FOUND: { status: 404, retryable: false },
+  TOO_MANY_PHRASES: { status: 422, retryable: false },
+  MEMO_NOT_FOUND: { status: 404, retryable: false },
+  TOO_MANY_MEMOS: { status: 422, retryable: false },
+  SYNC_KEY_REQUIRED: { status: 400, retryable: false },
+  NOT_FOUND: { status: 404, retryable: false },
+  INTERNAL_ERROR: { status: 500, retryable: true }
+};
+
+export function isRetryable(code) {
+  return Boolean(errorCatalogue[code]?.retryable);
+}
+
+// コード付きのエラー（各モジュールのエラークラスの基底）
+// options: { detail, retryAfter, cause }
+export class STTError extends Error {
+  constructor(code, options = {}) {
+    const known = code in errorCatalogue ? code : 'INTERNAL_ERROR';
+    super(errorMessages[known], options.cause ? { cause: options.cause } : undefined);
+    this.name = 'STTError';
+    this.code = known;
+    this.status = errorCatalogue[known].status;
+    this.retryable = errorCatalogue[known].retryable;
+    this.detail = options.detail;
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+// 任意のエラーをSTTErrorに変換（ライブラリのエラーもコード付きで返すため）
+export function toSTTError(error) {
+  if (error instanceof STTError) return error;
+
+  // Multer
+  if (error?.code === 'LIMIT_FILE_SIZE') {
+    return new STTError('FILE_TOO_LARGE', { cause: error });
+  }
+  if (typeof error?.code === 'string' && error.code.startsWith('LIMIT_')) {
+    return new STTError('INVALID_REQUEST', { detail: error.message, cause: error });
+  }
+
+  // express.json / urlencoded
+  if (error?.type === 'entity.too.large') {
+    return new STTError('FILE_TOO_LARGE', { cause: error });
+  }
+  if (error?.type === 'entity.parse.failed') {
+    return new STTError('INVALID_REQUEST', { detail: error.message, cause: error });
+  }
+
+  return new STTError('INTERNAL_ERROR', { detail: error?.message, cause: error });
+}
+
+// エラーレスポンスの本体
+function errorBody(error) {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code,
+    retryable: error.retryable,
+    ...(error.retryAfter && { retryAfter: error.retryAfter }),
+    ...(process.env.NODE_ENV === 'development' && error.detail && { details: error.detail }),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// エラーレスポンスを送信（extra はレスポンスに追加する項目）
+// サーバー側の失敗（5xx）は原因のエラーを記録し、クライアント側の失敗はアクセスログのコードのみ
+export function sendError(res, error, extra = {}) {
+  const sttError = toSTTError(error);
+
+  if (sttError.status >= 500) {
+    logger.error('Request failed', { code: sttError.code, error: sttError.cause || sttError });
+  } else {
+    logger.debug('Request rejected', { code: sttError.code, detail: sttError.detail });
+  }
+
+  if (sttError.retryAfter) {
+    res.set('Retry-After', String(sttError.retryAfter));
+  }
+  res.locals.errorCode = sttError.code; // アクセスログ・メトリクス用
+  return res.status(sttError.status).json({ ...errorBody(sttError), ...extra });
+}
@@ -0,0 +1,50 @@
+import { authenticateCredentials, anonymousPrincipal, hasScope, memoSpaceId, AuthError } from '../auth/api-auth.js';
+import { sendError } from '../errors/stt-error.js';
+
+function sendAuthError(res, error) {
+  if (error.status === 401) {
+    res.set('WWW-Authenticate', `Bearer realm="fusenkun-stt"${error.code === 'TOKEN_EXPIRED' ? ', error="invalid_token"' : ''}`);
+  }
+  return sendError(res, error);
+}
+
+// 認証ミドルウェア（req.principal を設定）
+export function authenticate(req, res, next) {
+  try {
+    req.principal = authenticateCredentials({
+      authorization: req.get('Authorization'),
+      apiKey: req.get('X-API-Key')
+    }) || anonymousPrincipal(req.ip);
+
+    next();
+
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+    next(error);
+  }
+}
+
+// スコープ確認ミドルウェア（authenticateの後に使う）
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.principal, scope)) {
+      return sendAuthError(res, new AuthError('INSUFFICIENT_SCOPE'));
+    }
+    next();
+  };
+}
+
+// 同期キー確認ミドルウェア（X-Sync-Key。req.memoSpace にメモの保存先を設定する）
+export function requireSyncKey(req, res, next) {
+  try {
+    req.memoSpace = memoSpaceId(req.get('X-Sync-Key'));
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+    next(error);
+  }
+}
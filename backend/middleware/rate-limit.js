@@ -0,0 +1,35 @@
+import rateLimiter, { apiKeyClientId, RateLimitError } from '../services/limits/rate-limiter.js';
+import { sendError } from '../errors/stt-error.js';
+
+// リクエストのクライアントID（認証済みなら主体、それ以外はAPIキーまたはIP単位）
+export function resolveClientId(req) {
+  if (req.principal) return req.principal.id;
+
+  const apiKey = req.get('X-API-Key');
+  return apiKey ? apiKeyClientId(apiKey) : `ip:${req.ip || 'unknown'}`;
+}
+
+// レート制限ミドルウェア
+// RateLimit-* ヘッダー（IETFドラフト）を付け、超過時は429とRetry-Afterを返す
+export async function rateLimit(req, res, next) {
+  try {
+    req.clientId = resolveClientId(req);
+    const result = await rateLimiter.hit(req.clientId);
+
+    res.set({
+      'RateLimit-Policy': result.policy,
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.reset)
+    });
+
+    if (!result.allowed) {
+      return sendError(res, new RateLimitError('RATE_LIMIT_EXCEEDED', result.retryAfter), { window: result.window });
+    }
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,49 @@
+import { randomUUID } from 'crypto';
+import logger, { runWithLogContext } from '../services/observability/logger.js';
+import metrics from '../services/observability/metrics.js';
+
+// 呼び出し元が付けたリクエストIDは形式を制限して引き継ぐ（ログへの注入を防ぐ）
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+
+// メトリクスのラベルに使うルート（パラメーターはそのまま、未定義のパスはまとめる）
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// リクエストIDの付与・アクセスログ・HTTPメトリクス
+// 以降の処理（コントローラー・サービス）のログには requestId が自動で付く
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const endTimer = metrics.httpDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    const seconds = endTimer({ route });
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    if (res.locals.errorCode) {
+      metrics.errors.inc({ code: res.locals.errorCode, source: 'http' });
+    }
+
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      clientId: req.principal?.id,
+      ...(res.locals.errorCode && { errorCode: res.locals.errorCode })
+    });
+  });
+
+  runWithLogContext({ requestId: req.id }, next);
+}
+
+// ボディ解析（Multer・express.json）はストリームのイベントで後続を呼ぶため非同期コンテキストが途切れる
+// 解析の後に置いてリクエストIDを付け直す
+export function bindRequestContext(req, res, next) {
+  runWithLogContext({ requestId: req.id }, next);
+}
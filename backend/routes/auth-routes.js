@@ -0,0 +1,14 @@
+import express from 'express';
+import authController from '../controllers/auth-controller.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+
+const router = express.Router();
+
+// 短期アクセストークン発行（X-API-Key または Authorization: ApiKey <キー>）
+router.post('/token',
+  rateLimit,
+  express.json(),
+  authController.issueToken
+);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from 'express';
+import memoController from '../controllers/memo-controller.js';
+import { speechConfig } from '../config/speech-config.js';
+import { authenticate, requireScope, requireSyncKey } from '../middleware/auth.js';
+import { bindRequestContext } from '../middleware/request-context.js';
+
+const router = express.Router();
+
+// ルート定義
+// メモの同期は memos スコープが必要（匿名のクライアントには与えない）
+// メモは同期キー（X-Sync-Key）ごとに分かれる
+
+// 変更の取得（?since=<cursor>、削除を含む）
+router.get('/',
+  authenticate,
+  requireScope('memos'),
+  requireSyncKey,
+  memoController.listChanges
+);
+
+// 変更の送信（{"memos": [{"id", "updatedAt", "deleted", "memo"}]}、メモごとに last-writer-wins）
+router.post('/',
+  authenticate,
+  requireScope('memos'),
+  requireSyncKey,
+  express.json({ limit: '8mb' }), // 1件の上限 × 1回の件数
+  bindRequestContext,
+  memoController.pushChanges
+);
+
+router.get('/:id',
+  authenticate,
+  requireScope('memos'),
+  requireSyncKey,
+  memoController.getMemo
+);
+
+router.delete('/:id',
+  authenticate,
+  requireScope('memos'),
+  requireSyncKey,
+  memoController.deleteMemo
+);
+
+// 音声（バイナリをそのまま送受信）
+router.put('/:id/audio',
+  authenticate,
+  requireScope('memos'),
+  requireSyncKey,
+  express.raw({ type: () => true, limit: speechConfig.maxFileSize }),
+  bindRequestContext,
+  memoController.uploadAudio
+);
+
+router.get('/:id/audio',
+  authenticate,
+  requireScope('memos'),
+  requireSyncKey,
+  memoController.downloadAudio
+);
+
+export default router;
@@ -1,7 +1,13 @@
 import express from 'express';
 import multer from 'multer';
 import sttController from '../controllers/stt-controller.js';
+import jobController from '../controllers/job-controller.js';
+import phraseController from '../controllers/phrase-controller.js';
 import { speechConfig } from '../config/speech-config.js';
+import { AudioFormatError } from '../services/audio/audio-normalizer.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { bindRequestContext } from '../middleware/request-context.js';
 
 const router = express.Router();
 
@@ -13,7 +19,7 @@ const upload = multer({
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    // MIMEタイプチェック
+    // MIMEタイプチェック（実際のフォーマットは受信後にマジックバイトで判定する）
     const allowedMimes = [
       'audio/webm',
       'audio/wav',
@@ -21,92 +27,121 @@ const upload = multer({
       'audio/mp3',
       'audio/ogg',
       'audio/x-wav',
-      'audio/wave'
+      'audio/wave',
+      'audio/mp4', // Android MediaRecorderのフォールバック
+      'audio/x-m4a',
+      'audio/aac',
+      'audio/3gpp',
+      'audio/amr',
+      'audio/flac',
+      'audio/x-flac',
+      'video/webm', // 一部ブラウザは音声のみでもvideo/webmになる
+      'application/octet-stream'
     ];
     
-    if (allowedMimes.includes(file.mimetype)) {
+    // "audio/webm;codecs=opus" のようなパラメータは無視
+    const mimeType = file.mimetype.split(';')[0].trim().toLowerCase();
+    
+    if (allowedMimes.includes(mimeType)) {
       cb(null, true);
     } else {
-      cb(new Error('対応していない音声フォーマットです'), false);
+      cb(new AudioFormatError('UNSUPPORTED_FORMAT', `mimetype=${file.mimetype}`), false);
     }
   }
 });
 
-// レート制限ミドルウェア
-const rateLimitMap = new Map();
-
-const rateLimit = (req, res, next) => {
-  const clientId = req.ip;
-  const now = Date.now();
-  
-  if (!rateLimitMap.has(clientId)) {
-    rateLimitMap.set(clientId, []);
-  }
-  
-  const requests = rateLimitMap.get(clientId);
-  
-  // 1分以内のリクエストをフィルタ
-  const recentRequests = requests.filter(time => now - time < 60000);
-  
-  if (recentRequests.length >= speechConfig.rateLimitPerMinute) {
-    return res.status(429).json({
-      success: false,
-      error: 'リクエスト制限を超えました。1分後に再試行してください。',
-      retryAfter: 60
-    });
-  }
-  
-  recentRequests.push(now);
-  rateLimitMap.set(clientId, recentRequests);
-  
-  next();
-};
-
-// ログミドルウェア
-const requestLogger = (req, res, next) => {
-  const startTime = Date.now();
-  
-  res.on('finish', () => {
-    const duration = Date.now() - startTime;
-    console.log(`${req.method} ${req.path} - ${res.statusCode} - ${duration}ms - ${req.ip}`);
-  });
-  
-  next();
-};
-
 // ルート定義
+// 認識系は transcribe、統計は stats スコープが必要（admin は全スコープを含む）
 
 // 音声ファイルアップロードによる文字起こし
 router.post('/transcribe', 
-  requestLogger,
+  authenticate,
+  requireScope('transcribe'),
   rateLimit,
   upload.single('audio'),
+  bindRequestContext,
   sttController.transcribeAudio
 );
 
 // Base64音声データによる文字起こし
 router.post('/transcribe-base64',
-  requestLogger,
+  authenticate,
+  requireScope('transcribe'),
   rateLimit,
   express.json({ limit: '15mb' }), // Base64は元データより大きくなるため
+  bindRequestContext,
   sttController.transcribeBase64Audio
 );
 
-// サービス状態チェック
-router.get('/health',
-  requestLogger,
-  sttController.healthCheck
+// 非同期文字起こしジョブ（長時間音声向け）
+router.post('/jobs',
+  authenticate,
+  requireScope('transcribe'),
+  rateLimit,
+  upload.single('audio'),
+  bindRequestContext,
+  jobController.createJob
 );
 
-// サポートフォーマット一覧
-router.get('/formats',
-  requestLogger,
-  sttController.getSupportedFormats
+router.get('/jobs/:id',
+  authenticate,
+  requireScope('transcribe'),
+  jobController.getJob
+);
+
+router.delete('/jobs/:id',
+  authenticate,
+  requireScope('transcribe'),
+  jobController.cancelJob
+);
+
+// カスタム語彙（フレーズセット）
+router.get('/phrases',
+  authenticate,
+  requireScope('transcribe'),
+  phraseController.listPhrases
+);
+
+router.put('/phrases',
+  authenticate,
+  requireScope('transcribe'),
+  express.json({ limit: '256kb' }),
+  bindRequestContext,
+  phraseController.replacePhrases
+);
+
+router.post('/phrases',
+  authenticate,
+  requireScope('transcribe'),
+  express.json(),
+  bindRequestContext,
+  phraseController.createPhrase
+);
+
+router.put('/phrases/:id',
+  authenticate,
+  requireScope('transcribe'),
+  express.json(),
+  bindRequestContext,
+  phraseController.updatePhrase
 );
 
+router.delete('/phrases/:id',
+  authenticate,
+  requireScope('transcribe'),
+  phraseController.deletePhrase
+);
+
+// サービス状態チェック
+router.get('/health', sttController.healthCheck);
+
+// サポートフォーマット一覧
+router.get('/formats', sttController.getSupportedFormats);
+
 // 統計情報
 router.get('/stats',
-  requestLogger,
+  authenticate,
+  requireScope('stats'),
   sttController.getStats
 );
 
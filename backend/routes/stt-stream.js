@@ -0,0 +1,286 @@
+import { WebSocketServer } from 'ws';
+import { randomUUID } from 'crypto';
+import googleSTTService, { matchLanguage } from '../services/google-stt-service.js';
+import rateLimiter from '../services/limits/rate-limiter.js';
+import { authenticateCredentials, anonymousPrincipal, hasScope, verifyToken, AuthError } from '../auth/api-auth.js';
+import { STTError, toSTTError } from '../errors/stt-error.js';
+import logger, { runWithLogContext } from '../services/observability/logger.js';
+import metrics from '../services/observability/metrics.js';
+import { speechConfig } from '../config/speech-config.js';
+
+// WebSocketによるリアルタイム文字起こし
+//
+// プロトコル:
+//   client → { type: 'start', sampleRate, language, token? } （テキスト）
+//            ブラウザはヘッダーを付けられないため、アクセストークンは start で渡せる
+//   client → PCM 16bit モノラルの音声フレーム（バイナリ。ready の前に送ったフレームは認識の開始後に送る）
+//   client → { type: 'stop' }
+//   server → { type: 'ready', sessionId }
+//   server → { type: 'interim', transcript, stability }
+//   server → { type: 'final', transcript, confidence, wordDetails }
+//   server → { type: 'error', error, code, retryable } / { type: 'end' }
+class STTStreamSession {
+  constructor(ws, principal, address) {
+    this.ws = ws;
+    this.principal = principal; // 接続時のヘッダーで認証済みの場合
+    this.address = address;
+    this.clientId = null;
+    this.sessionId = randomUUID();
+    this.recognizer = null;
+    this.starting = false; // start を受け付けた（認識の開始を待っている間の start は無視する）
+    this.pending = []; // 認識の開始待ち・プロバイダーが詰まっている間の音声フレーム
+    this.pendingBytes = 0;
+    this.draining = false;
+    this.stopping = false;
+    this.closed = false;
+    this.sampleRate = speechConfig.sampleRateHertz;
+    this.audioBytes = 0; // 利用量の記録用
+    this.log = logger.child({ sessionId: this.sessionId });
+    metrics.streamSessions.inc();
+
+    // セッション全体のタイムアウト
+    this.sessionTimer = setTimeout(() => {
+      this.fail(new STTError('STREAM_TIME_LIMIT'), 1008);
+    }, speechConfig.streamSessionTimeout);
+    this.idleTimer = null;
+    this.resetIdleTimer();
+
+    // メッセージ処理中のログ（サービス・プロバイダー）にはセッションIDを付ける
+    ws.on('message', (data, isBinary) => runWithLogContext({ sessionId: this.sessionId }, () => {
+      if (isBinary) {
+        this.handleAudio(data);
+      } else {
+        this.handleControl(data.toString());
+      }
+    }));
+    ws.on('close', () => this.cleanup());
+    ws.on('error', (error) => {
+      this.log.error('Stream socket error', { error });
+      this.cleanup();
+    });
+  }
+
+  // 制御メッセージ処理
+  async handleControl(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      this.fail(new STTError('INVALID_REQUEST', { detail: 'invalid JSON' }), 1003);
+      return;
+    }
+
+    switch (message.type) {
+      case 'start':
+        await this.start(message);
+        break;
+      case 'stop':
+        this.stop();
+        break;
+      default:
+        this.fail(new STTError('INVALID_REQUEST', { detail: `unknown message type: ${message.type}` }), 1003);
+    }
+  }
+
+  // 接続時のヘッダー、または start のトークンで認証
+  authorize(message) {
+    let principal = this.principal;
+    if (!principal && message.token) {
+      principal = verifyToken(String(message.token));
+    }
+    if (!principal) {
+      principal = anonymousPrincipal(this.address);
+    }
+    if (!hasScope(principal, 'transcribe')) {
+      throw new AuthError('INSUFFICIENT_SCOPE');
+    }
+    return principal;
+  }
+
+  async start(message) {
+    if (this.starting) return;
+    this.starting = true;
+
+    try {
+      this.principal = this.authorize(message);
+      this.clientId = this.principal.id;
+
+      this.sampleRate = parseInt(message.sampleRate) || speechConfig.sampleRateHertz;
+      const languages = googleSTTService.resolveLanguages(message.language, message.alternativeLanguages);
+      this.recognizer = await googleSTTService.createStream({
+        ...languages,
+        clientId: this.clientId,
+        sampleRate: this.sampleRate
+      });
+
+      if (this.closed) {
+        this.recognizer.destroy();
+        return;
+      }
+
+      this.recognizer.on('interim', (result) => {
+        this.send({ type: 'interim', transcript: result.transcript, stability: result.stability || 0 }, true);
+      });
+      this.recognizer.on('final', (result) => {
+        this.send({
+          type: 'final',
+          transcript: result.transcript,
+          confidence: result.confidence,
+          wordDetails: result.wordDetails || [],
+          language: matchLanguage(result.languageCode, languages)
+        });
+      });
+      this.recognizer.on('drain', () => this.flushPending());
+      this.recognizer.on('error', (error) => this.fail(error, 1011));
+      this.recognizer.on('end', () => {
+        this.send({ type: 'end' });
+        this.close(1000);
+      });
+
+      this.send({ type: 'ready', sessionId: this.sessionId });
+      this.log.info('Stream started', { clientId: this.clientId, sampleRate: this.sampleRate, pendingBytes: this.pendingBytes });
+
+      // 開始を待っている間に届いたフレームを送る（その間に stop されていれば送り終えてから終了する）
+      this.flushPending();
+
+    } catch (error) {
+      // 認証エラー・レート制限・利用上限は1008（ポリシー違反）、不正な指定（言語等）は1003で切断
+      const policyViolation = [401, 403, 429].includes(error.status);
+      this.fail(error, policyViolation ? 1008 : error.status === 400 ? 1003 : 1011);
+    }
+  }
+
+  // 音声フレーム処理（プロバイダー側の背圧を考慮）
+  handleAudio(data) {
+    if (!this.starting || this.stopping || this.closed) return;
+    this.resetIdleTimer();
+    this.audioBytes += data.length;
+
+    if (!this.recognizer || this.draining) {
+      this.pending.push(data);
+      this.pendingBytes += data.length;
+
+      if (this.pendingBytes > speechConfig.streamMaxPendingBytes) {
+        this.fail(new STTError('STREAM_OVERLOADED'), 1013);
+      }
+      return;
+    }
+
+    if (!this.recognizer.write(data)) {
+      this.draining = true;
+    }
+  }
+
+  flushPending() {
+    this.draining = false;
+
+    while (this.pending.length > 0 && !this.draining) {
+      const data = this.pending.shift();
+      this.pendingBytes -= data.length;
+      if (!this.recognizer.write(data)) {
+        this.draining = true;
+      }
+    }
+
+    if (this.stopping && this.pending.length === 0) {
+      this.recognizer.end();
+    }
+  }
+
+  stop() {
+    if (!this.starting || this.stopping) return;
+    this.stopping = true;
+    clearTimeout(this.idleTimer);
+
+    // 認識の開始前なら、開始後に残りのフレームを送ってから終了する
+    if (this.recognizer && this.pending.length === 0) {
+      this.recognizer.end();
+    }
+  }
+
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.fail(new STTError('STREAM_IDLE_TIMEOUT'), 1001);
+    }, speechConfig.streamIdleTimeout);
+  }
+
+  // 送信（途中結果はクライアント側の送信待ちが多い場合に間引く）
+  send(message, droppable = false) {
+    if (this.ws.readyState !== this.ws.OPEN) return;
+    if (droppable && this.ws.bufferedAmount > speechConfig.streamMaxClientBufferedBytes) return;
+    this.ws.send(JSON.stringify(message));
+  }
+
+  fail(error, code) {
+    const sttError = toSTTError(error);
+    this.log.warn('Stream failed', { code: sttError.code, detail: sttError.detail });
+    metrics.errors.inc({ code: sttError.code, source: 'stream' });
+    this.send({ type: 'error', error: sttError.message, code: sttError.code, retryable: sttError.retryable });
+    this.close(code);
+  }
+
+  close(code) {
+    if (this.ws.readyState === this.ws.OPEN) {
+      this.ws.close(code);
+    }
+    this.cleanup();
+  }
+
+  cleanup() {
+    if (this.closed) return;
+    this.closed = true;
+
+    clearTimeout(this.sessionTimer);
+    clearTimeout(this.idleTimer);
+    this.pending = [];
+    this.pendingBytes = 0;
+
+    if (this.recognizer) {
+      this.recognizer.destroy();
+      this.recognizer = null;
+    }
+
+    // 受信した音声の長さを利用量として記録（PCM 16bit モノラル）
+    if (this.clientId) {
+      const seconds = this.audioBytes / (2 * this.sampleRate);
+      rateLimiter.recordAudio(this.clientId, seconds)
+        .catch(error => this.log.error('Failed to record stream usage', { error }));
+      metrics.audioSeconds.inc({ mode: 'stream' }, seconds);
+    }
+
+    metrics.streamSessions.dec();
+    this.log.info('Stream closed', { audioSeconds: Math.round(this.audioBytes / (2 * this.sampleRate)) });
+  }
+}
+
+// HTTPサーバーにストリーミングエンドポイントを追加
+export function attachSTTStream(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: speechConfig.streamPath,
+    maxPayload: 256 * 1024 // 1フレームの上限
+  });
+
+  wss.on('connection', (ws, req) => {
+    const address = req.socket.remoteAddress || 'unknown';
+
+    // ヘッダー（Authorization / X-API-Key）があれば接続時に認証
+    let principal = null;
+    try {
+      principal = authenticateCredentials({
+        authorization: req.headers.authorization,
+        apiKey: req.headers['x-api-key']
+      });
+    } catch (error) {
+      const sttError = toSTTError(error);
+      ws.send(JSON.stringify({ type: 'error', error: sttError.message, code: sttError.code, retryable: sttError.retryable }));
+      ws.close(1008);
+      return;
+    }
+
+    new STTStreamSession(ws, principal, address);
+  });
+
+  return wss;
+}
@@ -1,15 +1,26 @@
+import 'dotenv/config'; // 環境変数読み込み（設定モジュールより先に評価する）
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import sttRoutes from './routes/stt-routes.js';
+import authRoutes from './routes/auth-routes.js';
+import memoRoutes from './routes/memo-routes.js';
+import { attachSTTStream } from './routes/stt-stream.js';
 import { validateEnvironmentVariables, displayWorkloadIdentitySetup } from './auth/workload-identity-setup.js';
 import googleSTTService from './services/google-stt-service.js';
-
-// 環境変数読み込み
-dotenv.config();
+import transcriptionJobService from './services/jobs/transcription-job-service.js';
+import rateLimiter from './services/limits/rate-limiter.js';
+import phraseService from './services/phrases/phrase-service.js';
+import memoService from './services/memos/memo-service.js';
+import { STTError, sendError } from './errors/stt-error.js';
+import { requestContext } from './middleware/request-context.js';
+import { authenticate, requireScope } from './middleware/auth.js';
+import logger from './services/observability/logger.js';
+import metrics from './services/observability/metrics.js';
+import { speechConfig, authConfig, observabilityConfig, configWarnings } from './config/speech-config.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+let sttStreamServer = null;
 
 // CORS設定
 app.use(cors({
@@ -18,18 +29,16 @@ app.use(cors({
     : ['http://localhost:5173', 'http://localhost:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Sync-Key', 'X-Request-Id', 'Idempotency-Key'],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id']
 }));
 
 // ミドルウェア設定
 app.use(express.json({ limit: '15mb' }));
 app.use(express.urlencoded({ extended: true, limit: '15mb' }));
 
-// リクエストログ
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path} - ${req.ip}`);
-  next();
-});
+// リクエストID・アクセスログ・HTTPメトリクス
+app.use(requestContext);
 
 // ヘルスチェック（ルートパス）
 app.get('/', (req, res) => {
@@ -41,88 +50,120 @@ app.get('/', (req, res) => {
     endpoints: {
       transcribe: '/api/stt/transcribe',
       transcribeBase64: '/api/stt/transcribe-base64',
+      stream: speechConfig.streamPath, // WebSocket
+      jobs: '/api/stt/jobs',
+      token: '/api/auth/token',
+      memos: '/api/memos',
       health: '/api/stt/health',
       formats: '/api/stt/formats',
-      stats: '/api/stt/stats'
+      stats: '/api/stt/stats',
+      ...(observabilityConfig.metricsEnabled && { metrics: observabilityConfig.metricsPath })
     }
   });
 });
 
+// Prometheus形式のメトリクス（statsスコープが必要）
+if (observabilityConfig.metricsEnabled) {
+  app.get(observabilityConfig.metricsPath, authenticate, requireScope('stats'), (req, res) => {
+    res.type(metrics.contentType).send(metrics.render());
+  });
+}
+
 // STT API ルート
 app.use('/api/stt', sttRoutes);
 
+// 認証 API ルート
+app.use('/api/auth', authRoutes);
+
+// メモ同期 API ルート
+app.use('/api/memos', memoRoutes);
+
 // 404エラーハンドリング
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'エンドポイントが見つかりません',
-    path: req.originalUrl,
-    timestamp: new Date().toISOString()
-  });
+app.use((req, res) => {
+  sendError(res, new STTError('NOT_FOUND'), { path: req.originalUrl });
 });
 
 // グローバルエラーハンドリング
 app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
-  
-  res.status(500).json({
-    success: false,
-    error: 'サーバー内部エラーが発生しました',
-    timestamp: new Date().toISOString(),
-    ...(process.env.NODE_ENV === 'development' && { details: error.message })
-  });
+  // コード付きのエラーはそのまま、それ以外はINTERNAL_ERROR（JSONの解析エラー等は400/413）
+  sendError(res, error);
 });
 
 // サーバー起動
 async function startServer() {
   try {
-    console.log('Starting Fusenkun STT Server...');
+    logger.info('Starting Fusenkun STT Server', { provider: speechConfig.provider, logLevel: observabilityConfig.logLevel });
+    configWarnings.forEach(({ message, ...fields }) => logger.warn(message, fields));
     
-    // 環境変数検証
-    if (process.env.NODE_ENV === 'production') {
-      validateEnvironmentVariables();
-    } else {
-      console.log('Development mode - skipping environment validation');
-      displayWorkloadIdentitySetup();
+    // 環境変数検証（Googleプロバイダー使用時のみ）
+    if (speechConfig.provider === 'google') {
+      if (process.env.NODE_ENV === 'production') {
+        validateEnvironmentVariables();
+      } else {
+        logger.info('Development mode - skipping environment validation');
+        displayWorkloadIdentitySetup();
+      }
     }
     
-    // STTサービス初期化（本番環境のみ）
-    if (process.env.NODE_ENV === 'production') {
-      console.log('Initializing STT service...');
-      await googleSTTService.initialize();
-      console.log('STT service initialized successfully');
-    } else {
-      console.log('Development mode - STT service initialization skipped');
+    // 認証設定の確認
+    if (authConfig.required && Object.keys(authConfig.apiKeys).length === 0) {
+      logger.warn('AUTH_REQUIRED is enabled but no API_KEYS are configured - all STT requests will be rejected');
     }
+    logger.info('API authentication configured', {
+      required: authConfig.required,
+      tokens: authConfig.tokenSecret ? 'enabled' : 'disabled'
+    });
+    
+    // STTサービス初期化
+    await googleSTTService.initialize();
+    
+    // レート制限初期化（ファイルストアの場合は前回のカウンターを読み込む）
+    await rateLimiter.initialize();
+    logger.info('Rate limiter initialized', { store: speechConfig.rateLimitStore });
+    
+    // カスタム語彙（フレーズセット）初期化
+    await phraseService.initialize();
+    logger.info('Phrase service initialized', { store: speechConfig.phraseStore });
+    
+    // メモの同期初期化
+    await memoService.initialize();
+    logger.info('Memo service initialized', { store: speechConfig.memoStore });
+    
+    // 非同期ジョブ初期化（ファイルストアの場合は未完了ジョブを再開）
+    await transcriptionJobService.initialize();
+    logger.info('Job service initialized', { store: speechConfig.jobStore });
     
     // サーバー開始
-    app.listen(PORT, '0.0.0.0', () => {
-      console.log(`\n🚀 Fusenkun STT Server is running!`);
-      console.log(`📍 Local: http://localhost:${PORT}`);
-      console.log(`🌍 Network: http://0.0.0.0:${PORT}`);
-      console.log(`📊 Health Check: http://localhost:${PORT}/api/stt/health`);
-      console.log(`📝 API Docs: http://localhost:${PORT}/api/stt/formats`);
+    const server = app.listen(PORT, '0.0.0.0', () => {
+      logger.info('Fusenkun STT Server is running', {
+        url: `http://localhost:${PORT}`,
+        stream: `ws://localhost:${PORT}${speechConfig.streamPath}`,
+        health: `http://localhost:${PORT}/api/stt/health`,
+        ...(observabilityConfig.metricsEnabled && { metrics: `http://localhost:${PORT}${observabilityConfig.metricsPath}` })
+      });
       
       if (process.env.NODE_ENV !== 'production') {
-        console.log('\n⚠️  Development Mode:');
-        console.log('   - STT service is mocked');
-        console.log('   - Environment validation is skipped');
-        console.log('   - See console for Workload Identity setup instructions');
+        logger.info(speechConfig.provider === 'local'
+          ? 'Development mode: transcripts come from fixtures or LOCAL_STT_COMMAND'
+          : 'Development mode: environment validation is skipped, see Workload Identity setup instructions above');
       }
-      
-      console.log('\n✅ Server ready to accept requests\n');
     });
     
+    // リアルタイム文字起こし（WebSocket）
+    sttStreamServer = attachSTTStream(server);
+    
   } catch (error) {
-    console.error('❌ Server startup failed:', error);
+    logger.error('Server startup failed', { error });
     
     if (error.message.includes('environment variables')) {
-      console.log('\n📋 Required Environment Variables:');
-      console.log('   - GOOGLE_CLOUD_PROJECT_ID');
-      console.log('   - GOOGLE_CLOUD_WORKLOAD_IDENTITY_POOL_ID');
-      console.log('   - GOOGLE_CLOUD_WORKLOAD_IDENTITY_PROVIDER_ID');
-      console.log('   - GOOGLE_CLOUD_SERVICE_ACCOUNT_EMAIL');
-      console.log('\n💡 Run in development mode to see setup instructions');
+      logger.error('Required environment variables are missing (run in development mode to see setup instructions)', {
+        required: [
+          'GOOGLE_CLOUD_PROJECT_ID',
+          'GOOGLE_CLOUD_WORKLOAD_IDENTITY_POOL_ID',
+          'GOOGLE_CLOUD_WORKLOAD_IDENTITY_PROVIDER_ID',
+          'GOOGLE_CLOUD_SERVICE_ACCOUNT_EMAIL'
+        ]
+      });
     }
     
     process.exit(1);
@@ -130,24 +171,39 @@ async function startServer() {
 }
 
 // プロセス終了時のクリーンアップ
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
+function closeStreams() {
+  if (sttStreamServer) {
+    sttStreamServer.clients.forEach(client => client.close(1001, 'Server shutting down'));
+    sttStreamServer.close();
+  }
+}
+
+process.on('SIGTERM', async () => {
+  logger.info('SIGTERM received, shutting down gracefully');
+  closeStreams();
+  await rateLimiter.close().catch(() => {});
+  await phraseService.close().catch(() => {});
+  await memoService.close().catch(() => {});
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
+process.on('SIGINT', async () => {
+  logger.info('SIGINT received, shutting down gracefully');
+  closeStreams();
+  await rateLimiter.close().catch(() => {});
+  await phraseService.close().catch(() => {});
+  await memoService.close().catch(() => {});
   process.exit(0);
 });
 
 // 未処理の例外をキャッチ
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught exception', { error });
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled rejection', { error: reason });
   process.exit(1);
 });
 
@@ -0,0 +1,106 @@
+import { parseWebm } from './webm-container.js';
+import { parseOgg } from './ogg-container.js';
+import { parseWav } from './wav-container.js';
+import logger from '../observability/logger.js';
+
+// フォーマットに応じてコンテナを解析（分割できない形式はnull）
+export function parseChunkableAudio(audioBuffer, format) {
+  try {
+    switch (format.toLowerCase()) {
+      case 'webm':
+        return parseWebm(audioBuffer);
+      case 'ogg':
+        return parseOgg(audioBuffer);
+      case 'wav':
+        return parseWav(audioBuffer);
+      default:
+        return null;
+    }
+  } catch (error) {
+    logger.warn('Audio container parse failed', { format, error: error.message });
+    return null;
+  }
+}
+
+// 探索範囲 [from, to] の中で最も静かな単位のインデックスを返す
+// 単発のノイズに引きずられないよう、前後の単位を含めた平均で比較する
+function findQuietestUnit(units, from, to, smoothingSeconds) {
+  let bestIndex = -1;
+  let bestEnergy = Infinity;
+
+  for (let i = 0; i < units.length; i++) {
+    if (units[i].end < from) continue;
+    if (units[i].end > to) break;
+
+    let sum = 0;
+    let count = 0;
+    for (let j = i; j >= 0 && units[i].end - units[j].start <= smoothingSeconds; j--) {
+      sum += units[j].energy;
+      count++;
+    }
+    for (let j = i + 1; j < units.length && units[j].end - units[i].end <= smoothingSeconds; j++) {
+      sum += units[j].energy;
+      count++;
+    }
+
+    const energy = sum / count;
+    if (energy <= bestEnergy) {
+      bestEnergy = energy;
+      bestIndex = i;
+    }
+  }
+
+  return bestIndex;
+}
+
+// 分割計画を作成
+// 各チャンクは chunkSeconds 以内で、終端は直前 searchSeconds の中の最も静かな位置。
+// 次のチャンクは overlapSeconds だけ手前から開始する（境界の単語を取りこぼさないため）
+export function planChunks(units, { chunkSeconds, searchSeconds, overlapSeconds, smoothingSeconds = 0.2 }) {
+  const totalEnd = units[units.length - 1].end;
+  const ranges = [];
+  let startIndex = 0;
+
+  while (startIndex < units.length) {
+    const startTime = units[startIndex].start;
+    const targetEnd = startTime + chunkSeconds;
+
+    if (totalEnd <= targetEnd) {
+      ranges.push({ startIndex, endIndex: units.length });
+      break;
+    }
+
+    let cutIndex = findQuietestUnit(units, targetEnd - searchSeconds, targetEnd, smoothingSeconds);
+    if (cutIndex <= startIndex) {
+      // 探索範囲に単位が無い場合は目標位置で切る（最初の単位だけで目標を超える場合はその単位だけにする）
+      cutIndex = Math.max(units.findIndex(unit => unit.end > targetEnd) - 1, startIndex);
+    }
+
+    const endIndex = cutIndex + 1;
+    ranges.push({ startIndex, endIndex });
+
+    // 重なりを持たせて次の開始位置を決める（重なりの開始位置を含む単位から。必ず前進させる）
+    const overlapStart = units[cutIndex].end - overlapSeconds;
+    let nextIndex = endIndex;
+    while (nextIndex - 1 > startIndex && units[nextIndex - 1].end > overlapStart) {
+      nextIndex--;
+    }
+    startIndex = Math.max(nextIndex, startIndex + 1);
+  }
+
+  return ranges.map(range => ({
+    ...range,
+    startTime: units[range.startIndex].start,
+    endTime: units[range.endIndex - 1].end
+  }));
+}
+
+// 音声を時間で揃えたチャンクに分割
+export function splitAudio(audio, options) {
+  return planChunks(audio.units, options).map((range, index) => ({
+    index,
+    startTime: range.startTime,
+    endTime: range.endTime,
+    buffer: audio.build(range.startIndex, range.endIndex)
+  }));
+}
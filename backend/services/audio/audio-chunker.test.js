@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChunkableAudio, planChunks, splitAudio } from './audio-chunker.js';
+
+const options = { chunkSeconds: 10, searchSeconds: 3, overlapSeconds: 0.5 };
+
+// 0.1秒ごとの単位（quiet の区間 [from, to) だけ静か）
+function createUnits(seconds, quiet = []) {
+  return Array.from({ length: Math.round(seconds * 10) }, (_, i) => {
+    const start = i / 10;
+    const silent = quiet.some(([from, to]) => start >= from - 1e-9 && start < to - 1e-9);
+    return { start, end: (i + 1) / 10, energy: silent ? 0.01 : 1 };
+  });
+}
+
+// どの計画でも成り立つこと（長さの上限・重なり・前進・全体を覆う）
+function assertCovers(ranges, units, { chunkSeconds }) {
+  assert.equal(ranges[0].startIndex, 0);
+  assert.equal(ranges[ranges.length - 1].endIndex, units.length);
+
+  ranges.forEach((range, index) => {
+    assert.ok(range.endTime - range.startTime <= chunkSeconds + 1e-9, `chunk ${index} is too long`);
+    const next = ranges[index + 1];
+    if (!next) return;
+    assert.ok(next.startIndex > range.startIndex, `chunk ${index + 1} does not advance`);
+    assert.ok(next.startIndex <= range.endIndex, `gap after chunk ${index}`);
+  });
+}
+
+describe('planChunks', () => {
+  it('chunkSeconds 以内の音声は1チャンク', () => {
+    const units = createUnits(9.5);
+
+    assert.deepEqual(planChunks(units, options), [{ startIndex: 0, endIndex: 95, startTime: 0, endTime: 9.5 }]);
+  });
+
+  it('目標位置の直前 searchSeconds の中で最も静かな位置で切る', () => {
+    const units = createUnits(25, [[8, 8.5], [16, 16.5]]);
+    const ranges = planChunks(units, options);
+
+    assertCovers(ranges, units, options);
+    assert.equal(ranges.length, 3);
+    assert.ok(ranges[0].endTime > 8 && ranges[0].endTime <= 8.5, `cut at ${ranges[0].endTime}`);
+    assert.ok(ranges[1].endTime > 16 && ranges[1].endTime <= 16.5, `cut at ${ranges[1].endTime}`);
+  });
+
+  it('次のチャンクは overlapSeconds だけ手前から始まる', () => {
+    const units = createUnits(25, [[8, 8.5]]);
+    const [first, second] = planChunks(units, options);
+
+    // 重なりの開始位置を含む単位から（重なりが overlapSeconds より短くならない）
+    const overlapStart = first.endTime - options.overlapSeconds;
+    assert.ok(second.startTime <= overlapStart + 1e-9 && second.startTime > overlapStart - 0.1, `starts at ${second.startTime}`);
+  });
+
+  it('探索範囲より前の静かな位置では切らない', () => {
+    const units = createUnits(25, [[3, 4]]);
+    const [first] = planChunks(units, options);
+
+    assert.ok(first.endTime >= options.chunkSeconds - options.searchSeconds);
+  });
+
+  it('一瞬の静けさより、前後も静かな位置を選ぶ', () => {
+    // 8.0秒の単位だけ無音（前後はうるさい）、9.0〜9.6秒は全体が静か
+    const units = createUnits(25, [[8, 8.1]]).map(unit => (
+      unit.start >= 9 - 1e-9 && unit.start < 9.6 ? { ...unit, energy: 0.1 } : unit
+    ));
+    const [first] = planChunks(units, options);
+
+    assert.ok(first.endTime > 9 && first.endTime <= 9.6, `cut at ${first.endTime}`);
+  });
+
+  it('静かな位置が無ければ目標位置で切る', () => {
+    const units = createUnits(25);
+    const ranges = planChunks(units, options);
+
+    assertCovers(ranges, units, options);
+    assert.equal(ranges[0].endTime, options.chunkSeconds);
+  });
+
+  it('chunkSeconds より長い単位は1単位だけのチャンクにして前に進む', () => {
+    const units = [0, 12, 24, 36].map(start => ({ start, end: start + 12, energy: 1 }));
+    const ranges = planChunks(units, options);
+
+    assert.deepEqual(ranges.map(range => [range.startIndex, range.endIndex]), [[0, 1], [1, 2], [2, 3], [3, 4]]);
+  });
+
+  it('長い音声も全体を覆う', () => {
+    const units = createUnits(300, [[50, 50.3], [120, 121], [200, 200.2]]);
+    assertCovers(planChunks(units, options), units, options);
+  });
+});
+
+describe('splitAudio', () => {
+  it('計画の範囲ごとに音声を組み立てる', () => {
+    const audio = {
+      units: createUnits(25, [[8, 8.5]]),
+      build: (startIndex, endIndex) => Buffer.from(`${startIndex}-${endIndex}`)
+    };
+    const chunks = splitAudio(audio, options);
+    const ranges = planChunks(audio.units, options);
+
+    assert.deepEqual(chunks.map(chunk => chunk.index), ranges.map((_, index) => index));
+    chunks.forEach((chunk, index) => {
+      assert.equal(chunk.startTime, ranges[index].startTime);
+      assert.equal(chunk.endTime, ranges[index].endTime);
+      assert.equal(chunk.buffer.toString(), `${ranges[index].startIndex}-${ranges[index].endIndex}`);
+    });
+  });
+});
+
+describe('parseChunkableAudio', () => {
+  it('分割できない形式・解析できない音声は null', () => {
+    assert.equal(parseChunkableAudio(Buffer.from('abc'), 'mp3'), null);
+    assert.equal(parseChunkableAudio(Buffer.from('not a webm file'), 'webm'), null);
+    assert.equal(parseChunkableAudio(Buffer.from('not a wav file'), 'WAV'), null);
+  });
+});
@@ -0,0 +1,130 @@
+import { sniffContainer, probeAudio } from './audio-probe.js';
+import { convertWavToMono16 } from './wav-container.js';
+import { transcodeToLinear16, TranscoderUnavailableError } from './transcoder.js';
+import { STTError } from '../../errors/stt-error.js';
+import logger from '../observability/logger.js';
+import { speechConfig } from '../../config/speech-config.js';
+
+// 認識前の音声正規化
+// 実際のコンテナ・コーデックを判定し、プロバイダーが直接扱える形式はそのまま、
+// それ以外は 16bit モノラル WAV（LINEAR16）に変換する
+
+// コード: UNSUPPORTED_FORMAT / FILE_TOO_LARGE / CORRUPTED_AUDIO / AUDIO_TOO_LONG / TRANSCODE_FAILED / TRANSCODER_UNAVAILABLE
+export class AudioFormatError extends STTError {
+  constructor(code, detail) {
+    super(code, { detail });
+    this.name = 'AudioFormatError';
+  }
+}
+
+// Opusのサンプルレート（これ以外はデコーダー内部の48kHzとして扱う）
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+function opusSampleRate(sampleRate) {
+  return OPUS_SAMPLE_RATES.includes(sampleRate) ? sampleRate : 48000;
+}
+
+// 変換せずにプロバイダーへ渡せるか判定し、渡す場合の形式を返す
+function passthroughFormat(probe) {
+  const inRange = probe.sampleRate >= MIN_SAMPLE_RATE && probe.sampleRate <= MAX_SAMPLE_RATE;
+
+  switch (probe.container) {
+    case 'webm':
+    case 'ogg':
+      return probe.codec === 'opus' ? probe.container : null;
+    case 'wav':
+      return probe.codec === 'pcm_s16le' && probe.channels === 1 && inRange ? 'wav' : null;
+    case 'mp3':
+      return inRange ? 'mp3' : null;
+    default:
+      return null;
+  }
+}
+
+// 音声の形式を判定（変換はしない）。受付時の事前チェック用
+export function inspectAudio(audioBuffer, declaredFormat) {
+  const container = sniffContainer(audioBuffer);
+
+  if (!container || !speechConfig.supportedFormats.includes(container)) {
+    throw new AudioFormatError('UNSUPPORTED_FORMAT', `declared=${declaredFormat || 'none'}, detected=${container || 'unknown'}`);
+  }
+
+  if (declaredFormat && declaredFormat.toLowerCase() !== container) {
+    logger.warn('Audio format mismatch', { declared: declaredFormat, detected: container });
+  }
+
+  const probe = probeAudio(audioBuffer, container);
+
+  if (probe && probe.duration > speechConfig.maxAudioLength) {
+    throw new AudioFormatError('AUDIO_TOO_LONG', `duration=${probe.duration.toFixed(1)}s`);
+  }
+
+  return { container, probe };
+}
+
+// 音声を正規化
+// 戻り値: { buffer, format, sampleRate, channels, duration, originalFormat, codec, transcoded }
+export async function normalizeAudio(audioBuffer, declaredFormat) {
+  const { container, probe } = inspectAudio(audioBuffer, declaredFormat);
+
+  const format = probe && passthroughFormat(probe);
+  if (format) {
+    return {
+      buffer: audioBuffer,
+      format,
+      sampleRate: format === 'webm' || format === 'ogg' ? opusSampleRate(probe.sampleRate) : probe.sampleRate,
+      channels: probe.channels || 1,
+      duration: probe.duration ?? null,
+      originalFormat: container,
+      codec: probe.codec,
+      transcoded: false
+    };
+  }
+
+  // 整数/浮動小数点PCMのWAVはここでモノラル16bitに変換（外部コマンド不要）
+  if (probe && container === 'wav' && probe.sampleRate >= MIN_SAMPLE_RATE && probe.sampleRate <= MAX_SAMPLE_RATE) {
+    const converted = convertWavToMono16(audioBuffer);
+    if (converted) {
+      logger.info('Audio normalized', { from: `wav ${probe.codec} ${probe.channels}ch`, to: 'pcm_s16le mono' });
+      return normalizedWav(converted, probe, container);
+    }
+  }
+
+  // それ以外は外部トランスコーダーで変換
+  let converted;
+  try {
+    converted = await transcodeToLinear16(audioBuffer, { sampleRate: speechConfig.sampleRateHertz });
+  } catch (error) {
+    if (error instanceof TranscoderUnavailableError) {
+      throw new AudioFormatError(probe ? 'TRANSCODER_UNAVAILABLE' : 'CORRUPTED_AUDIO', error.message);
+    }
+    throw new AudioFormatError(probe ? 'TRANSCODE_FAILED' : 'CORRUPTED_AUDIO', error.message);
+  }
+
+  const convertedProbe = probeAudio(converted, 'wav');
+  if (!convertedProbe) {
+    throw new AudioFormatError('TRANSCODE_FAILED', 'transcoder produced invalid WAV');
+  }
+
+  logger.info('Audio transcoded', {
+    from: `${container} ${probe ? probe.codec : '(unparsed)'}`,
+    to: `pcm_s16le mono ${convertedProbe.sampleRate}Hz`
+  });
+  return normalizedWav(converted, probe || convertedProbe, container);
+}
+
+function normalizedWav(buffer, sourceProbe, originalFormat) {
+  const probe = probeAudio(buffer, 'wav');
+  return {
+    buffer,
+    format: 'wav',
+    sampleRate: probe.sampleRate,
+    channels: 1,
+    duration: probe.duration,
+    originalFormat,
+    codec: sourceProbe.codec,
+    transcoded: true
+  };
+}
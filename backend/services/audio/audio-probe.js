@@ -0,0 +1,271 @@
+import { parseWebm } from './webm-container.js';
+import { parseOgg } from './ogg-container.js';
+import { readWavInfo } from './wav-container.js';
+
+// 音声ファイルの実際のコンテナ・コーデック・サンプルレート・チャンネル数を調べる
+// クライアントが申告する audioFormat / sampleRate は信用しない
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// 先頭バイト（マジックナンバー）からコンテナを判定
+export function sniffContainer(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm'; // EBML（WebM/Matroska）
+  if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+  if (buffer.toString('ascii', 0, 6) === '#!AMR\n' || buffer.toString('ascii', 0, 9) === '#!AMR-WB\n') return 'amr';
+
+  // ISO BMFF（MP4/M4A/3GP）: 4バイト目から 'ftyp'
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    return brand.startsWith('3g') ? '3gp' : 'mp4';
+  }
+
+  // MP3: ID3タグ、またはフレーム同期（11bit）。レイヤービットが00のものはAAC(ADTS)
+  if (buffer.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) return 'mp3';
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'aac';
+
+  return null;
+}
+
+// コンテナを解析して音声情報を返す（解析できない場合はnull）
+// 戻り値: { container, codec, sampleRate, channels, bitsPerSample?, duration? }
+export function probeAudio(buffer, container = sniffContainer(buffer)) {
+  switch (container) {
+    case 'webm':
+      return probeWebm(buffer);
+    case 'ogg':
+      return probeOgg(buffer);
+    case 'wav':
+      return probeWav(buffer);
+    case 'flac':
+      return probeFlac(buffer);
+    case 'mp3':
+      return probeMp3(buffer);
+    case 'mp4':
+    case '3gp':
+      return probeMp4(buffer, container);
+    case 'amr':
+      return {
+        container,
+        codec: buffer.toString('ascii', 0, 9) === '#!AMR-WB\n' ? 'amr_wb' : 'amr_nb',
+        sampleRate: buffer.toString('ascii', 0, 9) === '#!AMR-WB\n' ? 16000 : 8000,
+        channels: 1
+      };
+    case 'aac':
+      return probeAdts(buffer);
+    default:
+      return null;
+  }
+}
+
+function probeWebm(buffer) {
+  const webm = parseWebm(buffer);
+  if (!webm) return null;
+
+  return {
+    container: 'webm',
+    codec: webm.codec === 'A_OPUS' ? 'opus' : (webm.codec || '').replace(/^A_/, '').toLowerCase(),
+    sampleRate: webm.sampleRate ? Math.round(webm.sampleRate) : null,
+    channels: webm.channels || 1,
+    duration: webm.duration
+  };
+}
+
+function probeOgg(buffer) {
+  const ogg = parseOgg(buffer);
+  if (ogg) {
+    return {
+      container: 'ogg',
+      codec: 'opus',
+      sampleRate: ogg.sampleRate,
+      channels: ogg.channels,
+      duration: ogg.duration
+    };
+  }
+
+  // Opus以外（Vorbis/Speex/FLAC）は先頭パケットの識別子で判定
+  const head = buffer.subarray(28, 64).toString('latin1');
+  if (head.includes('vorbis')) return { container: 'ogg', codec: 'vorbis', sampleRate: null, channels: null };
+  if (head.includes('Speex')) return { container: 'ogg', codec: 'speex', sampleRate: null, channels: null };
+  if (head.includes('FLAC')) return { container: 'ogg', codec: 'flac', sampleRate: null, channels: null };
+  return null;
+}
+
+function probeWav(buffer) {
+  const info = readWavInfo(buffer);
+  if (!info || info.blockAlign === 0 || info.sampleRate === 0) return null;
+
+  let codec;
+  if (info.audioFormat === WAVE_FORMAT_PCM || info.audioFormat === WAVE_FORMAT_EXTENSIBLE) {
+    codec = `pcm_s${info.bitsPerSample}le`;
+  } else if (info.audioFormat === WAVE_FORMAT_IEEE_FLOAT) {
+    codec = `pcm_f${info.bitsPerSample}le`;
+  } else {
+    codec = `wav_0x${info.audioFormat.toString(16)}`; // ADPCM/μ-law等
+  }
+
+  return {
+    container: 'wav',
+    codec,
+    sampleRate: info.sampleRate,
+    channels: info.channels,
+    bitsPerSample: info.bitsPerSample,
+    duration: Math.floor(info.dataLength / info.blockAlign) / info.sampleRate
+  };
+}
+
+// FLAC: 'fLaC' の直後のSTREAMINFOブロック
+function probeFlac(buffer) {
+  if (buffer.length < 26 || (buffer[4] & 0x7f) !== 0) return null;
+
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const channels = ((buffer[20] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((buffer[20] & 0x01) << 4) | (buffer[21] >> 4)) + 1;
+  const totalSamples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+
+  return {
+    container: 'flac',
+    codec: 'flac',
+    sampleRate,
+    channels,
+    bitsPerSample,
+    duration: sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null
+  };
+}
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG1 Layer III
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160] // MPEG2/2.5 Layer III
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+// MP3: 最初のフレームヘッダー（長さはビットレートからの概算）
+function probeMp3(buffer) {
+  let offset = 0;
+  if (buffer.toString('ascii', 0, 3) === 'ID3' && buffer.length >= 10) {
+    // ID3v2のサイズはsyncsafe整数
+    offset = 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+  }
+
+  for (; offset + 4 <= buffer.length; offset++) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) continue;
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03; // 0: 2.5, 2: 2, 3: 1
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      continue;
+    }
+
+    const divisor = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 4);
+    const bitrate = MP3_BITRATES[versionBits === 3 ? 1 : 2][bitrateIndex] * 1000;
+    const channelMode = buffer[offset + 3] >> 6;
+
+    return {
+      container: 'mp3',
+      codec: 'mp3',
+      sampleRate: MP3_SAMPLE_RATES[sampleRateIndex] / divisor,
+      channels: channelMode === 3 ? 1 : 2,
+      duration: bitrate > 0 ? (buffer.length - offset) * 8 / bitrate : null
+    };
+  }
+
+  return null;
+}
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// AAC(ADTS): 先頭フレームヘッダー
+function probeAdts(buffer) {
+  const sampleRateIndex = (buffer[2] >> 2) & 0x0f;
+  const channels = ((buffer[2] & 0x01) << 2) | (buffer[3] >> 6);
+  if (sampleRateIndex >= ADTS_SAMPLE_RATES.length) return null;
+
+  return {
+    container: 'aac',
+    codec: 'aac',
+    sampleRate: ADTS_SAMPLE_RATES[sampleRateIndex],
+    channels: channels || 1
+  };
+}
+
+// ISO BMFFのボックスを列挙
+function* boxes(buffer, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset; // ファイル末尾まで
+    }
+    if (size < headerSize || offset + size > end) return;
+
+    yield { type, start: offset + headerSize, end: offset + size };
+    offset += size;
+  }
+}
+
+function findBox(buffer, parent, type) {
+  for (const box of boxes(buffer, parent.start, parent.end)) {
+    if (box.type === type) return box;
+  }
+  return null;
+}
+
+// MP4/3GP: moov/trak/mdia の音声トラックから取得
+function probeMp4(buffer, container) {
+  const moov = findBox(buffer, { start: 0, end: buffer.length }, 'moov');
+  if (!moov) return null;
+
+  for (const trak of boxes(buffer, moov.start, moov.end)) {
+    if (trak.type !== 'trak') continue;
+
+    const mdia = findBox(buffer, trak, 'mdia');
+    const hdlr = mdia && findBox(buffer, mdia, 'hdlr');
+    if (!hdlr || buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12) !== 'soun') continue;
+
+    const mdhd = findBox(buffer, mdia, 'mdhd');
+    let duration = null;
+    if (mdhd) {
+      const version = buffer[mdhd.start];
+      const timescale = buffer.readUInt32BE(mdhd.start + (version === 1 ? 20 : 12));
+      const length = version === 1
+        ? Number(buffer.readBigUInt64BE(mdhd.start + 24))
+        : buffer.readUInt32BE(mdhd.start + 16);
+      duration = timescale > 0 ? length / timescale : null;
+    }
+
+    const minf = findBox(buffer, mdia, 'minf');
+    const stbl = minf && findBox(buffer, minf, 'stbl');
+    const stsd = stbl && findBox(buffer, stbl, 'stsd');
+    if (!stsd) return null;
+
+    // stsd: version/flags(4) + entry_count(4) の後にサンプルエントリ
+    const entry = boxes(buffer, stsd.start + 8, stsd.end).next().value;
+    if (!entry || entry.end - entry.start < 28) return null;
+
+    const codecs = { mp4a: 'aac', samr: 'amr_nb', sawb: 'amr_wb', Opus: 'opus', alac: 'alac', fLaC: 'flac' };
+
+    return {
+      container,
+      codec: codecs[entry.type] || entry.type,
+      sampleRate: buffer.readUInt32BE(entry.start + 24) >>> 16, // 16.16固定小数点
+      channels: buffer.readUInt16BE(entry.start + 16),
+      duration
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { probeAudio, sniffContainer } from './audio-probe.js';
+import { buildWav } from './wav-container.js';
+
+// 先頭バイトの後ろを0で埋める
+const withMagic = (magic, length = 64) => {
+  const buffer = Buffer.alloc(length);
+  Buffer.from(magic).copy(buffer);
+  return buffer;
+};
+
+// ISO BMFFのボックス
+const box = (type, ...contents) => {
+  const content = Buffer.concat(contents);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + content.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, content]);
+};
+
+// 音声トラックを1つ持つ MP4（mp4a, 44.1kHz ステレオ, 10秒）
+function createMp4(brand = 'M4A ') {
+  const mdhd = Buffer.alloc(24);
+  mdhd.writeUInt32BE(44100, 12);
+  mdhd.writeUInt32BE(441000, 16);
+  const hdlr = Buffer.alloc(24);
+  hdlr.write('soun', 8, 'latin1');
+  const mp4a = Buffer.alloc(28);
+  mp4a.writeUInt16BE(2, 16);
+  mp4a.writeUInt16BE(16, 18);
+  mp4a.writeUInt32BE(44100 * 65536, 24);
+  const stsdHeader = Buffer.alloc(8);
+  stsdHeader.writeUInt32BE(1, 4);
+
+  return Buffer.concat([
+    box('ftyp', Buffer.from(`${brand}\0\0\0\0`, 'latin1')),
+    box('moov', box('trak', box('mdia',
+      box('mdhd', mdhd),
+      box('hdlr', hdlr),
+      box('minf', box('stbl', box('stsd', stsdHeader, box('mp4a', mp4a))))
+    )))
+  ]);
+}
+
+// STREAMINFO だけの FLAC（44.1kHz ステレオ 16bit, 10秒）
+function createFlac() {
+  const buffer = withMagic('fLaC', 42);
+  buffer[4] = 0x80; // 最後のメタデータブロック、種類0（STREAMINFO）
+  buffer[7] = 34;
+  buffer[18] = 0x0a;
+  buffer[19] = 0xc4;
+  buffer[20] = 0x42; // サンプルレートの下位4bit・チャンネル数-1・ビット数-1の上位1bit
+  buffer[21] = 0xf0;
+  buffer.writeUInt32BE(441000, 22);
+  return buffer;
+}
+
+describe('sniffContainer', () => {
+  const cases = [
+    ['webm', [0x1a, 0x45, 0xdf, 0xa3]],
+    ['ogg', 'OggS'],
+    ['wav', 'RIFF\0\0\0\0WAVE'],
+    ['flac', 'fLaC'],
+    ['amr', '#!AMR\n'],
+    ['amr', '#!AMR-WB\n'],
+    ['mp4', '\0\0\0\x20ftypisom'],
+    ['3gp', '\0\0\0\x20ftyp3gp4'],
+    ['mp3', 'ID3'],
+    ['mp3', [0xff, 0xfb, 0x90, 0xc0]],
+    ['aac', [0xff, 0xf1, 0x50, 0x80]]
+  ];
+
+  for (const [container, magic] of cases) {
+    it(`${JSON.stringify(typeof magic === 'string' ? magic : Buffer.from(magic).toString('hex'))} は ${container}`, () => {
+      assert.equal(sniffContainer(withMagic(magic)), container);
+    });
+  }
+
+  it('判定できない・12バイト未満は null', () => {
+    assert.equal(sniffContainer(Buffer.from('just some text data')), null);
+    assert.equal(sniffContainer(Buffer.from('OggS')), null);
+    assert.equal(sniffContainer(null), null);
+  });
+});
+
+describe('probeAudio', () => {
+  it('WAV は fmt チャンクの形式と data の長さから', () => {
+    const wav = buildWav(Buffer.alloc(16000 * 4), { sampleRate: 16000, channels: 2 });
+
+    assert.deepEqual(probeAudio(wav), {
+      container: 'wav',
+      codec: 'pcm_s16le',
+      sampleRate: 16000,
+      channels: 2,
+      bitsPerSample: 16,
+      duration: 1
+    });
+  });
+
+  it('FLAC は STREAMINFO から', () => {
+    assert.deepEqual(probeAudio(createFlac()), {
+      container: 'flac',
+      codec: 'flac',
+      sampleRate: 44100,
+      channels: 2,
+      bitsPerSample: 16,
+      duration: 10
+    });
+  });
+
+  it('MP3 は ID3 タグの後ろの最初のフレームヘッダーから', () => {
+    // MPEG1 Layer III, 128kbps, 44.1kHz, モノラル（ID3 タグは10バイト）
+    const mp3 = Buffer.concat([
+      Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 10]),
+      Buffer.alloc(10),
+      withMagic([0xff, 0xfb, 0x90, 0xc0], 16000)
+    ]);
+
+    assert.deepEqual(probeAudio(mp3), { container: 'mp3', codec: 'mp3', sampleRate: 44100, channels: 1, duration: 1 });
+  });
+
+  it('AAC(ADTS) はヘッダーのサンプルレートとチャンネル構成から', () => {
+    assert.deepEqual(probeAudio(withMagic([0xff, 0xf1, 0x60, 0x40])), { container: 'aac', codec: 'aac', sampleRate: 16000, channels: 1 });
+  });
+
+  it('AMR はヘッダーで NB/WB を区別する', () => {
+    assert.deepEqual(probeAudio(withMagic('#!AMR\n')), { container: 'amr', codec: 'amr_nb', sampleRate: 8000, channels: 1 });
+    assert.deepEqual(probeAudio(withMagic('#!AMR-WB\n')), { container: 'amr', codec: 'amr_wb', sampleRate: 16000, channels: 1 });
+  });
+
+  it('MP4/3GP は音声トラックのサンプルエントリと mdhd から', () => {
+    assert.deepEqual(probeAudio(createMp4()), { container: 'mp4', codec: 'aac', sampleRate: 44100, channels: 2, duration: 10 });
+    assert.equal(probeAudio(createMp4('3gp5')).container, '3gp');
+  });
+
+  it('Ogg Opus 以外は先頭パケットの識別子からコーデックだけ', () => {
+    const vorbis = Buffer.concat([withMagic('OggS', 28), Buffer.from('\x01vorbis', 'latin1'), Buffer.alloc(30)]);
+
+    assert.deepEqual(probeAudio(vorbis), { container: 'ogg', codec: 'vorbis', sampleRate: null, channels: null });
+  });
+
+  it('解析できなければ null', () => {
+    assert.equal(probeAudio(withMagic([0x1a, 0x45, 0xdf, 0xa3])), null);
+    assert.equal(probeAudio(withMagic('\0\0\0\x10ftypisom')), null);
+    assert.equal(probeAudio(Buffer.from('just some text data')), null);
+  });
+});
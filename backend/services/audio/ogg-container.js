@@ -0,0 +1,167 @@
+import { getOpusPacketSamples } from './opus-packet.js';
+
+// Ogg Opus コンテナの最小限のパーサー/ライター（RFC 3533 / RFC 7845）
+const CAPTURE_PATTERN = 'OggS';
+const PAGE_HEADER_SIZE = 27;
+const MAX_SEGMENTS_PER_PAGE = 255;
+
+// Oggページ用CRC32（多項式 0x04C11DB7、反転なし）
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let j = 0; j < 8; j++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(buffer) {
+  let crc = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// ページを順に読み、パケットに組み立てる
+function readPackets(buffer) {
+  const packets = [];
+  let serial = null;
+  let pending = [];
+  let offset = 0;
+
+  while (offset + PAGE_HEADER_SIZE <= buffer.length) {
+    if (buffer.toString('ascii', offset, offset + 4) !== CAPTURE_PATTERN) return null;
+
+    const segmentCount = buffer[offset + 26];
+    const tableStart = offset + PAGE_HEADER_SIZE;
+    if (tableStart + segmentCount > buffer.length) break;
+
+    if (serial === null) serial = buffer.readUInt32LE(offset + 14);
+
+    let dataOffset = tableStart + segmentCount;
+    for (let i = 0; i < segmentCount; i++) {
+      const lacing = buffer[tableStart + i];
+      if (dataOffset + lacing > buffer.length) return { serial, packets };
+
+      pending.push(buffer.subarray(dataOffset, dataOffset + lacing));
+      dataOffset += lacing;
+
+      // 255未満のラシング値でパケットが終わる
+      if (lacing < 255) {
+        packets.push(Buffer.concat(pending));
+        pending = [];
+      }
+    }
+
+    offset = dataOffset;
+  }
+
+  return { serial, packets };
+}
+
+// Ogg Opusを解析（解析できない場合はnull）
+export function parseOgg(buffer) {
+  const parsed = readPackets(buffer);
+  if (!parsed || parsed.packets.length < 3) return null;
+
+  const [head, tags, ...audioPackets] = parsed.packets;
+  if (head.toString('ascii', 0, 8) !== 'OpusHead' || head.length < 19) return null;
+
+  const channels = head[9];
+  const preSkip = head.readUInt16LE(10);
+  const inputSampleRate = head.readUInt32LE(12);
+
+  let samples = 0;
+  const units = audioPackets.map(packet => {
+    const start = samples / 48000;
+    samples += getOpusPacketSamples(packet);
+    return {
+      start,
+      end: samples / 48000,
+      // Opus（VBR）は無音部分のパケットが小さくなるため、サイズを音量の目安に使う
+      energy: packet.length
+    };
+  });
+
+  return {
+    container: 'ogg',
+    codec: 'opus',
+    sampleRate: inputSampleRate || 48000,
+    channels,
+    duration: Math.max(0, (samples - preSkip) / 48000),
+    units,
+    // units[startIndex, endIndex) を独立したOgg Opusとして書き出す
+    build(startIndex, endIndex) {
+      return buildOgg(parsed.serial, head, tags, audioPackets.slice(startIndex, endIndex), preSkip);
+    }
+  };
+}
+
+// 1ページを書き出す
+function buildPage(serial, sequence, granule, headerType, packets) {
+  const lacing = [];
+  for (const packet of packets) {
+    let remaining = packet.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    lacing.push(remaining);
+  }
+
+  const header = Buffer.alloc(PAGE_HEADER_SIZE + lacing.length);
+  header.write(CAPTURE_PATTERN, 0, 'ascii');
+  header[4] = 0; // version
+  header[5] = headerType;
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt32LE(0, 22); // CRCは後で計算
+  header[26] = lacing.length;
+  Buffer.from(lacing).copy(header, PAGE_HEADER_SIZE);
+
+  const page = Buffer.concat([header, ...packets]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+function segmentsFor(packet) {
+  return Math.floor(packet.length / 255) + 1;
+}
+
+function buildOgg(serial, head, tags, packets, preSkip) {
+  const pages = [
+    buildPage(serial, 0, 0, 0x02, [head]), // BOS
+    buildPage(serial, 1, 0, 0x00, [tags])
+  ];
+
+  let sequence = 2;
+  let granule = preSkip;
+  let pagePackets = [];
+  let pageSegments = 0;
+
+  const flush = (isLast) => {
+    pages.push(buildPage(serial, sequence++, granule, isLast ? 0x04 : 0x00, pagePackets));
+    pagePackets = [];
+    pageSegments = 0;
+  };
+
+  packets.forEach((packet, index) => {
+    if (pageSegments + segmentsFor(packet) > MAX_SEGMENTS_PER_PAGE) {
+      flush(false);
+    }
+    pagePackets.push(packet);
+    pageSegments += segmentsFor(packet);
+    granule += getOpusPacketSamples(packet);
+
+    if (index === packets.length - 1) {
+      flush(true); // EOS
+    }
+  });
+
+  return Buffer.concat(pages);
+}
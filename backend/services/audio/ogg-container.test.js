@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOgg } from './ogg-container.js';
+
+const SERIAL = 0x12345678;
+const PRE_SKIP = 312;
+
+// Oggページ（読み込みではCRCを検証しないので0のまま）
+function page(sequence, headerType, segments, data) {
+  const header = Buffer.alloc(27 + segments.length);
+  header.write('OggS', 0, 'ascii');
+  header[5] = headerType;
+  header.writeUInt32LE(SERIAL, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = segments.length;
+  Buffer.from(segments).copy(header, 27);
+  return Buffer.concat([header, data]);
+}
+
+const lacing = (packet) => [...Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255];
+
+function opusHead() {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head[8] = 1; // version
+  head[9] = 1; // channels
+  head.writeUInt16LE(PRE_SKIP, 10);
+  head.writeUInt32LE(16000, 12);
+  return head;
+}
+
+// Opusパケット（20ms, SILK）
+const opusPacket = (size, fill = 0) => Buffer.concat([Buffer.from([1 << 3]), Buffer.alloc(size - 1, fill)]);
+
+// 大きいパケット（600バイト）が2ページにまたがる Ogg Opus
+const sizes = [30, 10, 600, 10, 40];
+
+function createRecording() {
+  const packets = sizes.map((size, index) => opusPacket(size, index));
+  const big = packets[2];
+  return Buffer.concat([
+    page(0, 0x02, lacing(opusHead()), opusHead()),
+    page(1, 0x00, [8], Buffer.from('OpusTags', 'ascii')),
+    page(2, 0x00, [30, 10, 255, 255], Buffer.concat([packets[0], packets[1], big.subarray(0, 510)])),
+    page(3, 0x05, [90, 10, 40], Buffer.concat([big.subarray(510), packets[3], packets[4]]))
+  ]);
+}
+
+// ページを順に読む
+function readPages(buffer) {
+  const pages = [];
+  for (let offset = 0; offset < buffer.length;) {
+    const segments = [...buffer.subarray(offset + 27, offset + 27 + buffer[offset + 26])];
+    const length = 27 + segments.length + segments.reduce((sum, size) => sum + size, 0);
+    pages.push({
+      buffer: buffer.subarray(offset, offset + length),
+      headerType: buffer[offset + 5],
+      granule: Number(buffer.readBigInt64LE(offset + 6)),
+      serial: buffer.readUInt32LE(offset + 14),
+      sequence: buffer.readUInt32LE(offset + 18),
+      segments
+    });
+    offset += length;
+  }
+  return pages;
+}
+
+// Oggページ用CRC32（テーブルを使わない素朴な実装で検算する）
+function referenceCrc(pageBuffer) {
+  const data = Buffer.from(pageBuffer);
+  data.writeUInt32LE(0, 22);
+  let crc = 0;
+  for (const byte of data) {
+    crc = (crc ^ (byte << 24)) >>> 0;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1) >>> 0;
+    }
+  }
+  return crc;
+}
+
+describe('parseOgg', () => {
+  it('OpusHead とページにまたがるパケットを読む', () => {
+    const audio = parseOgg(createRecording());
+
+    assert.equal(audio.container, 'ogg');
+    assert.equal(audio.codec, 'opus');
+    assert.equal(audio.sampleRate, 16000);
+    assert.equal(audio.channels, 1);
+    assert.deepEqual(audio.units.map(unit => unit.energy), sizes);
+    assert.deepEqual(audio.units[2], { start: 0.04, end: 0.06, energy: 600 });
+    assert.equal(audio.duration, (sizes.length * 960 - PRE_SKIP) / 48000);
+  });
+
+  it('Ogg Opus でなければ null', () => {
+    const recording = createRecording();
+    const notOpus = Buffer.from(recording);
+    notOpus.write('OpusXXXX', 28 + 1, 'ascii');
+
+    assert.equal(parseOgg(Buffer.from('not an ogg file, not an ogg file')), null);
+    assert.equal(parseOgg(notOpus), null);
+    assert.equal(parseOgg(recording.subarray(0, 80)), null);
+  });
+});
+
+describe('parseOgg().build', () => {
+  it('範囲のパケットを独立した Ogg Opus にする', () => {
+    const audio = parseOgg(createRecording());
+    const chunk = audio.build(1, 4);
+    const pages = readPages(chunk);
+
+    assert.deepEqual(pages.map(({ headerType, sequence, granule }) => [headerType, sequence, granule]), [
+      [0x02, 0, 0], [0x00, 1, 0], [0x04, 2, PRE_SKIP + 3 * 960]
+    ]);
+    pages.forEach(({ buffer, serial }) => {
+      assert.equal(serial, SERIAL);
+      assert.equal(buffer.readUInt32LE(22), referenceCrc(buffer));
+    });
+
+    const parsed = parseOgg(chunk);
+    assert.deepEqual(parsed.units.map(unit => unit.energy), sizes.slice(1, 4));
+    assert.equal(parsed.channels, 1);
+  });
+
+  it('1ページのセグメントは255まで', () => {
+    const packets = Array.from({ length: 300 }, () => opusPacket(20));
+    const recording = Buffer.concat([
+      page(0, 0x02, lacing(opusHead()), opusHead()),
+      page(1, 0x00, [8], Buffer.from('OpusTags', 'ascii')),
+      page(2, 0x00, packets.slice(0, 200).map(() => 20), Buffer.concat(packets.slice(0, 200))),
+      page(3, 0x04, packets.slice(200).map(() => 20), Buffer.concat(packets.slice(200)))
+    ]);
+    const chunk = parseOgg(recording).build(0, 300);
+    const pages = readPages(chunk);
+
+    assert.deepEqual(pages.map(({ segments }) => segments.length), [1, 1, 255, 45]);
+    assert.deepEqual(pages.slice(2).map(({ granule }) => granule), [PRE_SKIP + 255 * 960, PRE_SKIP + 300 * 960]);
+    assert.equal(parseOgg(chunk).units.length, 300);
+  });
+});
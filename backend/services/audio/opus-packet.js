@@ -0,0 +1,36 @@
+// Opusパケットの長さ（TOCバイトから算出、48kHzサンプル数）
+// RFC 6716 3.1: config 0-11 = SILK, 12-15 = Hybrid, 16-31 = CELT
+const SILK_FRAME_MS = [10, 20, 40, 60];
+const HYBRID_FRAME_MS = [10, 20];
+const CELT_FRAME_MS = [2.5, 5, 10, 20];
+
+export function getOpusPacketSamples(packet) {
+  if (!packet || packet.length === 0) return 0;
+
+  const toc = packet[0];
+  const config = toc >> 3;
+
+  let frameMs;
+  if (config < 12) {
+    frameMs = SILK_FRAME_MS[config % 4];
+  } else if (config < 16) {
+    frameMs = HYBRID_FRAME_MS[config % 2];
+  } else {
+    frameMs = CELT_FRAME_MS[config % 4];
+  }
+
+  let frameCount;
+  switch (toc & 0x03) {
+    case 0:
+      frameCount = 1;
+      break;
+    case 1:
+    case 2:
+      frameCount = 2;
+      break;
+    default:
+      frameCount = packet.length > 1 ? packet[1] & 0x3f : 0;
+  }
+
+  return Math.round(frameCount * frameMs * 48);
+}
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOpusPacketSamples } from './opus-packet.js';
+
+// TOCバイト（config: 0-31, code: フレーム数の指定 0-3）
+const toc = (config, code = 0) => (config << 3) | code;
+
+describe('getOpusPacketSamples', () => {
+  const cases = [
+    ['SILK 10ms', [toc(0)], 480],
+    ['SILK 20ms', [toc(1)], 960],
+    ['SILK 40ms', [toc(2)], 1920],
+    ['SILK 60ms', [toc(11)], 2880],
+    ['Hybrid 10ms', [toc(12)], 480],
+    ['Hybrid 20ms', [toc(15)], 960],
+    ['CELT 2.5ms', [toc(16)], 120],
+    ['CELT 5ms', [toc(17)], 240],
+    ['CELT 20ms', [toc(31)], 960],
+    ['2フレーム（同じ長さ）', [toc(1, 1), 0, 0], 1920],
+    ['2フレーム（異なる長さ）', [toc(31, 2), 1, 0], 1920],
+    ['任意のフレーム数（2.5ms × 3）', [toc(16, 3), 0x03], 360],
+    ['任意のフレーム数は下位6bitだけを使う', [toc(1, 3), 0xc2], 1920]
+  ];
+
+  for (const [name, bytes, samples] of cases) {
+    it(`${name}: ${samples}サンプル（48kHz）`, () => {
+      assert.equal(getOpusPacketSamples(Buffer.from(bytes)), samples);
+    });
+  }
+
+  it('空のパケット・フレーム数の無い code 3 は 0', () => {
+    assert.equal(getOpusPacketSamples(Buffer.alloc(0)), 0);
+    assert.equal(getOpusPacketSamples(null), 0);
+    assert.equal(getOpusPacketSamples(Buffer.from([toc(1, 3)])), 0);
+  });
+});
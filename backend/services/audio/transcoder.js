@@ -0,0 +1,51 @@
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import path from 'path';
+import { speechConfig } from '../../config/speech-config.js';
+
+const execFileAsync = promisify(execFile);
+
+// 外部トランスコーダー（ffmpeg）の実行
+// MP4/AAC・3GP・FLAC等、プロバイダーにそのまま渡せない音声を 16bit モノラル WAV に変換する
+
+export class TranscoderUnavailableError extends Error {}
+
+export async function transcodeToLinear16(audioBuffer, { sampleRate = speechConfig.sampleRateHertz } = {}) {
+  const base = path.join(os.tmpdir(), `fusenkun-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  const inputFile = `${base}.input`;
+  const outputFile = `${base}.wav`;
+
+  try {
+    // MP4はmoovが末尾にある場合があるため、パイプではなくファイル経由で渡す
+    await fs.writeFile(inputFile, audioBuffer);
+
+    await execFileAsync(speechConfig.transcoderCommand, [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-nostdin',
+      '-i', inputFile,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-acodec', 'pcm_s16le',
+      '-f', 'wav',
+      '-y', outputFile
+    ], {
+      timeout: speechConfig.transcodeTimeout,
+      maxBuffer: 1024 * 1024
+    });
+
+    return await fs.readFile(outputFile);
+
+  } catch (error) {
+    if (error.code === 'ENOENT' && error.path === speechConfig.transcoderCommand) {
+      throw new TranscoderUnavailableError(`Transcoder not found: ${speechConfig.transcoderCommand}`);
+    }
+    throw new Error(`Transcode failed: ${(error.stderr || error.message || '').trim()}`);
+  } finally {
+    await fs.unlink(inputFile).catch(() => {});
+    await fs.unlink(outputFile).catch(() => {});
+  }
+}
@@ -0,0 +1,155 @@
+// チャンクごとの認識結果を1本のタイムラインに統合する（話者ごとの発言区間の組み立ても行う）
+
+// 単語を区切らずに連結する言語
+const UNSPACED_LANGUAGES = ['ja', 'zh', 'th'];
+
+// 統合後の認識候補の上限（候補は文字起こし全体なので、長い音声で応答・メモが大きくなりすぎないようにする）
+const MAX_STITCHED_ALTERNATIVES = 10;
+
+function joinWords(words, languageCode) {
+  const language = (languageCode || '').split('-')[0];
+  return words.join(UNSPACED_LANGUAGES.includes(language) ? '' : ' ');
+}
+
+// chunks: [{ startTime, endTime }], results: 各チャンクの認識結果（同じ順序）
+export function stitchChunkResults(chunks, results, languageCode) {
+  const wordDetails = [];
+  const texts = [];
+  const adopted = []; // チャンクごとに採用した文字起こしの texts での位置
+  let weightedConfidence = 0;
+  let totalWeight = 0;
+
+  results.forEach((result, index) => {
+    const chunk = chunks[index];
+    const previous = chunks[index - 1];
+    const next = chunks[index + 1];
+
+    // 重なり区間の中点で、どちらのチャンクの単語を採用するかを切り替える
+    const keepFrom = previous && previous.endTime > chunk.startTime
+      ? (chunk.startTime + previous.endTime) / 2
+      : chunk.startTime;
+    const keepUntil = next && chunk.endTime > next.startTime
+      ? (next.startTime + chunk.endTime) / 2
+      : Infinity;
+
+    const words = (result.wordDetails || [])
+      .map(word => ({
+        ...word,
+        startTime: word.startTime + chunk.startTime,
+        endTime: word.endTime + chunk.startTime
+      }))
+      .filter(word => word.startTime >= keepFrom && word.startTime < keepUntil);
+
+    if (words.length > 0) {
+      wordDetails.push(...words);
+      adopted[index] = texts.length;
+      texts.push(joinWords(words.map(word => word.word), languageCode));
+    } else if (!result.wordDetails || result.wordDetails.length === 0) {
+      // 単語情報が無い場合は重複除去できないためそのまま連結
+      if (result.transcription) {
+        adopted[index] = texts.length;
+        texts.push(result.transcription);
+      }
+    }
+
+    // 信頼度は採用した区間の長さで重み付け
+    const weight = Math.max(0, Math.min(chunk.endTime, keepUntil) - Math.max(chunk.startTime, keepFrom));
+    if (result.transcription && weight > 0) {
+      weightedConfidence += (result.confidence || 0) * weight;
+      totalWeight += weight;
+    }
+  });
+
+  // 単語ごとの信頼度があればそちらを優先
+  const wordConfidences = wordDetails.map(word => word.confidence).filter(value => value > 0);
+  const confidence = wordConfidences.length > 0
+    ? wordConfidences.reduce((sum, value) => sum + value, 0) / wordConfidences.length
+    : (totalWeight > 0 ? weightedConfidence / totalWeight : 0);
+
+  return {
+    transcription: joinWords(texts.filter(text => text.length > 0), languageCode),
+    confidence,
+    wordDetails,
+    alternatives: stitchAlternatives(results, texts, adopted, languageCode)
+  };
+}
+
+// 最有力の文字起こしと候補の差分（前後の一致部分を除いた部分。空白で区切る言語では単語の途中で切らない）
+// src/utils/transcriptAlternatives.ts の getPhraseSuggestions と同じ切り出し方
+function diffTranscripts(transcript, candidate) {
+  let prefix = 0;
+  const maxPrefix = Math.min(transcript.length, candidate.length);
+  while (prefix < maxPrefix && transcript[prefix] === candidate[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    transcript[transcript.length - 1 - suffix] === candidate[candidate.length - 1 - suffix]
+  ) suffix++;
+
+  if (/\s/.test(transcript)) {
+    while (prefix > 0 && !/\s/.test(transcript[prefix - 1])) prefix--;
+    while (suffix > 0 && !/\s/.test(transcript[transcript.length - suffix])) suffix--;
+  }
+
+  const original = transcript.slice(prefix, transcript.length - suffix).trim();
+  const replacement = candidate.slice(prefix, candidate.length - suffix).trim();
+  return original && original !== replacement ? { original, replacement } : null;
+}
+
+// チャンクごとの認識候補を、統合後の文字起こし全体の候補にする（候補1つにつき1チャンク分の差分）
+// 候補には単語の時刻が無く重なり区間を除けないため、差分がそのチャンクで採用した区間にある候補だけを使う
+function stitchAlternatives(results, texts, adopted, languageCode) {
+  const alternatives = [];
+
+  results.forEach((result, index) => {
+    const position = adopted[index];
+    if (position === undefined) return;
+
+    for (const alternative of result.alternatives || []) {
+      const diff = diffTranscripts(result.transcription || '', alternative.transcript || '');
+      if (!diff || !texts[position].includes(diff.original)) continue;
+
+      const variant = [...texts];
+      variant[position] = texts[position].replace(diff.original, () => diff.replacement);
+      const transcript = joinWords(variant.filter(text => text.length > 0), languageCode);
+      if (alternatives.some(item => item.transcript === transcript)) continue;
+
+      alternatives.push({ transcript, confidence: alternative.confidence || 0 });
+    }
+  });
+
+  return alternatives
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_STITCHED_ALTERNATIVES);
+}
+
+// 話者番号付きの単語を話者の発言単位（連続する同じ話者の単語）にまとめる
+// 戻り値: [{ speaker, startTime, endTime, transcript, confidence }]（話者番号が無ければ空）
+export function buildSpeakerSegments(wordDetails, languageCode) {
+  const segments = [];
+  let current = null;
+
+  for (const word of wordDetails || []) {
+    if (!word.speaker) continue;
+
+    if (!current || current.speaker !== word.speaker) {
+      current = { speaker: word.speaker, startTime: word.startTime, endTime: word.endTime, words: [] };
+      segments.push(current);
+    }
+    current.words.push(word);
+    current.endTime = word.endTime;
+  }
+
+  return segments.map(({ words, ...segment }) => {
+    const confidences = words.map(word => word.confidence).filter(value => value > 0);
+    return {
+      ...segment,
+      transcript: joinWords(words.map(word => word.word), languageCode),
+      confidence: confidences.length > 0
+        ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+        : 0
+    };
+  });
+}
@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stitchChunkResults, buildSpeakerSegments } from './transcript-stitcher.js';
+
+// チャンク内の秒数で単語を作る
+const word = (text, startTime, extra = {}) => ({ word: text, startTime, endTime: startTime + 0.4, confidence: 0.9, ...extra });
+
+// 0〜10秒と 9〜20秒（9〜10秒が重なり。中点の 9.5秒で切り替える）
+const chunks = [{ startTime: 0, endTime: 10 }, { startTime: 9, endTime: 20 }];
+
+describe('stitchChunkResults', () => {
+  it('単語の時刻を元音声の先頭からの秒数にし、重なり区間の単語は中点で片方だけを採用する', () => {
+    const results = [
+      { transcription: 'one two three four', confidence: 0.9, wordDetails: [word('one', 1), word('two', 5), word('three', 9.2), word('four', 9.7)] },
+      { transcription: 'three four five', confidence: 0.9, wordDetails: [word('three', 0.2), word('four', 0.7), word('five', 3)] }
+    ];
+    const stitched = stitchChunkResults(chunks, results, 'en-US');
+
+    assert.equal(stitched.transcription, 'one two three four five');
+    assert.deepEqual(stitched.wordDetails.map(detail => [detail.word, detail.startTime]), [
+      ['one', 1], ['two', 5], ['three', 9.2], ['four', 9.7], ['five', 12]
+    ]);
+  });
+
+  it('日本語・中国語・タイ語は単語を区切らずに連結する', () => {
+    const results = [
+      { transcription: '今日は', confidence: 0.9, wordDetails: [word('今日', 1), word('は', 2)] },
+      { transcription: '晴れ', confidence: 0.9, wordDetails: [word('晴れ', 3)] }
+    ];
+
+    assert.equal(stitchChunkResults(chunks, results, 'ja-JP').transcription, '今日は晴れ');
+  });
+
+  it('単語情報が無いチャンクは文字起こしをそのまま連結する', () => {
+    const results = [
+      { transcription: 'first part', confidence: 0.8, wordDetails: [] },
+      { transcription: '', confidence: 0, wordDetails: [] },
+      { transcription: 'third part', confidence: 0.6 }
+    ];
+    const stitched = stitchChunkResults([...chunks, { startTime: 20, endTime: 30 }], results, 'en-US');
+
+    assert.equal(stitched.transcription, 'first part third part');
+    assert.deepEqual(stitched.wordDetails, []);
+  });
+
+  it('信頼度は単語の平均、単語が無ければ採用した区間の長さで重み付けした平均', () => {
+    const withWords = [
+      { transcription: 'a', confidence: 0.1, wordDetails: [word('a', 1, { confidence: 0.6 })] },
+      { transcription: 'b', confidence: 0.1, wordDetails: [word('b', 3, { confidence: 1 })] }
+    ];
+    assert.equal(stitchChunkResults(chunks, withWords, 'en-US').confidence, 0.8);
+
+    // 採用した区間は 0〜9.5秒と 9.5〜20秒
+    const withoutWords = [
+      { transcription: 'a', confidence: 1, wordDetails: [] },
+      { transcription: 'b', confidence: 0.5, wordDetails: [] }
+    ];
+    const expected = (1 * 9.5 + 0.5 * 10.5) / 20;
+    assert.ok(Math.abs(stitchChunkResults(chunks, withoutWords, 'en-US').confidence - expected) < 1e-9);
+  });
+
+  it('チャンクの認識候補を、そのチャンクの差分だけを置き換えた全体の候補にする', () => {
+    const results = [
+      {
+        transcription: 'hello big world',
+        confidence: 0.9,
+        wordDetails: [word('hello', 1), word('big', 3), word('world', 9.2)],
+        alternatives: [{ transcript: 'hello pig world', confidence: 0.5 }]
+      },
+      {
+        transcription: 'world again',
+        confidence: 0.9,
+        wordDetails: [word('world', 0.2), word('again', 2)],
+        alternatives: [
+          { transcript: 'world a gain', confidence: 0.6 },
+          // 差分が重なり区間（前のチャンクで採用した単語）にある候補は使わない
+          { transcript: 'word again', confidence: 0.7 }
+        ]
+      }
+    ];
+
+    assert.deepEqual(stitchChunkResults(chunks, results, 'en-US').alternatives, [
+      { transcript: 'hello big world a gain', confidence: 0.6 },
+      { transcript: 'hello pig world again', confidence: 0.5 }
+    ]);
+  });
+
+  it('認識候補は信頼度の高い順に10件まで', () => {
+    const results = [{
+      transcription: 'a b c d e f g h i j k l',
+      confidence: 0.9,
+      wordDetails: 'a b c d e f g h i j k l'.split(' ').map((text, index) => word(text, index * 0.5)),
+      alternatives: 'abcdefghijkl'.split('').map((letter, index) => ({
+        transcript: 'a b c d e f g h i j k l'.replace(letter, letter.toUpperCase()),
+        confidence: index / 100
+      }))
+    }];
+    const { alternatives } = stitchChunkResults([{ startTime: 0, endTime: 10 }], results, 'en-US');
+
+    assert.equal(alternatives.length, 10);
+    assert.equal(alternatives[0].transcript, 'a b c d e f g h i j k L');
+    assert.deepEqual(alternatives.map(item => item.confidence), [...alternatives.map(item => item.confidence)].sort((a, b) => b - a));
+  });
+});
+
+describe('buildSpeakerSegments', () => {
+  it('連続する同じ話者の単語を発言にまとめる', () => {
+    const words = [
+      word('hello', 0, { speaker: 1, confidence: 0.8 }),
+      word('there', 0.5, { speaker: 1, confidence: 0.6 }),
+      word('hi', 1.2, { speaker: 2, confidence: 0 }),
+      word('again', 2, { speaker: 1 })
+    ];
+
+    assert.deepEqual(buildSpeakerSegments(words, 'en-US'), [
+      { speaker: 1, startTime: 0, endTime: 0.9, transcript: 'hello there', confidence: 0.7 },
+      { speaker: 2, startTime: 1.2, endTime: 1.6, transcript: 'hi', confidence: 0 },
+      { speaker: 1, startTime: 2, endTime: 2.4, transcript: 'again', confidence: 0.9 }
+    ]);
+  });
+
+  it('話者番号が無ければ空', () => {
+    assert.deepEqual(buildSpeakerSegments([word('hello', 0)], 'en-US'), []);
+    assert.deepEqual(buildSpeakerSegments(undefined, 'en-US'), []);
+  });
+});
@@ -0,0 +1,164 @@
+// WAV（RIFF, リニアPCM）コンテナのパーサー/ライター
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+const WINDOW_SECONDS = 0.02; // 無音検出の単位（20ms）
+
+// RIFFチャンクを列挙してfmt/dataを取得
+export function readWavInfo(buffer) {
+  if (buffer.length < 12 ||
+      buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+      buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ' && chunkStart + 16 <= buffer.length) {
+      fmt = {
+        audioFormat: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        blockAlign: buffer.readUInt16LE(chunkStart + 12),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+      // WAVE_FORMAT_EXTENSIBLEは実際の形式がSubFormat GUIDの先頭2バイトに入る
+      if (fmt.audioFormat === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 40 && chunkStart + 26 <= buffer.length) {
+        fmt.audioFormat = buffer.readUInt16LE(chunkStart + 24);
+      }
+    } else if (chunkId === 'data') {
+      // 録音中断等でサイズが実データより大きい場合は実データに合わせる
+      data = { offset: chunkStart, length: Math.min(chunkSize, buffer.length - chunkStart) };
+      break;
+    }
+
+    offset = chunkStart + chunkSize + (chunkSize % 2); // チャンクは2バイト境界
+  }
+
+  if (!fmt || !data) return null;
+  return { ...fmt, dataOffset: data.offset, dataLength: data.length };
+}
+
+// 16bit PCM WAVを解析（対象外の形式はnull）
+export function parseWav(buffer) {
+  const info = readWavInfo(buffer);
+  if (!info ||
+      (info.audioFormat !== WAVE_FORMAT_PCM && info.audioFormat !== WAVE_FORMAT_EXTENSIBLE) ||
+      info.bitsPerSample !== 16 ||
+      info.blockAlign === 0) {
+    return null;
+  }
+
+  const frameCount = Math.floor(info.dataLength / info.blockAlign);
+  const framesPerWindow = Math.max(1, Math.round(info.sampleRate * WINDOW_SECONDS));
+  const units = [];
+
+  for (let frame = 0; frame < frameCount; frame += framesPerWindow) {
+    const windowFrames = Math.min(framesPerWindow, frameCount - frame);
+    let sum = 0;
+
+    // 先頭チャンネルのRMSを音量の目安にする
+    for (let i = 0; i < windowFrames; i++) {
+      const sample = buffer.readInt16LE(info.dataOffset + (frame + i) * info.blockAlign) / 32768;
+      sum += sample * sample;
+    }
+
+    units.push({
+      start: frame / info.sampleRate,
+      end: (frame + windowFrames) / info.sampleRate,
+      energy: Math.sqrt(sum / windowFrames),
+      frame,
+      frames: windowFrames
+    });
+  }
+
+  if (units.length === 0) return null;
+
+  return {
+    container: 'wav',
+    codec: 'pcm_s16le',
+    sampleRate: info.sampleRate,
+    channels: info.channels,
+    duration: frameCount / info.sampleRate,
+    units,
+    // units[startIndex, endIndex) を独立したWAVとして書き出す
+    build(startIndex, endIndex) {
+      const first = units[startIndex];
+      const last = units[endIndex - 1];
+      const start = info.dataOffset + first.frame * info.blockAlign;
+      const end = info.dataOffset + (last.frame + last.frames) * info.blockAlign;
+      return buildWav(buffer.subarray(start, end), info);
+    }
+  };
+}
+
+// PCMデータにWAVヘッダーを付ける
+export function buildWav(pcmData, { sampleRate, channels, bitsPerSample = 16 }) {
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcmData.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcmData.length, 40);
+
+  return Buffer.concat([header, pcmData]);
+}
+
+// 任意のリニアPCM（8/16/24/32bit整数、32/64bit浮動小数点、複数チャンネル）を16bitモノラルに変換
+// 対象外の形式はnull
+export function convertWavToMono16(buffer) {
+  const info = readWavInfo(buffer);
+  if (!info || info.blockAlign === 0 || info.channels === 0) return null;
+
+  const isFloat = info.audioFormat === WAVE_FORMAT_IEEE_FLOAT;
+  const isInt = info.audioFormat === WAVE_FORMAT_PCM || info.audioFormat === WAVE_FORMAT_EXTENSIBLE;
+  const bytesPerSample = info.bitsPerSample / 8;
+  if (!(isInt && [1, 2, 3, 4].includes(bytesPerSample)) && !(isFloat && [4, 8].includes(bytesPerSample))) {
+    return null;
+  }
+
+  const readSample = (offset) => {
+    if (isFloat) {
+      return bytesPerSample === 4 ? buffer.readFloatLE(offset) : buffer.readDoubleLE(offset);
+    }
+    switch (bytesPerSample) {
+      case 1: return (buffer[offset] - 128) / 128; // 8bitは符号なし
+      case 2: return buffer.readInt16LE(offset) / 32768;
+      case 3: return buffer.readIntLE(offset, 3) / 8388608;
+      default: return buffer.readInt32LE(offset) / 2147483648;
+    }
+  };
+
+  const frameCount = Math.floor(info.dataLength / info.blockAlign);
+  const pcm = Buffer.alloc(frameCount * 2);
+
+  // 全チャンネルの平均でダウンミックス
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = info.dataOffset + frame * info.blockAlign;
+    let sum = 0;
+    for (let channel = 0; channel < info.channels; channel++) {
+      sum += readSample(frameOffset + channel * bytesPerSample);
+    }
+    const value = Math.max(-1, Math.min(1, sum / info.channels));
+    pcm.writeInt16LE(Math.round(value * 32767), frame * 2);
+  }
+
+  return buildWav(pcm, { sampleRate: info.sampleRate, channels: 1 });
+}
@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWav, convertWavToMono16, parseWav, readWavInfo } from './wav-container.js';
+
+// 16bitモノラルのPCM（1秒ごとに音量 levels[i] の矩形波）
+function createPcm16(sampleRate, levels) {
+  const pcm = Buffer.alloc(sampleRate * levels.length * 2);
+  levels.forEach((level, second) => {
+    for (let i = 0; i < sampleRate; i++) {
+      pcm.writeInt16LE(Math.round((i % 2 ? level : -level) * 32767), (second * sampleRate + i) * 2);
+    }
+  });
+  return pcm;
+}
+
+// 任意の fmt チャンクを持つWAV（fmt の後ろに extraChunks を挟む）
+function createWav({ audioFormat, channels, sampleRate, bitsPerSample, extensible = false }, data, extraChunks = []) {
+  const blockAlign = channels * bitsPerSample / 8;
+  const fmt = Buffer.alloc(extensible ? 40 : 16);
+  fmt.writeUInt16LE(extensible ? 0xfffe : audioFormat, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 8);
+  fmt.writeUInt16LE(blockAlign, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+  if (extensible) {
+    fmt.writeUInt16LE(22, 16);
+    fmt.writeUInt16LE(audioFormat, 24); // SubFormat GUIDの先頭2バイト
+  }
+
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+  };
+  const body = Buffer.concat([
+    Buffer.from('WAVE', 'ascii'),
+    chunk('fmt ', fmt),
+    ...extraChunks.map(([id, content]) => chunk(id, content)),
+    chunk('data', data)
+  ]);
+  const riff = Buffer.alloc(8);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+const samplesOf = (wav) => {
+  const info = readWavInfo(wav);
+  return Array.from({ length: info.dataLength / 2 }, (_, i) => wav.readInt16LE(info.dataOffset + i * 2));
+};
+
+describe('readWavInfo / buildWav', () => {
+  it('buildWav で書き出したWAVを読み戻す', () => {
+    const pcm = createPcm16(8000, [0.5]);
+    const wav = buildWav(pcm, { sampleRate: 8000, channels: 1 });
+
+    assert.deepEqual(readWavInfo(wav), {
+      audioFormat: 1,
+      channels: 1,
+      sampleRate: 8000,
+      blockAlign: 2,
+      bitsPerSample: 16,
+      dataOffset: 44,
+      dataLength: pcm.length
+    });
+    assert.equal(wav.readUInt32LE(4), wav.length - 8);
+    assert.ok(wav.subarray(44).equals(pcm));
+  });
+
+  it('奇数サイズのチャンクを2バイト境界で読み飛ばし、EXTENSIBLE は SubFormat の形式にする', () => {
+    const wav = createWav(
+      { audioFormat: 3, channels: 2, sampleRate: 16000, bitsPerSample: 32, extensible: true },
+      Buffer.alloc(64),
+      [['LIST', Buffer.from('odd', 'ascii')]]
+    );
+
+    assert.deepEqual(readWavInfo(wav), {
+      audioFormat: 3,
+      channels: 2,
+      sampleRate: 16000,
+      blockAlign: 8,
+      bitsPerSample: 32,
+      dataOffset: wav.length - 64,
+      dataLength: 64
+    });
+  });
+
+  it('data のサイズが実データより大きければ実データに合わせる', () => {
+    const wav = buildWav(Buffer.alloc(100), { sampleRate: 8000, channels: 1 });
+    wav.writeUInt32LE(0xffffffff, 40);
+
+    assert.equal(readWavInfo(wav).dataLength, 100);
+  });
+
+  it('RIFF/WAVE でない・fmt か data が無ければ null', () => {
+    assert.equal(readWavInfo(Buffer.from('RIFF....AVI LIST', 'ascii')), null);
+    assert.equal(readWavInfo(Buffer.alloc(8)), null);
+    assert.equal(readWavInfo(buildWav(Buffer.alloc(4), { sampleRate: 8000, channels: 1 }).subarray(0, 36)), null);
+  });
+});
+
+describe('parseWav', () => {
+  it('20msごとの単位に分け、先頭チャンネルのRMSを音量にする', () => {
+    const wav = buildWav(createPcm16(8000, [0.5, 0, 0.25]), { sampleRate: 8000, channels: 1 });
+    const audio = parseWav(wav);
+
+    assert.equal(audio.container, 'wav');
+    assert.equal(audio.codec, 'pcm_s16le');
+    assert.equal(audio.duration, 3);
+    assert.equal(audio.units.length, 150);
+    assert.deepEqual(audio.units[50], { start: 1, end: 1.02, energy: 0, frame: 8000, frames: 160 });
+    assert.ok(Math.abs(audio.units[0].energy - 0.5) < 1e-3);
+    assert.ok(Math.abs(audio.units[149].energy - 0.25) < 1e-3);
+  });
+
+  it('端数のフレームは最後の単位にまとめる', () => {
+    const audio = parseWav(buildWav(Buffer.alloc(170 * 2), { sampleRate: 8000, channels: 1 }));
+
+    assert.deepEqual(audio.units.map(unit => unit.frames), [160, 10]);
+    assert.equal(audio.units[1].end, 170 / 8000);
+  });
+
+  it('build は単位の範囲を独立したWAVにする', () => {
+    const pcm = createPcm16(8000, [0.5, 0, 0.25]);
+    const audio = parseWav(buildWav(pcm, { sampleRate: 8000, channels: 1 }));
+    const chunk = audio.build(40, 60);
+    const parsed = parseWav(chunk);
+
+    assert.equal(parsed.duration, 0.4);
+    assert.equal(parsed.sampleRate, 8000);
+    assert.ok(chunk.subarray(44).equals(pcm.subarray(40 * 160 * 2, 60 * 160 * 2)));
+  });
+
+  it('16bit以外・PCM以外は null', () => {
+    const data = Buffer.alloc(320);
+    assert.equal(parseWav(createWav({ audioFormat: 1, channels: 1, sampleRate: 8000, bitsPerSample: 8 }, data)), null);
+    assert.equal(parseWav(createWav({ audioFormat: 3, channels: 1, sampleRate: 8000, bitsPerSample: 32 }, data)), null);
+    assert.equal(parseWav(buildWav(Buffer.alloc(0), { sampleRate: 8000, channels: 1 })), null);
+  });
+});
+
+describe('convertWavToMono16', () => {
+  const format = { sampleRate: 8000 };
+
+  it('8bit（符号なし）を16bitにする', () => {
+    const wav = createWav({ ...format, audioFormat: 1, channels: 1, bitsPerSample: 8 }, Buffer.from([0, 128, 255]));
+
+    assert.deepEqual(samplesOf(convertWavToMono16(wav)), [-32767, 0, Math.round(127 / 128 * 32767)]);
+  });
+
+  it('24bitステレオは左右の平均にする', () => {
+    const data = Buffer.alloc(12);
+    data.writeIntLE(4194304, 0, 3); // L: 0.5
+    data.writeIntLE(0, 3, 3); // R: 0
+    data.writeIntLE(-8388608, 6, 3); // L: -1
+    data.writeIntLE(-8388608, 9, 3); // R: -1
+    const mono = convertWavToMono16(createWav({ ...format, audioFormat: 1, channels: 2, bitsPerSample: 24 }, data));
+
+    assert.deepEqual(readWavInfo(mono), { audioFormat: 1, channels: 1, sampleRate: 8000, blockAlign: 2, bitsPerSample: 16, dataOffset: 44, dataLength: 4 });
+    assert.deepEqual(samplesOf(mono), [Math.round(0.25 * 32767), -32767]);
+  });
+
+  it('32bit・64bit浮動小数点は範囲外の値を丸める', () => {
+    const float32 = Buffer.alloc(8);
+    float32.writeFloatLE(0.5, 0);
+    float32.writeFloatLE(1.5, 4);
+    const float64 = Buffer.alloc(16);
+    float64.writeDoubleLE(-0.25, 0);
+    float64.writeDoubleLE(-2, 8);
+
+    assert.deepEqual(samplesOf(convertWavToMono16(createWav({ ...format, audioFormat: 3, channels: 1, bitsPerSample: 32 }, float32))), [16384, 32767]);
+    assert.deepEqual(samplesOf(convertWavToMono16(createWav({ ...format, audioFormat: 3, channels: 1, bitsPerSample: 64, extensible: true }, float64))), [-8192, -32767]);
+  });
+
+  it('32bit整数を変換する', () => {
+    const data = Buffer.alloc(4);
+    data.writeInt32LE(-1073741824, 0);
+
+    assert.deepEqual(samplesOf(convertWavToMono16(createWav({ ...format, audioFormat: 1, channels: 1, bitsPerSample: 32 }, data))), [-16383]);
+  });
+
+  it('対応していない形式は null', () => {
+    assert.equal(convertWavToMono16(createWav({ ...format, audioFormat: 2, channels: 1, bitsPerSample: 4 }, Buffer.alloc(8))), null);
+    assert.equal(convertWavToMono16(createWav({ ...format, audioFormat: 3, channels: 1, bitsPerSample: 16 }, Buffer.alloc(8))), null);
+    assert.equal(convertWavToMono16(Buffer.from('not a wav file')), null);
+  });
+});
@@ -0,0 +1,277 @@
+import { getOpusPacketSamples } from './opus-packet.js';
+
+// WebM（Matroska）コンテナの最小限のパーサー/ライター
+// MediaRecorderが出力するサイズ不定のSegment/Clusterにも対応する
+const ID = {
+  EBML: 0x1a45dfa3,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  CODEC_ID: 0x86,
+  AUDIO: 0xe1,
+  SAMPLING_FREQUENCY: 0xb5,
+  CHANNELS: 0x9f,
+  CLUSTER: 0x1f43b675,
+  CLUSTER_TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1
+};
+
+// Clusterの子要素（サイズ不定のClusterの終端判定に使用）
+const CLUSTER_CHILDREN = new Set([0xe7, 0x5854, 0xa7, 0xab, 0xa3, 0xa0, 0xaf]);
+
+// Cluster内の相対タイムコード（int16）の上限
+const MAX_RELATIVE_TIMECODE = 32767;
+
+// 要素ヘッダー（ID + サイズ）を読む
+function readElementHeader(buffer, offset) {
+  if (offset >= buffer.length) return null;
+
+  const idLength = vintLength(buffer[offset]);
+  if (idLength === 0 || idLength > 4 || offset + idLength > buffer.length) return null;
+  const id = buffer.readUIntBE(offset, idLength);
+
+  const sizeOffset = offset + idLength;
+  if (sizeOffset >= buffer.length) return null;
+  const sizeLength = vintLength(buffer[sizeOffset]);
+  if (sizeLength === 0 || sizeOffset + sizeLength > buffer.length) return null;
+
+  let size = buffer[sizeOffset] & (0xff >> sizeLength);
+  let unknownSize = size === (0xff >> sizeLength);
+  for (let i = 1; i < sizeLength; i++) {
+    const byte = buffer[sizeOffset + i];
+    if (byte !== 0xff) unknownSize = false;
+    size = size * 256 + byte;
+  }
+
+  const dataStart = sizeOffset + sizeLength;
+  return {
+    id,
+    dataStart,
+    size: unknownSize ? null : size,
+    dataEnd: unknownSize ? buffer.length : Math.min(dataStart + size, buffer.length),
+    truncated: !unknownSize && dataStart + size > buffer.length
+  };
+}
+
+function vintLength(firstByte) {
+  for (let i = 0; i < 8; i++) {
+    if (firstByte & (0x80 >> i)) return i + 1;
+  }
+  return 0;
+}
+
+// 子要素を列挙
+function* children(buffer, start, end) {
+  let offset = start;
+  while (offset < end) {
+    const element = readElementHeader(buffer, offset);
+    if (!element || element.size === null) return;
+    yield element;
+    offset = element.dataStart + element.size;
+  }
+}
+
+function readUint(buffer, element) {
+  if (element.size === 0 || element.size > 6) return 0;
+  return buffer.readUIntBE(element.dataStart, element.size);
+}
+
+function readFloat(buffer, element) {
+  if (element.size === 4) return buffer.readFloatBE(element.dataStart);
+  if (element.size === 8) return buffer.readDoubleBE(element.dataStart);
+  return 0;
+}
+
+// Tracksから音声トラック情報を取得
+function parseTracks(buffer, tracks) {
+  const info = { codec: null, sampleRate: null, channels: null };
+
+  for (const entry of children(buffer, tracks.dataStart, tracks.dataEnd)) {
+    if (entry.id !== ID.TRACK_ENTRY) continue;
+
+    for (const field of children(buffer, entry.dataStart, entry.dataEnd)) {
+      if (field.id === ID.CODEC_ID) {
+        info.codec = buffer.toString('ascii', field.dataStart, field.dataEnd);
+      } else if (field.id === ID.AUDIO) {
+        for (const audio of children(buffer, field.dataStart, field.dataEnd)) {
+          if (audio.id === ID.SAMPLING_FREQUENCY) info.sampleRate = readFloat(buffer, audio);
+          if (audio.id === ID.CHANNELS) info.channels = readUint(buffer, audio);
+        }
+      }
+    }
+    if (info.codec) break;
+  }
+
+  return info;
+}
+
+// Block/SimpleBlockの本体を解析
+function parseBlock(buffer, element, clusterTimecode, isSimpleBlock) {
+  const trackLength = vintLength(buffer[element.dataStart]);
+  const headerEnd = element.dataStart + trackLength + 3;
+  if (trackLength === 0 || headerEnd > element.dataEnd) return null;
+
+  return {
+    trackBytes: buffer.subarray(element.dataStart, element.dataStart + trackLength),
+    timecode: clusterTimecode + buffer.readInt16BE(element.dataStart + trackLength),
+    flags: isSimpleBlock ? buffer[headerEnd - 1] : buffer[headerEnd - 1] | 0x80,
+    payload: buffer.subarray(headerEnd, element.dataEnd)
+  };
+}
+
+// Clusterを解析してブロックを追加し、次の要素の位置を返す
+function parseCluster(buffer, cluster, blocks) {
+  let offset = cluster.dataStart;
+  let clusterTimecode = 0;
+
+  while (offset < cluster.dataEnd) {
+    const element = readElementHeader(buffer, offset);
+    if (!element) return buffer.length;
+
+    // サイズ不定のClusterは子要素以外が現れた位置で終了
+    if (cluster.size === null && !CLUSTER_CHILDREN.has(element.id)) {
+      return offset;
+    }
+    if (element.size === null || element.truncated) {
+      return buffer.length;
+    }
+
+    if (element.id === ID.CLUSTER_TIMECODE) {
+      clusterTimecode = readUint(buffer, element);
+    } else if (element.id === ID.SIMPLE_BLOCK) {
+      const block = parseBlock(buffer, element, clusterTimecode, true);
+      if (block) blocks.push(block);
+    } else if (element.id === ID.BLOCK_GROUP) {
+      for (const child of children(buffer, element.dataStart, element.dataEnd)) {
+        if (child.id === ID.BLOCK) {
+          const block = parseBlock(buffer, child, clusterTimecode, false);
+          if (block) blocks.push(block);
+        }
+      }
+    }
+
+    offset = element.dataStart + element.size;
+  }
+
+  return cluster.dataEnd;
+}
+
+// WebMを解析（解析できない場合はnull）
+export function parseWebm(buffer) {
+  const ebml = readElementHeader(buffer, 0);
+  if (!ebml || ebml.id !== ID.EBML || ebml.size === null) return null;
+
+  const segment = readElementHeader(buffer, ebml.dataEnd);
+  if (!segment || segment.id !== ID.SEGMENT) return null;
+
+  let timecodeScale = 1000000; // 既定値: 1ms
+  let infoBytes = null;
+  let tracksBytes = null;
+  let trackInfo = { codec: null, sampleRate: null, channels: null };
+  const blocks = [];
+
+  let offset = segment.dataStart;
+  while (offset < segment.dataEnd) {
+    const element = readElementHeader(buffer, offset);
+    if (!element) break;
+
+    if (element.id === ID.CLUSTER) {
+      offset = parseCluster(buffer, element, blocks);
+      continue;
+    }
+    if (element.size === null) break;
+
+    if (element.id === ID.INFO) {
+      infoBytes = buffer.subarray(offset, element.dataEnd);
+      for (const child of children(buffer, element.dataStart, element.dataEnd)) {
+        if (child.id === ID.TIMECODE_SCALE) timecodeScale = readUint(buffer, child) || timecodeScale;
+      }
+    } else if (element.id === ID.TRACKS) {
+      tracksBytes = buffer.subarray(offset, element.dataEnd);
+      trackInfo = parseTracks(buffer, element);
+    }
+
+    offset = element.dataStart + element.size;
+  }
+
+  if (!tracksBytes || blocks.length === 0) return null;
+
+  const secondsPerTick = timecodeScale / 1e9;
+  const isOpus = trackInfo.codec === 'A_OPUS';
+  const firstTimecode = blocks[0].timecode;
+
+  const units = blocks.map((block, index) => {
+    const start = (block.timecode - firstTimecode) * secondsPerTick;
+    const next = blocks[index + 1];
+    const end = next
+      ? (next.timecode - firstTimecode) * secondsPerTick
+      : start + (isOpus ? getOpusPacketSamples(block.payload) / 48000 : 0.02);
+    return {
+      start,
+      end: Math.max(end, start),
+      // Opus（VBR）は無音部分のパケットが小さくなるため、サイズを音量の目安に使う
+      energy: block.payload.length
+    };
+  });
+
+  return {
+    container: 'webm',
+    codec: trackInfo.codec,
+    sampleRate: trackInfo.sampleRate,
+    channels: trackInfo.channels,
+    duration: units[units.length - 1].end,
+    units,
+    // units[startIndex, endIndex) を独立したWebMとして書き出す（タイムコードは0起点）
+    build(startIndex, endIndex) {
+      const header = Buffer.from(buffer.subarray(0, ebml.dataEnd));
+      return buildWebm(header, infoBytes, tracksBytes, blocks.slice(startIndex, endIndex));
+    }
+  };
+}
+
+// 要素を書き出す（サイズは8バイトのvint）
+function element(id, data) {
+  const idLength = Math.max(1, Math.ceil(Math.log2(id + 1) / 8));
+  const head = Buffer.alloc(idLength + 8);
+  head.writeUIntBE(id, 0, idLength);
+  head[idLength] = 0x01;
+  head.writeUIntBE(data.length, idLength + 2, 6);
+  return Buffer.concat([head, data]);
+}
+
+function uintElement(id, value) {
+  const data = Buffer.alloc(6);
+  data.writeUIntBE(value, 0, 6);
+  return element(id, data);
+}
+
+function buildWebm(ebmlHeader, infoBytes, tracksBytes, blocks) {
+  const segmentChildren = [];
+  if (infoBytes) segmentChildren.push(infoBytes);
+  segmentChildren.push(tracksBytes);
+
+  const baseTimecode = blocks[0].timecode;
+  let index = 0;
+
+  while (index < blocks.length) {
+    const clusterTimecode = blocks[index].timecode - baseTimecode;
+    const clusterParts = [uintElement(ID.CLUSTER_TIMECODE, clusterTimecode)];
+
+    while (index < blocks.length && blocks[index].timecode - baseTimecode - clusterTimecode <= MAX_RELATIVE_TIMECODE) {
+      const block = blocks[index];
+      const blockHeader = Buffer.alloc(3);
+      blockHeader.writeInt16BE(block.timecode - baseTimecode - clusterTimecode, 0);
+      blockHeader[2] = block.flags;
+      clusterParts.push(element(ID.SIMPLE_BLOCK, Buffer.concat([block.trackBytes, blockHeader, block.payload])));
+      index++;
+    }
+
+    segmentChildren.push(element(ID.CLUSTER, Buffer.concat(clusterParts)));
+  }
+
+  return Buffer.concat([ebmlHeader, element(ID.SEGMENT, Buffer.concat(segmentChildren))]);
+}
@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWebm } from './webm-container.js';
+
+// EBML要素（サイズは最短のvint、size: null はサイズ不定）
+function element(id, content, size = content.length) {
+  const idBytes = Buffer.from(id.toString(16).padStart(id > 0xffffff ? 8 : id > 0xffff ? 6 : id > 0xff ? 4 : 2, '0'), 'hex');
+  let sizeBytes;
+  if (size === null) {
+    sizeBytes = Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+  } else if (size < 0x7f) {
+    sizeBytes = Buffer.from([0x80 | size]);
+  } else {
+    sizeBytes = Buffer.from([0x40 | (size >> 8), size & 0xff]);
+  }
+  return Buffer.concat([idBytes, sizeBytes, content]);
+}
+
+const uint = (id, value, length = 1) => {
+  const data = Buffer.alloc(length);
+  data.writeUIntBE(value, 0, length);
+  return element(id, data);
+};
+
+const float = (id, value) => {
+  const data = Buffer.alloc(8);
+  data.writeDoubleBE(value, 0);
+  return element(id, data);
+};
+
+// Opusパケット（20ms, SILK）。サイズで音量の目安が変わる
+const opusPacket = (size) => Buffer.concat([Buffer.from([1 << 3]), Buffer.alloc(size - 1, 0x55)]);
+
+const simpleBlock = (relativeTimecode, payload) => {
+  const header = Buffer.alloc(4);
+  header[0] = 0x81; // トラック番号 1
+  header.writeInt16BE(relativeTimecode, 1);
+  header[3] = 0x80; // キーフレーム
+  return element(0xa3, Buffer.concat([header, payload]));
+};
+
+const blockGroup = (relativeTimecode, payload) => {
+  const header = Buffer.alloc(4);
+  header[0] = 0x81;
+  header.writeInt16BE(relativeTimecode, 1);
+  return element(0xa0, element(0xa1, Buffer.concat([header, payload])));
+};
+
+const cluster = (timecode, blocks, { unknownSize = false } = {}) => {
+  const content = Buffer.concat([uint(0xe7, timecode, 2), ...blocks]);
+  return element(0x1f43b675, content, unknownSize ? null : content.length);
+};
+
+// MediaRecorder と同じく Segment・Cluster のサイズが不定の WebM
+function createWebm(clusters, { codec = 'A_OPUS', timecodeScale = 1000000 } = {}) {
+  const header = element(0x1a45dfa3, Buffer.concat([
+    uint(0x4286, 1),
+    element(0x4282, Buffer.from('webm', 'ascii'))
+  ]));
+  const info = element(0x1549a966, uint(0x2ad7b1, timecodeScale, 3));
+  const tracks = element(0x1654ae6b, element(0xae, Buffer.concat([
+    uint(0xd7, 1),
+    element(0x86, Buffer.from(codec, 'ascii')),
+    element(0xe1, Buffer.concat([float(0xb5, 48000), uint(0x9f, 2)]))
+  ])));
+  const segment = Buffer.concat([info, tracks, ...clusters]);
+  return Buffer.concat([header, element(0x18538067, segment, null)]);
+}
+
+const sizes = [40, 10, 10, 60, 50];
+
+function createRecording() {
+  return createWebm([
+    cluster(0, [
+      simpleBlock(0, opusPacket(sizes[0])),
+      simpleBlock(20, opusPacket(sizes[1])),
+      blockGroup(40, opusPacket(sizes[2]))
+    ], { unknownSize: true }),
+    cluster(60, [
+      simpleBlock(0, opusPacket(sizes[3])),
+      simpleBlock(20, opusPacket(sizes[4]))
+    ], { unknownSize: true })
+  ]);
+}
+
+const countClusters = (buffer) => {
+  const id = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+  let count = 0;
+  for (let offset = buffer.indexOf(id); offset !== -1; offset = buffer.indexOf(id, offset + 1)) count++;
+  return count;
+};
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+describe('parseWebm', () => {
+  it('サイズ不定の Segment・Cluster からトラック情報とブロックを読む', () => {
+    const audio = parseWebm(createRecording());
+
+    assert.equal(audio.container, 'webm');
+    assert.equal(audio.codec, 'A_OPUS');
+    assert.equal(audio.sampleRate, 48000);
+    assert.equal(audio.channels, 2);
+    assert.deepEqual(audio.units.map(unit => [round(unit.start), round(unit.end), unit.energy]), [
+      [0, 0.02, 40], [0.02, 0.04, 10], [0.04, 0.06, 10], [0.06, 0.08, 60], [0.08, 0.1, 50]
+    ]);
+    assert.equal(round(audio.duration), 0.1);
+  });
+
+  it('TimecodeScale に合わせて秒にする', () => {
+    // 1ティック = 0.5ms
+    const audio = parseWebm(createWebm([
+      cluster(100, [simpleBlock(0, opusPacket(10)), simpleBlock(40, opusPacket(10))])
+    ], { timecodeScale: 500000 }));
+
+    assert.deepEqual(audio.units.map(unit => round(unit.start)), [0, 0.02]);
+  });
+
+  it('途中で途切れたファイルは読めたブロックまで', () => {
+    const recording = createRecording();
+    const audio = parseWebm(recording.subarray(0, recording.length - 20));
+
+    assert.equal(audio.units.length, sizes.length - 1);
+  });
+
+  it('WebM でない・ブロックやトラックが無ければ null', () => {
+    assert.equal(parseWebm(Buffer.from('not a webm file')), null);
+    assert.equal(parseWebm(createWebm([])), null);
+    assert.equal(parseWebm(createRecording().subarray(0, 60)), null);
+  });
+});
+
+describe('parseWebm().build', () => {
+  it('範囲のブロックだけの WebM を書き出し、タイムコードは0起点にする', () => {
+    const audio = parseWebm(createRecording());
+    const chunk = parseWebm(audio.build(1, 4));
+
+    assert.equal(chunk.codec, 'A_OPUS');
+    assert.equal(chunk.channels, 2);
+    assert.deepEqual(chunk.units.map(unit => [round(unit.start), round(unit.end), unit.energy]), [
+      [0, 0.02, 10], [0.02, 0.04, 10], [0.04, 0.06, 60]
+    ]);
+  });
+
+  it('相対タイムコードが int16 に収まらなければ Cluster を分ける', () => {
+    const audio = parseWebm(createWebm([
+      cluster(0, [simpleBlock(0, opusPacket(10))]),
+      cluster(40000, [simpleBlock(0, opusPacket(20))]),
+      cluster(40020, [simpleBlock(0, opusPacket(30))])
+    ]));
+    const chunk = audio.build(0, 3);
+
+    assert.equal(countClusters(chunk), 2);
+    assert.deepEqual(parseWebm(chunk).units.map(unit => [round(unit.start), unit.energy]), [[0, 10], [40, 20], [40.02, 30]]);
+  });
+});
@@ -1,42 +1,91 @@
-import { SpeechClient } from '@google-cloud/speech';
-import workloadIdentityManager from '../auth/workload-identity-setup.js';
-import { speechConfig, errorMessages } from '../config/speech-config.js';
+import { createSTTProvider } from './providers/index.js';
+import { parseChunkableAudio, splitAudio } from './audio/audio-chunker.js';
+import { stitchChunkResults, buildSpeakerSegments } from './audio/transcript-stitcher.js';
+import { inspectAudio, normalizeAudio, AudioFormatError } from './audio/audio-normalizer.js';
+import rateLimiter, { RateLimitError } from './limits/rate-limiter.js';
+import phraseService from './phrases/phrase-service.js';
+import { STTError } from '../errors/stt-error.js';
+import logger from './observability/logger.js';
+import metrics from './observability/metrics.js';
+import { speechConfig } from '../config/speech-config.js';
+
+// 候補言語の指定（配列、カンマ区切り文字列、JSON配列の文字列）を配列に変換
+export function parseLanguageList(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(String);
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed.map(String);
+    } catch {
+      // カンマ区切りとして扱う
+    }
+  }
+  return text.split(',').map(code => code.trim()).filter(Boolean);
+}
 
+// プロバイダーが返した言語コードを要求した言語の表記に合わせる（Googleは小文字で返す）
+export function matchLanguage(detected, config) {
+  const candidates = [config.languageCode, ...(config.alternativeLanguageCodes || [])];
+  if (!detected) return config.languageCode;
+  return candidates.find(code => code.toLowerCase() === detected.toLowerCase()) || detected;
+}
+
+// レスポンス用の話者分離設定（無効ならnull）
+export function formatDiarization(diarization) {
+  return diarization
+    ? { minSpeakers: diarization.minSpeakerCount, maxSpeakers: diarization.maxSpeakerCount }
+    : null;
+}
+
+// フォームの値（"true" / "1" 等）を真偽値に変換
+function parseFlag(value) {
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'on', 'yes'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+// チャンクごとの判定結果から音声全体の言語を決める（文字数の多い言語を採用）
+function dominantLanguage(results, fallback) {
+  const weights = new Map();
+  for (const result of results) {
+    if (!result.detectedLanguage || !result.transcription) continue;
+    weights.set(result.detectedLanguage, (weights.get(result.detectedLanguage) || 0) + result.transcription.length);
+  }
+
+  let best = fallback;
+  let bestWeight = 0;
+  for (const [language, weight] of weights) {
+    if (weight > bestWeight) {
+      best = language;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+// 文字起こしサービス（検証・正規化・利用量の記録を担当し、認識処理は設定されたプロバイダーに委譲）
 class GoogleSTTService {
   constructor() {
-    this.speechClient = null;
+    this.provider = null;
     this.initialized = false;
-    this.requestCount = new Map(); // レート制限用
   }
 
   // サービス初期化
   async initialize() {
     try {
-      console.log('STT Service: Step 1 - Initializing Google STT Service...');
-      
-      // Workload Identity認証
-      console.log('STT Service: Step 2 - Calling workloadIdentityManager.initialize()...');
-      await workloadIdentityManager.initialize();
-      console.log('STT Service: Step 3 - workloadIdentityManager.initialize() completed. Getting authenticated client...');
+      logger.info('STT service initializing', { provider: speechConfig.provider });
       
-      const authClient = await workloadIdentityManager.getAuthenticatedClient();
-      console.log('STT Service: Step 4 - Authenticated client obtained.');
-      
-      // Speech Clientを初期化
-      const projectId = await workloadIdentityManager.getProjectId();
-      console.log(`STT Service: Step 5 - Project ID obtained: ${projectId}. Initializing SpeechClient...`);
-      
-      this.speechClient = new SpeechClient({
-        projectId:projectId,
-        auth: authClient
-      });
+      this.provider = createSTTProvider(speechConfig.provider);
+      await this.provider.initialize();
       
       this.initialized = true;
-      console.log('STT Service: Step 6 - Google STT Service initialized successfully.');
+      logger.info('STT service initialized', { provider: speechConfig.provider });
       
     } catch (error) {
-      console.error('Google STT Service initialization failed:', error);
-      throw new Error('STTサービスの初期化に失敗しました');
+      logger.error('STT service initialization failed', { error });
+      throw new STTError('PROVIDER_UNAVAILABLE', { detail: error.message, cause: error });
     }
   }
 
@@ -44,47 +93,94 @@ class GoogleSTTService {
   validateAudioFile(audioBuffer, format) {
     // ファイルサイズチェック
     if (audioBuffer.length > speechConfig.maxFileSize) {
-      throw new Error(errorMessages.FILE_TOO_LARGE);
+      throw new AudioFormatError('FILE_TOO_LARGE', `size=${audioBuffer.length}`);
     }
 
     // フォーマットチェック
     if (!speechConfig.supportedFormats.includes(format.toLowerCase())) {
-      throw new Error(errorMessages.UNSUPPORTED_FORMAT);
+      throw new AudioFormatError('UNSUPPORTED_FORMAT', `format=${format}`);
     }
 
     // 音声長チェック（概算）
     const estimatedDuration = audioBuffer.length / (speechConfig.sampleRateHertz * 2); // 16bit想定
     if (estimatedDuration > speechConfig.maxAudioLength) {
-      throw new Error(errorMessages.AUDIO_TOO_LONG);
+      throw new AudioFormatError('AUDIO_TOO_LONG', `estimated=${estimatedDuration.toFixed(1)}s`);
     }
 
     return true;
   }
 
-  // レート制限チェック
-  checkRateLimit(clientId) {
-    const now = Date.now();
-    const clientRequests = this.requestCount.get(clientId) || [];
-    
-    // 1分以内のリクエスト数をカウント
-    const recentRequests = clientRequests.filter(time => now - time < 60000);
-    
-    if (recentRequests.length >= speechConfig.rateLimitPerMinute) {
-      throw new Error(errorMessages.RATE_LIMIT_EXCEEDED);
+  // 受付時の事前チェック（サイズと実際のフォーマット。変換はしない）
+  inspectAudio(audioBuffer, format) {
+    if (audioBuffer.length > speechConfig.maxFileSize) {
+      throw new AudioFormatError('FILE_TOO_LARGE', `size=${audioBuffer.length}`);
     }
+    return inspectAudio(audioBuffer, format);
+  }
 
-    // 1時間以内のリクエスト数をカウント
-    const hourlyRequests = clientRequests.filter(time => now - time < 3600000);
-    
-    if (hourlyRequests.length >= speechConfig.rateLimitPerHour) {
-      throw new Error(errorMessages.RATE_LIMIT_EXCEEDED);
+  // 主言語と候補言語を検証（プロバイダーが対応する言語のみ。候補の指定が無ければ既定の候補言語）
+  // 戻り値: { languageCode, alternativeLanguageCodes }
+  resolveLanguages(language, alternativeLanguages) {
+    const supported = this.getCapabilities().languages;
+    const languageCode = language || speechConfig.languageCode;
+
+    if (!supported.includes(languageCode)) {
+      throw new STTError('UNSUPPORTED_LANGUAGE', { detail: `language=${languageCode}` });
     }
 
-    // リクエスト記録を更新
-    recentRequests.push(now);
-    this.requestCount.set(clientId, recentRequests);
-    
-    return true;
+    const requested = parseLanguageList(alternativeLanguages);
+    const candidates = (requested ?? speechConfig.alternativeLanguageCodes)
+      .filter((code, index, list) => code !== languageCode && list.indexOf(code) === index);
+
+    // 既定の候補言語はプロバイダーが対応していなければ外す（明示された場合はエラー）
+    const unsupported = candidates.filter(code => !supported.includes(code));
+    if (requested && unsupported.length > 0) {
+      throw new STTError('UNSUPPORTED_LANGUAGE', { detail: `alternativeLanguages=${unsupported.join(',')}` });
+    }
+    if (candidates.length > speechConfig.maxAlternativeLanguages) {
+      throw new STTError('INVALID_REQUEST', { detail: `at most ${speechConfig.maxAlternativeLanguages} alternative languages` });
+    }
+
+    return {
+      languageCode,
+      alternativeLanguageCodes: candidates.filter(code => supported.includes(code))
+    };
+  }
+
+  // 認識モデルを検証（指定が無ければ既定のモデル）
+  resolveModel(model) {
+    if (!model) return speechConfig.model;
+
+    if (!this.getCapabilities().models.includes(model)) {
+      throw new STTError('UNSUPPORTED_MODEL', { detail: `model=${model}` });
+    }
+    return model;
+  }
+
+  // 話者分離の指定を検証（無効ならnull）
+  // 戻り値: { minSpeakerCount, maxSpeakerCount }
+  resolveDiarization(enabled, minSpeakers, maxSpeakers) {
+    if (!parseFlag(enabled)) return null;
+
+    const parseCount = (value, name) => {
+      if (value === undefined || value === null || value === '') return null;
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < 1 || count > speechConfig.maxDiarizationSpeakers) {
+        throw new STTError('INVALID_REQUEST', { detail: `${name} must be an integer between 1 and ${speechConfig.maxDiarizationSpeakers}` });
+      }
+      return count;
+    };
+
+    // 片方だけ指定された場合は、もう片方の既定値を指定に合わせる
+    const min = parseCount(minSpeakers, 'minSpeakers');
+    const max = parseCount(maxSpeakers, 'maxSpeakers');
+    const minSpeakerCount = min ?? Math.min(speechConfig.diarizationMinSpeakers, max ?? Infinity);
+    const maxSpeakerCount = max ?? Math.max(speechConfig.diarizationMaxSpeakers, minSpeakerCount);
+    if (minSpeakerCount > maxSpeakerCount) {
+      throw new STTError('INVALID_REQUEST', { detail: 'minSpeakers must not exceed maxSpeakers' });
+    }
+
+    return { minSpeakerCount, maxSpeakerCount };
   }
 
   // 音声フォーマットに応じたエンコーディング設定
@@ -99,6 +195,42 @@ class GoogleSTTService {
     return formatMap[format.toLowerCase()] || 'WEBM_OPUS';
   }
 
+  // 認識リクエスト設定を生成
+  buildRecognitionConfig(encoding, options = {}) {
+    return {
+      encoding: encoding,
+      sampleRateHertz: options.sampleRate || speechConfig.sampleRateHertz,
+      languageCode: options.languageCode || speechConfig.languageCode,
+      alternativeLanguageCodes: options.alternativeLanguageCodes ?? speechConfig.alternativeLanguageCodes,
+      enableAutomaticPunctuation: speechConfig.enableAutomaticPunctuation,
+      enableWordTimeOffsets: speechConfig.enableWordTimeOffsets,
+      enableWordConfidence: speechConfig.enableWordConfidence,
+      model: options.model || speechConfig.model,
+      useEnhanced: speechConfig.useEnhanced,
+      
+      // Android向け最適化設定
+      audioChannelCount: options.channels || 1, // 正規化後は基本的にモノラル
+      enableSeparateRecognitionPerChannel: false,
+      
+      // 精度向上設定
+      profanityFilter: false, // 日本語では無効
+      enableSpokenPunctuation: true,
+      enableSpokenEmojis: false,
+      
+      // カスタム語彙（クライアントのフレーズセット）
+      ...(options.speechContexts?.length > 0 && { speechContexts: options.speechContexts }),
+      
+      // 話者分離（単語ごとに話者番号を付ける）
+      ...(options.diarization && {
+        diarizationConfig: {
+          enableSpeakerDiarization: true,
+          minSpeakerCount: options.diarization.minSpeakerCount,
+          maxSpeakerCount: options.diarization.maxSpeakerCount
+        }
+      })
+    };
+  }
+
   // 音声を文字起こし（メイン処理）
   async transcribeAudio(audioBuffer, format, options = {}) {
     try {
@@ -108,104 +240,63 @@ class GoogleSTTService {
 
       const startTime = Date.now();
       
-      // 入力検証
+      // 入力検証（レート制限は呼び出し元で1リクエスト単位に行う）
       this.validateAudioFile(audioBuffer, format);
-      
-      // レート制限チェック
-      const clientId = options.clientId || 'default';
-      this.checkRateLimit(clientId);
 
       // 音声認識設定
       const encoding = this.getEncodingConfig(format);
-      const config = {
-        encoding: encoding,
-        sampleRateHertz: options.sampleRate || speechConfig.sampleRateHertz,
-        languageCode: options.languageCode || speechConfig.languageCode,
-        alternativeLanguageCodes: speechConfig.alternativeLanguageCodes,
-        enableAutomaticPunctuation: speechConfig.enableAutomaticPunctuation,
-        enableWordTimeOffsets: speechConfig.enableWordTimeOffsets,
-        enableWordConfidence: speechConfig.enableWordConfidence,
-        model: speechConfig.model,
-        useEnhanced: speechConfig.useEnhanced,
-        
-        // Android向け最適化設定
-        audioChannelCount: 1, // モノラル
-        enableSeparateRecognitionPerChannel: false,
-        
-        // 精度向上設定
-        profanityFilter: false, // 日本語では無効
-        enableSpokenPunctuation: true,
-        enableSpokenEmojis: false
-      };
-
-      const audio = {
-        content: audioBuffer.toString('base64')
-      };
-
-      const request = {
-        config: config,
-        audio: audio
-      };
-
-      console.log('Starting speech recognition...');
-      console.log('Audio size:', audioBuffer.length, 'bytes');
-      console.log('Format:', format, '-> Encoding:', encoding);
+      const config = this.buildRecognitionConfig(encoding, options);
+
+      const operation = options.longRunning ? 'recognize_long' : 'recognize';
+      logger.debug('Speech recognition started', {
+        provider: this.provider.name,
+        operation,
+        audioSize: audioBuffer.length,
+        format,
+        encoding,
+        speechContexts: config.speechContexts?.length || 0,
+        diarization: config.diarizationConfig ? `${config.diarizationConfig.minSpeakerCount}-${config.diarizationConfig.maxSpeakerCount}` : 'off'
+      });
 
-      // Google Cloud Speech-to-Text API呼び出し
-      const [response] = await this.speechClient.recognize(request);
-      
-      const processingTime = Date.now() - startTime;
-      console.log('Speech recognition completed in', processingTime, 'ms');
-
-      // 結果の処理
-      if (!response.results || response.results.length === 0) {
-        return {
-          success: true,
-          transcription: '',
-          confidence: 0,
-          processingTime: processingTime,
-          alternatives: [],
-          wordDetails: []
-        };
+      // プロバイダー呼び出し（分割できない長時間音声は非同期認識）
+      const endTimer = metrics.providerDuration.startTimer({ provider: this.provider.name, operation });
+      let recognition;
+      try {
+        recognition = options.longRunning
+          ? await this.provider.recognizeLong(audioBuffer, config)
+          : await this.provider.recognize(audioBuffer, config);
+        endTimer({ outcome: 'success' });
+      } catch (error) {
+        endTimer({ outcome: 'error' });
+        throw error;
       }
-
-      // 最も信頼度の高い結果を取得
-      const bestResult = response.results[0];
-      const bestAlternative = bestResult.alternatives[0];
       
-      // 代替候補を取得
-      const alternatives = bestResult.alternatives.slice(1, 3).map(alt => ({
-        transcript: alt.transcript,
-        confidence: alt.confidence || 0
-      }));
-
-      // 単語レベルの詳細情報
-      const wordDetails = bestAlternative.words ? bestAlternative.words.map(word => ({
-        word: word.word,
-        startTime: word.startTime ? parseFloat(word.startTime.seconds || 0) + (word.startTime.nanos || 0) / 1e9 : 0,
-        endTime: word.endTime ? parseFloat(word.endTime.seconds || 0) + (word.endTime.nanos || 0) / 1e9 : 0,
-        confidence: word.confidence || 0
-      })) : [];
+      const processingTime = Date.now() - startTime;
+      const detectedLanguage = matchLanguage(recognition.languageCode, config);
 
       const result = {
         success: true,
-        transcription: bestAlternative.transcript || '',
-        confidence: bestAlternative.confidence || 0,
+        transcription: recognition.transcription,
+        confidence: recognition.confidence,
         processingTime: processingTime,
-        alternatives: alternatives,
-        wordDetails: wordDetails,
+        alternatives: recognition.alternatives,
+        wordDetails: recognition.wordDetails,
+        detectedLanguage,
+        segments: config.diarizationConfig ? buildSpeakerSegments(recognition.wordDetails, detectedLanguage) : [],
         
         // デバッグ情報
         debug: {
-          totalResults: response.results.length,
+          provider: this.provider.name,
+          totalResults: recognition.totalResults,
           encoding: encoding,
           sampleRate: config.sampleRateHertz,
           audioSize: audioBuffer.length
         }
       };
 
-      console.log('Transcription result:', {
-        text: result.transcription,
+      // 文字起こし結果はロガー側でマスクされる（LOG_TRANSCRIPTS=true で出力）
+      logger.debug('Speech recognition completed', {
+        transcription: result.transcription,
         confidence: result.confidence,
         processingTime: result.processingTime
       });
@@ -213,102 +304,176 @@ class GoogleSTTService {
       return result;
 
     } catch (error) {
-      console.error('Speech recognition error:', error);
-      
-      // エラーの種類に応じた処理
-      if (error.code === 3) { // INVALID_ARGUMENT
-        throw new Error(errorMessages.UNSUPPORTED_FORMAT);
-      } else if (error.code === 8) { // RESOURCE_EXHAUSTED
-        throw new Error(errorMessages.RATE_LIMIT_EXCEEDED);
-      } else if (error.code === 16) { // UNAUTHENTICATED
-        throw new Error(errorMessages.AUTHENTICATION_FAILED);
-      } else if (error.message.includes('rate limit') || error.message.includes('quota')) {
-        throw new Error(errorMessages.RATE_LIMIT_EXCEEDED);
-      } else {
-        throw new Error(errorMessages.TRANSCRIPTION_FAILED + ': ' + error.message);
-      }
+      logger.warn('Speech recognition failed', { code: error.code, error });
+      throw error;
     }
   }
 
-  // 長時間音声の分割処理
+  // ストリーミング認識セッションを開始（PCM 16bit モノラル）
+  async createStream(options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    // レート制限・音声秒数の上限チェック（1セッション = 1リクエスト）
+    const clientId = options.clientId || 'default';
+    const limit = await rateLimiter.hit(clientId);
+    if (!limit.allowed) {
+      throw new RateLimitError('RATE_LIMIT_EXCEEDED', limit.retryAfter);
+    }
+    await rateLimiter.checkAudio(clientId);
+
+    const speechContexts = options.speechContexts ?? await phraseService.getSpeechContexts(clientId);
+    const config = this.buildRecognitionConfig('LINEAR16', { ...options, speechContexts });
+    logger.info('Streaming recognition started', {
+      provider: this.provider.name,
+      sampleRate: config.sampleRateHertz,
+      language: config.languageCode,
+      alternativeLanguages: config.alternativeLanguageCodes,
+      speechContexts: speechContexts.length
+    });
+
+    return this.provider.createStream(config);
+  }
+
+  // 音声を正規化して文字起こし（アップロード・ジョブ共通の入口）
+  // 長時間音声はコンテナを解析してパケット/サンプル単位で、できるだけ無音の位置で分割し、
+  // 重なり部分の単語を除去して1本のタイムラインに統合する
   async transcribeLongAudio(audioBuffer, format, options = {}) {
     try {
-      // 5分以上の音声は分割処理
-      const maxChunkSize = 4 * 1024 * 1024; // 4MB chunks
-      
-      if (audioBuffer.length <= maxChunkSize) {
-        return await this.transcribeAudio(audioBuffer, format, options);
+      if (audioBuffer.length > speechConfig.maxFileSize) {
+        throw new AudioFormatError('FILE_TOO_LARGE', `size=${audioBuffer.length}`);
       }
 
-      console.log('Processing long audio in chunks...');
-      
-      const chunks = [];
-      for (let i = 0; i < audioBuffer.length; i += maxChunkSize) {
-        chunks.push(audioBuffer.slice(i, i + maxChunkSize));
-      }
+      // 実際のフォーマットを判定し、必要ならプロバイダーが扱える形式に変換
+      // サンプルレート・チャンネル数はクライアントの申告ではなく音声から取得した値を使う
+      const normalized = await normalizeAudio(audioBuffer, format);
+      const audioInfo = {
+        originalFormat: normalized.originalFormat,
+        format: normalized.format,
+        codec: normalized.codec,
+        sampleRate: normalized.sampleRate,
+        channels: normalized.channels,
+        transcoded: normalized.transcoded
+      };
+      metrics.normalized.inc({ container: normalized.originalFormat, transcoded: normalized.transcoded });
 
-      const results = [];
-      let totalProcessingTime = 0;
-      
-      for (let i = 0; i < chunks.length; i++) {
-        console.log(`Processing chunk ${i + 1}/${chunks.length}...`);
-        
-        const chunkResult = await this.transcribeAudio(chunks[i], format, {
-          ...options,
-          clientId: `${options.clientId || 'default'}_chunk_${i}`
-        });
-        
-        results.push(chunkResult);
-        totalProcessingTime += chunkResult.processingTime;
-        
-        // チャンク間の待機（レート制限対策）
-        if (i < chunks.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
+      // 1日あたりの音声秒数の上限チェック
+      const clientId = options.clientId || 'default';
+      await rateLimiter.checkAudio(clientId, normalized.duration || 0);
 
-      // 結果をマージ
-      const combinedTranscription = results
-        .map(r => r.transcription)
-        .filter(t => t.length > 0)
-        .join(' ');
-      
-      const averageConfidence = results.length > 0 
-        ? results.reduce((sum, r) => sum + r.confidence, 0) / results.length 
-        : 0;
+      // 呼び出し元が指定しなければクライアントのフレーズセット（とリクエストの追加フレーズ）を使う
+      const speechContexts = options.speechContexts ?? await phraseService.getSpeechContexts(clientId, options.phraseHints);
 
-      return {
-        success: true,
-        transcription: combinedTranscription,
-        confidence: averageConfidence,
-        processingTime: totalProcessingTime,
-        chunks: results.length,
-        alternatives: [],
-        wordDetails: []
-      };
+      const result = await this.transcribeNormalizedAudio(normalized.buffer, normalized.format, {
+        ...options,
+        speechContexts,
+        sampleRate: normalized.sampleRate,
+        channels: normalized.channels
+      });
+
+      const seconds = result.duration || normalized.duration;
+      await rateLimiter.recordAudio(clientId, seconds);
+      metrics.audioSeconds.inc({ mode: 'batch' }, seconds || 0);
+      metrics.chunks.observe({}, result.chunks || 1);
+
+      return { ...result, audio: audioInfo };
 
     } catch (error) {
-      console.error('Long audio transcription error:', error);
+      logger.warn('Transcription failed', { code: error.code, detail: error.detail });
       throw error;
     }
   }
 
+  // 正規化済みの音声を（必要なら分割して）認識
+  async transcribeNormalizedAudio(audioBuffer, format, options) {
+    const audio = parseChunkableAudio(audioBuffer, format);
+
+    // 分割できない形式はプロバイダーの長時間認識に任せる
+    // 話者分離はチャンクをまたぐと話者番号が揃わないため、長い音声も分割せずに長時間認識で処理する
+    if (!audio || (options.diarization && audio.duration > speechConfig.chunkDurationSeconds)) {
+      logger.info('Using long-running recognition', { format, reason: audio ? 'diarization' : 'not_splittable' });
+      const result = await this.transcribeAudio(audioBuffer, format, { ...options, longRunning: true });
+      return audio ? { ...result, duration: audio.duration } : result;
+    }
+
+    if (audio.duration <= speechConfig.chunkDurationSeconds) {
+      const result = await this.transcribeAudio(audioBuffer, format, options);
+      return { ...result, duration: audio.duration };
+    }
+
+    const chunks = splitAudio(audio, {
+      chunkSeconds: speechConfig.chunkDurationSeconds,
+      searchSeconds: speechConfig.chunkSilenceSearchSeconds,
+      overlapSeconds: speechConfig.chunkOverlapSeconds
+    });
+
+    logger.info('Processing long audio in chunks', { chunks: chunks.length, duration: audio.duration });
+
+    const results = [];
+    let totalProcessingTime = 0;
+    
+    // 進捗通知（非同期ジョブ用）
+    if (options.onProgress) {
+      await options.onProgress({ completedChunks: 0, totalChunks: chunks.length });
+    }
+    
+    for (let i = 0; i < chunks.length; i++) {
+      // キャンセル要求はチャンクの切れ目で確認
+      if (options.signal?.aborted) {
+        throw new STTError('TRANSCRIPTION_CANCELLED');
+      }
+      
+      logger.debug('Processing chunk', {
+        chunk: i + 1,
+        chunks: chunks.length,
+        startTime: chunks[i].startTime,
+        endTime: chunks[i].endTime
+      });
+      
+      const chunkResult = await this.transcribeAudio(chunks[i].buffer, format, options);
+      
+      results.push(chunkResult);
+      totalProcessingTime += chunkResult.processingTime;
+      
+      if (options.onProgress) {
+        await options.onProgress({ completedChunks: i + 1, totalChunks: chunks.length });
+      }
+      
+      // チャンク間の待機（プロバイダーのレート制限対策）
+      if (i < chunks.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+
+    // 結果をマージ（単語の時刻は元音声の先頭からの秒数。単語の連結方法は判定した言語に合わせる）
+    // 認識候補はチャンクごとの差分を全体の文字起こしに当てはめ、発言区間は統合後の単語の話者番号から組み立てる
+    // （話者分離を指定した長い音声は分割しないため、発言区間は通常は空）
+    const detectedLanguage = dominantLanguage(results, options.languageCode || speechConfig.languageCode);
+    const stitched = stitchChunkResults(chunks, results, detectedLanguage);
+
+    return {
+      success: true,
+      transcription: stitched.transcription,
+      confidence: stitched.confidence,
+      processingTime: totalProcessingTime,
+      chunks: results.length,
+      duration: audio.duration,
+      alternatives: stitched.alternatives,
+      wordDetails: stitched.wordDetails,
+      detectedLanguage,
+      segments: buildSpeakerSegments(stitched.wordDetails, detectedLanguage)
+    };
+  }
+
   // サービス状態チェック
   async healthCheck() {
     try {
       if (!this.initialized) {
-        return { status: 'not_initialized' };
+        return { status: 'not_initialized', provider: speechConfig.provider };
       }
 
-      // 認証状態チェック
-      const isAuthenticated = workloadIdentityManager.isAuthenticated();
-      
-      return {
-        status: 'healthy',
-        authenticated: isAuthenticated,
-        initialized: this.initialized,
-        timestamp: new Date().toISOString()
-      };
+      return await this.provider.health();
       
     } catch (error) {
       return {
@@ -319,14 +484,23 @@ class GoogleSTTService {
     }
   }
 
+  // プロバイダーの対応機能
+  getCapabilities() {
+    if (!this.provider) {
+      return createSTTProvider(speechConfig.provider).capabilities();
+    }
+    return this.provider.capabilities();
+  }
+
   // 統計情報取得
-  getStats() {
-    const totalRequests = Array.from(this.requestCount.values())
-      .reduce((sum, requests) => sum + requests.length, 0);
+  async getStats() {
+    const usage = await rateLimiter.getStats();
     
     return {
-      totalRequests: totalRequests,
-      activeClients: this.requestCount.size,
+      totalRequests: usage.totalRequests,
+      activeClients: usage.activeClients,
+      audioSeconds: usage.audioSeconds,
+      provider: speechConfig.provider,
       initialized: this.initialized,
       uptime: process.uptime()
     };
@@ -0,0 +1,66 @@
+import { promises as dns } from 'dns';
+import net from 'net';
+import { STTError } from '../../errors/stt-error.js';
+import { speechConfig } from '../../config/speech-config.js';
+
+// ジョブのコールバックURLの検証（サーバーから内部ネットワークへリクエストを送らせない）
+// - http(s) のみ
+// - JOB_CALLBACK_ORIGINS を設定した場合は、そのオリジンだけを許可
+// - 設定していない場合は、ホスト名を解決したアドレスがすべて公開アドレスのときだけ許可
+
+// 公開アドレスでない範囲（ループバック・プライベート・リンクローカル・予約済み等）
+// IPv4射影アドレス（::ffff:127.0.0.1 等）は IPv4 の範囲で判定される
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function invalid(detail) {
+  return new STTError('INVALID_REQUEST', { detail });
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// 許可するURLなら URL を返し、それ以外は INVALID_REQUEST
+// 登録時と通知の直前の両方で呼ぶ（登録後にDNSの向き先を変えられても内部に送らない）
+export async function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw invalid('callbackUrl must be a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw invalid('callbackUrl must be http(s)');
+  }
+
+  if (speechConfig.jobCallbackOrigins.length > 0) {
+    if (!speechConfig.jobCallbackOrigins.some(origin => URL.canParse(origin) && new URL(origin).origin === url.origin)) {
+      throw invalid('callbackUrl origin is not allowed');
+    }
+    return url;
+  }
+
+  // IPv6 のアドレスは [ ] で囲まれている
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    throw invalid('callbackUrl host could not be resolved');
+  }
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw invalid('callbackUrl must not point to a private or local address');
+  }
+  return url;
+}
@@ -0,0 +1,92 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as dns } from 'dns';
+import { speechConfig } from '../../config/speech-config.js';
+import { isPublicAddress, validateCallbackUrl } from './callback-url.js';
+
+// ホスト名の解決結果を差し替える
+const resolveTo = (...addresses) => mock.method(dns, 'lookup', async () => (
+  addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+));
+
+describe('isPublicAddress', () => {
+  const cases = [
+    ['8.8.8.8', true],
+    ['172.32.0.1', true],
+    ['2001:4860:4860::8888', true],
+    ['::ffff:8.8.8.8', true],
+    ['127.0.0.1', false],
+    ['10.1.2.3', false],
+    ['172.16.0.1', false],
+    ['192.168.1.1', false],
+    ['169.254.169.254', false],
+    ['100.64.0.1', false],
+    ['0.0.0.0', false],
+    ['255.255.255.255', false],
+    ['::1', false],
+    ['::', false],
+    ['::ffff:7f00:1', false],
+    ['fe80::1', false],
+    ['fd00::1', false],
+    ['ff02::1', false],
+    ['localhost', false]
+  ];
+
+  for (const [address, expected] of cases) {
+    it(`${address} は${expected ? '公開' : '非公開'}`, () => {
+      assert.equal(isPublicAddress(address), expected);
+    });
+  }
+});
+
+describe('validateCallbackUrl', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    speechConfig.jobCallbackOrigins = [];
+  });
+
+  it('公開アドレスに解決されるホストを許可する', async () => {
+    const lookup = resolveTo('93.184.216.34', '2606:2800:220:1::1');
+
+    assert.equal((await validateCallbackUrl('https://hooks.example.com/done')).href, 'https://hooks.example.com/done');
+    assert.equal(lookup.mock.calls[0].arguments[0], 'hooks.example.com');
+  });
+
+  it('ループバック・リンクローカル・プライベートアドレスは拒否する', async () => {
+    for (const url of [
+      'http://127.0.0.1:8080/hook',
+      'http://[::1]/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::ffff:10.0.0.1]/hook',
+      'http://0x7f000001/hook'
+    ]) {
+      await assert.rejects(validateCallbackUrl(url), { code: 'INVALID_REQUEST', detail: /private or local/ }, url);
+    }
+  });
+
+  it('解決したアドレスに1つでも非公開のものがあれば拒否する', async () => {
+    resolveTo('93.184.216.34', '192.168.0.10');
+
+    await assert.rejects(validateCallbackUrl('https://rebind.example.com/hook'), { code: 'INVALID_REQUEST' });
+  });
+
+  it('解決できないホスト・http(s) 以外・URL でないものは拒否する', async () => {
+    mock.method(dns, 'lookup', async () => {
+      throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+    });
+
+    await assert.rejects(validateCallbackUrl('https://missing.example.com/'), { detail: /could not be resolved/ });
+    await assert.rejects(validateCallbackUrl('file:///etc/passwd'), { detail: /http\(s\)/ });
+    await assert.rejects(validateCallbackUrl('not a url'), { detail: /valid URL/ });
+  });
+
+  it('JOB_CALLBACK_ORIGINS を設定したら、そのオリジンだけを許可する', async () => {
+    const lookup = resolveTo('10.0.0.5');
+    speechConfig.jobCallbackOrigins = ['http://worker.internal:8080', 'https://hooks.example.com'];
+
+    assert.equal((await validateCallbackUrl('http://worker.internal:8080/jobs/done')).host, 'worker.internal:8080');
+    await assert.rejects(validateCallbackUrl('http://worker.internal:8081/jobs/done'), { detail: /not allowed/ });
+    await assert.rejects(validateCallbackUrl('http://hooks.example.com/'), { detail: /not allowed/ });
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,192 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// 文字起こしジョブの保存先
+// インターフェース: init / create / get / update / list / delete / saveAudio / loadAudio / deleteAudio
+// update の patch は関数でもよい（保存されているジョブを受け取り、変更を返す。null なら書き込まない）
+
+function applyPatch(job, patch) {
+  const changes = typeof patch === 'function' ? patch({ ...job }) : patch;
+  return changes ? { ...job, ...changes, updatedAt: new Date().toISOString() } : null;
+}
+
+// メモリ上に保存（サーバー再起動で消える）
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.audio = new Map();
+  }
+
+  async init() {}
+
+  async create(job) {
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const updated = applyPatch(job, patch);
+    if (!updated) return { ...job };
+    this.jobs.set(id, updated);
+    return { ...updated };
+  }
+
+  async list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter.status || filter.status.includes(job.status))
+      .map(job => ({ ...job }));
+  }
+
+  async delete(id) {
+    this.jobs.delete(id);
+    this.audio.delete(id);
+  }
+
+  async saveAudio(id, buffer) {
+    this.audio.set(id, buffer);
+  }
+
+  async loadAudio(id) {
+    return this.audio.get(id) || null;
+  }
+
+  async deleteAudio(id) {
+    this.audio.delete(id);
+  }
+}
+
+// ファイルに保存（<dir>/<id>.json と <dir>/<id>.audio、再起動後も残る）
+// 同じジョブの読み込み→書き込みは順番に行う（キャンセルと完了が重なっても古い状態で上書きしない）
+export class FileJobStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.locks = new Map(); // ジョブID → 実行中の更新
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  jobPath(id) {
+    // IDはUUIDのみ許可（パス操作を防ぐ）
+    if (!/^[0-9a-f-]{36}$/i.test(id)) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  audioPath(id) {
+    return this.jobPath(id).replace(/\.json$/, '.audio');
+  }
+
+  // 同じジョブの更新を順番に実行
+  exclusive(id, task) {
+    const run = (this.locks.get(id) || Promise.resolve())
+      .catch(() => {})
+      .then(task);
+    const settled = run.catch(() => {});
+    this.locks.set(id, settled);
+    settled.then(() => {
+      if (this.locks.get(id) === settled) this.locks.delete(id);
+    });
+    return run;
+  }
+
+  // 書き込み途中のファイルを読まないよう一時ファイル経由で置き換える（一時ファイルは書き込みごとに別の名前）
+  async writeJob(job) {
+    const target = this.jobPath(job.id);
+    const temp = `${target}.${randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(temp, JSON.stringify(job, null, 2));
+      await fs.rename(temp, target);
+    } catch (error) {
+      await fs.unlink(temp).catch(() => {});
+      throw error;
+    }
+  }
+
+  async create(job) {
+    await this.exclusive(job.id, () => this.writeJob(job));
+    return { ...job };
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.jobPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message.startsWith('Invalid job id')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async update(id, patch) {
+    return this.exclusive(id, async () => {
+      const job = await this.get(id);
+      if (!job) return null;
+
+      const updated = applyPatch(job, patch);
+      if (!updated) return job;
+      await this.writeJob(updated);
+      return updated;
+    });
+  }
+
+  async list(filter = {}) {
+    const files = await fs.readdir(this.directory);
+    const jobs = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const job = await this.get(file.slice(0, -5));
+      if (job && (!filter.status || filter.status.includes(job.status))) {
+        jobs.push(job);
+      }
+    }
+    return jobs;
+  }
+
+  async delete(id) {
+    await this.exclusive(id, () => fs.unlink(this.jobPath(id)).catch(() => {}));
+    await this.deleteAudio(id);
+  }
+
+  async saveAudio(id, buffer) {
+    await fs.writeFile(this.audioPath(id), buffer);
+  }
+
+  async loadAudio(id) {
+    try {
+      return await fs.readFile(this.audioPath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async deleteAudio(id) {
+    await fs.unlink(this.audioPath(id)).catch(() => {});
+  }
+}
+
+// 設定名からストアを生成
+export function createJobStore(name, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(options.directory);
+    default:
+      throw new Error(`Unknown job store: ${name} (available: memory, file)`);
+  }
+}
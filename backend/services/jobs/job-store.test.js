@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileJobStore, MemoryJobStore } from './job-store.js';
+
+const createJob = () => ({
+  id: randomUUID(),
+  status: 'queued',
+  progress: { completedChunks: 0, totalChunks: null },
+  count: 0,
+  createdAt: '2026-10-19T00:00:00.000Z',
+  updatedAt: '2026-10-19T00:00:00.000Z'
+});
+
+// どちらのストアでも成り立つこと
+function describeStore(name, createStore) {
+  describe(name, () => {
+    it('patch を保存されているジョブに重ねる', async () => {
+      const store = await createStore();
+      const job = await store.create(createJob());
+
+      const updated = await store.update(job.id, { status: 'processing' });
+      assert.equal(updated.status, 'processing');
+      assert.notEqual(updated.updatedAt, job.updatedAt);
+      assert.deepEqual(await store.get(job.id), updated);
+      assert.equal(await store.update(randomUUID(), { status: 'processing' }), null);
+    });
+
+    it('関数の patch は保存されているジョブから変更を作り、null なら書き込まない', async () => {
+      const store = await createStore();
+      const job = await store.create(createJob());
+
+      const unchanged = await store.update(job.id, current => (current.status === 'processing' ? { status: 'completed' } : null));
+      assert.deepEqual(unchanged, job);
+      assert.deepEqual(await store.get(job.id), job);
+
+      const updated = await store.update(job.id, current => ({ count: current.count + 1 }));
+      assert.equal(updated.count, 1);
+    });
+
+    it('同じジョブへの同時の更新をすべて反映する', async () => {
+      const store = await createStore();
+      const job = await store.create(createJob());
+
+      await Promise.all([
+        ...Array.from({ length: 20 }, () => store.update(job.id, current => ({ count: current.count + 1 }))),
+        store.update(job.id, { progress: { completedChunks: 1, totalChunks: 2 } })
+      ]);
+
+      const stored = await store.get(job.id);
+      assert.equal(stored.count, 20);
+      assert.deepEqual(stored.progress, { completedChunks: 1, totalChunks: 2 });
+    });
+  });
+}
+
+describeStore('MemoryJobStore', async () => new MemoryJobStore());
+
+describe('FileJobStore', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'fusenkun-job-store-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describeStore('共通', async () => {
+    const store = new FileJobStore(path.join(directory, randomUUID()));
+    await store.init();
+    return store;
+  });
+
+  it('同時に書き込んでも一時ファイルを残さず、ロックも残さない', async () => {
+    const store = new FileJobStore(path.join(directory, 'temp'));
+    await store.init();
+    const jobs = await Promise.all([createJob(), createJob()].map(job => store.create(job)));
+
+    await Promise.all(jobs.flatMap(job => Array.from({ length: 10 }, (_, i) => store.update(job.id, { count: i }))));
+
+    assert.deepEqual((await fs.readdir(store.directory)).sort(), jobs.map(job => `${job.id}.json`).sort());
+    assert.equal(store.locks.size, 0);
+  });
+
+  it('削除したジョブは更新しない', async () => {
+    const store = new FileJobStore(path.join(directory, 'delete'));
+    await store.init();
+    const job = await store.create(createJob());
+    await store.saveAudio(job.id, Buffer.from('audio'));
+
+    await Promise.all([store.delete(job.id), store.update(job.id, { status: 'processing' })]);
+
+    assert.equal(await store.get(job.id), null);
+    assert.equal(await store.loadAudio(job.id), null);
+    assert.deepEqual(await store.list(), []);
+  });
+
+  it('UUID でない ID は扱わない', async () => {
+    const store = new FileJobStore(path.join(directory, 'invalid'));
+    await store.init();
+
+    assert.equal(await store.get('../secret'), null);
+    await assert.rejects(store.create({ ...createJob(), id: '../secret' }), /Invalid job id/);
+  });
+});
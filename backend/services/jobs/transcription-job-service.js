@@ -0,0 +1,294 @@
+import { randomUUID } from 'crypto';
+import googleSTTService, { formatDiarization } from '../google-stt-service.js';
+import { createJobStore } from './job-store.js';
+import { validateCallbackUrl } from './callback-url.js';
+import { STTError, toSTTError } from '../../errors/stt-error.js';
+import logger, { runWithLogContext } from '../observability/logger.js';
+import metrics from '../observability/metrics.js';
+import { speechConfig } from '../../config/speech-config.js';
+
+// 非同期文字起こしジョブの管理
+// ジョブ状態: queued → processing → completed / failed / cancelled
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class TranscriptionJobService {
+  constructor() {
+    this.store = null;
+    this.queue = []; // 待機中のジョブID
+    this.running = new Map(); // ジョブID → AbortController
+    this.idempotentJobs = new Map(); // クライアントIDと冪等キー → 登録したジョブID（登録中は完了を待つPromise）
+    this.initialized = false;
+    this.cleanupTimer = null;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    this.store = createJobStore(speechConfig.jobStore, { directory: speechConfig.jobStoreDir });
+    await this.store.init();
+    this.initialized = true;
+
+    for (const job of await this.store.list()) {
+      if (job.idempotencyKey) this.idempotentJobs.set(job.idempotencyKey, Promise.resolve(job.id));
+    }
+
+    // 再起動前に完了しなかったジョブを再投入
+    const unfinished = await this.store.list({ status: ['queued', 'processing'] });
+    unfinished.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of unfinished) {
+      const audio = await this.store.loadAudio(job.id);
+      if (audio) {
+        await this.store.update(job.id, { status: 'queued', progress: { completedChunks: 0, totalChunks: null } });
+        this.queue.push(job.id);
+      } else {
+        await this.finish(job.id, { status: 'failed', error: '音声データが失われたため再開できません' });
+      }
+    }
+
+    if (unfinished.length > 0) {
+      logger.info('Job service resumed unfinished jobs', { resumed: this.queue.length });
+    }
+
+    // 古い完了済みジョブを定期的に削除
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupExpired().catch(error => logger.error('Job cleanup failed', { error }));
+    }, 10 * 60 * 1000);
+    this.cleanupTimer.unref();
+
+    this.processQueue();
+  }
+
+  // ジョブ登録（音声を保存してすぐに返す）
+  // idempotencyKey を渡すと、同じクライアントが同じキーで登録したジョブを返す（通信エラー後の再送で二重に登録しない）
+  async createJob({ idempotencyKey, ...request }) {
+    if (!idempotencyKey) return this.registerJob(request, null);
+
+    const key = `${request.options.clientId}:${idempotencyKey}`;
+    let registering = this.idempotentJobs.get(key);
+    if (!registering) {
+      registering = this.registerJob(request, key).then(job => job.id);
+      this.idempotentJobs.set(key, registering);
+      registering.catch(() => this.idempotentJobs.delete(key));
+    }
+
+    const job = await this.store.get(await registering);
+    if (!job) {
+      throw new STTError('JOB_NOT_FOUND');
+    }
+    return job;
+  }
+
+  async registerJob({ audioBuffer, format, options, callbackUrl }, idempotencyKey) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      format: format,
+      options: options,
+      callbackUrl: callbackUrl || null,
+      idempotencyKey,
+      audioSize: audioBuffer.length,
+      progress: { completedChunks: 0, totalChunks: null },
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.saveAudio(job.id, audioBuffer);
+    await this.store.create(job);
+    this.queue.push(job.id);
+
+    logger.info('Job queued', { jobId: job.id, audioSize: audioBuffer.length, queueLength: this.queue.length });
+    this.processQueue();
+
+    return job;
+  }
+
+  async getJob(id) {
+    return this.store.get(id);
+  }
+
+  // キャンセル（完了済みのジョブはそのまま返す）
+  async cancelJob(id) {
+    const job = await this.store.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    const controller = this.running.get(id);
+    if (controller) {
+      // 処理中のジョブは次のチャンクの前で中断される（読み込んだ後に完了していれば何もしない）
+      controller.abort();
+      return this.store.update(id, current => (FINISHED_STATUSES.includes(current.status) ? null : { cancelRequested: true }));
+    }
+
+    this.queue = this.queue.filter(queuedId => queuedId !== id);
+    metrics.jobsQueued.set({}, this.queue.length);
+    return this.finish(id, { status: 'cancelled' });
+  }
+
+  processQueue() {
+    while (this.running.size < speechConfig.jobConcurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      this.runJob(id).catch(error => logger.error('Job runner error', { jobId: id, error }));
+    }
+    metrics.jobsQueued.set({}, this.queue.length);
+  }
+
+  async runJob(id) {
+    const job = await this.store.get(id);
+    if (!job || job.status !== 'queued') {
+      this.processQueue();
+      return;
+    }
+
+    // ジョブ内のログには登録時のリクエストIDを付ける
+    return runWithLogContext({ requestId: job.options.requestId, jobId: id }, () => this.executeJob(job));
+  }
+
+  async executeJob(job) {
+    const id = job.id;
+    const controller = new AbortController();
+    this.running.set(id, controller);
+
+    try {
+      // 読み込んだ後にキャンセルされたジョブは処理しない
+      const started = await this.store.update(id, current => (
+        current.status === 'queued' ? { status: 'processing', startedAt: new Date().toISOString() } : null
+      ));
+      if (started?.status !== 'processing') return;
+
+      // 完了処理はジョブごとに1回だけ行う（完了の書き込みに失敗しても失敗として書き直さない）
+      await this.finish(id, await this.transcribeJob(job, controller.signal));
+    } finally {
+      this.running.delete(id);
+      this.processQueue();
+    }
+  }
+
+  // 文字起こしを実行し、完了処理で書き込む内容を返す
+  async transcribeJob(job, signal) {
+    const id = job.id;
+    try {
+      const audioBuffer = await this.store.loadAudio(id);
+      if (!audioBuffer) {
+        throw new STTError('INTERNAL_ERROR', { detail: 'job audio missing' });
+      }
+
+      const result = await googleSTTService.transcribeLongAudio(audioBuffer, job.format, {
+        ...job.options,
+        signal,
+        onProgress: (progress) => this.store.update(id, { progress })
+      });
+
+      // 最後のチャンクの認識中にキャンセルされた場合も結果は返さない
+      if (signal.aborted) {
+        return { status: 'cancelled' };
+      }
+
+      return {
+        status: 'completed',
+        progress: { completedChunks: result.chunks || 1, totalChunks: result.chunks || 1 },
+        result: {
+          transcription: result.transcription,
+          confidence: result.confidence,
+          processingTime: result.processingTime,
+          alternatives: result.alternatives || [],
+          wordDetails: result.wordDetails || [],
+          detectedLanguage: result.detectedLanguage,
+          segments: result.segments || [],
+          metadata: {
+            audioFormat: job.format,
+            audioSize: job.audioSize,
+            language: job.options.languageCode,
+            alternativeLanguages: job.options.alternativeLanguageCodes || [],
+            diarization: formatDiarization(job.options.diarization),
+            model: job.options.model,
+            phraseHints: job.options.phraseHints?.length || 0,
+            chunks: result.chunks || 1,
+            timestamp: new Date().toISOString()
+          }
+        }
+      };
+
+    } catch (error) {
+      if (signal.aborted) {
+        return { status: 'cancelled' };
+      }
+      const failure = toSTTError(error);
+      logger.warn('Job failed', { code: failure.code, error });
+      metrics.errors.inc({ code: failure.code, source: 'job' });
+      return { status: 'failed', error: failure.message, errorCode: failure.code };
+    }
+  }
+
+  // 完了処理（音声削除とコールバック通知）
+  async finish(id, patch) {
+    const job = await this.store.update(id, { ...patch, finishedAt: new Date().toISOString() });
+    await this.store.deleteAudio(id);
+    logger.info('Job finished', { jobId: id, status: patch.status });
+    metrics.jobs.inc({ status: patch.status });
+
+    if (job && job.callbackUrl) {
+      await this.notifyCallback(job);
+    }
+    return job;
+  }
+
+  // コールバックURLに結果をPOST（リダイレクトは追わない）
+  async notifyCallback(job) {
+    try {
+      const url = await validateCallbackUrl(job.callbackUrl);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jobId: job.id,
+          status: job.status,
+          result: job.result,
+          error: job.error
+        }),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(speechConfig.jobCallbackTimeout)
+      });
+
+      await this.store.update(job.id, {
+        callback: { delivered: response.ok, status: response.status, at: new Date().toISOString() }
+      });
+
+    } catch (error) {
+      logger.warn('Job callback failed', { jobId: job.id, error: error.message });
+      await this.store.update(job.id, {
+        callback: { delivered: false, error: error.message, at: new Date().toISOString() }
+      });
+    }
+  }
+
+  // 保持期間を過ぎた完了済みジョブを削除
+  async cleanupExpired() {
+    const threshold = Date.now() - speechConfig.jobRetention;
+    const finished = await this.store.list({ status: FINISHED_STATUSES });
+
+    for (const job of finished) {
+      if (new Date(job.updatedAt).getTime() < threshold) {
+        await this.store.delete(job.id);
+        if (job.idempotencyKey) this.idempotentJobs.delete(job.idempotencyKey);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      queued: this.queue.length,
+      running: this.running.size,
+      store: speechConfig.jobStore
+    };
+  }
+}
+
+// シングルトンインスタンス
+const transcriptionJobService = new TranscriptionJobService();
+
+export default transcriptionJobService;
@@ -0,0 +1,143 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { speechConfig } from '../../config/speech-config.js';
+import { STTError } from '../../errors/stt-error.js';
+import googleSTTService from '../google-stt-service.js';
+import transcriptionJobService from './transcription-job-service.js';
+
+const options = { languageCode: 'ja-JP', requestId: 'test' };
+
+// 呼び出し側が終わらせるまで完了しない文字起こし
+function deferredTranscription() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve: () => resolve({ transcription: '完了', confidence: 0.9, chunks: 2 }) };
+}
+
+// ジョブが指定の状態になるまで待つ
+async function waitForStatus(id, statuses) {
+  for (let i = 0; i < 200; i++) {
+    const job = await transcriptionJobService.getJob(id);
+    if (statuses.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`job ${id} did not reach ${statuses.join('/')}`);
+}
+
+const createJob = () => transcriptionJobService.createJob({ audioBuffer: Buffer.from('audio'), format: 'wav', options });
+
+describe('transcriptionJobService', () => {
+  let transcribe;
+
+  before(async () => {
+    Object.assign(speechConfig, { jobStore: 'memory', jobConcurrency: 1 });
+    await transcriptionJobService.initialize();
+  });
+
+  beforeEach(() => {
+    transcribe = mock.method(googleSTTService, 'transcribeLongAudio', async () => ({ transcription: '完了', confidence: 0.9, chunks: 1 }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    clearInterval(transcriptionJobService.cleanupTimer);
+  });
+
+  it('文字起こしの結果を保存し、音声を削除する', async () => {
+    const job = await createJob();
+    const finished = await waitForStatus(job.id, ['completed', 'failed']);
+
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.result.transcription, '完了');
+    assert.equal(finished.result.metadata.language, 'ja-JP');
+    assert.equal(await transcriptionJobService.store.loadAudio(job.id), null);
+  });
+
+  it('認識に失敗したら failed とエラーコード', async () => {
+    transcribe.mock.mockImplementation(async () => {
+      throw new STTError('PROVIDER_UNAVAILABLE');
+    });
+    const job = await createJob();
+    const finished = await waitForStatus(job.id, ['completed', 'failed']);
+
+    assert.equal(finished.status, 'failed');
+    assert.equal(finished.errorCode, 'PROVIDER_UNAVAILABLE');
+  });
+
+  it('最後のチャンクの認識中にキャンセルされたら、認識が終わっても cancelled', async () => {
+    const transcription = deferredTranscription();
+    transcribe.mock.mockImplementation(() => transcription.promise);
+    const job = await createJob();
+    await waitForStatus(job.id, ['processing']);
+
+    const cancelling = await transcriptionJobService.cancelJob(job.id);
+    assert.equal(cancelling.status, 'processing');
+    assert.equal(cancelling.cancelRequested, true);
+
+    transcription.resolve();
+    const finished = await waitForStatus(job.id, ['completed', 'cancelled']);
+    assert.equal(finished.status, 'cancelled');
+    assert.equal(finished.result, null);
+  });
+
+  it('待機中のジョブはすぐにキャンセルし、処理しない', async () => {
+    const transcription = deferredTranscription();
+    transcribe.mock.mockImplementation(() => transcription.promise);
+    const running = await createJob();
+    const queued = await createJob();
+    await waitForStatus(running.id, ['processing']);
+
+    assert.equal((await transcriptionJobService.cancelJob(queued.id)).status, 'cancelled');
+
+    transcription.resolve();
+    assert.equal((await waitForStatus(running.id, ['completed'])).status, 'completed');
+    assert.equal(transcribe.mock.callCount(), 1);
+  });
+
+  it('コールバックURLが内部ネットワークを指していたら通知しない', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response(null, { status: 204 }));
+    const job = await transcriptionJobService.createJob({
+      audioBuffer: Buffer.from('audio'),
+      format: 'wav',
+      options,
+      callbackUrl: 'http://127.0.0.1:8080/hook'
+    });
+    await waitForStatus(job.id, ['completed']);
+
+    // 通知の結果は完了の書き込みの後に保存される
+    let stored = await transcriptionJobService.getJob(job.id);
+    for (let i = 0; i < 200 && !stored.callback; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      stored = await transcriptionJobService.getJob(job.id);
+    }
+    assert.equal(stored.callback.delivered, false);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it('同じ冪等キーの再送は登録済みのジョブを返し、文字起こしは1回だけ', async () => {
+    const request = { audioBuffer: Buffer.from('audio'), format: 'wav', idempotencyKey: 'retry-1' };
+    const [first, second] = await Promise.all([
+      transcriptionJobService.createJob({ ...request, options: { ...options, clientId: 'client-a' } }),
+      transcriptionJobService.createJob({ ...request, options: { ...options, clientId: 'client-a' } })
+    ]);
+    await waitForStatus(first.id, ['completed']);
+    const retried = await transcriptionJobService.createJob({ ...request, options: { ...options, clientId: 'client-a' } });
+    const otherClient = await transcriptionJobService.createJob({ ...request, options: { ...options, clientId: 'client-b' } });
+    await waitForStatus(otherClient.id, ['completed']);
+
+    assert.equal(second.id, first.id);
+    assert.equal(retried.id, first.id);
+    assert.equal(retried.status, 'completed');
+    assert.notEqual(otherClient.id, first.id);
+    assert.equal(transcribe.mock.callCount(), 2);
+  });
+
+  it('完了したジョブのキャンセルは状態を変えない', async () => {
+    const job = await createJob();
+    await waitForStatus(job.id, ['completed']);
+
+    const cancelled = await transcriptionJobService.cancelJob(job.id);
+    assert.equal(cancelled.status, 'completed');
+    assert.equal(cancelled.cancelRequested, undefined);
+  });
+});
@@ -0,0 +1,115 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import logger from '../observability/logger.js';
+
+// レート制限カウンターの保存先
+// インターフェース: init / get / set / delete / keys / close
+// 値はクライアントごとの { requests: [時刻], audio: [{ time, seconds }] }
+
+// メモリ上に保存（サーバー再起動でリセット）
+export class MemoryLimitStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async init() {}
+
+  async get(clientId) {
+    return this.entries.get(clientId) || null;
+  }
+
+  async set(clientId, entry) {
+    this.entries.set(clientId, entry);
+  }
+
+  async delete(clientId) {
+    this.entries.delete(clientId);
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  async close() {}
+}
+
+// JSONファイルに保存（再起動後もカウンターを引き継ぐ）
+// 読み書きはメモリ上で行い、変更があれば一定間隔でまとめて書き出す
+export class FileLimitStore extends MemoryLimitStore {
+  constructor(filePath, flushInterval = 5000) {
+    super();
+    this.filePath = filePath;
+    this.flushInterval = flushInterval;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const content = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.entries = new Map(Object.entries(content));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Rate limit store could not be loaded', { filePath: this.filePath, error: error.message });
+      }
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => logger.error('Rate limit store flush failed', { error }));
+    }, this.flushInterval);
+    this.flushTimer.unref();
+  }
+
+  async set(clientId, entry) {
+    await super.set(clientId, entry);
+    this.dirty = true;
+  }
+
+  async delete(clientId) {
+    await super.delete(clientId);
+    this.dirty = true;
+  }
+
+  // 一時ファイル経由で置き換える（書き込み途中で落ちても壊れない）
+  async flush() {
+    // 書き出し中に変わった分は、書き出しが終わってからもう一度書き出す
+    if (this.flushing) {
+      await this.flushing;
+      return this.flush();
+    }
+    if (!this.dirty) return;
+
+    this.dirty = false;
+    const temp = `${this.filePath}.tmp`;
+    this.flushing = fs.writeFile(temp, JSON.stringify(Object.fromEntries(this.entries)))
+      .then(() => fs.rename(temp, this.filePath))
+      .catch(error => {
+        this.dirty = true; // 次の書き出しで再試行
+        throw error;
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+
+  async close() {
+    clearInterval(this.flushTimer);
+    await this.flush();
+  }
+}
+
+// 設定名からストアを生成
+export function createLimitStore(name, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryLimitStore();
+    case 'file':
+      return new FileLimitStore(options.filePath);
+    default:
+      throw new Error(`Unknown rate limit store: ${name} (available: memory, file)`);
+  }
+}
@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileLimitStore, MemoryLimitStore, createLimitStore } from './limit-store.js';
+
+const entry = (time) => ({ requests: [time], audio: [{ time, seconds: 1.5 }] });
+
+describe('MemoryLimitStore', () => {
+  it('クライアントごとの記録を保存・削除する', async () => {
+    const store = new MemoryLimitStore();
+    await store.init();
+
+    assert.equal(await store.get('a'), null);
+    await store.set('a', entry(1));
+    await store.set('b', entry(2));
+    assert.deepEqual(await store.get('a'), entry(1));
+    assert.deepEqual(await store.keys(), ['a', 'b']);
+
+    await store.delete('a');
+    assert.deepEqual(await store.keys(), ['b']);
+  });
+});
+
+describe('FileLimitStore', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'fusenkun-limit-store-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('閉じるときに書き出し、次の起動で読み込む', async () => {
+    const filePath = path.join(directory, 'nested', 'limits.json');
+    const store = new FileLimitStore(filePath, 60000);
+    await store.init();
+    await store.set('a', entry(1));
+    await store.set('b', entry(2));
+    await store.delete('b');
+    await store.close();
+
+    assert.deepEqual(JSON.parse(await fs.readFile(filePath, 'utf8')), { a: entry(1) });
+
+    const reopened = new FileLimitStore(filePath, 60000);
+    await reopened.init();
+    assert.deepEqual(await reopened.get('a'), entry(1));
+    await reopened.close();
+  });
+
+  it('変更が無ければ書き出さない', async () => {
+    const filePath = path.join(directory, 'unchanged.json');
+    const store = new FileLimitStore(filePath, 60000);
+    await store.init();
+    await store.close();
+
+    await assert.rejects(fs.stat(filePath), { code: 'ENOENT' });
+  });
+
+  it('書き出し中の変更も書き出す', async () => {
+    const filePath = path.join(directory, 'concurrent.json');
+    const store = new FileLimitStore(filePath, 60000);
+    await store.init();
+
+    await store.set('a', entry(1));
+    const first = store.flush();
+    await store.set('b', entry(2));
+    await Promise.all([first, store.close()]);
+
+    assert.deepEqual(JSON.parse(await fs.readFile(filePath, 'utf8')), { a: entry(1), b: entry(2) });
+  });
+
+  it('一定間隔で書き出す', async () => {
+    const filePath = path.join(directory, 'interval.json');
+    const store = new FileLimitStore(filePath, 20);
+    await store.init();
+    await store.set('a', entry(1));
+
+    for (let i = 0; i < 50 && !(await fs.stat(filePath).catch(() => null)); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await store.close();
+
+    assert.deepEqual(JSON.parse(await fs.readFile(filePath, 'utf8')), { a: entry(1) });
+  });
+
+  it('壊れたファイルは空として読み込む', async () => {
+    const filePath = path.join(directory, 'broken.json');
+    await fs.writeFile(filePath, '{ broken');
+    const store = new FileLimitStore(filePath, 60000);
+    await store.init();
+
+    assert.deepEqual(await store.keys(), []);
+    await store.close();
+  });
+});
+
+describe('createLimitStore', () => {
+  it('設定名からストアを作る', () => {
+    assert.ok(createLimitStore('memory') instanceof MemoryLimitStore);
+    assert.ok(createLimitStore('file', { filePath: path.join(os.tmpdir(), 'limits.json') }) instanceof FileLimitStore);
+    assert.throws(() => createLimitStore('redis'), /Unknown rate limit store: redis/);
+  });
+});
@@ -0,0 +1,205 @@
+import { createHash } from 'crypto';
+import { createLimitStore } from './limit-store.js';
+import { STTError } from '../../errors/stt-error.js';
+import logger from '../observability/logger.js';
+import { speechConfig } from '../../config/speech-config.js';
+
+// レート制限と利用量上限（HTTP・WebSocket共通）
+// - リクエスト数: 1分 / 1時間 / 1日のスライディングウィンドウ
+// - 音声秒数: 1日あたりの合計
+
+const WINDOWS = [
+  { name: 'minute', seconds: 60, quotaKey: 'perMinute' },
+  { name: 'hour', seconds: 60 * 60, quotaKey: 'perHour' },
+  { name: 'day', seconds: 24 * 60 * 60, quotaKey: 'perDay' }
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// コード: RATE_LIMIT_EXCEEDED / QUOTA_EXCEEDED
+export class RateLimitError extends STTError {
+  constructor(code, retryAfter) {
+    super(code, { retryAfter });
+    this.name = 'RateLimitError';
+  }
+}
+
+// APIキーからクライアントIDを生成（キーそのものはログ・ストアに残さない）
+export function apiKeyClientId(apiKey) {
+  return `key:${createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+}
+
+class RateLimiter {
+  constructor() {
+    this.store = null;
+    this.keyQuotas = new Map(); // クライアントID → 上限
+    this.initialized = false;
+    this.sweepTimer = null;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    this.store = createLimitStore(speechConfig.rateLimitStore, { filePath: speechConfig.rateLimitStorePath });
+    await this.store.init();
+
+    for (const [apiKey, quota] of Object.entries(speechConfig.rateLimitKeyQuotas)) {
+      this.keyQuotas.set(apiKeyClientId(apiKey), quota);
+    }
+
+    // 期限切れの記録を定期的に削除（クライアント数が増え続けないように）
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => logger.error('Rate limit sweep failed', { error }));
+    }, 10 * 60 * 1000);
+    this.sweepTimer.unref();
+
+    this.initialized = true;
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    if (this.store) await this.store.close();
+  }
+
+  // クライアントの上限（APIキー個別の設定があれば優先）
+  quotaFor(clientId) {
+    return {
+      perMinute: speechConfig.rateLimitPerMinute,
+      perHour: speechConfig.rateLimitPerHour,
+      perDay: speechConfig.rateLimitPerDay,
+      audioSecondsPerDay: speechConfig.audioSecondsPerDay,
+      ...this.keyQuotas.get(clientId)
+    };
+  }
+
+  async loadEntry(clientId, now) {
+    if (!this.initialized) await this.initialize();
+
+    const entry = (await this.store.get(clientId)) || { requests: [], audio: [] };
+    entry.requests = entry.requests.filter(time => now - time < DAY_MS);
+    entry.audio = entry.audio.filter(record => now - record.time < DAY_MS);
+    return entry;
+  }
+
+  // 各ウィンドウの残り回数とリセットまでの秒数
+  windowStates(entry, quota, now) {
+    return WINDOWS.map(window => {
+      const limit = quota[window.quotaKey];
+      const inWindow = entry.requests.filter(time => now - time < window.seconds * 1000);
+      const count = inWindow.length;
+
+      // 上限内に戻るまでに期限切れになる必要がある最も新しい記録
+      const blocking = count >= limit ? inWindow[count - limit] : inWindow[0];
+      const reset = blocking !== undefined
+        ? Math.max(1, Math.ceil((blocking + window.seconds * 1000 - now) / 1000))
+        : window.seconds;
+
+      return { window: window.name, seconds: window.seconds, limit, remaining: Math.max(0, limit - count), reset };
+    });
+  }
+
+  // リクエストを1件記録（上限を超える場合は記録しない）
+  // 戻り値: { allowed, limit, remaining, reset, retryAfter, policy }
+  async hit(clientId) {
+    const now = Date.now();
+    const quota = this.quotaFor(clientId);
+    const entry = await this.loadEntry(clientId, now);
+    const states = this.windowStates(entry, quota, now);
+    const exceeded = states.filter(state => state.remaining === 0);
+
+    if (exceeded.length === 0) {
+      entry.requests.push(now);
+      states.forEach(state => state.remaining--);
+    }
+    await this.store.set(clientId, entry);
+
+    // ヘッダーには最も厳しいウィンドウを返す
+    const tightest = exceeded.length > 0
+      ? exceeded.reduce((a, b) => (a.reset >= b.reset ? a : b))
+      : states.reduce((a, b) => (a.remaining <= b.remaining ? a : b));
+
+    return {
+      allowed: exceeded.length === 0,
+      limit: tightest.limit,
+      remaining: tightest.remaining,
+      reset: tightest.reset,
+      retryAfter: exceeded.length > 0 ? tightest.reset : 0,
+      window: tightest.window,
+      policy: states.map(state => `${state.limit};w=${state.seconds}`).join(', ')
+    };
+  }
+
+  // 音声秒数の上限チェック（超える場合はRateLimitError）
+  async checkAudio(clientId, seconds = 0) {
+    const now = Date.now();
+    const quota = this.quotaFor(clientId);
+    const entry = await this.loadEntry(clientId, now);
+    const used = entry.audio.reduce((sum, record) => sum + record.seconds, 0);
+
+    if (used + seconds > quota.audioSecondsPerDay) {
+      // 古い記録から順に期限切れになり、必要な秒数が空くまでの時間
+      let freed = 0;
+      let retryAfter = DAY_MS / 1000;
+      for (const record of entry.audio) {
+        freed += record.seconds;
+        if (used - freed + seconds <= quota.audioSecondsPerDay) {
+          retryAfter = Math.max(1, Math.ceil((record.time + DAY_MS - now) / 1000));
+          break;
+        }
+      }
+      throw new RateLimitError('QUOTA_EXCEEDED', retryAfter);
+    }
+
+    return { used, limit: quota.audioSecondsPerDay, remaining: quota.audioSecondsPerDay - used };
+  }
+
+  // 認識した音声秒数を記録
+  async recordAudio(clientId, seconds) {
+    if (!seconds || seconds <= 0) return;
+
+    const now = Date.now();
+    const entry = await this.loadEntry(clientId, now);
+    entry.audio.push({ time: now, seconds: Math.round(seconds * 100) / 100 });
+    await this.store.set(clientId, entry);
+  }
+
+  async sweep() {
+    const now = Date.now();
+    for (const clientId of await this.store.keys()) {
+      const entry = await this.loadEntry(clientId, now);
+      if (entry.requests.length === 0 && entry.audio.length === 0) {
+        await this.store.delete(clientId);
+      } else {
+        await this.store.set(clientId, entry);
+      }
+    }
+  }
+
+  async getStats() {
+    if (!this.initialized) {
+      return { totalRequests: 0, activeClients: 0, audioSeconds: 0 };
+    }
+
+    const now = Date.now();
+    let totalRequests = 0;
+    let audioSeconds = 0;
+    const clientIds = await this.store.keys();
+
+    for (const clientId of clientIds) {
+      const entry = await this.loadEntry(clientId, now);
+      totalRequests += entry.requests.length;
+      audioSeconds += entry.audio.reduce((sum, record) => sum + record.seconds, 0);
+    }
+
+    return {
+      totalRequests, // 直近24時間
+      activeClients: clientIds.length,
+      audioSeconds: Math.round(audioSeconds),
+      store: speechConfig.rateLimitStore
+    };
+  }
+}
+
+// シングルトンインスタンス
+const rateLimiter = new RateLimiter();
+
+export default rateLimiter;
@@ -0,0 +1,129 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { speechConfig } from '../../config/speech-config.js';
+import rateLimiter, { RateLimitError, apiKeyClientId } from './rate-limiter.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const start = Date.UTC(2026, 9, 19);
+
+describe('rateLimiter', () => {
+  let now = start;
+
+  before(async () => {
+    Object.assign(speechConfig, {
+      rateLimitStore: 'memory',
+      rateLimitPerMinute: 3,
+      rateLimitPerHour: 5,
+      rateLimitPerDay: 100,
+      audioSecondsPerDay: 100,
+      rateLimitKeyQuotas: { 'premium-key': { perMinute: 10, audioSecondsPerDay: 1000 } }
+    });
+    mock.method(Date, 'now', () => now);
+    await rateLimiter.initialize();
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await rateLimiter.close();
+  });
+
+  // 時刻を指定してリクエストを記録する
+  const hitAt = (clientId, time) => {
+    now = start + time;
+    return rateLimiter.hit(clientId);
+  };
+
+  it('1分のウィンドウの上限を超えたら、最も古い記録が期限切れになるまで拒否する', async () => {
+    for (const time of [0, 1000, 2000]) {
+      assert.equal((await hitAt('minute', time)).allowed, true);
+    }
+
+    const denied = await hitAt('minute', 3000);
+    assert.deepEqual(denied, {
+      allowed: false,
+      limit: 3,
+      remaining: 0,
+      reset: 57,
+      retryAfter: 57,
+      window: 'minute',
+      policy: '3;w=60, 5;w=3600, 100;w=86400'
+    });
+
+    // 拒否したリクエストは数えない
+    assert.equal((await hitAt('minute', MINUTE)).allowed, true);
+    assert.equal((await hitAt('minute', MINUTE + 1)).allowed, false);
+  });
+
+  it('複数のウィンドウのうち、超えたウィンドウで拒否する', async () => {
+    for (const time of [0, MINUTE, 2 * MINUTE, 3 * MINUTE, 4 * MINUTE]) {
+      assert.equal((await hitAt('hour', time)).allowed, true);
+    }
+
+    const denied = await hitAt('hour', 5 * MINUTE);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.window, 'hour');
+    assert.equal(denied.retryAfter, (HOUR - 5 * MINUTE) / 1000);
+
+    assert.equal((await hitAt('hour', HOUR)).allowed, true);
+  });
+
+  it('許可したときは残り回数が最も少ないウィンドウを返す', async () => {
+    const first = await hitAt('tightest', 0);
+    assert.deepEqual([first.window, first.limit, first.remaining, first.retryAfter], ['minute', 3, 2, 0]);
+
+    await hitAt('tightest', MINUTE);
+    await hitAt('tightest', 2 * MINUTE);
+    await hitAt('tightest', 3 * MINUTE);
+    const last = await hitAt('tightest', 4 * MINUTE);
+    assert.deepEqual([last.window, last.remaining, last.reset], ['hour', 0, (HOUR - 4 * MINUTE) / 1000]);
+  });
+
+  it('APIキーごとの上限を優先する', async () => {
+    const clientId = apiKeyClientId('premium-key');
+    assert.match(clientId, /^key:[0-9a-f]{16}$/);
+    assert.equal(clientId, apiKeyClientId('premium-key'));
+    assert.notEqual(clientId, apiKeyClientId('other-key'));
+
+    const result = await hitAt(clientId, 0);
+    assert.equal(result.limit, 5); // 1時間の上限は既定値のまま
+    assert.match(result.policy, /^10;w=60, /);
+  });
+
+  it('1日の音声秒数の上限を超えたら QUOTA_EXCEEDED', async () => {
+    now = start;
+    await rateLimiter.recordAudio('audio', 60);
+    now = start + HOUR;
+    await rateLimiter.recordAudio('audio', 30.004);
+    await rateLimiter.recordAudio('audio', 0);
+
+    assert.deepEqual(await rateLimiter.checkAudio('audio', 10), { used: 90, limit: 100, remaining: 10 });
+
+    // 最も古い記録（60秒）が期限切れになれば空く
+    await assert.rejects(rateLimiter.checkAudio('audio', 20), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.code, 'QUOTA_EXCEEDED');
+      assert.equal(error.retryAfter, (DAY - HOUR) / 1000);
+      return true;
+    });
+
+    now = start + DAY;
+    assert.deepEqual(await rateLimiter.checkAudio('audio', 20), { used: 30, limit: 100, remaining: 70 });
+  });
+
+  it('期限切れの記録だけのクライアントを削除する', async () => {
+    now = start + DAY;
+    await rateLimiter.hit('expired');
+    await rateLimiter.recordAudio('expired', 5);
+    now = start + 2 * DAY - 1;
+    await rateLimiter.hit('active');
+    assert.ok((await rateLimiter.store.keys()).includes('expired'));
+
+    // ほかのテストの記録もすべて期限切れになる時刻
+    now = start + 2 * DAY;
+    await rateLimiter.sweep();
+    assert.deepEqual(await rateLimiter.store.keys(), ['active']);
+    assert.deepEqual(await rateLimiter.getStats(), { totalRequests: 1, activeClients: 1, audioSeconds: 0, store: 'memory' });
+  });
+});
@@ -0,0 +1,251 @@
+import { createMemoStore } from './memo-store.js';
+import { STTError } from '../../errors/stt-error.js';
+import { speechConfig } from '../../config/speech-config.js';
+
+// メモの同期（クライアントごとのメモと音声。クライアントIDは同期キーから決め、同じ同期キーを設定した端末間で共有する）
+// 記録: { id, updatedAt, deleted, memo, audio, seq }
+//   updatedAt: 端末でメモを更新した時刻（ミリ秒）。競合はこれが新しい方を採用する（last-writer-wins、同時刻なら削除を優先）
+//   memo: 端末が送ったメモ（内容は解釈せずそのまま返す）。削除済み（トゥームストーン）はnull
+//   audio: 保存済みの音声 { type, size }（未送信ならnull）
+//   seq: クライアントごとの通し番号。変更の取得（since）のカーソルに使い、端末の時計のずれに左右されない
+
+// 端末のIndexedDBのキー（作成時刻のミリ秒）
+function parseMemoId(value) {
+  const id = Number(value);
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    throw new STTError('INVALID_REQUEST', { detail: 'memo id must be a positive integer' });
+  }
+  return id;
+}
+
+// 送信されたメモを検証して保存する形に整える（不正な場合は INVALID_REQUEST）
+export function normalizeMemoInput(input) {
+  if (!input || typeof input !== 'object') {
+    throw new STTError('INVALID_REQUEST', { detail: 'memo must be an object' });
+  }
+
+  const id = parseMemoId(input.id);
+  const updatedAt = Number(input.updatedAt);
+  if (!Number.isFinite(updatedAt) || updatedAt <= 0) {
+    throw new STTError('INVALID_REQUEST', { detail: `updatedAt is required (id=${id})` });
+  }
+
+  const deleted = input.deleted === true;
+  if (deleted) {
+    return { id, updatedAt, deleted, memo: null };
+  }
+
+  if (!input.memo || typeof input.memo !== 'object' || Array.isArray(input.memo)) {
+    throw new STTError('INVALID_REQUEST', { detail: `memo is required (id=${id})` });
+  }
+  if (Buffer.byteLength(JSON.stringify(input.memo)) > speechConfig.maxMemoBytes) {
+    throw new STTError('INVALID_REQUEST', { detail: `memo must be at most ${speechConfig.maxMemoBytes} bytes (id=${id})` });
+  }
+
+  return { id, updatedAt, deleted, memo: input.memo };
+}
+
+// 変更の取得位置（0は最初から）
+export function parseSyncCursor(value) {
+  if (value === undefined || value === null || value === '') return 0;
+
+  const cursor = Number(value);
+  if (!Number.isSafeInteger(cursor) || cursor < 0) {
+    throw new STTError('INVALID_REQUEST', { detail: 'since must be a non-negative integer' });
+  }
+  return cursor;
+}
+
+class MemoService {
+  constructor() {
+    this.store = null;
+    this.initialized = false;
+    this.locks = new Map(); // クライアントごとの処理待ち（読み出し〜保存の間に他の更新を挟まない）
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    this.store = createMemoStore(speechConfig.memoStore, { directory: speechConfig.memoStoreDir });
+    await this.store.init();
+    this.initialized = true;
+  }
+
+  async close() {
+    if (this.store) await this.store.close();
+  }
+
+  async loadEntry(clientId) {
+    if (!this.initialized) await this.initialize();
+    return (await this.store.get(clientId)) || { seq: 0, memos: {} };
+  }
+
+  // 同じクライアントの更新を順番に実行
+  exclusive(clientId, task) {
+    const run = (this.locks.get(clientId) || Promise.resolve())
+      .catch(() => {})
+      .then(task);
+    const settled = run.catch(() => {});
+    this.locks.set(clientId, settled);
+    settled.then(() => {
+      if (this.locks.get(clientId) === settled) this.locks.delete(clientId);
+    });
+    return run;
+  }
+
+  // since より後の変更（削除を含む）を seq の順に返す
+  // hasMore の間は cursor を since にして続きを取得する
+  async changes(clientId, since = 0, limit = speechConfig.memoPageSize) {
+    const entry = await this.loadEntry(clientId);
+    const changed = Object.values(entry.memos)
+      .filter(record => record.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+
+    const memos = changed.slice(0, limit);
+    const hasMore = changed.length > memos.length;
+    return {
+      memos,
+      // since より小さい cursor はサーバーのデータが初期化されたことを表す（端末はすべて送り直す）
+      cursor: hasMore ? memos[memos.length - 1].seq : entry.seq,
+      hasMore
+    };
+  }
+
+  // 端末の変更をまとめて反映（メモごとに last-writer-wins）
+  // applied: 反映した（同じ内容の再送を含む）、conflict: サーバーの方が新しい（memo に現在の記録を返す）
+  async push(clientId, inputs) {
+    if (!Array.isArray(inputs)) {
+      throw new STTError('INVALID_REQUEST', { detail: 'memos must be an array' });
+    }
+    if (inputs.length > speechConfig.maxMemoSyncBatch) {
+      throw new STTError('INVALID_REQUEST', { detail: `at most ${speechConfig.maxMemoSyncBatch} memos per request` });
+    }
+    const normalized = inputs.map(normalizeMemoInput);
+
+    return this.exclusive(clientId, async () => {
+      const entry = await this.loadEntry(clientId);
+      const results = [];
+      const removedAudio = [];
+
+      for (const input of normalized) {
+        const existing = entry.memos[input.id];
+
+        if (existing && existing.updatedAt === input.updatedAt && existing.deleted === input.deleted) {
+          results.push({ id: input.id, status: 'applied', memo: existing });
+          continue;
+        }
+
+        const wins = !existing
+          || input.updatedAt > existing.updatedAt
+          || (input.updatedAt === existing.updatedAt && input.deleted);
+        if (!wins) {
+          results.push({ id: input.id, status: 'conflict', memo: existing });
+          continue;
+        }
+
+        entry.seq += 1;
+        const record = {
+          ...input,
+          audio: input.deleted ? null : existing?.audio ?? null,
+          seq: entry.seq
+        };
+        if (input.deleted && existing?.audio) removedAudio.push(input.id);
+
+        entry.memos[input.id] = record;
+        results.push({ id: input.id, status: 'applied', memo: record });
+      }
+
+      const active = Object.values(entry.memos).filter(record => !record.deleted).length;
+      if (active > speechConfig.maxMemosPerClient) {
+        throw new STTError('TOO_MANY_MEMOS', { detail: `limit=${speechConfig.maxMemosPerClient}` });
+      }
+
+      await this.store.set(clientId, entry);
+      await Promise.all(removedAudio.map(id => this.store.deleteAudio(clientId, id)));
+      return { results, cursor: entry.seq };
+    });
+  }
+
+  // メモを1件取得（削除済みは見つからない扱い）
+  async get(clientId, idValue) {
+    const id = parseMemoId(idValue);
+    const entry = await this.loadEntry(clientId);
+    const record = entry.memos[id];
+    if (!record || record.deleted) {
+      throw new STTError('MEMO_NOT_FOUND');
+    }
+    return record;
+  }
+
+  // メモを削除（トゥームストーンを残し、他の端末に削除を伝える）
+  async remove(clientId, idValue) {
+    const id = parseMemoId(idValue);
+
+    return this.exclusive(clientId, async () => {
+      const entry = await this.loadEntry(clientId);
+      const existing = entry.memos[id];
+      if (!existing || existing.deleted) {
+        throw new STTError('MEMO_NOT_FOUND');
+      }
+
+      entry.seq += 1;
+      const record = {
+        id,
+        updatedAt: Math.max(Date.now(), existing.updatedAt + 1),
+        deleted: true,
+        memo: null,
+        audio: null,
+        seq: entry.seq
+      };
+      entry.memos[id] = record;
+
+      await this.store.set(clientId, entry);
+      await this.store.deleteAudio(clientId, id);
+      return record;
+    });
+  }
+
+  // メモの音声を保存（音声は作成後に変わらないため、メモの updatedAt は変えずに seq だけ進める）
+  async saveAudio(clientId, idValue, buffer, type) {
+    const id = parseMemoId(idValue);
+    if (!buffer?.length) {
+      throw new STTError('NO_AUDIO');
+    }
+
+    return this.exclusive(clientId, async () => {
+      const entry = await this.loadEntry(clientId);
+      const existing = entry.memos[id];
+      if (!existing || existing.deleted) {
+        throw new STTError('MEMO_NOT_FOUND');
+      }
+
+      await this.store.saveAudio(clientId, id, buffer);
+
+      entry.seq += 1;
+      const record = {
+        ...existing,
+        audio: { type: type || 'application/octet-stream', size: buffer.length },
+        seq: entry.seq
+      };
+      entry.memos[id] = record;
+
+      await this.store.set(clientId, entry);
+      return record;
+    });
+  }
+
+  // メモの音声を取得
+  async loadAudio(clientId, idValue) {
+    const record = await this.get(clientId, idValue);
+    const buffer = record.audio ? await this.store.loadAudio(clientId, record.id) : null;
+    if (!buffer) {
+      throw new STTError('MEMO_NOT_FOUND', { detail: 'audio has not been uploaded' });
+    }
+    return { buffer, type: record.audio.type };
+  }
+}
+
+// シングルトンインスタンス
+const memoService = new MemoService();
+
+export default memoService;
@@ -0,0 +1,125 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// 同期するメモの保存先
+// インターフェース: init / get / set / saveAudio / loadAudio / deleteAudio / close
+// 値はクライアントごとの { seq, memos: { <id>: { id, updatedAt, deleted, memo, audio, seq } } }
+// 音声はメモIDごとに別に保存する（メモの一覧を読むたびに音声を読まないように）
+
+// メモリ上に保存（サーバー再起動で消える）
+export class MemoryMemoStore {
+  constructor() {
+    this.entries = new Map();
+    this.audio = new Map();
+  }
+
+  async init() {}
+
+  async get(clientId) {
+    const entry = this.entries.get(clientId);
+    return entry ? structuredClone(entry) : null;
+  }
+
+  async set(clientId, entry) {
+    this.entries.set(clientId, structuredClone(entry));
+  }
+
+  async saveAudio(clientId, id, buffer) {
+    this.audio.set(`${clientId}/${id}`, buffer);
+  }
+
+  async loadAudio(clientId, id) {
+    return this.audio.get(`${clientId}/${id}`) || null;
+  }
+
+  async deleteAudio(clientId, id) {
+    this.audio.delete(`${clientId}/${id}`);
+  }
+
+  async close() {}
+}
+
+// ファイルに保存（<dir>/<クライアントIDのハッシュ>/memos.json と <メモID>.audio、再起動後も残る）
+export class FileMemoStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.writing = new Map(); // クライアントごとの書き込み待ち
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  // クライアントIDは同期キー由来の文字列なので、ハッシュにしてディレクトリ名にする
+  clientDir(clientId) {
+    return path.join(this.directory, createHash('sha256').update(clientId).digest('hex').slice(0, 32));
+  }
+
+  audioPath(clientId, id) {
+    // メモIDは数値のみ（パス操作を防ぐ）
+    if (!/^\d+$/.test(String(id))) {
+      throw new Error(`Invalid memo id: ${id}`);
+    }
+    return path.join(this.clientDir(clientId), `${id}.audio`);
+  }
+
+  async get(clientId) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.clientDir(clientId), 'memos.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // 書き込みはクライアントごとに順番に行い、一時ファイル経由で置き換える
+  async set(clientId, entry) {
+    const directory = this.clientDir(clientId);
+    const target = path.join(directory, 'memos.json');
+    const temp = `${target}.tmp`;
+    const snapshot = JSON.stringify(entry);
+
+    const writing = (this.writing.get(clientId) || Promise.resolve())
+      .catch(() => {})
+      .then(() => fs.mkdir(directory, { recursive: true }))
+      .then(() => fs.writeFile(temp, snapshot))
+      .then(() => fs.rename(temp, target));
+    this.writing.set(clientId, writing);
+    return writing;
+  }
+
+  async saveAudio(clientId, id, buffer) {
+    await fs.mkdir(this.clientDir(clientId), { recursive: true });
+    await fs.writeFile(this.audioPath(clientId, id), buffer);
+  }
+
+  async loadAudio(clientId, id) {
+    try {
+      return await fs.readFile(this.audioPath(clientId, id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async deleteAudio(clientId, id) {
+    await fs.unlink(this.audioPath(clientId, id)).catch(() => {});
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.writing.values(), writing => writing.catch(() => {})));
+  }
+}
+
+// 設定名からストアを生成
+export function createMemoStore(name, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryMemoStore();
+    case 'file':
+      return new FileMemoStore(options.directory);
+    default:
+      throw new Error(`Unknown memo store: ${name} (available: memory, file)`);
+  }
+}
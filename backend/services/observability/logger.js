@@ -0,0 +1,129 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { observabilityConfig } from '../../config/speech-config.js';
+
+// 構造化ログ
+// - 1行1JSON（LOG_FORMAT=pretty で開発用の形式）
+// - リクエストID等のコンテキストは runWithLogContext で設定し、同じ非同期処理内のログに自動で付与する
+// - 文字起こし結果はマスクし（LOG_TRANSCRIPTS=true で出力）、資格情報は常にマスクする
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 文字起こし結果（個人情報を含みうる）
+const TRANSCRIPT_KEYS = new Set(['transcription', 'transcript', 'text', 'alternatives', 'wordDetails', 'audioData']);
+// 資格情報
+const SECRET_KEYS = new Set(['authorization', 'apiKey', 'x-api-key', 'accessToken', 'token', 'tokenSecret']);
+
+const contextStorage = new AsyncLocalStorage();
+
+// コンテキスト（requestId, jobId など）を設定して fn を実行
+export function runWithLogContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+export function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+function redactValue(key, value) {
+  if (SECRET_KEYS.has(key)) {
+    return '[redacted]';
+  }
+  if (TRANSCRIPT_KEYS.has(key) && !observabilityConfig.logTranscripts) {
+    if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+    if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+    return '[redacted]';
+  }
+  return undefined;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.detail !== undefined && { detail: error.detail }),
+    ...(error.stack && { stack: error.stack })
+  };
+}
+
+// ログ項目をマスク・シリアライズ（循環参照と深いネストは打ち切る）
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) return serializeError(value);
+  if (Buffer.isBuffer(value)) return `[buffer ${value.length} bytes]`;
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value) || depth > 5) return '[truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const redacted = redactValue(key, item);
+    result[key] = redacted !== undefined ? redacted : sanitize(item, depth + 1, seen);
+  }
+  return result;
+}
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  // 固定の項目を付けたロガー
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= (LEVELS[observabilityConfig.logLevel] ?? LEVELS.info);
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = sanitize({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...getLogContext(),
+      ...this.bindings,
+      ...fields
+    });
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write((observabilityConfig.logFormat === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)) + '\n');
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+// 開発用: 時刻 レベル [requestId] メッセージ {その他の項目}
+function formatPretty(entry) {
+  const { time, level, msg, requestId, error, ...rest } = entry;
+  const context = requestId ? ` [${requestId.slice(0, 8)}]` : '';
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  const stack = error ? `\n  ${error.stack || `${error.name}: ${error.message}`}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)}${context} ${msg}${extra}${stack}`;
+}
+
+// シングルトンインスタンス
+const logger = new Logger();
+
+export default logger;
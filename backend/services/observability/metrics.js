@@ -0,0 +1,237 @@
+// Prometheus形式のメトリクス（テキスト形式 0.0.4）
+// カウンター・ゲージ・ヒストグラムをメモリ上で集計し、/metrics で出力する
+// ラベルの値は取りうる値が限られるもの（ルート・コード等）のみにする（IDやパスをそのまま入れない）
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // ラベルの組 → 値
+  }
+
+  // 宣言したラベルのみ、宣言順で使う
+  labelsOf(labels = {}) {
+    const result = {};
+    for (const name of this.labelNames) {
+      result[name] = labels[name] ?? '';
+    }
+    return result;
+  }
+
+  seriesFor(labels, create) {
+    const normalized = this.labelsOf(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    if (value < 0) return;
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...Array.from(this.series.values(), s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)
+    ];
+  }
+}
+
+// collect を指定すると出力時に値を取得する（キュー長・メモリ使用量など）
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+    if (this.labelNames.length === 0) {
+      this.set({}, 0);
+    }
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return [
+      ...this.header(),
+      ...Array.from(this.series.values(), s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)
+    ];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  // 経過時間（秒）を記録するタイマー。戻り値の関数に追加のラベルを渡せる
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += series.counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// アプリのメトリクス定義
+const registry = new MetricsRegistry();
+const startedAt = Date.now();
+
+const metrics = {
+  registry,
+  contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+  httpRequests: registry.counter(
+    'stt_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']
+  ),
+  httpDuration: registry.histogram(
+    'stt_http_request_duration_seconds', 'HTTP request latency', ['method', 'route'],
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+  ),
+  providerDuration: registry.histogram(
+    'stt_provider_request_duration_seconds', 'Speech provider call latency', ['provider', 'operation', 'outcome'],
+    [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120]
+  ),
+  audioSeconds: registry.counter(
+    'stt_audio_seconds_total', 'Seconds of audio processed', ['mode']
+  ),
+  chunks: registry.histogram(
+    'stt_chunks_per_transcription', 'Chunks per batch transcription', [],
+    [1, 2, 3, 5, 10, 20]
+  ),
+  normalized: registry.counter(
+    'stt_audio_normalized_total', 'Uploaded audio by detected container and whether it was transcoded', ['container', 'transcoded']
+  ),
+  errors: registry.counter(
+    'stt_errors_total', 'Errors by code', ['code', 'source']
+  ),
+  jobs: registry.counter(
+    'stt_jobs_finished_total', 'Finished transcription jobs by status', ['status']
+  ),
+  jobsQueued: registry.gauge(
+    'stt_jobs_queued', 'Transcription jobs waiting to run'
+  ),
+  streamSessions: registry.gauge(
+    'stt_stream_sessions_active', 'Open streaming recognition sessions'
+  ),
+
+  uptime: registry.gauge('stt_process_uptime_seconds', 'Seconds since the server started', [], gauge => {
+    gauge.set({}, Math.round((Date.now() - startedAt) / 1000));
+  }),
+  memory: registry.gauge('stt_process_resident_memory_bytes', 'Resident memory size', [], gauge => {
+    gauge.set({}, process.memoryUsage().rss);
+  }),
+
+  render() {
+    return registry.render();
+  }
+};
+
+export default metrics;
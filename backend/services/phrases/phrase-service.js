@@ -0,0 +1,217 @@
+import { randomUUID } from 'crypto';
+import { createPhraseStore } from './phrase-store.js';
+import { STTError } from '../../errors/stt-error.js';
+import { speechConfig } from '../../config/speech-config.js';
+
+// カスタム語彙（クライアントごとのフレーズセット）
+// 登録したフレーズは認識リクエストの speechContexts としてプロバイダーに渡す
+// フレーズ: { id, phrase, boost（省略時はブーストなし）, createdAt, updatedAt }
+
+// クライアントが採番したIDも受け付ける（端末側のIndexedDBと同じIDで同期するため）
+const PHRASE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const CLASS_TOKEN_PATTERN = /\$[A-Z_]+/g;
+
+// 入力を検証して保存する形に整える（不正な場合は INVALID_REQUEST）
+export function normalizePhraseInput(input) {
+  if (!input || typeof input !== 'object') {
+    throw new STTError('INVALID_REQUEST', { detail: 'phrase must be an object' });
+  }
+
+  const phrase = typeof input.phrase === 'string' ? input.phrase.trim().replace(/\s+/g, ' ') : '';
+  if (!phrase) {
+    throw new STTError('INVALID_REQUEST', { detail: 'phrase is required' });
+  }
+  if (phrase.length > speechConfig.maxPhraseLength) {
+    throw new STTError('INVALID_REQUEST', { detail: `phrase must be at most ${speechConfig.maxPhraseLength} characters` });
+  }
+
+  // クラストークンはプロバイダーが解釈できるものだけ許可
+  const unknownTokens = (phrase.match(CLASS_TOKEN_PATTERN) || [])
+    .filter(token => !speechConfig.phraseClassTokens.includes(token));
+  if (unknownTokens.length > 0) {
+    throw new STTError('INVALID_REQUEST', { detail: `unknown class token: ${unknownTokens.join(', ')}` });
+  }
+
+  let boost = null;
+  if (input.boost !== undefined && input.boost !== null) {
+    boost = Number(input.boost);
+    if (!Number.isFinite(boost) || boost <= 0 || boost > speechConfig.maxPhraseBoost) {
+      throw new STTError('INVALID_REQUEST', { detail: `boost must be greater than 0 and at most ${speechConfig.maxPhraseBoost}` });
+    }
+  }
+
+  if (input.id !== undefined && !(typeof input.id === 'string' && PHRASE_ID_PATTERN.test(input.id))) {
+    throw new STTError('INVALID_REQUEST', { detail: 'id must be 1-64 characters of [A-Za-z0-9_-]' });
+  }
+
+  return { id: input.id, phrase, boost };
+}
+
+// フレーズ一覧を speechContexts に変換（同じブースト値のフレーズを1つのコンテキストにまとめる）
+export function toSpeechContexts(phrases) {
+  const groups = new Map();
+  for (const { phrase, boost } of phrases) {
+    const key = boost ?? null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(phrase);
+  }
+
+  return Array.from(groups, ([boost, groupPhrases]) => (
+    boost === null ? { phrases: groupPhrases } : { phrases: groupPhrases, boost }
+  ));
+}
+
+// リクエストごとに追加するフレーズ（配列、JSON配列の文字列、改行区切り）を検証
+// 登録済みのフレーズセットに加えて、ブーストなしで認識リクエストに付ける
+export function parsePhraseHints(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  let list = value;
+  if (!Array.isArray(list)) {
+    const text = String(value).trim();
+    try {
+      list = text.startsWith('[') ? JSON.parse(text) : text.split('\n');
+    } catch {
+      throw new STTError('INVALID_REQUEST', { detail: 'phraseHints must be an array or newline-separated text' });
+    }
+  }
+  if (!Array.isArray(list)) {
+    throw new STTError('INVALID_REQUEST', { detail: 'phraseHints must be an array or newline-separated text' });
+  }
+
+  const hints = list.map(item => String(item)).filter(item => item.trim());
+  if (hints.length > speechConfig.maxPhraseHints) {
+    throw new STTError('INVALID_REQUEST', { detail: `at most ${speechConfig.maxPhraseHints} phraseHints` });
+  }
+  return hints.map(hint => normalizePhraseInput({ phrase: hint }).phrase);
+}
+
+class PhraseService {
+  constructor() {
+    this.store = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    this.store = createPhraseStore(speechConfig.phraseStore, { filePath: speechConfig.phraseStorePath });
+    await this.store.init();
+    this.initialized = true;
+  }
+
+  async close() {
+    if (this.store) await this.store.close();
+  }
+
+  async loadEntry(clientId) {
+    if (!this.initialized) await this.initialize();
+    return (await this.store.get(clientId)) || { phrases: [], updatedAt: null };
+  }
+
+  async saveEntry(clientId, phrases) {
+    if (phrases.length > speechConfig.maxPhrasesPerClient) {
+      throw new STTError('TOO_MANY_PHRASES', { detail: `limit=${speechConfig.maxPhrasesPerClient}` });
+    }
+
+    const entry = { phrases, updatedAt: new Date().toISOString() };
+    await this.store.set(clientId, entry);
+    return entry;
+  }
+
+  // フレーズセット取得
+  async list(clientId) {
+    return this.loadEntry(clientId);
+  }
+
+  // フレーズセットを丸ごと置き換え（端末からの同期用）
+  // IDが一致するフレーズは作成日時を引き継ぐ。同じフレーズの重複は後のものを優先する
+  async replace(clientId, inputs) {
+    if (!Array.isArray(inputs)) {
+      throw new STTError('INVALID_REQUEST', { detail: 'phrases must be an array' });
+    }
+
+    const current = await this.loadEntry(clientId);
+    const existing = new Map(current.phrases.map(item => [item.id, item]));
+    const now = new Date().toISOString();
+    const byPhrase = new Map();
+
+    for (const input of inputs) {
+      const normalized = normalizePhraseInput(input);
+      const previous = normalized.id ? existing.get(normalized.id) : null;
+      const unchanged = previous && previous.phrase === normalized.phrase && previous.boost === normalized.boost;
+
+      byPhrase.set(normalized.phrase, {
+        id: normalized.id || randomUUID(),
+        phrase: normalized.phrase,
+        boost: normalized.boost,
+        createdAt: previous?.createdAt || now,
+        updatedAt: unchanged ? previous.updatedAt : now
+      });
+    }
+
+    return this.saveEntry(clientId, Array.from(byPhrase.values()));
+  }
+
+  // フレーズ追加（同じフレーズが既にあればブースト値を更新）
+  async add(clientId, input) {
+    const normalized = normalizePhraseInput(input);
+    const current = await this.loadEntry(clientId);
+    const now = new Date().toISOString();
+
+    const duplicate = current.phrases.find(item => item.phrase === normalized.phrase);
+    if (duplicate) {
+      Object.assign(duplicate, { boost: normalized.boost, updatedAt: now });
+      await this.saveEntry(clientId, current.phrases);
+      return duplicate;
+    }
+
+    const phrase = {
+      id: normalized.id || randomUUID(),
+      phrase: normalized.phrase,
+      boost: normalized.boost,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.saveEntry(clientId, [...current.phrases, phrase]);
+    return phrase;
+  }
+
+  // フレーズ更新
+  async update(clientId, id, input) {
+    const current = await this.loadEntry(clientId);
+    const target = current.phrases.find(item => item.id === id);
+    if (!target) {
+      throw new STTError('PHRASE_NOT_FOUND');
+    }
+
+    const normalized = normalizePhraseInput({ phrase: target.phrase, boost: target.boost, ...input, id });
+    Object.assign(target, { phrase: normalized.phrase, boost: normalized.boost, updatedAt: new Date().toISOString() });
+
+    // 更新で他のフレーズと同じ内容になった場合は重複を除く
+    const phrases = current.phrases.filter(item => item === target || item.phrase !== target.phrase);
+    await this.saveEntry(clientId, phrases);
+    return target;
+  }
+
+  // フレーズ削除
+  async remove(clientId, id) {
+    const current = await this.loadEntry(clientId);
+    const phrases = current.phrases.filter(item => item.id !== id);
+    if (phrases.length === current.phrases.length) {
+      throw new STTError('PHRASE_NOT_FOUND');
+    }
+    return this.saveEntry(clientId, phrases);
+  }
+
+  // 認識リクエストに付ける speechContexts（未登録で追加フレーズも無ければ空配列）
+  async getSpeechContexts(clientId, phraseHints = []) {
+    const { phrases } = await this.loadEntry(clientId);
+    return toSpeechContexts([...phrases, ...phraseHints.map(phrase => ({ phrase, boost: null }))]);
+  }
+}
+
+// シングルトンインスタンス
+const phraseService = new PhraseService();
+
+export default phraseService;
@@ -0,0 +1,76 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// カスタム語彙（フレーズセット）の保存先
+// インターフェース: init / get / set / close
+// 値はクライアントごとの { phrases: [{ id, phrase, boost, createdAt, updatedAt }], updatedAt }
+
+// メモリ上に保存（サーバー再起動で消える）
+export class MemoryPhraseStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async init() {}
+
+  async get(clientId) {
+    const entry = this.entries.get(clientId);
+    return entry ? structuredClone(entry) : null;
+  }
+
+  async set(clientId, entry) {
+    this.entries.set(clientId, structuredClone(entry));
+  }
+
+  async close() {}
+}
+
+// JSONファイルに保存（再起動後も残る）
+// 変更はまれなので、更新のたびに一時ファイル経由で書き出す
+export class FilePhraseStore extends MemoryPhraseStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const content = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.entries = new Map(Object.entries(content));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async set(clientId, entry) {
+    await super.set(clientId, entry);
+
+    // 書き込みは順番に行う（同時更新で古い内容が後から書かれないように）
+    const snapshot = JSON.stringify(Object.fromEntries(this.entries));
+    const temp = `${this.filePath}.tmp`;
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => fs.writeFile(temp, snapshot))
+      .then(() => fs.rename(temp, this.filePath));
+    return this.writing;
+  }
+
+  async close() {
+    await this.writing.catch(() => {});
+  }
+}
+
+// 設定名からストアを生成
+export function createPhraseStore(name, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryPhraseStore();
+    case 'file':
+      return new FilePhraseStore(options.filePath);
+    default:
+      throw new Error(`Unknown phrase store: ${name} (available: memory, file)`);
+  }
+}
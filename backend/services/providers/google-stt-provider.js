@@ -0,0 +1,172 @@
+import { SpeechClient } from '@google-cloud/speech';
+import workloadIdentityManager from '../../auth/workload-identity-setup.js';
+import { STTError } from '../../errors/stt-error.js';
+import logger from '../observability/logger.js';
+import { STTProvider, normalizeRecognitionResults } from './stt-provider.js';
+import { RecognizeStream } from './recognize-stream.js';
+
+// 対応言語（アプリで選べる主な言語。Speech-to-Textはさらに多くの言語に対応している）
+const GOOGLE_LANGUAGES = [
+  'ja-JP', 'en-US', 'en-GB', 'cmn-Hans-CN', 'cmn-Hant-TW', 'yue-Hant-HK', 'ko-KR', 'vi-VN', 'th-TH',
+  'id-ID', 'fil-PH', 'hi-IN', 'es-ES', 'es-US', 'pt-BR', 'fr-FR', 'de-DE', 'it-IT', 'ru-RU'
+];
+
+// 選べる認識モデル
+const GOOGLE_MODELS = ['latest_long', 'latest_short', 'default', 'command_and_search', 'phone_call', 'video'];
+
+// Google Cloud Speech-to-Text アダプター
+export class GoogleSTTProvider extends STTProvider {
+  constructor() {
+    super('google');
+    this.speechClient = null;
+  }
+
+  async initialize() {
+    try {
+      logger.debug('Google STT provider: initializing Workload Identity');
+      await workloadIdentityManager.initialize();
+
+      const authClient = await workloadIdentityManager.getAuthenticatedClient();
+      logger.debug('Google STT provider: authenticated client obtained');
+
+      // Speech Clientを初期化
+      const projectId = await workloadIdentityManager.getProjectId();
+      logger.debug('Google STT provider: initializing SpeechClient', { projectId });
+
+      this.speechClient = new SpeechClient({
+        projectId: projectId,
+        auth: authClient
+      });
+
+      this.initialized = true;
+      logger.info('Google STT provider initialized', { projectId });
+
+    } catch (error) {
+      logger.error('Google STT provider initialization failed', { error });
+      throw new Error('STTサービスの初期化に失敗しました');
+    }
+  }
+
+  async recognize(audioBuffer, config) {
+    try {
+      const [response] = await this.speechClient.recognize({
+        config: config,
+        audio: { content: audioBuffer.toString('base64') }
+      });
+
+      return normalizeRecognitionResults(response.results);
+
+    } catch (error) {
+      throw this.mapError(error);
+    }
+  }
+
+  // 非同期認識（longRunningRecognize）で長時間音声を処理
+  async recognizeLong(audioBuffer, config) {
+    try {
+      const [operation] = await this.speechClient.longRunningRecognize({
+        config: config,
+        audio: { content: audioBuffer.toString('base64') }
+      });
+      const [response] = await operation.promise();
+
+      return normalizeRecognitionResults(response.results);
+
+    } catch (error) {
+      throw this.mapError(error);
+    }
+  }
+
+  // streamingRecognize によるリアルタイム認識
+  createStream(config) {
+    return new GoogleRecognizeStream(this, config);
+  }
+
+  async health() {
+    return {
+      status: this.initialized ? 'healthy' : 'not_initialized',
+      provider: this.name,
+      authenticated: workloadIdentityManager.isAuthenticated(),
+      initialized: this.initialized,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  capabilities() {
+    return {
+      provider: this.name,
+      languages: GOOGLE_LANGUAGES,
+      models: GOOGLE_MODELS,
+      encodings: ['WEBM_OPUS', 'OGG_OPUS', 'LINEAR16', 'MP3', 'FLAC'],
+      streaming: true,
+      longRunning: true,
+      wordTimeOffsets: true,
+      wordConfidence: true,
+      languageDetection: true, // alternativeLanguageCodes から判定
+      speechAdaptation: true, // フレーズセット（speechContexts）
+      diarization: true
+    };
+  }
+
+  // gRPCステータスをアプリのエラーコードに変換
+  mapError(error) {
+    logger.error('Google speech recognition error', { grpcCode: error.code, error });
+
+    const options = { detail: error.details || error.message, cause: error };
+    switch (error.code) {
+      case 3: // INVALID_ARGUMENT（正規化後の音声・設定を受け付けなかった）
+      case 11: // OUT_OF_RANGE
+        return new STTError('PROVIDER_REJECTED', options);
+      case 4: // DEADLINE_EXCEEDED
+      case 8: // RESOURCE_EXHAUSTED（プロバイダー側の割り当て超過）
+      case 13: // INTERNAL
+      case 14: // UNAVAILABLE
+        return new STTError('PROVIDER_UNAVAILABLE', options);
+      case 7: // PERMISSION_DENIED
+      case 16: // UNAUTHENTICATED
+        return new STTError('PROVIDER_AUTH_FAILED', options);
+      default:
+        return new STTError('TRANSCRIPTION_FAILED', options);
+    }
+  }
+}
+
+// streamingRecognize の双方向ストリームを RecognizeStream に適合させる
+class GoogleRecognizeStream extends RecognizeStream {
+  constructor(provider, config) {
+    super();
+    this.grpcStream = provider.speechClient
+      .streamingRecognize({ config: config, interimResults: true })
+      .on('data', (data) => {
+        const result = data.results && data.results[0];
+        if (!result || !result.alternatives || !result.alternatives[0]) return;
+
+        const normalized = normalizeRecognitionResults([result]);
+        this.emit(result.isFinal ? 'final' : 'interim', {
+          transcript: normalized.transcription,
+          confidence: normalized.confidence,
+          stability: result.stability || 0,
+          wordDetails: normalized.wordDetails,
+          languageCode: normalized.languageCode
+        });
+      })
+      .on('error', (error) => this.emit('error', provider.mapError(error)))
+      .on('drain', () => this.emit('drain'))
+      .on('end', () => this.emit('end'));
+  }
+
+  write(chunk) {
+    return this.grpcStream.write(chunk);
+  }
+
+  end() {
+    this.grpcStream.end();
+  }
+
+  destroy() {
+    this.removeAllListeners();
+    this.grpcStream.removeAllListeners();
+    this.grpcStream.on('error', () => {});
+    this.grpcStream.destroy();
+  }
+}
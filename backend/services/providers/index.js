@@ -0,0 +1,17 @@
+import { GoogleSTTProvider } from './google-stt-provider.js';
+import { LocalSTTProvider } from './local-stt-provider.js';
+
+// 利用可能なプロバイダー
+const providers = {
+  google: () => new GoogleSTTProvider(),
+  local: () => new LocalSTTProvider()
+};
+
+// 設定名からプロバイダーを生成
+export function createSTTProvider(name) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown STT provider: ${name} (available: ${Object.keys(providers).join(', ')})`);
+  }
+  return factory();
+}
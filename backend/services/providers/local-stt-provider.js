@@ -0,0 +1,155 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import path from 'path';
+import { localProviderConfig } from '../../config/speech-config.js';
+import { STTError } from '../../errors/stt-error.js';
+import logger from '../observability/logger.js';
+import { STTProvider } from './stt-provider.js';
+
+const execFileAsync = promisify(execFile);
+
+// オフライン用ローカルプロバイダー
+// 1. LOCAL_STT_COMMAND が設定されていればローカルの認識エンジンを実行
+// 2. 音声のSHA-256ハッシュに一致するフィクスチャがあればその結果を返す
+// 3. どちらも無ければハッシュから決定的なダミー文字起こしを返す
+export class LocalSTTProvider extends STTProvider {
+  constructor(config = localProviderConfig) {
+    super('local');
+    this.config = config;
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(this.config.fixturesDir, { recursive: true });
+      this.initialized = true;
+      logger.info('Local STT provider initialized', {
+        fixturesDir: this.config.fixturesDir,
+        command: this.config.command || '(none)'
+      });
+    } catch (error) {
+      logger.error('Local STT provider initialization failed', { error });
+      throw new Error('STTサービスの初期化に失敗しました');
+    }
+  }
+
+  // 音声データのハッシュ（フィクスチャのキー）
+  hashAudio(audioBuffer) {
+    return createHash('sha256').update(audioBuffer).digest('hex');
+  }
+
+  async recognize(audioBuffer, config) {
+    const audioHash = this.hashAudio(audioBuffer);
+
+    if (this.config.command) {
+      return this.runEngine(audioBuffer, config);
+    }
+
+    const fixture = await this.loadFixture(audioHash);
+    if (fixture) {
+      logger.debug('Local STT provider fixture hit', { audioHash });
+      return {
+        transcription: fixture.transcription || '',
+        confidence: fixture.confidence ?? 1,
+        alternatives: fixture.alternatives || [],
+        wordDetails: fixture.wordDetails || [],
+        totalResults: 1,
+        languageCode: fixture.languageCode || null
+      };
+    }
+
+    logger.debug('Local STT provider has no fixture', { audioHash, fixture: path.join(this.config.fixturesDir, `${audioHash}.json`) });
+
+    return {
+      transcription: `ローカル文字起こし ${audioHash.slice(0, 8)} (${config.languageCode})`,
+      confidence: 0,
+      alternatives: [],
+      wordDetails: [],
+      totalResults: 1,
+      languageCode: null
+    };
+  }
+
+  // フィクスチャ（<hash>.json）を読み込み
+  async loadFixture(audioHash) {
+    try {
+      const content = await fs.readFile(path.join(this.config.fixturesDir, `${audioHash}.json`), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Local STT provider fixture is invalid', { audioHash, error });
+      return null;
+    }
+  }
+
+  // ローカル認識エンジンを実行
+  // エンジンは `<command> <audioFile> <languageCode>` で呼び出され、
+  // 標準出力にJSON（{ transcription, confidence, wordDetails, languageCode }）またはプレーンテキストを返す
+  // 話者を判別できるエンジンは wordDetails の各単語に speaker（1始まりの番号）を付ける
+  // 第3引数以降に候補言語を渡す（エンジンが言語を判定できる場合は languageCode で返す）
+  async runEngine(audioBuffer, config) {
+    const tempFile = path.join(os.tmpdir(), `fusenkun-${Date.now()}-${Math.random().toString(36).slice(2)}.audio`);
+
+    try {
+      await fs.writeFile(tempFile, audioBuffer);
+
+      const { stdout } = await execFileAsync(this.config.command, [tempFile, config.languageCode, ...(config.alternativeLanguageCodes || [])], {
+        timeout: this.config.commandTimeout,
+        maxBuffer: 10 * 1024 * 1024
+      });
+
+      let output;
+      try {
+        output = JSON.parse(stdout);
+      } catch {
+        output = { transcription: stdout.trim() };
+      }
+
+      return {
+        transcription: output.transcription || output.text || '',
+        confidence: output.confidence ?? 0,
+        alternatives: output.alternatives || [],
+        wordDetails: output.wordDetails || [],
+        totalResults: 1,
+        languageCode: output.languageCode || null
+      };
+
+    } catch (error) {
+      logger.error('Local STT engine failed', { error });
+      throw new STTError('TRANSCRIPTION_FAILED', { detail: error.message, cause: error });
+    } finally {
+      await fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  async health() {
+    return {
+      status: this.initialized ? 'healthy' : 'not_initialized',
+      provider: this.name,
+      authenticated: true,
+      initialized: this.initialized,
+      mode: this.config.command ? 'engine' : 'fixtures',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  capabilities() {
+    return {
+      provider: this.name,
+      languages: this.config.languages,
+      models: [],
+      encodings: ['WEBM_OPUS', 'OGG_OPUS', 'LINEAR16', 'MP3', 'FLAC'],
+      streaming: true,
+      longRunning: true,
+      wordTimeOffsets: true,
+      wordConfidence: true,
+      languageDetection: Boolean(this.config.command), // フィクスチャは languageCode を指定した場合のみ
+      speechAdaptation: false,
+      diarization: Boolean(this.config.command) // フィクスチャは wordDetails に speaker を指定した場合のみ
+    };
+  }
+}
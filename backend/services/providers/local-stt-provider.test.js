@@ -0,0 +1,127 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalSTTProvider } from './local-stt-provider.js';
+
+const recognitionConfig = { languageCode: 'ja-JP', alternativeLanguageCodes: ['en-US'] };
+
+describe('LocalSTTProvider', () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'fusenkun-local-stt-'));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const createProvider = (overrides = {}) => new LocalSTTProvider({
+    fixturesDir: path.join(directory, 'fixtures'),
+    languages: ['ja-JP', 'en-US'],
+    command: null,
+    commandTimeout: 5000,
+    ...overrides
+  });
+
+  // 実行ファイルのエンジン（`<command> <audioFile> <languageCode> [候補言語...]`）
+  const createEngine = async (name, script) => {
+    const file = path.join(directory, name);
+    await fs.writeFile(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+    return file;
+  };
+
+  it('初期化でフィクスチャのフォルダを作る', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+
+    assert.equal(provider.initialized, true);
+    assert.ok((await fs.stat(provider.config.fixturesDir)).isDirectory());
+    assert.equal((await provider.health()).mode, 'fixtures');
+  });
+
+  it('音声のSHA-256に一致するフィクスチャを返す（省略した項目は既定値）', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+    const audio = Buffer.from('fixture audio');
+    await fs.writeFile(path.join(provider.config.fixturesDir, `${provider.hashAudio(audio)}.json`), JSON.stringify({
+      transcription: 'こんにちは',
+      wordDetails: [{ word: 'こんにちは', startTime: 0, endTime: 1, confidence: 0.9, speaker: 1 }],
+      languageCode: 'ja-jp'
+    }));
+
+    assert.deepEqual(await provider.recognize(audio, recognitionConfig), {
+      transcription: 'こんにちは',
+      confidence: 1,
+      alternatives: [],
+      wordDetails: [{ word: 'こんにちは', startTime: 0, endTime: 1, confidence: 0.9, speaker: 1 }],
+      totalResults: 1,
+      languageCode: 'ja-jp'
+    });
+  });
+
+  it('フィクスチャが無い・壊れている場合はハッシュから決定的なダミーを返す', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+    const audio = Buffer.from('unknown audio');
+    const hash = provider.hashAudio(audio);
+
+    const first = await provider.recognize(audio, recognitionConfig);
+    assert.equal(first.transcription, `ローカル文字起こし ${hash.slice(0, 8)} (ja-JP)`);
+    assert.equal(first.confidence, 0);
+    assert.equal(first.languageCode, null);
+    assert.deepEqual(await provider.recognize(audio, recognitionConfig), first);
+    assert.notEqual((await provider.recognize(Buffer.from('other audio'), recognitionConfig)).transcription, first.transcription);
+
+    await fs.writeFile(path.join(provider.config.fixturesDir, `${hash}.json`), '{ broken');
+    assert.deepEqual(await provider.recognize(audio, recognitionConfig), first);
+  });
+
+  it('エンジンの標準出力のJSONを結果にし、音声ファイル・言語・候補言語を引数で渡す', async () => {
+    const command = await createEngine('json-engine', [
+      'test -f "$1" || exit 3',
+      'echo "{\\"transcription\\": \\"$(cat "$1")\\", \\"confidence\\": 0.8, \\"languageCode\\": \\"$2 $3\\"}"'
+    ].join('\n'));
+    const provider = createProvider({ command });
+
+    assert.deepEqual(await provider.recognize(Buffer.from('hello'), recognitionConfig), {
+      transcription: 'hello',
+      confidence: 0.8,
+      alternatives: [],
+      wordDetails: [],
+      totalResults: 1,
+      languageCode: 'ja-JP en-US'
+    });
+    assert.equal((await provider.health()).mode, 'engine');
+    assert.equal(provider.capabilities().diarization, true);
+  });
+
+  it('JSONでない出力はそのまま文字起こしにし、一時ファイルを消す', async () => {
+    const command = await createEngine('text-engine', 'echo "$1" > "$(dirname "$0")/last-file"; echo "  plain text  "');
+    const provider = createProvider({ command });
+
+    const result = await provider.recognize(Buffer.from('audio'), recognitionConfig);
+    assert.equal(result.transcription, 'plain text');
+    assert.equal(result.confidence, 0);
+
+    const audioFile = (await fs.readFile(path.join(directory, 'last-file'), 'utf8')).trim();
+    await assert.rejects(fs.stat(audioFile), { code: 'ENOENT' });
+  });
+
+  it('エンジンが失敗したら TRANSCRIPTION_FAILED', async () => {
+    const command = await createEngine('failing-engine', 'echo error >&2; exit 1');
+    const provider = createProvider({ command });
+
+    await assert.rejects(provider.recognize(Buffer.from('audio'), recognitionConfig), { code: 'TRANSCRIPTION_FAILED' });
+  });
+
+  it('フィクスチャだけの場合は言語判定・話者分離に対応しない', () => {
+    const capabilities = createProvider().capabilities();
+
+    assert.equal(capabilities.languageDetection, false);
+    assert.equal(capabilities.diarization, false);
+    assert.deepEqual(capabilities.languages, ['ja-JP', 'en-US']);
+  });
+});
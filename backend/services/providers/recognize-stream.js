@@ -0,0 +1,118 @@
+import { EventEmitter } from 'events';
+import logger from '../observability/logger.js';
+
+// ストリーミング認識の共通インターフェース
+// イベント: 'interim' / 'final'（{ transcript, confidence, wordDetails, languageCode }）, 'error', 'drain', 'end'
+export class RecognizeStream extends EventEmitter {
+  // 音声フレームを書き込む。falseを返した場合は 'drain' まで書き込みを控える
+  write(chunk) {
+    throw new Error('write() is not implemented');
+  }
+
+  // 音声の終端を通知（最終結果の後に 'end' を発行）
+  end() {}
+
+  // 途中で破棄（切断時など）
+  destroy() {}
+}
+
+// 途中結果で再認識する直近の音声の長さ（長い録音でも1回の認識の量を一定にする）
+const INTERIM_WINDOW_SECONDS = 10;
+
+// ストリーミングAPIを持たないプロバイダー用
+// 受信したPCMを蓄積し、一定量ごとに直近の音声を再認識して途中結果を、終端で全体を認識して最終結果を返す
+export class BufferedRecognizeStream extends RecognizeStream {
+  constructor(provider, config) {
+    super();
+    this.provider = provider;
+    this.config = config;
+    this.chunks = [];
+    this.totalBytes = 0;
+    this.lastInterimBytes = 0;
+    this.recognizing = false;
+    this.destroyed = false;
+
+    // 約1秒分（16bit モノラル）ごとに途中結果を更新
+    this.interimIntervalBytes = config.sampleRateHertz * 2;
+    this.interimWindowBytes = config.sampleRateHertz * 2 * INTERIM_WINDOW_SECONDS;
+  }
+
+  write(chunk) {
+    if (this.destroyed) return false;
+
+    this.chunks.push(chunk);
+    this.totalBytes += chunk.length;
+
+    if (!this.recognizing && this.totalBytes - this.lastInterimBytes >= this.interimIntervalBytes) {
+      this.recognizeInterim();
+    }
+    return true;
+  }
+
+  async recognizeInterim() {
+    this.recognizing = true;
+    this.lastInterimBytes = this.totalBytes;
+
+    try {
+      const result = await this.provider.recognize(this.trailingAudio(this.interimWindowBytes), this.config);
+      if (!this.destroyed) {
+        this.emit('interim', {
+          transcript: result.transcription,
+          confidence: result.confidence
+        });
+      }
+    } catch (error) {
+      logger.warn('Buffered stream interim recognition failed', { error: error.message });
+    } finally {
+      this.recognizing = false;
+    }
+  }
+
+  // 末尾の bytes バイト分の音声（16bit のサンプルの途中からは始めない）
+  trailingAudio(bytes) {
+    const parts = [];
+    let length = 0;
+    for (let i = this.chunks.length - 1; i >= 0 && length < bytes; i--) {
+      parts.push(this.chunks[i]);
+      length += this.chunks[i].length;
+    }
+
+    const audio = Buffer.concat(parts.reverse());
+    let start = Math.max(0, audio.length - bytes);
+    if ((this.totalBytes - audio.length + start) % 2 !== 0) start++;
+    return audio.subarray(start);
+  }
+
+  async end() {
+    if (this.destroyed) return;
+
+    try {
+      if (this.totalBytes > 0) {
+        const result = await this.provider.recognize(Buffer.concat(this.chunks), this.config);
+        if (!this.destroyed) {
+          this.emit('final', {
+            transcript: result.transcription,
+            confidence: result.confidence,
+            wordDetails: result.wordDetails,
+            languageCode: result.languageCode || null
+          });
+        }
+      }
+      if (!this.destroyed) {
+        this.emit('end');
+      }
+    } catch (error) {
+      if (!this.destroyed) {
+        this.emit('error', error);
+      }
+    } finally {
+      this.chunks = [];
+    }
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.chunks = [];
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'timers/promises';
+import { BufferedRecognizeStream } from './recognize-stream.js';
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// 認識した音声の長さ（秒）を文字起こしとして返すプロバイダー
+function createProvider() {
+  const calls = [];
+  return {
+    calls,
+    async recognize(audio) {
+      calls.push(audio);
+      return { transcription: `${audio.length / BYTES_PER_SECOND}s`, confidence: 0.5, wordDetails: [], languageCode: 'ja-JP' };
+    }
+  };
+}
+
+// 0.5秒ごとのフレームを書き込む（途中結果の認識が終わるのを待ちながら）
+async function writeSeconds(stream, seconds, frameBytes = BYTES_PER_SECOND / 2) {
+  for (let written = 0; written < seconds * BYTES_PER_SECOND; written += frameBytes) {
+    stream.write(Buffer.alloc(frameBytes, written / frameBytes));
+    await nextTick();
+  }
+}
+
+describe('BufferedRecognizeStream', () => {
+  it('途中結果は直近10秒分だけを認識し、最終結果は全体を認識する', async () => {
+    const provider = createProvider();
+    const stream = new BufferedRecognizeStream(provider, { sampleRateHertz: SAMPLE_RATE });
+    const interims = [];
+    const finals = [];
+    stream.on('interim', result => interims.push(result.transcript));
+    stream.on('final', result => finals.push(result));
+
+    await writeSeconds(stream, 30);
+    await stream.end();
+
+    assert.equal(interims.length, 30);
+    assert.deepEqual(interims.slice(0, 3), ['1s', '2s', '3s']);
+    assert.deepEqual(interims.slice(-3), ['10s', '10s', '10s']);
+    assert.ok(provider.calls.slice(0, -1).every(audio => audio.length <= 10 * BYTES_PER_SECOND));
+
+    // 途中結果は末尾の音声（最後のフレームで終わる）
+    const lastInterim = provider.calls[provider.calls.length - 2];
+    assert.equal(lastInterim[lastInterim.length - 1], 59);
+
+    assert.equal(finals.length, 1);
+    assert.equal(finals[0].transcript, '30s');
+    assert.equal(finals[0].languageCode, 'ja-JP');
+  });
+
+  it('直近の音声は16bitのサンプルの境界から始める', async () => {
+    const provider = createProvider();
+    const stream = new BufferedRecognizeStream(provider, { sampleRateHertz: SAMPLE_RATE });
+    stream.write(Buffer.alloc(3));
+    stream.write(Buffer.alloc(12 * BYTES_PER_SECOND + 1));
+
+    const audio = stream.trailingAudio(10 * BYTES_PER_SECOND);
+    assert.equal(audio.length, 10 * BYTES_PER_SECOND);
+    assert.equal((stream.totalBytes - audio.length) % 2, 0);
+    assert.equal(stream.trailingAudio(101).length, 100);
+    assert.equal(stream.trailingAudio(stream.totalBytes + 10).length, stream.totalBytes);
+  });
+
+  it('音声が無ければ認識せずに終わる', async () => {
+    const provider = createProvider();
+    const stream = new BufferedRecognizeStream(provider, { sampleRateHertz: SAMPLE_RATE });
+    let ended = false;
+    stream.on('end', () => { ended = true; });
+
+    await stream.end();
+
+    assert.equal(ended, true);
+    assert.equal(provider.calls.length, 0);
+  });
+});
@@ -0,0 +1,116 @@
+import { BufferedRecognizeStream } from './recognize-stream.js';
+
+// STTプロバイダーの共通インターフェース
+// 各プロバイダー（Google, ローカル等）はこのクラスを継承して実装する
+export class STTProvider {
+  constructor(name) {
+    this.name = name;
+    this.initialized = false;
+  }
+
+  // プロバイダー初期化（認証・リソース読み込み等）
+  async initialize() {
+    this.initialized = true;
+  }
+
+  // 短い音声の同期認識
+  // config: { encoding, sampleRateHertz, languageCode, alternativeLanguageCodes, ... }
+  // 戻り値: { transcription, confidence, alternatives, wordDetails, totalResults, languageCode }
+  // languageCode は判定した言語（候補言語から選ばれた場合。不明ならnull）
+  // 話者分離（config.diarizationConfig）を行った場合は wordDetails の各単語に speaker（1始まりの番号）を付ける
+  async recognize(audioBuffer, config) {
+    throw new Error(`${this.name}: recognize() is not implemented`);
+  }
+
+  // 長時間音声の認識（プロバイダーが対応していなければ同期認識にフォールバック）
+  async recognizeLong(audioBuffer, config) {
+    return this.recognize(audioBuffer, config);
+  }
+
+  // ストリーミング認識（LINEAR16 PCM）。既定は蓄積して再認識する実装
+  createStream(config) {
+    return new BufferedRecognizeStream(this, config);
+  }
+
+  // プロバイダーの状態
+  async health() {
+    return {
+      status: this.initialized ? 'healthy' : 'not_initialized',
+      provider: this.name,
+      initialized: this.initialized,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // プロバイダーが対応する機能
+  capabilities() {
+    return {
+      provider: this.name,
+      languages: [],
+      models: [], // 選べる認識モデル（空なら選択不可）
+      encodings: [],
+      streaming: false,
+      longRunning: false,
+      wordTimeOffsets: false,
+      wordConfidence: false,
+      languageDetection: false,
+      speechAdaptation: false,
+      diarization: false
+    };
+  }
+}
+
+// 認識結果（alternatives配列）を共通フォーマットに変換
+export function normalizeRecognitionResults(results) {
+  if (!results || results.length === 0) {
+    return {
+      transcription: '',
+      confidence: 0,
+      alternatives: [],
+      wordDetails: [],
+      totalResults: 0,
+      languageCode: null
+    };
+  }
+
+  // 最も信頼度の高い結果を取得
+  const bestResult = results[0];
+  const bestAlternative = bestResult.alternatives[0];
+
+  // 代替候補を取得
+  const alternatives = bestResult.alternatives.slice(1, 3).map(alt => ({
+    transcript: alt.transcript,
+    confidence: alt.confidence || 0
+  }));
+
+  // 話者分離を有効にすると、最後の結果に音声全体の単語と話者番号（speakerTag）が入る
+  const lastAlternative = results[results.length - 1].alternatives?.[0];
+  const words = lastAlternative?.words?.some(word => word.speakerTag)
+    ? lastAlternative.words
+    : bestAlternative.words;
+
+  // 単語レベルの詳細情報
+  const wordDetails = words ? words.map(word => ({
+    word: word.word,
+    startTime: toSeconds(word.startTime),
+    endTime: toSeconds(word.endTime),
+    confidence: word.confidence || 0,
+    ...(word.speakerTag && { speaker: word.speakerTag })
+  })) : [];
+
+  return {
+    transcription: bestAlternative.transcript || '',
+    confidence: bestAlternative.confidence || 0,
+    alternatives: alternatives,
+    wordDetails: wordDetails,
+    totalResults: results.length,
+    languageCode: bestResult.languageCode || null
+  };
+}
+
+// Duration（{ seconds, nanos }）または数値を秒に変換
+function toSeconds(time) {
+  if (!time) return 0;
+  if (typeof time === 'number') return time;
+  return parseFloat(time.seconds || 0) + (time.nanos || 0) / 1e9;
+}
@@ -22,6 +22,11 @@ class AndroidOptimizedAudioProcessor extends AudioWorkletProcessor {
     this.noiseGate = 0.005;
     this.previousSample = 0;
     
+    // ストリーミング用PCMフレーム（16bit、約100ms単位で送信）
+    this.streamFrames = false;
+    this.frameBuffer = null;
+    this.frameOffset = 0;
+    
     // メッセージハンドラー
     this.port.onmessage = (event) => {
       const { command, data } = event.data;
@@ -51,6 +56,9 @@ class AndroidOptimizedAudioProcessor extends AudioWorkletProcessor {
     if (config.sampleRate) this.sampleRate = config.sampleRate;
     if (config.noiseGate) this.noiseGate = config.noiseGate;
     if (config.silenceThreshold) this.silenceThreshold = config.silenceThreshold;
+    this.streamFrames = !!config.streamFrames;
+    this.frameBuffer = this.streamFrames ? new Int16Array(Math.round(this.sampleRate / 10)) : null;
+    this.frameOffset = 0;
     
     this.port.postMessage({
       type: 'recording-started',
@@ -128,6 +136,11 @@ class AndroidOptimizedAudioProcessor extends AudioWorkletProcessor {
       // 音声データをバッファに追加
       this.audioBuffer.push(filtered);
       
+      // ストリーミング用フレームに追加
+      if (this.streamFrames) {
+        this.appendFrameSample(filtered);
+      }
+      
       // レベル計算
       sum += filtered * filtered;
       peak = Math.max(peak, Math.abs(filtered));
@@ -175,6 +188,20 @@ class AndroidOptimizedAudioProcessor extends AudioWorkletProcessor {
     return true;
   }
 
+  // PCMフレームにサンプルを追加し、満杯になったらメインスレッドへ送信
+  appendFrameSample(sample) {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    this.frameBuffer[this.frameOffset++] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+    
+    if (this.frameOffset === this.frameBuffer.length) {
+      const frameLength = this.frameBuffer.length;
+      const frame = this.frameBuffer.buffer;
+      this.port.postMessage({ type: 'pcm-frame', data: frame }, [frame]);
+      this.frameBuffer = new Int16Array(frameLength); // 転送後は元のバッファが使えないため再確保
+      this.frameOffset = 0;
+    }
+  }
+
   // プロセッサー終了時のクリーンアップ
   static get parameterDescriptors() {
     return [];
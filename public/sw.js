@@ -1,6 +1,39 @@
-const CACHE_NAME = 'fusenkun-v1.0.0';
-const STATIC_CACHE = 'static-v1.0.0';
-const DYNAMIC_CACHE = 'dynamic-v1.0.0';
+const CACHE_NAME = 'fusenkun-v1.1.0';
+const STATIC_CACHE = 'static-v1.1.0';
+const DYNAMIC_CACHE = 'dynamic-v1.1.0';
+
+// 文字起こしキュー（DB名・ストア・再試行の設定は src/hooks/TranscriptionQueue.ts と揃えること）
+const QUEUE_DB_NAME = 'TranscriptionQueueDB';
+const QUEUE_DB_VERSION = 1;
+const QUEUE_STORE = 'queue';
+const QUEUE_CONFIG_STORE = 'config';
+const QUEUE_MAX_ATTEMPTS = 8;
+const QUEUE_BASE_RETRY_DELAY = 30 * 1000;
+const QUEUE_MAX_RETRY_DELAY = 30 * 60 * 1000;
+const QUEUE_LEASE_DURATION = 5 * 60 * 1000;
+const QUEUE_POLL_INTERVAL = 2000;
+const QUEUE_POLL_LIMIT = 2 * 60 * 1000; // syncイベントは長く続けられないため、アプリより短く待つ
+const QUEUE_ACTIVE_STATES = ['pending', 'uploading', 'transcribing'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// メモのサーバー同期（DB名・ストアは src/hooks/MemoMigrations.ts、同期の流れは src/hooks/IndexedDBMemo.ts の syncWithServer と揃えること）
+// Service Workerは端末の変更・削除・音声の送信のみ行い、他の端末の変更の取り込みはアプリを開いたときに行う
+const MEMO_DB_NAME = 'MemoAppDB';
+const MEMO_STORE = 'memos';
+const MEMO_AUDIO_STORE = 'audioData';
+const MEMO_TOMBSTONE_STORE = 'tombstones';
+const MEMO_SYNC_STORE = 'syncState';
+const MEMO_SYNC_KEY = 'memos';
+const MEMO_SYNC_LEASE_DURATION = 2 * 60 * 1000;
+const MEMO_SYNC_BATCH_SIZE = 20;
+const MEMO_IN_PROGRESS_STATES = ['recording', 'uploading', 'transcribing'];
+const MEMO_SYNC_AUTH_ERRORS = ['AUTHENTICATION_REQUIRED', 'AUTHENTICATION_FAILED', 'INSUFFICIENT_SCOPE', 'SYNC_KEY_REQUIRED'];
+
+// リマインダー（src/hooks/Reminders.ts・src/utils/reminderTime.ts と揃えること）
+const MEMO_REMINDER_INDEX = 'reminderDueAt';
+const REMINDER_SYNC_TAG = 'memo-reminders';
+const REMINDER_SNOOZE_DURATION = 10 * 60 * 1000;
+const REMINDER_BODY_LENGTH = 120;
 
 // キャッシュするリソース
 const STATIC_ASSETS = [
@@ -66,6 +99,30 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // APIはキャッシュしない（ジョブ状態の確認等で古い応答を返さないため）
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // ページは新しいものを優先し、オフライン時のみキャッシュを使う（更新したアプリを読み込むため）
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.status === 200) {
+            const responseClone = response.clone();
+            caches.open(STATIC_CACHE)
+              .then((cache) => {
+                cache.put(request, responseClone);
+              });
+          }
+          return response;
+        })
+        .catch(() => caches.match(request).then((response) => response || caches.match('/index.html')))
+    );
+    return;
+  }
+
   // 静的アセットの処理
   if (STATIC_ASSETS.some(asset => url.pathname.endsWith(asset))) {
     event.respondWith(
@@ -113,12 +170,19 @@ self.addEventListener('sync', (event) => {
   
   if (event.tag === 'memo-sync') {
     event.waitUntil(
-      // メモデータの同期処理（必要に応じて実装）
+      // 文字起こしキューの送信と、メモの変更のサーバーへの送信
       syncMemoData()
     );
   }
 });
 
+// 定期バックグラウンド同期（アプリを閉じている間のリマインダーの通知）
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
 // プッシュ通知（将来の拡張用）
 self.addEventListener('push', (event) => {
   console.log('Push notification received:', event);
@@ -151,10 +215,21 @@ self.addEventListener('push', (event) => {
 });
 
 // 通知クリック処理
+// リマインダーの「10分後」「完了」はメモを書き換え、通知そのもののクリックはそのメモを開く
 self.addEventListener('notificationclick', (event) => {
   console.log('Notification clicked:', event);
   event.notification.close();
 
+  const memoId = event.notification.data && event.notification.data.memoId;
+  if (memoId !== undefined) {
+    event.waitUntil(
+      event.action === 'snooze' || event.action === 'done'
+        ? updateReminderFromNotification(memoId, event.action)
+        : openMemoWindow(memoId)
+    );
+    return;
+  }
+
   if (event.action === 'open') {
     event.waitUntil(
       clients.openWindow('/')
@@ -162,16 +237,532 @@ self.addEventListener('notificationclick', (event) => {
   }
 });
 
-// メモデータ同期関数（プレースホルダー）
+// メモデータ同期関数
+// 文字起こしキューの送信時刻になった録音を送り、結果をキューに保存してアプリに知らせる（メモへの反映はアプリが行う）
+// 再試行待ちが残っていれば失敗として返し、ブラウザの再試行（バックオフ）に任せる
 async function syncMemoData() {
+  const db = await openQueueDB();
+
   try {
     console.log('Syncing memo data...');
-    // 実際の同期ロジックをここに実装
-    return Promise.resolve();
+    const config = await queueRequest(db.transaction([QUEUE_CONFIG_STORE], 'readonly').objectStore(QUEUE_CONFIG_STORE).get('connection'));
+    if (!config) return; // アプリが接続先を保存する前
+
+    const entries = await queueRequest(db.transaction([QUEUE_STORE], 'readonly').objectStore(QUEUE_STORE).getAll());
+    for (const entry of entries) {
+      const claimed = await claimQueueEntry(db, entry.memoId);
+      if (claimed) {
+        await processQueueEntry(db, claimed, config);
+      }
+    }
+
+    await notifyQueueUpdated();
+
+    if (config.apiKey) {
+      await pushMemoChanges(config);
+    }
+
+    const remaining = await queueRequest(db.transaction([QUEUE_STORE], 'readonly').objectStore(QUEUE_STORE).getAll());
+    if (remaining.some((entry) => QUEUE_ACTIVE_STATES.includes(entry.state))) {
+      throw new Error('Transcription queue has entries waiting for retry');
+    }
   } catch (error) {
     console.error('Memo sync failed:', error);
     throw error;
+  } finally {
+    db.close();
+  }
+}
+
+function openQueueDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        db.createObjectStore(QUEUE_STORE, { keyPath: 'memoId' });
+      }
+      if (!db.objectStoreNames.contains(QUEUE_CONFIG_STORE)) {
+        db.createObjectStore(QUEUE_CONFIG_STORE, { keyPath: 'key' });
+      }
+    };
+  });
+}
+
+function queueRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function putQueueEntry(db, entry) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([QUEUE_STORE], 'readwrite');
+    transaction.objectStore(QUEUE_STORE).put(entry);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// 送信を引き受ける（アプリが処理中、または再試行時刻前ならnull）
+function claimQueueEntry(db, memoId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([QUEUE_STORE], 'readwrite');
+    const store = transaction.objectStore(QUEUE_STORE);
+    let claimed = null;
+
+    const request = store.get(memoId);
+    request.onsuccess = () => {
+      const entry = request.result;
+      const now = Date.now();
+      if (!entry || !QUEUE_ACTIVE_STATES.includes(entry.state) || entry.leaseUntil > now || entry.nextAttemptAt > now) return;
+
+      claimed = { ...entry, leaseUntil: now + QUEUE_LEASE_DURATION, updatedAt: now };
+      store.put(claimed);
+    };
+
+    transaction.oncomplete = () => resolve(claimed);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// STT APIの呼び出し（Service WorkerではAPIキーをそのまま送る）
+function queueFetch(config, path, options = {}) {
+  return apiFetch(config, `${config.baseUrl}${path}`, options);
+}
+
+async function apiFetch(config, url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, ...(config.apiKey ? { 'X-API-Key': config.apiKey } : {}) }
+    });
+  } catch (error) {
+    throw Object.assign(new Error('STTサーバーに接続できません'), { code: 'NETWORK_ERROR', retryable: true });
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(body.error || `HTTP ${response.status}`), {
+      code: body.code,
+      retryable: typeof body.retryable === 'boolean' ? body.retryable : RETRYABLE_STATUSES.includes(response.status),
+      retryAfter: body.retryAfter
+    });
+  }
+  return response.json();
+}
+
+// 1件送信して結果を待つ（src/hooks/TranscriptionQueue.ts の processEntry と同じ流れ）
+async function processQueueEntry(db, entry, config) {
+  let current = entry;
+  const save = async (changes) => {
+    current = { ...current, ...changes, updatedAt: Date.now() };
+    await putQueueEntry(db, current);
+  };
+
+  try {
+    if (!current.jobId) {
+      await save({ state: 'uploading' });
+      const formData = new FormData();
+      formData.append('audio', current.audioBlob, `audio.${current.format}`);
+      formData.append('audioFormat', current.format);
+      formData.append('language', current.language);
+      formData.append('alternativeLanguages', current.alternativeLanguages.join(','));
+      if (current.diarization) {
+        formData.append('diarization', 'true');
+        formData.append('minSpeakers', String(current.diarization.minSpeakers));
+        formData.append('maxSpeakers', String(current.diarization.maxSpeakers));
+      }
+
+      const { job } = await queueFetch(config, '/jobs', { method: 'POST', body: formData });
+      await save({ state: 'transcribing', jobId: job.id });
+    }
+
+    const deadline = Date.now() + QUEUE_POLL_LIMIT;
+    while (Date.now() < deadline) {
+      const { job } = await queueFetch(config, `/jobs/${encodeURIComponent(current.jobId)}`);
+
+      if (job.status === 'completed' && job.result) {
+        await save({ state: 'completed', result: { ...job.result, success: true }, leaseUntil: 0 });
+        return;
+      }
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        await save({ jobId: undefined });
+        throw Object.assign(new Error(job.error || '文字起こしに失敗しました'), {
+          code: job.errorCode,
+          retryable: job.status === 'cancelled' || Boolean(job.retryable)
+        });
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, QUEUE_POLL_INTERVAL));
+    }
+
+    await save({ leaseUntil: 0, nextAttemptAt: Date.now() + QUEUE_POLL_INTERVAL });
+
+  } catch (error) {
+    const attempts = current.attempts + 1;
+    const jobId = error.code === 'JOB_NOT_FOUND' ? undefined : current.jobId;
+
+    if (error.retryable && attempts < QUEUE_MAX_ATTEMPTS) {
+      const delay = Math.min(QUEUE_BASE_RETRY_DELAY * 2 ** (attempts - 1), QUEUE_MAX_RETRY_DELAY);
+      await save({
+        state: 'pending',
+        attempts,
+        jobId,
+        nextAttemptAt: Date.now() + Math.max(delay, (error.retryAfter || 0) * 1000),
+        leaseUntil: 0,
+        lastError: error.message
+      });
+    } else {
+      await save({ state: 'failed', attempts, jobId: undefined, leaseUntil: 0, lastError: error.message });
+    }
+  }
+}
+
+// 開いているアプリに結果の反映を依頼
+async function notifyQueueUpdated() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage({ type: 'transcription-queue-updated' }));
+}
+
+// メモ同期APIの呼び出し（/api/stt と同じサーバーの /api/memos。メモは同期キーごとに分かれる）
+function memoFetch(config, syncKey, path, options = {}) {
+  return apiFetch(config, `${config.baseUrl.replace(/\/stt$/, '/memos')}${path}`, {
+    ...options,
+    headers: { ...options.headers, 'X-Sync-Key': syncKey }
+  });
+}
+
+// メモのDBを開く（アプリが同期に対応した版でDBを作成する前はnull。ここでは作成しない）
+function openMemoDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(MEMO_DB_NAME);
+
+    request.onerror = () => {
+      if (request.error && request.error.name === 'AbortError') resolve(null);
+      else reject(request.error);
+    };
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(MEMO_SYNC_STORE)) {
+        db.close();
+        resolve(null);
+        return;
+      }
+      // アプリがDBを更新できるよう閉じる
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+  });
+}
+
+// 読み書きを1つのトランザクションで行う（work が返した関数の値を完了後に返す）
+function memoTransaction(db, storeNames, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const result = work(transaction);
+    transaction.oncomplete = () => resolve(result ? result() : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function getMemoUpdatedAt(memoData) {
+  return memoData.updatedAt ?? memoData.createdAt;
+}
+
+// 送るメモの内容（src/hooks/IndexedDBMemo.ts の toSyncPayload と同じ形）
+function toMemoSyncPayload(memoData, audioData) {
+  return {
+    text: memoData.text,
+    createdAt: memoData.createdAt,
+    type: memoData.type,
+    language: memoData.language,
+    segments: memoData.segments,
+    speakerLabels: memoData.speakerLabels,
+    originalText: memoData.originalText,
+    alternatives: memoData.alternatives,
+    transcriptionState: memoData.transcriptionState,
+    transcriptionError: memoData.transcriptionError,
+    aging: memoData.aging,
+    archivedAt: memoData.archivedAt,
+    tags: memoData.tags,
+    reminder: memoData.reminder,
+    audio: audioData
+      ? {
+          id: audioData.id,
+          transcript: audioData.transcript,
+          timestamp: new Date(audioData.timestamp).toISOString(),
+          duration: audioData.duration,
+          wordDetails: audioData.wordDetails
+        }
+      : null
+  };
+}
+
+// 同期を引き受けて同期キーを返す（アプリが同期中、またはアプリがまだ同期キーを作っていなければnull）
+function claimMemoSync(db) {
+  return memoTransaction(db, [MEMO_SYNC_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(MEMO_SYNC_STORE);
+    let syncKey = null;
+
+    const request = store.get(MEMO_SYNC_KEY);
+    request.onsuccess = () => {
+      const state = request.result;
+      const now = Date.now();
+      if (!state || !state.syncKey || state.leaseUntil > now) return;
+
+      syncKey = state.syncKey;
+      store.put({ ...state, leaseUntil: now + MEMO_SYNC_LEASE_DURATION });
+    };
+    return () => syncKey;
+  });
+}
+
+function releaseMemoSync(db) {
+  return memoTransaction(db, [MEMO_SYNC_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(MEMO_SYNC_STORE);
+    const request = store.get(MEMO_SYNC_KEY);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, leaseUntil: 0 });
+    };
+  });
+}
+
+// 未送信の変更と削除（録音中・文字起こし中のメモは完了してから送る）
+function getPendingMemoChanges(db) {
+  return memoTransaction(db, [MEMO_STORE, MEMO_AUDIO_STORE, MEMO_TOMBSTONE_STORE], 'readonly', (transaction) => {
+    const changes = [];
+    const audioStore = transaction.objectStore(MEMO_AUDIO_STORE);
+
+    const tombstoneRequest = transaction.objectStore(MEMO_TOMBSTONE_STORE).getAll();
+    tombstoneRequest.onsuccess = () => {
+      tombstoneRequest.result.forEach((tombstone) => {
+        changes.push({ id: tombstone.id, updatedAt: tombstone.deletedAt, deleted: true });
+      });
+    };
+
+    const memoRequest = transaction.objectStore(MEMO_STORE).getAll();
+    memoRequest.onsuccess = () => {
+      memoRequest.result
+        .filter((memoData) => memoData.remoteUpdatedAt !== getMemoUpdatedAt(memoData)
+          && !MEMO_IN_PROGRESS_STATES.includes(memoData.transcriptionState))
+        .forEach((memoData) => {
+          const push = (audioData) => changes.push({
+            id: memoData.id,
+            updatedAt: getMemoUpdatedAt(memoData),
+            memo: toMemoSyncPayload(memoData, audioData)
+          });
+
+          if (!memoData.audioId) {
+            push(undefined);
+            return;
+          }
+          const audioRequest = audioStore.get(memoData.audioId);
+          audioRequest.onsuccess = () => push(audioRequest.result);
+        });
+    };
+    return () => changes;
+  });
+}
+
+// 送った変更をサーバーと同じ版として記録（送信中に変更されていれば未送信のまま残る）
+function markMemoPushed(db, change) {
+  return memoTransaction(db, [MEMO_STORE, MEMO_TOMBSTONE_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(change.deleted ? MEMO_TOMBSTONE_STORE : MEMO_STORE);
+    const request = store.get(change.id);
+    request.onsuccess = () => {
+      const current = request.result;
+      if (!current) return;
+      if (change.deleted) {
+        if (current.deletedAt === change.updatedAt) store.delete(change.id);
+      } else {
+        store.put({ ...current, updatedAt: getMemoUpdatedAt(current), remoteUpdatedAt: change.updatedAt });
+      }
+    };
+  });
+}
+
+// サーバーに送っていない音声
+function getPendingMemoAudio(db) {
+  return memoTransaction(db, [MEMO_STORE, MEMO_AUDIO_STORE], 'readonly', (transaction) => {
+    const pending = [];
+    const audioStore = transaction.objectStore(MEMO_AUDIO_STORE);
+
+    const memoRequest = transaction.objectStore(MEMO_STORE).getAll();
+    memoRequest.onsuccess = () => {
+      memoRequest.result
+        .filter((memoData) => memoData.audioId && !memoData.remoteAudio && memoData.remoteUpdatedAt !== undefined)
+        .forEach((memoData) => {
+          const audioRequest = audioStore.get(memoData.audioId);
+          audioRequest.onsuccess = () => {
+            if (audioRequest.result) pending.push({ id: memoData.id, audioData: audioRequest.result });
+          };
+        });
+    };
+    return () => pending;
+  });
+}
+
+function markMemoAudioUploaded(db, id, audioId) {
+  return memoTransaction(db, [MEMO_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(MEMO_STORE);
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result && request.result.audioId === audioId) store.put({ ...request.result, remoteAudio: true });
+    };
+  });
+}
+
+// 端末の変更・削除・音声をサーバーに送る（サーバーの方が新しいメモは未送信のまま残し、アプリが取り込む）
+// 通信エラーは投げてブラウザの再試行に任せ、認証・権限のエラーは再試行しない
+async function pushMemoChanges(config) {
+  const db = await openMemoDB();
+  if (!db) return;
+
+  try {
+    const syncKey = await claimMemoSync(db);
+    if (!syncKey) return;
+
+    try {
+      const changes = await getPendingMemoChanges(db);
+      for (let i = 0; i < changes.length; i += MEMO_SYNC_BATCH_SIZE) {
+        const batch = changes.slice(i, i + MEMO_SYNC_BATCH_SIZE);
+        const { results } = await memoFetch(config, syncKey, '', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ memos: batch })
+        });
+
+        for (const result of results) {
+          const change = batch.find((item) => item.id === result.id);
+          if (change && result.status === 'applied') await markMemoPushed(db, change);
+        }
+      }
+
+      for (const { id, audioData } of await getPendingMemoAudio(db)) {
+        await memoFetch(config, syncKey, `/${id}/audio`, {
+          method: 'PUT',
+          headers: { 'Content-Type': audioData.audioBlob.type || 'application/octet-stream' },
+          body: audioData.audioBlob
+        });
+        await markMemoAudioUploaded(db, id, audioData.id);
+      }
+    } finally {
+      await releaseMemoSync(db);
+    }
+  } catch (error) {
+    if (MEMO_SYNC_AUTH_ERRORS.includes(error.code)) {
+      console.warn('Memo sync is not authorized:', error.message);
+      return;
+    }
+    throw error;
+  } finally {
+    db.close();
+  }
+}
+
+// 日時を過ぎてまだ通知していないリマインダーを通知する（アプリを開いていれば、アプリの方で通知済み）
+async function showDueReminders() {
+  if (Notification.permission !== 'granted') return;
+
+  const db = await openMemoDB();
+  if (!db) return;
+
+  try {
+    const due = await takeDueReminders(db, Date.now());
+    await Promise.all(due.map(showReminderNotification));
+  } finally {
+    db.close();
+  }
+}
+
+// 通知するリマインダーのメモを、通知したと記録して返す（src/hooks/IndexedDBMemo.ts の takeDueReminders と同じ）
+function takeDueReminders(db, now) {
+  return memoTransaction(db, [MEMO_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(MEMO_STORE);
+    const due = [];
+    if (!store.indexNames.contains(MEMO_REMINDER_INDEX)) return () => due;
+
+    const request = store.index(MEMO_REMINDER_INDEX).openCursor(IDBKeyRange.upperBound(now));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      const memoData = cursor.value;
+      const reminder = memoData.reminder;
+      if (reminder && reminder.doneAt === undefined && memoData.reminderNotifiedAt !== reminder.dueAt) {
+        cursor.update({ ...memoData, reminderNotifiedAt: reminder.dueAt });
+        due.push(memoData);
+      }
+      cursor.continue();
+    };
+    return () => due;
+  });
+}
+
+// 通知の内容（src/hooks/Reminders.ts の toReminderNotification と同じ）
+function showReminderNotification(memoData) {
+  const text = (memoData.text || '').trim() || '（本文なし）';
+  return self.registration.showNotification('ふせん君のリマインダー', {
+    body: text.length > REMINDER_BODY_LENGTH ? `${text.slice(0, REMINDER_BODY_LENGTH)}…` : text,
+    tag: `reminder-${memoData.id}`,
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    requireInteraction: true,
+    data: { memoId: memoData.id, url: `/?memo=${memoData.id}` },
+    actions: [
+      { action: 'snooze', title: '10分後' },
+      { action: 'done', title: '完了' }
+    ]
+  });
+}
+
+// 通知の「10分後」「完了」をメモに保存する（端末の変更として次の同期で送る。開いているアプリには読み直しを依頼）
+// 10分後に延ばしたリマインダーは、アプリか定期バックグラウンド同期がもう一度通知する
+async function updateReminderFromNotification(memoId, action) {
+  const db = await openMemoDB();
+  if (!db) return;
+
+  try {
+    await memoTransaction(db, [MEMO_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(MEMO_STORE);
+      const request = store.get(memoId);
+      request.onsuccess = () => {
+        const memoData = request.result;
+        if (!memoData || !memoData.reminder) return;
+
+        const now = Date.now();
+        const reminder = action === 'snooze'
+          ? { dueAt: now + REMINDER_SNOOZE_DURATION }
+          : { ...memoData.reminder, doneAt: now };
+        store.put({ ...memoData, reminder, updatedAt: Math.max(now, getMemoUpdatedAt(memoData) + 1) });
+      };
+    });
+  } finally {
+    db.close();
+  }
+
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage({ type: 'memos-updated' }));
+  if (self.registration.sync) {
+    await self.registration.sync.register('memo-sync').catch((error) => console.warn('Background sync registration failed:', error));
+  }
+}
+
+// 通知からメモを開く（開いているアプリがあればそこで表示し、無ければ ?memo= を付けて開く）
+async function openMemoWindow(memoId) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    windows[0].postMessage({ type: 'open-memo', memoId });
+    return windows[0].focus();
   }
+  return self.clients.openWindow(`/?memo=${memoId}`);
 }
 
 // エラーハンドリング
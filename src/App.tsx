@@ -1,25 +1,118 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Calendar, Wifi, WifiOff } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Calendar, Settings, Wifi, WifiOff, RefreshCw, Archive, ArrowLeft, Search, Folder } from 'lucide-react';
 import { AndroidOptimizedVoiceButton } from './components/AndroidOptimizedVoiceButton';
 import { CalendarPopup } from './components/CalendarPopup';
 import { MemoItem } from './components/MemoItem';
-import { useMemos } from './hooks/IndexedDBMemo';
+import { VirtualList } from './components/VirtualList';
+import { SettingsPopup } from './components/SettingsPopup';
+import { SearchPopup } from './components/SearchPopup';
+import { useMemos, Memo, SortOrder, hasMemoAudio, isMemoArchived } from './hooks/IndexedDBMemo';
 import { useAndroidVoiceRecognition } from './hooks/AndroidVoiceRecognition';
-import { usePWAManager } from './hooks/PWAManager';
+import { usePWAManager, requestNotificationPermission } from './hooks/PWAManager';
+import { getLanguageLabel } from './hooks/LanguageSettings';
+import { useBulkRetranscription } from './hooks/Retranscription';
+import { useTranscriptionQueue } from './hooks/TranscriptionQueue';
+import { useMemoBackup } from './hooks/MemoBackup';
+import { useAgingSettings } from './hooks/AgingSettings';
+import { useMemoListSettings } from './hooks/MemoListSettings';
+import { useSmartFolders } from './hooks/SmartFolders';
+import { SORT_ORDER_OPTIONS } from './hooks/MemoViewSettings';
+import { useReminderScheduler } from './hooks/Reminders';
+import { getAgingState, getMemoHeight, getNextAgingChangeOf } from './utils/memoAging';
+import { MemoReminder, isReminderActive } from './utils/reminderTime';
+import { STTApiError } from './services/sttApiService';
+
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000; // setTimeout の上限（約24.8日）を超えないように
+const FOCUS_DURATION = 2000; // 検索結果から選んだメモを目立たせる時間
+
+// 通知から開いたときのメモ（?memo=<ID>）
+function getLinkedMemoId(): number | null {
+  const id = Number(new URLSearchParams(window.location.search).get('memo'));
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
 
 function App() {
   const [showCalendar, setShowCalendar] = useState(false);
-  const { memos, sortedMemos, changeSortOrder, addAudioMemo, deleteMemo, updateMemoSizes } = useMemos();
+  const [showSettings, setShowSettings] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [focusedMemoId, setFocusedMemoId] = useState<number | null>(null); // 検索結果・通知から選んだメモ
+  const [openingMemoId, setOpeningMemoId] = useState<number | null>(getLinkedMemoId); // 読み込み後に一覧で表示するメモ
+  const {
+    memos,
+    isLoading,
+    sortedMemos,
+    sortOrder,
+    changeSortOrder,
+    startAudioMemo,
+    attachRecording,
+    deleteMemo,
+    updateMemoSizes,
+    updateMemoAging,
+    loadMemoAudio,
+    setMemoArchived,
+    archiveOverflow,
+    showArchived,
+    setShowArchived,
+    archivedCount,
+    setTranscriptionState,
+    markTranscriptionPending,
+    markTranscriptionFailed,
+    updateMemoTranscription,
+    applyRetranscription,
+    renameSpeaker,
+    editMemo,
+    getMemoRevisions,
+    revertMemo,
+    languageFilter,
+    setLanguageFilter,
+    memoLanguages,
+    getBackupEntries,
+    importBackupEntries,
+    searchMemos,
+    tags,
+    setMemoTags,
+    setTagColor,
+    renameTag,
+    deleteTag,
+    importTags,
+    setMemoReminder,
+    takeDueReminders,
+    getSyncKey,
+    changeSyncKey
+  } = useMemos();
+  const backup = useMemoBackup({ memos, tags, getBackupEntries, importBackupEntries, importTags });
+  const smartFolders = useSmartFolders();
+  const { folders, activeFolder, activeTag, selectFolder, selectTag, filterMemos } = smartFolders;
+  const agingSettings = useAgingSettings();
+  const agingProfile = agingSettings.profile;
+  const memoListSettings = useMemoListSettings();
+  const activeLimit = memoListSettings.settings.activeLimit;
+  // 送れなかった録音の再送（結果はメモに反映。削除済みのメモの結果は捨てる）
+  const transcriptionQueue = useTranscriptionQueue({
+    onCompleted: async (memoId, result) => {
+      if (isLoading) return false;
+      return updateMemoTranscription(memoId, result);
+    },
+    onFailed: async (memoId, message) => {
+      if (isLoading) return false;
+      return markTranscriptionFailed(memoId, message);
+    }
+  });
   const { 
     isRecording, 
     transcript, 
+    partialTranscript,
     audioLevel, 
     error, 
     isProcessing,
     startRecording, 
     stopRecording, 
+    transcribeRecording,
     platformInfo 
   } = useAndroidVoiceRecognition();
+  const recordingMemoRef = useRef<Memo | null>(null); // 録音中のメモ（止めた録音と文字起こしの結果はこのメモに反映する）
+  const bulkRetranscription = useBulkRetranscription(applyRetranscription, loadMemoAudio);
+  const failedMemos = memos.filter(memo => memo.transcriptionState === 'failed' && hasMemoAudio(memo));
   
   const { isOnline } = usePWAManager();
 
@@ -42,21 +135,116 @@ function App() {
     };
   }, []);
 
-  // コンポーネントマウント時に並び順を「古い順」に設定
+  // 絞り込み中の言語のメモが無くなったら解除
+  useEffect(() => {
+    if (languageFilter && !memoLanguages.includes(languageFilter)) {
+      setLanguageFilter(null);
+    }
+  }, [languageFilter, memoLanguages, setLanguageFilter]);
+
+  // 絞り込み中のタグが無くなったら（名前の変更・削除）解除
+  useEffect(() => {
+    if (!isLoading && activeTag && !tags.some(tag => tag.name === activeTag)) {
+      selectTag(null);
+    }
+  }, [isLoading, activeTag, tags, selectTag]);
+
+  // メモを読み込んだら、閉じている間に届いた文字起こしの結果を反映し、送信中に閉じた録音をキューに戻す
+  const refreshTranscriptionQueue = transcriptionQueue.refresh;
+  const resumeTranscription = transcriptionQueue.resume;
+  const resumedRef = useRef(false);
   useEffect(() => {
-    changeSortOrder('oldest-first');
-  }, [changeSortOrder]);
+    if (isLoading || resumedRef.current) return;
+    resumedRef.current = true;
 
-  // 30分ごとにメモサイズを更新
+    refreshTranscriptionQueue();
+    memos
+      .filter(memo => memo.transcriptionState === 'pending' && hasMemoAudio(memo))
+      .forEach(async (memo) => {
+        const audioRecording = await loadMemoAudio(memo.id);
+        if (audioRecording) resumeTranscription(memo.id, audioRecording);
+      });
+  }, [isLoading, memos, loadMemoAudio, refreshTranscriptionQueue, resumeTranscription]);
+
+  // 一覧のメモが上限を超えたら古い順にアーカイブ（上限は設定で変更。録音中のメモは残す）
+  useEffect(() => {
+    if (isLoading) return;
+    archiveOverflow(activeLimit);
+  }, [isLoading, activeLimit, archiveOverflow]);
+
+  // メモサイズを更新し、次に見た目が変わる時刻にもう一度更新する（変わるメモが無ければ待たない）
+  // バックグラウンドではタイマーが遅れるため、画面に戻ったときにも更新する
+  const [agingTick, setAgingTick] = useState(0);
   useEffect(() => {
-    const intervalId = setInterval(() => {
-      updateMemoSizes();
-    }, 1800000); // 30分
-    
+    if (isLoading) return;
+    updateMemoSizes(agingProfile);
+
+    const nextChange = getNextAgingChangeOf(memos.filter(memo => !isMemoArchived(memo)), agingProfile, Date.now());
+    const timeoutId = nextChange === null
+      ? undefined
+      : setTimeout(() => setAgingTick(tick => tick + 1), Math.min(Math.max(nextChange - Date.now(), 1000), MAX_TIMER_DELAY));
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') setAgingTick(tick => tick + 1);
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
     return () => {
-      clearInterval(intervalId);
+      clearTimeout(timeoutId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
-  }, [updateMemoSizes]);
+  }, [isLoading, memos, agingProfile, agingTick, updateMemoSizes]);
+
+  // 目立たせたメモを元に戻す
+  useEffect(() => {
+    if (focusedMemoId === null) return;
+    const timeoutId = setTimeout(() => setFocusedMemoId(null), FOCUS_DURATION);
+    return () => clearTimeout(timeoutId);
+  }, [focusedMemoId]);
+
+  // メモを一覧で表示して目立たせる（アーカイブ・言語・スマートフォルダ・タグの絞り込みも合わせる）
+  const showMemoInList = useCallback((memo: Memo) => {
+    setShowArchived(isMemoArchived(memo));
+    if (languageFilter && memo.language !== languageFilter) setLanguageFilter(null);
+    if (filterMemos([memo], Date.now()).length === 0) {
+      selectFolder(null);
+      selectTag(null);
+    }
+    setFocusedMemoId(memo.id);
+  }, [setShowArchived, languageFilter, setLanguageFilter, filterMemos, selectFolder, selectTag]);
+
+  const handleSelectSearchResult = (memo: Memo) => {
+    setShowSearch(false);
+    showMemoInList(memo);
+  };
+
+  // 通知から開いたメモを表示（?memo= で開いた場合と、開いているアプリにService Workerから届いた場合）
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+
+    const handleMessage = (event: MessageEvent) => {
+      if (event.data?.type === 'open-memo') setOpeningMemoId(Number(event.data.memoId));
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, []);
+
+  useEffect(() => {
+    if (isLoading || openingMemoId === null) return;
+
+    const memo = memos.find(item => item.id === openingMemoId);
+    if (memo) showMemoInList(memo);
+    setOpeningMemoId(null);
+    if (getLinkedMemoId() !== null) window.history.replaceState(null, '', window.location.pathname);
+  }, [isLoading, openingMemoId, memos, showMemoInList]);
+
+  // リマインダーの通知（日時を過ぎたら通知し、通知のクリックでメモを表示）
+  useReminderScheduler({ memos, isLoading, takeDueReminders, onOpenMemo: setOpeningMemoId });
+
+  // リマインダーを設定したら通知の許可を求める（操作の中で求めないとブラウザに拒否される）
+  const handleUpdateReminder = (id: number, reminder: MemoReminder | undefined) => {
+    if (isReminderActive(reminder)) requestNotificationPermission();
+    setMemoReminder(id, reminder);
+  };
 
   // エラー表示
   useEffect(() => {
@@ -65,24 +253,69 @@ function App() {
     }
   }, [error]);
 
+  // 録音を止めて文字起こし（録音中のメモに 送信中 → 文字起こし中 → 完了・失敗 を記録する）
+  // オフラインなら送らずに保存し、文字起こしキューに入れる
+  const finishRecording = async () => {
+    const memo = recordingMemoRef.current;
+    recordingMemoRef.current = null;
+
+    const transcribe = navigator.onLine;
+    const audioRecording = await stopRecording();
+    if (!memo) return;
+    if (!audioRecording) {
+      await deleteMemo(memo.id);
+      return;
+    }
+
+    // 録音中にメモが削除されていれば送らない
+    if (!(await attachRecording(memo.id, audioRecording, transcribe ? 'uploading' : 'pending'))) return;
+    if (!transcribe) {
+      transcriptionQueue.enqueue(memo.id, audioRecording);
+      return;
+    }
+
+    try {
+      const result = await transcribeRecording(audioRecording, () => {
+        setTranscriptionState(memo.id, 'transcribing');
+      });
+      await updateMemoTranscription(memo.id, result);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : '文字起こしに失敗しました';
+      // 通信エラー等は文字起こしキューで再送し、それ以外の失敗は保存した音声から再文字起こしできる
+      if (error instanceof STTApiError && error.retryable) {
+        await markTranscriptionPending(memo.id, message);
+        transcriptionQueue.enqueue(memo.id, audioRecording, message);
+      } else {
+        await markTranscriptionFailed(memo.id, message);
+      }
+    }
+  };
+
   // 音声入力処理（Android最適化版）
+  // 録音を始めたときにメモを作り、一覧で録音中から文字起こし完了までの状態を表示する
   const handleVoiceInput = async () => {
     try {
       if (isRecording) {
-        const audioRecording = await stopRecording();
-        if (audioRecording && audioRecording.transcript.trim()) {
-          addAudioMemo(audioRecording);
-        }
+        await finishRecording();
       } else {
-        await startRecording();
+        const memo = await startAudioMemo();
+        if (!memo) return;
+
+        recordingMemoRef.current = memo;
+        if (!(await startRecording())) {
+          recordingMemoRef.current = null;
+          await deleteMemo(memo.id);
+        }
       }
     } catch (error) {
       console.error('音声入力エラー:', error);
     }
   };
 
-  // ソートされたメモを取得
-  const displayMemos = sortedMemos();
+  // ソートされたメモを取得（一覧かアーカイブ。スマートフォルダ・タグで絞り込み中はそのメモのみ）
+  const displayMemos = filterMemos(sortedMemos(), Date.now());
+  const isFiltered = activeFolder !== null || activeTag !== null;
+  const getMemoItemHeight = (memo: Memo) => getMemoHeight(getAgingState(memo, agingProfile, Date.now()).size);
 
   // プラットフォーム情報の表示
   const getPlatformBadge = () => {
@@ -116,7 +349,18 @@ function App() {
           minHeight: '60px',
         }}
       >
-        <h1 className="text-4xl md:text-2xl font-bold text-[#333333]">ふせん君</h1>
+        {showArchived ? (
+          <button
+            onClick={() => setShowArchived(false)}
+            className="flex items-center gap-2 text-2xl font-bold text-[#333333]"
+            aria-label="一覧に戻る"
+          >
+            <ArrowLeft size={24} />
+            アーカイブ
+          </button>
+        ) : (
+          <h1 className="text-4xl md:text-2xl font-bold text-[#333333]">ふせん君</h1>
+        )}
         
         {/* 接続状態インジケーター */}
         <div className="flex items-center gap-2">
@@ -125,6 +369,30 @@ function App() {
           ) : (
             <WifiOff size={20} className="text-red-500" />
           )}
+          <button
+            onClick={() => setShowSearch(true)}
+            className="p-2 text-gray-600 hover:text-gray-800"
+            aria-label="検索"
+          >
+            <Search size={24} />
+          </button>
+          {!showArchived && archivedCount > 0 && (
+            <button
+              onClick={() => setShowArchived(true)}
+              className="flex items-center gap-1 p-2 text-gray-600 hover:text-gray-800"
+              aria-label="アーカイブ"
+            >
+              <Archive size={24} />
+              <span className="text-sm">{archivedCount}</span>
+            </button>
+          )}
+          <button
+            onClick={() => setShowSettings(true)}
+            className="p-2 text-gray-600 hover:text-gray-800"
+            aria-label="設定"
+          >
+            <Settings size={24} />
+          </button>
         </div>
       </header>
 
@@ -164,8 +432,91 @@ function App() {
           </div>
         )}
 
-        <div className="space-y-4">
-          {displayMemos.length === 0 ? (
+        {/* 並び順・タグ・スマートフォルダで絞り込み（次に開いたときも引き継ぐ） */}
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <select
+            value={sortOrder}
+            onChange={(e) => changeSortOrder(e.target.value as SortOrder)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+            aria-label="並び順"
+          >
+            {SORT_ORDER_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          {tags.length > 0 && (
+            <select
+              value={activeTag ?? ''}
+              onChange={(e) => selectTag(e.target.value || null)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+              aria-label="タグで絞り込み"
+            >
+              <option value="">すべてのタグ</option>
+              {tags.map(tag => (
+                <option key={tag.name} value={tag.name}>#{tag.name}</option>
+              ))}
+            </select>
+          )}
+          {folders.map(folder => (
+            <button
+              key={folder.id}
+              onClick={() => selectFolder(activeFolder?.id === folder.id ? null : folder.id)}
+              className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm border ${
+                activeFolder?.id === folder.id
+                  ? 'bg-[#796baf] border-[#796baf] text-white'
+                  : 'bg-white border-gray-300 text-gray-600'
+              }`}
+            >
+              <Folder size={14} />
+              {folder.name}
+            </button>
+          ))}
+        </div>
+
+        {/* 言語で絞り込み（複数の言語のメモがある場合） */}
+        {memoLanguages.length > 1 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {[null, ...memoLanguages].map((language) => (
+              <button
+                key={language ?? 'all'}
+                onClick={() => setLanguageFilter(language)}
+                className={`px-3 py-1 rounded-full text-sm border ${
+                  languageFilter === language
+                    ? 'bg-[#796baf] border-[#796baf] text-white'
+                    : 'bg-white border-gray-300 text-gray-600'
+                }`}
+              >
+                {language ? getLanguageLabel(language) : 'すべて'}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* 文字起こしに失敗したメモの一括再実行 */}
+        {(failedMemos.length > 0 || bulkRetranscription.isRunning) && (
+          <div className="flex items-center justify-between gap-2 mb-4 p-3 rounded-lg border border-red-200 bg-red-50">
+            <span className="text-sm text-red-700">
+              {bulkRetranscription.isRunning && bulkRetranscription.progress
+                ? `再文字起こし中 ${bulkRetranscription.progress.done}/${bulkRetranscription.progress.total}`
+                : `文字起こしに失敗したメモ: ${failedMemos.length}件`}
+            </span>
+            <button
+              onClick={() => (bulkRetranscription.isRunning ? bulkRetranscription.cancel() : bulkRetranscription.run(failedMemos))}
+              disabled={!bulkRetranscription.isRunning && !isOnline}
+              className="flex items-center gap-1 px-3 py-1 text-sm text-[#007bff] border border-[#007bff] rounded-md bg-white disabled:opacity-50"
+            >
+              <RefreshCw size={14} className={bulkRetranscription.isRunning ? 'animate-spin' : ''} />
+              {bulkRetranscription.isRunning ? '中止' : 'すべて再実行'}
+            </button>
+          </div>
+        )}
+
+        {displayMemos.length === 0 ? (
+          isFiltered ? (
+            <p className="text-center text-gray-500 mt-16 text-lg">条件に合うメモはありません</p>
+          ) : showArchived ? (
+            <p className="text-center text-gray-500 mt-16 text-lg">アーカイブしたメモはありません</p>
+          ) : (
             <div className="text-center text-gray-500 mt-16">
               <p className="text-lg">音声入力ボタンをタップして</p>
               <p className="text-lg">メモを作成してください</p>
@@ -173,16 +524,46 @@ function App() {
                 <p className="text-sm mt-2 text-blue-600">Android向けに最適化されています</p>
               )}
             </div>
-          ) : (
-            displayMemos.map((memo) => (
+          )
+        ) : (
+          // 表示範囲のふせんだけを描画（高さは経年変化の大きさから決まる）
+          <VirtualList
+            items={displayMemos}
+            getKey={memo => memo.id}
+            getHeight={getMemoItemHeight}
+            scrollRef={mainRef}
+            scrollToKey={focusedMemoId}
+            renderItem={(memo) => (
               <MemoItem 
-                key={memo.id} 
                 memo={memo} 
-                onDelete={() => deleteMemo(memo.id)}
+                highlighted={memo.id === focusedMemoId}
+                allTags={tags}
+                onUpdateTags={(names) => setMemoTags(memo.id, names)}
+                onUpdateReminder={(reminder) => handleUpdateReminder(memo.id, reminder)}
+                agingProfile={agingProfile}
+                onUpdateAging={(update) => updateMemoAging(memo.id, update)}
+                loadAudio={() => loadMemoAudio(memo.id)}
+                queueStatus={transcriptionQueue.statuses[memo.id]}
+                onDelete={() => {
+                  deleteMemo(memo.id);
+                  transcriptionQueue.remove(memo.id);
+                }}
+                onToggleArchive={() => setMemoArchived(memo.id, !isMemoArchived(memo))}
+                onRenameSpeaker={(speaker, label) => renameSpeaker(memo.id, speaker, label)}
+                editHandlers={{
+                  onSave: (text, source) => editMemo(memo.id, text, source),
+                  loadRevisions: () => getMemoRevisions(memo.id),
+                  onRevert: (revision) => revertMemo(memo.id, revision)
+                }}
+                onApplyRetranscription={async (result) => {
+                  const applied = await applyRetranscription(memo.id, result);
+                  if (applied) transcriptionQueue.remove(memo.id);
+                  return applied;
+                }}
               />
-            ))
-          )}
-        </div>
+            )}
+          />
+        )}
       </main>
 
       {/* Footer - セーフエリア対応 */}
@@ -229,6 +610,7 @@ function App() {
           <AndroidOptimizedVoiceButton
             isRecording={isRecording || isProcessing}
             audioLevel={audioLevel}
+            partialTranscript={partialTranscript}
             onStartRecording={handleVoiceInput}
             onStopRecording={handleVoiceInput}
             disabled={isProcessing}
@@ -238,6 +620,27 @@ function App() {
         <div className="flex-1" style={{ pointerEvents: 'none' }}></div>
       </footer>
 
+      {/* 設定（言語・カスタム語彙。未同期の語彙は起動時にも同期する） */}
+      <SettingsPopup
+        isOpen={showSettings}
+        onClose={() => setShowSettings(false)}
+        memos={memos}
+        backup={backup}
+        tagActions={{ tags, setTagColor, renameTag, deleteTag }}
+        sync={{ getSyncKey, changeSyncKey }}
+        smartFolders={smartFolders}
+        agingSettings={agingSettings}
+        memoListSettings={memoListSettings}
+      />
+
+      {/* 全文検索（端末の索引で検索するためオフラインでも使える） */}
+      <SearchPopup
+        isOpen={showSearch}
+        onClose={() => setShowSearch(false)}
+        searchMemos={searchMemos}
+        onSelect={handleSelectSearchResult}
+      />
+
       {/* Calendar Popup */}
       {showCalendar && (
         <div className="fixed inset-0 z-50">
@@ -254,7 +657,14 @@ function App() {
               maxHeight: '80vh',
             }}
           >
-            <CalendarPopup onClose={() => setShowCalendar(false)} />
+            <CalendarPopup
+              reminders={memos.filter(memo => isReminderActive(memo.reminder))}
+              onSelectMemo={(memo) => {
+                setShowCalendar(false);
+                showMemoInList(memo);
+              }}
+              onClose={() => setShowCalendar(false)}
+            />
           </div>
         </div>
       )}
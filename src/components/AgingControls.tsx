@@ -0,0 +1,90 @@
+import React from 'react';
+import { Pin, PinOff, AlarmClockOff, RotateCcw } from 'lucide-react';
+import {
+  AgingProfile,
+  MemoAging,
+  getAgingState,
+  pinAging,
+  unpinAging,
+  snoozeAging,
+  resetAging,
+  settleAging,
+  setAgingDueAt,
+} from '../utils/memoAging';
+
+interface AgingControlsProps {
+  createdAt: number;
+  aging?: MemoAging;
+  profile: AgingProfile;
+  onUpdate: (update: (aging: MemoAging | undefined, now: number) => MemoAging) => void;
+}
+
+function formatDateTime(timestamp: number): string {
+  return new Date(timestamp).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// datetime-local の値（ローカル時刻）
+function toDateTimeLocal(timestamp: number): string {
+  const date = new Date(timestamp);
+  const pad = (value: number) => value.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+const buttonClass = 'flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50';
+
+// メモ詳細の経年変化の調整（ピン留め・1日スヌーズ・リセット・期限）
+export const AgingControls: React.FC<AgingControlsProps> = ({ createdAt, aging, profile, onUpdate }) => {
+  const state = getAgingState({ createdAt, aging }, profile, Date.now());
+
+  return (
+    <div className="px-4 py-2 border-t border-gray-200 space-y-2" style={{ lineHeight: '1.5' }}>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onUpdate(state.pinned ? unpinAging : pinAging)}
+          className={buttonClass}
+        >
+          {state.pinned ? <PinOff size={16} /> : <Pin size={16} />}
+          {state.pinned ? 'ピン留めを外す' : 'ピン留め'}
+        </button>
+        <button
+          onClick={() => onUpdate(state.snoozed ? settleAging : (current, now) => snoozeAging(current, now))}
+          className={buttonClass}
+        >
+          <AlarmClockOff size={16} />
+          {state.snoozed ? 'スヌーズを解除' : '1日スヌーズ'}
+        </button>
+        <button
+          onClick={() => onUpdate(resetAging)}
+          disabled={state.level === 0 && !state.pinned && !state.snoozed}
+          className={`${buttonClass} disabled:opacity-50`}
+        >
+          <RotateCcw size={16} />
+          リセット
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        {state.pinned
+          ? 'ピン留め中のため大きさ・色を変えません'
+          : state.snoozed
+            ? `${formatDateTime(aging!.snoozedUntil!)}まで大きさ・色を変えません`
+            : `大きさ ${Math.round(state.progress * 100)}%（${profile.label}）`}
+      </p>
+
+      {profile.id === 'deadline' && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          期限
+          <input
+            type="datetime-local"
+            value={aging?.dueAt !== undefined ? toDateTimeLocal(aging.dueAt) : ''}
+            onChange={(e) => {
+              const dueAt = e.target.value ? new Date(e.target.value).getTime() : undefined;
+              onUpdate(current => setAgingDueAt(current, Number.isFinite(dueAt) ? dueAt : undefined));
+            }}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
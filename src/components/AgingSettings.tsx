@@ -0,0 +1,73 @@
+import React from 'react';
+import { useAgingSettings } from '../hooks/AgingSettings';
+import { useMemoListSettings, ACTIVE_LIMIT_OPTIONS } from '../hooks/MemoListSettings';
+import { AGING_PROFILES, getAgingColor } from '../utils/memoAging';
+
+interface AgingSettingsProps {
+  agingSettings: ReturnType<typeof useAgingSettings>;
+  memoListSettings: ReturnType<typeof useMemoListSettings>;
+}
+
+const PREVIEW_STEPS = [0, 0.25, 0.5, 0.75, 1];
+
+// ふせんの設定パネル（経年変化・一覧に表示する数）
+export const AgingSettings: React.FC<AgingSettingsProps> = ({ agingSettings, memoListSettings }) => {
+  const { settings, setProfile } = agingSettings;
+  const { settings: listSettings, setActiveLimit } = memoListSettings;
+
+  return (
+    <div className="p-4 overflow-y-auto flex-1 space-y-6">
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">大きくなる速さ</h4>
+        <p className="text-sm text-gray-600">
+          ふせんは時間が経つほど大きく・赤くなります。メモ詳細でメモごとにピン留め・スヌーズ・リセットできます。
+        </p>
+        <div className="space-y-1">
+          {Object.values(AGING_PROFILES).map((profile) => (
+            <label key={profile.id} className="flex items-start gap-2">
+              <input
+                type="radio"
+                checked={settings.profile === profile.id}
+                onChange={() => setProfile(profile.id)}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-medium text-[#333333]">{profile.label}</span>
+                <span className="block text-sm text-gray-600">{profile.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">色の変化</h4>
+        <div className="flex gap-1">
+          {PREVIEW_STEPS.map((progress) => (
+            <div
+              key={progress}
+              className="flex-1 h-8 rounded border border-[#ffeaa7]"
+              style={{ backgroundColor: getAgingColor(progress) }}
+            />
+          ))}
+        </div>
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">一覧に表示する数</h4>
+        <select
+          value={listSettings.activeLimit ?? ''}
+          onChange={(e) => setActiveLimit(e.target.value ? Number(e.target.value) : null)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-lg bg-white"
+        >
+          {ACTIVE_LIMIT_OPTIONS.map((limit) => (
+            <option key={limit ?? 'none'} value={limit ?? ''}>{limit === null ? '上限なし' : `${limit}件`}</option>
+          ))}
+        </select>
+        <p className="text-sm text-gray-600">
+          超えると古いメモから自動でアーカイブします（ピン留め・文字起こし中のメモは残します）。アーカイブしたメモは画面上部のボタンから見られ、メモ詳細で一覧に戻せます。
+        </p>
+      </section>
+    </div>
+  );
+};
@@ -4,6 +4,7 @@ import { Mic, MicOff, Activity } from 'lucide-react';
 interface AndroidOptimizedVoiceButtonProps {
   isRecording: boolean;
   audioLevel: number;
+  partialTranscript?: string; // リアルタイム文字起こしの途中結果
   onStartRecording: () => Promise<void>;
   onStopRecording: () => Promise<void>;
   disabled?: boolean;
@@ -12,6 +13,7 @@ interface AndroidOptimizedVoiceButtonProps {
 export const AndroidOptimizedVoiceButton: React.FC<AndroidOptimizedVoiceButtonProps> = ({
   isRecording,
   audioLevel,
+  partialTranscript = '',
   onStartRecording,
   onStopRecording,
   disabled = false
@@ -164,8 +166,24 @@ export const AndroidOptimizedVoiceButton: React.FC<AndroidOptimizedVoiceButtonPr
     return <Mic size={32} />;
   };
 
+  // 途中結果の吹き出し
+  const renderPartialTranscript = () => {
+    if (!isRecording || !partialTranscript) return null;
+
+    return (
+      <div
+        className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-4 w-[80vw] max-w-md bg-black bg-opacity-75 text-white text-sm px-3 py-2 rounded-lg shadow-lg"
+        aria-live="polite"
+      >
+        <p className="line-clamp-3 break-words">{partialTranscript}</p>
+      </div>
+    );
+  };
+
   return (
     <div className="relative">
+      {renderPartialTranscript()}
+
       <button
         className={getButtonStyle()}
         onTouchStart={handleTouchStart}
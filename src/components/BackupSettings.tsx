@@ -0,0 +1,97 @@
+import React, { useRef, useState } from 'react';
+import { Download, Upload, FileText } from 'lucide-react';
+import { useMemoBackup, BackupImportMode } from '../hooks/MemoBackup';
+
+interface BackupSettingsProps {
+  memoCount: number;
+  backup: ReturnType<typeof useMemoBackup>;
+}
+
+// バックアップ（書き出し・取り込み）パネル
+export const BackupSettings: React.FC<BackupSettingsProps> = ({ memoCount, backup }) => {
+  const { isBusy, error, lastImport, exportArchive, exportMarkdown, importArchive } = backup;
+  const [mode, setMode] = useState<BackupImportMode>('merge');
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    if (mode === 'replace' && !window.confirm('端末のメモをすべて削除して、バックアップの内容に置き換えますか？')) return;
+    await importArchive(file, mode);
+  };
+
+  return (
+    <div className="p-4 overflow-y-auto flex-1 space-y-6">
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">書き出し</h4>
+        <p className="text-sm text-gray-600">
+          すべてのメモ（{memoCount}件）を音声・単語の時刻・修正履歴と一緒にZIPファイルに保存します。別の端末への移行や保管に使えます。
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={exportArchive}
+            disabled={isBusy || memoCount === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200 disabled:opacity-50"
+          >
+            <Download size={18} />
+            バックアップ（ZIP）
+          </button>
+          <button
+            onClick={exportMarkdown}
+            disabled={isBusy || memoCount === 0}
+            className="flex items-center gap-2 px-4 py-2 border border-[#007bff] text-[#007bff] rounded-md disabled:opacity-50"
+          >
+            <FileText size={18} />
+            文字起こし（Markdown）
+          </button>
+        </div>
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">取り込み</h4>
+        <div className="space-y-1">
+          <label className="flex items-start gap-2">
+            <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} className="mt-1" />
+            <span>
+              <span className="font-medium text-[#333333]">統合</span>
+              <span className="block text-sm text-gray-600">端末のメモを残して追加します。同じメモは新しい方を残します</span>
+            </span>
+          </label>
+          <label className="flex items-start gap-2">
+            <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} className="mt-1" />
+            <span>
+              <span className="font-medium text-[#333333]">置き換え</span>
+              <span className="block text-sm text-gray-600">端末のメモをすべて削除してから取り込みます</span>
+            </span>
+          </label>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          className="hidden"
+          onChange={(e) => {
+            handleFile(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isBusy}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-md disabled:opacity-50"
+        >
+          <Upload size={18} />
+          {isBusy ? '処理中...' : 'バックアップを選ぶ'}
+        </button>
+
+        {lastImport && (
+          <p className="text-sm text-green-700">
+            追加 {lastImport.added}件・更新 {lastImport.updated}件・そのまま {lastImport.skipped}件
+            {lastImport.invalid > 0 && `・読み込めなかったメモ ${lastImport.invalid}件`}
+          </p>
+        )}
+      </section>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
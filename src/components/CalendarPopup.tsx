@@ -1,8 +1,25 @@
 import React, { useState } from 'react';
-import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { ChevronLeft, ChevronRight, X, Bell, Check } from 'lucide-react';
+import { Memo } from '../hooks/IndexedDBMemo';
 
 interface CalendarPopupProps {
   onClose: () => void;
+  reminders?: Memo[]; // 通知を待つリマインダーのメモ（日付に印を付け、選んだ日の一覧を表示）
+  onSelectMemo?: (memo: Memo) => void;
+  initialDueAt?: number; // 日時を選ぶ場合の初期値
+  onPick?: (dueAt: number) => void; // 指定すると、日付と時刻を選んでリマインダーの日時にする
+}
+
+const LAST_YEAR = Math.max(2026, new Date().getFullYear() + 1); // リマインダーの日時を翌年まで選べるように
+const DEFAULT_PICK_TIME = '09:00';
+
+function formatDateKey(year: number, month: number, day: number): string {
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function toTimeValue(timestamp: number): string {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
 }
 
 const HOLIDAYS = {
@@ -42,8 +59,14 @@ const HOLIDAYS = {
   '2026-11-23': '勤労感謝の日',
 };
 
-export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose }) => {
-  const [currentMonth, setCurrentMonth] = useState(new Date());
+export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose, reminders = [], onSelectMemo, initialDueAt, onPick }) => {
+  const [currentMonth, setCurrentMonth] = useState(() => (initialDueAt !== undefined ? new Date(initialDueAt) : new Date()));
+  const [selectedDateKey, setSelectedDateKey] = useState<string | null>(() => {
+    if (initialDueAt === undefined) return null;
+    const date = new Date(initialDueAt);
+    return formatDateKey(date.getFullYear(), date.getMonth(), date.getDate());
+  });
+  const [pickTime, setPickTime] = useState(() => (initialDueAt !== undefined ? toTimeValue(initialDueAt) : DEFAULT_PICK_TIME));
   
   const today = new Date();
   const currentYear = currentMonth.getFullYear();
@@ -68,15 +91,11 @@ export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose }) => {
 
   const goToNextMonth = () => {
     const newDate = new Date(currentYear, currentMonthIndex + 1, 1);
-    if (newDate.getFullYear() <= 2026) {
+    if (newDate.getFullYear() <= LAST_YEAR) {
       setCurrentMonth(newDate);
     }
   };
 
-  const formatDateKey = (year: number, month: number, day: number) => {
-    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-  };
-
   const isToday = (day: number) => {
     return today.getFullYear() === currentYear &&
            today.getMonth() === currentMonthIndex &&
@@ -88,6 +107,27 @@ export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose }) => {
     return HOLIDAYS[dateKey as keyof typeof HOLIDAYS];
   };
 
+  // 日付ごとのリマインダー（時刻順）
+  const remindersByDate = new Map<string, Memo[]>();
+  [...reminders]
+    .sort((a, b) => a.reminder!.dueAt - b.reminder!.dueAt)
+    .forEach((memo) => {
+      const date = new Date(memo.reminder!.dueAt);
+      const key = formatDateKey(date.getFullYear(), date.getMonth(), date.getDate());
+      remindersByDate.set(key, [...(remindersByDate.get(key) ?? []), memo]);
+    });
+  const selectedReminders = selectedDateKey ? remindersByDate.get(selectedDateKey) ?? [] : [];
+
+  // 選んだ日付と時刻（過ぎていれば設定できない）
+  const getPickedDueAt = () => {
+    if (!selectedDateKey) return null;
+    const [year, month, day] = selectedDateKey.split('-').map(Number);
+    const [hour, minute] = pickTime.split(':').map(Number);
+    const dueAt = new Date(year, month - 1, day, hour, minute).getTime();
+    return Number.isFinite(dueAt) && dueAt > Date.now() ? dueAt : null;
+  };
+  const pickedDueAt = onPick ? getPickedDueAt() : null;
+
   const getDayColor = (day: number, dayOfWeek: number) => {
     if (isHoliday(day)) return 'text-red-600';
     if (dayOfWeek === 0) return 'text-red-600'; // Sunday
@@ -107,12 +147,17 @@ export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose }) => {
     for (let day = 1; day <= daysInMonth; day++) {
       const dayOfWeek = (firstDayOfWeek + day - 1) % 7;
       const holiday = isHoliday(day);
+      const dateKey = formatDateKey(currentYear, currentMonthIndex, day);
       
       days.push(
-        <div
+        <button
           key={day}
+          onClick={() => setSelectedDateKey(dateKey === selectedDateKey ? null : dateKey)}
           className={`h-10 flex items-center justify-center relative ${getDayColor(day, dayOfWeek)}`}
         >
+          {dateKey === selectedDateKey && (
+            <div className="absolute inset-0 rounded-full bg-blue-100"></div>
+          )}
           {isToday(day) && (
             <div className="absolute inset-0 rounded-full border-2 border-red-500"></div>
           )}
@@ -122,7 +167,10 @@ export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose }) => {
               <div className="w-1 h-1 bg-red-500 rounded-full"></div>
             </div>
           )}
-        </div>
+          {remindersByDate.has(dateKey) && (
+            <div className="absolute top-0.5 right-1 w-1.5 h-1.5 bg-[#007bff] rounded-full"></div>
+          )}
+        </button>
       );
     }
     
@@ -156,7 +204,7 @@ export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose }) => {
           
           <button
             onClick={goToNextMonth}
-            disabled={currentYear >= 2026 && currentMonthIndex >= 11}
+            disabled={currentYear >= LAST_YEAR && currentMonthIndex >= 11}
             className="p-2 rounded-full hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <ChevronRight size={20} />
@@ -182,10 +230,47 @@ export const CalendarPopup: React.FC<CalendarPopupProps> = ({ onClose }) => {
           <div className="grid grid-cols-7 gap-1">
             {renderCalendarDays()}
           </div>
+
+          {/* 選んだ日のリマインダー（選ぶとそのメモを一覧で表示） */}
+          {!onPick && selectedReminders.length > 0 && (
+            <ul className="mt-3 space-y-1 max-h-40 overflow-y-auto">
+              {selectedReminders.map(memo => (
+                <li key={memo.id}>
+                  <button
+                    onClick={() => onSelectMemo?.(memo)}
+                    className="w-full flex items-center gap-2 px-2 py-1 rounded-md text-left text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    <Bell size={14} className="flex-shrink-0 text-[#007bff]" />
+                    <span className="flex-shrink-0">{toTimeValue(memo.reminder!.dueAt)}</span>
+                    <span className="truncate">{memo.text || '（本文なし）'}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
         
         <div //フッター
-          className="p-4 border-t border-gray-200 flex justify-end">
+          className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          {onPick && (
+            <>
+              <input
+                type="time"
+                value={pickTime}
+                onChange={(e) => setPickTime(e.target.value || DEFAULT_PICK_TIME)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+                aria-label="時刻"
+              />
+              <button
+                onClick={() => pickedDueAt !== null && onPick(pickedDueAt)}
+                disabled={pickedDueAt === null}
+                className="px-4 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200 flex items-center gap-2 disabled:opacity-50"
+              >
+                <Check size={16} />
+                設定
+              </button>
+            </>
+          )}
           <button
             onClick={onClose}
             className="px-4 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200 flex items-center gap-2"
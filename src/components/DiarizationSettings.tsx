@@ -0,0 +1,59 @@
+import React from 'react';
+import { useDiarizationSettings } from '../hooks/DiarizationSettings';
+
+// 話者分離の設定パネル
+export const DiarizationSettings: React.FC = () => {
+  const { settings, support, setEnabled, setMinSpeakers, setMaxSpeakers } = useDiarizationSettings();
+  const counts = Array.from({ length: support.maxSpeakers }, (_, index) => index + 1);
+
+  return (
+    <div className="p-4 overflow-y-auto flex-1 space-y-6">
+      <section className="space-y-2">
+        <label className="flex items-center justify-between gap-4">
+          <span className="text-lg font-semibold text-[#333333]">話者を分ける</span>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setEnabled(e.target.checked)}
+            disabled={!support.supported}
+            className="w-6 h-6"
+          />
+        </label>
+        <p className="text-sm text-gray-600">
+          会議など複数人の録音で、発言ごとに話者を分けて文字起こしします。メモ詳細で話者の名前を変更できます。
+        </p>
+        {!support.supported && (
+          <p className="text-sm text-red-600">使用中の音声認識サービスは話者の判別に対応していません</p>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">話者の人数</h4>
+        <div className="flex items-center gap-2">
+          <select
+            value={settings.minSpeakers}
+            onChange={(e) => setMinSpeakers(Number(e.target.value))}
+            disabled={!settings.enabled}
+            className="px-3 py-2 border border-gray-300 rounded-md text-lg bg-white disabled:opacity-50"
+          >
+            {counts.map((count) => (
+              <option key={count} value={count}>{count}人</option>
+            ))}
+          </select>
+          <span className="text-gray-600">〜</span>
+          <select
+            value={settings.maxSpeakers}
+            onChange={(e) => setMaxSpeakers(Number(e.target.value))}
+            disabled={!settings.enabled}
+            className="px-3 py-2 border border-gray-300 rounded-md text-lg bg-white disabled:opacity-50"
+          >
+            {counts.map((count) => (
+              <option key={count} value={count}>{count}人</option>
+            ))}
+          </select>
+        </div>
+        <p className="text-sm text-gray-600">人数がわかっている場合は範囲を狭めると判別の精度が上がります。</p>
+      </section>
+    </div>
+  );
+};
@@ -0,0 +1,52 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import { useLanguageSettings, getLanguageLabel } from '../hooks/LanguageSettings';
+
+// 言語設定パネル（主言語 + 候補言語）
+export const LanguageSettings: React.FC = () => {
+  const { settings, supportedLanguages, maxCandidates, setPrimaryLanguage, toggleCandidate } = useLanguageSettings();
+
+  return (
+    <div className="p-4 overflow-y-auto flex-1 space-y-6">
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">主な言語</h4>
+        <select
+          value={settings.primary}
+          onChange={(e) => setPrimaryLanguage(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-lg bg-white"
+        >
+          {supportedLanguages.map((code) => (
+            <option key={code} value={code}>{getLanguageLabel(code)}</option>
+          ))}
+        </select>
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">ほかに話す言語</h4>
+        <p className="text-sm text-gray-600">
+          選んだ言語の中から、話された言語を自動で判定します（{maxCandidates}個まで）。
+        </p>
+        <ul className="space-y-1">
+          {supportedLanguages.filter(code => code !== settings.primary).map((code) => {
+            const selected = settings.candidates.includes(code);
+            const disabled = !selected && settings.candidates.length >= maxCandidates;
+            return (
+              <li key={code}>
+                <button
+                  onClick={() => toggleCandidate(code)}
+                  disabled={disabled}
+                  className={`w-full flex items-center justify-between px-3 py-2 rounded-md border text-left ${
+                    selected ? 'border-[#007bff] bg-blue-50 text-[#007bff]' : 'border-gray-200 text-[#333333]'
+                  } disabled:opacity-40`}
+                >
+                  <span>{getLanguageLabel(code)}</span>
+                  {selected && <Check size={20} />}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+    </div>
+  );
+};
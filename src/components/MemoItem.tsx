@@ -1,80 +1,134 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import ReactDOM from 'react-dom';
-import { Volume2, Trash2, Play, Pause } from 'lucide-react';
-import { calculateMemoSize } from '../utils/sizeCalculator';
+import { Volume2, Trash2, Play, Pause, AlertCircle, CloudOff, Loader2, Mic, Pin, AlarmClockOff, Bell } from 'lucide-react';
+import { AgingProfile, MemoAging, getAgingState, getMemoHeight } from '../utils/memoAging';
+import { Memo, getTranscriptionState, getMemoAudio, isMemoArchived } from '../hooks/IndexedDBMemo';
 import { AudioRecording } from '../hooks/IndexedDBAudio';
-import { TextPopup } from './TextPopup';
-
-interface Memo {
-  id: number;
-  text: string;
-  audioRecording?: AudioRecording | null;
-  createdAt: number;
-  currentSize: number;
-  type: 'text' | 'audio' | 'mixed';
-}
+import { STTResponse } from '../services/sttApiService';
+import { QueueStatus } from '../hooks/TranscriptionQueue';
+import { TextPopup, TextEditHandlers } from './TextPopup';
+import { AgingControls } from './AgingControls';
+import { TagEditor } from './TagEditor';
+import { ReminderEditor } from './ReminderEditor';
+import { MemoTag, getTagColor, suggestTags } from '../utils/memoTags';
+import { MemoReminder, formatReminderTime, isReminderActive } from '../utils/reminderTime';
 
 interface MemoItemProps {
   memo: Memo;
+  agingProfile: AgingProfile;
+  onUpdateAging?: (update: (aging: MemoAging | undefined, now: number) => MemoAging) => void;
+  loadAudio: () => Promise<AudioRecording | null>; // 音声本体は再生・詳細を開くときに読み込む
   onDelete: () => void;
+  onToggleArchive?: () => void;
+  onRenameSpeaker?: (speaker: number, label: string) => void;
+  editHandlers?: TextEditHandlers;
+  onApplyRetranscription?: (result: STTResponse) => Promise<boolean>;
+  queueStatus?: QueueStatus; // 文字起こしキューに入っている場合の状態
+  highlighted?: boolean; // 検索結果から選んだメモ（一覧で目立たせる）
+  allTags?: MemoTag[]; // タグの色・候補
+  onUpdateTags?: (tags: string[]) => void;
+  onUpdateReminder?: (reminder: MemoReminder | undefined) => void;
+}
+
+// 文字起こしキューの状態の表示
+function getQueueLabel(status: QueueStatus | undefined): string {
+  switch (status?.state) {
+    case 'uploading':
+      return '送信中...';
+    case 'transcribing':
+      return '文字起こし中...';
+    case 'completed':
+      return '反映待ち';
+    case 'failed':
+      return '文字起こし失敗';
+    default:
+      if (!navigator.onLine) return '送信待ち（オフライン）';
+      if (status && status.attempts > 0) {
+        const time = new Date(status.nextAttemptAt).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+        return `再送待ち（${status.attempts}回失敗・${time}に再送）`;
+      }
+      return '送信待ち';
+  }
 }
 
-export const MemoItem: React.FC<MemoItemProps> = ({ memo, onDelete }) => {
+// 文字起こしの状態の表示（文字起こし済みなら無し）
+function renderTranscriptionStatus(memo: Memo, queueStatus: QueueStatus | undefined): React.ReactNode {
+  const state = getTranscriptionState(memo);
+
+  switch (state) {
+    case 'recording':
+      return <><Mic size={12} className="text-red-600 animate-pulse" />録音中...</>;
+    case 'uploading':
+      return <><Loader2 size={12} className="animate-spin" />送信中...</>;
+    case 'transcribing':
+      return <><Loader2 size={12} className="animate-spin" />文字起こし中...</>;
+    case 'failed':
+      return <><AlertCircle size={12} className="text-red-600" />文字起こし失敗</>;
+    case 'pending':
+      return (
+        <>
+          {queueStatus?.state === 'uploading' || queueStatus?.state === 'transcribing'
+            ? <Loader2 size={12} className="animate-spin" />
+            : <CloudOff size={12} />}
+          {getQueueLabel(queueStatus)}
+        </>
+      );
+    default:
+      return null;
+  }
+}
+
+export const MemoItem: React.FC<MemoItemProps> = ({ memo, agingProfile, onUpdateAging, loadAudio, onDelete, onToggleArchive, onRenameSpeaker, editHandlers, onApplyRetranscription, queueStatus, highlighted = false, allTags = [], onUpdateTags, onUpdateReminder }) => {
   const [showTextPopup, setShowTextPopup] = useState(false);
   const [touchStart, setTouchStart] = useState<{ x: number; y: number } | null>(null);
   const [touchEnd, setTouchEnd] = useState<{ x: number; y: number } | null>(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [deleteDirection, setDeleteDirection] = useState<'left' | 'right' | null>(null);
+  const [popupAudio, setPopupAudio] = useState<AudioRecording | null>(null); // 詳細で表示・再生する音声
   const audioRef = useRef<HTMLAudioElement>(null);
   const memoRef = useRef<HTMLDivElement>(null);
 
-  const currentSize = calculateMemoSize(memo.createdAt);
-  const baseHeight = 80;
-  const height = Math.round(baseHeight * currentSize);
+  // 一覧の更新のたびに読み込み直さないよう最新の関数を参照する
+  const loadAudioRef = useRef(loadAudio);
+  loadAudioRef.current = loadAudio;
+  const audioId = getMemoAudio(memo)?.id;
+  const memoTags = memo.tags ?? [];
+
+  // タグの候補（詳細を開いているときだけ本文から挙げる）
+  const tagSuggestions = useMemo(
+    () => (showTextPopup && onUpdateTags ? suggestTags(memo.text, allTags.map(tag => tag.name), memo.tags ?? []) : []),
+    [showTextPopup, onUpdateTags, memo.text, memo.tags, allTags]
+  );
+
+  // 詳細を開いたら音声を読み込む（再文字起こしで単語の時刻が変わったら読み込み直す）。閉じたら手放す
+  useEffect(() => {
+    if (!showTextPopup || !audioId) {
+      setPopupAudio(null);
+      return;
+    }
+
+    let cancelled = false;
+    loadAudioRef.current().then((recording) => {
+      if (!cancelled) setPopupAudio(recording);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [showTextPopup, audioId, memo.originalText]);
+
+  // 大きさと色は同じ経年変化の曲線から決める（App が次に変わる時刻に再描画する）
+  const agingState = getAgingState(memo, agingProfile, Date.now());
+  const currentSize = agingState.size;
+  const transcriptionStatus = renderTranscriptionStatus(memo, queueStatus);
+  const height = getMemoHeight(currentSize);
 
   // Calculate font size based on memo size
   const baseFontSize = 16;
   const fontSize = Math.max(baseFontSize, Math.round(baseFontSize * (currentSize * 0.5 + 0.5)));
 
-  // 改善された背景色計算（1-24時間の変化を強調）
-  const getBackgroundColor = (size: number) => {
-    const normalizedSize = Math.min(Math.max(size - 1, 0) / 7, 1); // 0-1の範囲に正規化（最大8.0に対応）
-    
-    if (normalizedSize <= 0.125) { // 1時間未満 - 薄い黄色
-      const intensity = normalizedSize * 8;
-      const r = 255;
-      const g = Math.round(250 - intensity * 5);
-      const b = Math.round(122 + intensity * 3);
-      return `rgb(${r}, ${g}, ${b})`;
-    } else if (normalizedSize <= 0.375) { // 1-6時間 - 黄色→オレンジ（変化強調）
-      const intensity = (normalizedSize - 0.125) / 0.25;
-      const r = 255;
-      const g = Math.round(245 - intensity * 90); // 245 → 155
-      const b = Math.round(125 - intensity * 69); // 125 → 56
-      return `rgb(${r}, ${g}, ${b})`;
-    } else if (normalizedSize <= 0.625) { // 6-24時間 - オレンジ→赤（変化強調）
-      const intensity = (normalizedSize - 0.375) / 0.25;
-      const r = 255;
-      const g = Math.round(155 - intensity * 59); // 155 → 96
-      const b = Math.round(56 - intensity * 21); // 56 → 35
-      return `rgb(${r}, ${g}, ${b})`;
-    } else { // 24時間以上 - 濃い赤系
-      const intensity = (normalizedSize - 0.625) / 0.375;
-      const r = 255;
-      const g = Math.round(96 - intensity * 0); // 96のまま
-      const b = Math.round(35 + intensity * 61); // 35 → 96
-      return `rgb(${r}, ${g}, ${b})`;
-    }
-  };
-
   // 音声再生機能の修正
   const playAudio = async () => {
-    if (!memo.audioRecording) {
-      console.warn('音声データが見つかりません');
-      return;
-    }
-
     try {
       if (isPlaying) {
         if (audioRef.current) {
@@ -85,16 +139,22 @@ export const MemoItem: React.FC<MemoItemProps> = ({ memo, onDelete }) => {
         return;
       }
 
+      const recording = await loadAudio();
+      if (!recording) {
+        console.warn('音声データが見つかりません');
+        return;
+      }
+
       // 新しいAudioインスタンスを作成
       const audio = new Audio();
       audioRef.current = audio;
 
       // 音声データの形式を確認して適切に設定
-      if (memo.audioRecording.audioUrl) {
-        audio.src = memo.audioRecording.audioUrl;
-      } else if (memo.audioRecording.audioBlob) {
+      if (recording.audioUrl) {
+        audio.src = recording.audioUrl;
+      } else if (recording.audioBlob) {
         // Blobから新しいURLを作成
-        const audioUrl = URL.createObjectURL(memo.audioRecording.audioBlob);
+        const audioUrl = URL.createObjectURL(recording.audioBlob);
         audio.src = audioUrl;
       } else {
         throw new Error('音声データが無効です');
@@ -180,6 +240,12 @@ export const MemoItem: React.FC<MemoItemProps> = ({ memo, onDelete }) => {
     if ((e.target as HTMLElement).closest('button')) {
       return;
     }
+    // 詳細画面で再生するため一覧での再生は止める
+    if (isPlaying && audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current.currentTime = 0;
+      setIsPlaying(false);
+    }
     setShowTextPopup(true);
   };
 
@@ -214,10 +280,10 @@ export const MemoItem: React.FC<MemoItemProps> = ({ memo, onDelete }) => {
         ref={memoRef}
         className={`border border-[#ffeaa7] rounded-lg p-4 shadow-md relative hover:shadow-lg cursor-pointer transition-all duration-300 ease-in-out ${
           isDeleting ? 'memo-delete-animation' : ''
-        }`}
+        } ${highlighted ? 'ring-4 ring-[#007bff]' : ''}`}
         style={{ 
           height: `${height}px`,
-          backgroundColor: getBackgroundColor(currentSize),
+          backgroundColor: agingState.color,
           boxShadow: '2px 2px 8px rgba(0,0,0,0.1)',
           transform: isDeleting ? 
             `translateX(${deleteDirection === 'right' ? '100%' : '-100%'}) scale(0.8)` : 
@@ -244,10 +310,41 @@ export const MemoItem: React.FC<MemoItemProps> = ({ memo, onDelete }) => {
             >
               {formatText(truncateText(memo.text,15))}
             </p>
+            {transcriptionStatus && (
+              <p className="flex items-center gap-1 mt-1 text-xs text-gray-600" style={{ lineHeight: '1.2' }}>
+                {transcriptionStatus}
+              </p>
+            )}
+            {(agingState.pinned || agingState.snoozed) && (
+              <p className="flex items-center gap-1 mt-1 text-xs text-gray-600" style={{ lineHeight: '1.2' }}>
+                {agingState.pinned ? <><Pin size={12} />ピン留め中</> : <><AlarmClockOff size={12} />スヌーズ中</>}
+              </p>
+            )}
+            {isReminderActive(memo.reminder) && (
+              <p
+                className={`flex items-center gap-1 mt-1 text-xs ${memo.reminder.dueAt <= Date.now() ? 'text-red-600' : 'text-gray-600'}`}
+                style={{ lineHeight: '1.2' }}
+              >
+                <Bell size={12} />{formatReminderTime(memo.reminder.dueAt, Date.now())}
+              </p>
+            )}
+            {memoTags.length > 0 && (
+              <p className="flex flex-wrap gap-1 mt-1" style={{ lineHeight: '1.2' }}>
+                {memoTags.map(name => (
+                  <span
+                    key={name}
+                    className="px-1.5 py-0.5 rounded-full text-xs text-white"
+                    style={{ backgroundColor: getTagColor(name, allTags) }}
+                  >
+                    {name}
+                  </span>
+                ))}
+              </p>
+            )}
           </div>
 
           <div className="flex flex-col gap-2 ml-2">
-            {memo.audioRecording && (
+            {audioId && (
               <button
                 onClick={(e) => {
                   e.stopPropagation();
@@ -287,6 +384,27 @@ export const MemoItem: React.FC<MemoItemProps> = ({ memo, onDelete }) => {
       {/* Text Detail Popup */}
       <TextPopup 
         text={memo.text}
+        originalText={memo.originalText}
+        alternatives={memo.alternatives}
+        editHandlers={editHandlers}
+        onApplyRetranscription={onApplyRetranscription}
+        transcriptionError={memo.transcriptionState === 'failed' ? memo.transcriptionError : undefined}
+        audioRecording={popupAudio}
+        language={memo.language}
+        segments={memo.segments}
+        speakerLabels={memo.speakerLabels}
+        onRenameSpeaker={onRenameSpeaker}
+        isArchived={isMemoArchived(memo)}
+        onToggleArchive={onToggleArchive}
+        tagEditor={onUpdateTags && (
+          <TagEditor tags={memoTags} allTags={allTags} suggestions={tagSuggestions} onChange={onUpdateTags} />
+        )}
+        reminderEditor={onUpdateReminder && (
+          <ReminderEditor reminder={memo.reminder} text={memo.text} onChange={onUpdateReminder} />
+        )}
+        agingControls={onUpdateAging && (
+          <AgingControls createdAt={memo.createdAt} aging={memo.aging} profile={agingProfile} onUpdate={onUpdateAging} />
+        )}
         isOpen={showTextPopup}
         onClose={() => setShowTextPopup(false)}
       />
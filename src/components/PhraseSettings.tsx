@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Pencil, Check, RefreshCw } from 'lucide-react';
+import { usePhraseSet, validatePhrase, PhraseSyncStatus } from '../hooks/PhraseSet';
+import { PhraseEntry } from '../services/sttApiService';
+
+interface PhraseSettingsProps {
+  // 設定画面を閉じていても同期できるよう、フックは呼び出し元で保持する
+  phraseSet: ReturnType<typeof usePhraseSet>;
+}
+
+const SYNC_LABELS: Record<PhraseSyncStatus, string> = {
+  idle: '',
+  syncing: '同期中...',
+  synced: '同期済み',
+  offline: 'オフライン（接続後に同期します）',
+  error: '同期に失敗しました',
+};
+
+// ブースト値の入力（空欄はブーストなし）
+function parseBoost(value: string): number | null {
+  return value.trim() === '' ? null : Number(value);
+}
+
+// カスタム語彙パネル
+export const PhraseSettings: React.FC<PhraseSettingsProps> = ({ phraseSet }) => {
+  const { phrases, limits, isLoading, syncStatus, syncError, addPhrase, updatePhrase, deletePhrase, sync } = phraseSet;
+  const [newPhrase, setNewPhrase] = useState('');
+  const [newBoost, setNewBoost] = useState('');
+  const [editing, setEditing] = useState<{ id: string; phrase: string; boost: string } | null>(null);
+  const [inputError, setInputError] = useState<string | null>(null);
+
+  const handleAdd = async () => {
+    const boost = parseBoost(newBoost);
+    const validationError = validatePhrase(newPhrase, boost, limits);
+    if (validationError) {
+      setInputError(validationError);
+      return;
+    }
+
+    try {
+      await addPhrase(newPhrase, boost);
+      setNewPhrase('');
+      setNewBoost('');
+      setInputError(null);
+    } catch (error) {
+      setInputError(error instanceof Error ? error.message : 'フレーズを追加できませんでした');
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editing) return;
+    try {
+      await updatePhrase(editing.id, editing.phrase, parseBoost(editing.boost));
+      setEditing(null);
+      setInputError(null);
+    } catch (error) {
+      setInputError(error instanceof Error ? error.message : 'フレーズを更新できませんでした');
+    }
+  };
+
+  const startEdit = (item: PhraseEntry) => {
+    setEditing({ id: item.id, phrase: item.phrase, boost: item.boost === null ? '' : String(item.boost) });
+    setInputError(null);
+  };
+
+  return (
+    <>
+      {/* 追加フォーム */}
+      <div className="p-4 border-b border-gray-200 space-y-2">
+        <p className="text-sm text-gray-600">
+          人名・専門用語など、認識させたい言葉を登録します。ブースト値（1〜{limits.maxBoost}）を大きくするほど優先されます。
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newPhrase}
+            onChange={(e) => setNewPhrase(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleAdd();
+            }}
+            placeholder="フレーズ（例: ふせん君、部屋番号 $ADDRESSNUM）"
+            maxLength={limits.maxPhraseLength}
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md text-lg"
+          />
+          <input
+            type="number"
+            value={newBoost}
+            onChange={(e) => setNewBoost(e.target.value)}
+            placeholder="ブースト"
+            min={0}
+            max={limits.maxBoost}
+            step={1}
+            className="w-24 px-3 py-2 border border-gray-300 rounded-md text-lg"
+          />
+          <button
+            onClick={handleAdd}
+            className="px-3 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200"
+            aria-label="追加"
+          >
+            <Plus size={24} />
+          </button>
+        </div>
+        {limits.classTokens.length > 0 && (
+          <p className="text-xs text-gray-500">
+            クラストークン: {limits.classTokens.join(' ')}
+          </p>
+        )}
+        {inputError && <p className="text-sm text-red-600">{inputError}</p>}
+      </div>
+
+      {/* 一覧 */}
+      <div className="p-4 overflow-y-auto flex-1">
+        {isLoading ? (
+          <p className="text-center text-gray-500">読み込み中...</p>
+        ) : phrases.length === 0 ? (
+          <p className="text-center text-gray-500">登録されたフレーズはありません</p>
+        ) : (
+          <ul className="space-y-2">
+            {phrases.map((item) => (
+              <li key={item.id} className="flex items-center gap-2 border border-gray-200 rounded-md p-2">
+                {editing?.id === item.id ? (
+                  <>
+                    <input
+                      type="text"
+                      value={editing.phrase}
+                      onChange={(e) => setEditing({ ...editing, phrase: e.target.value })}
+                      maxLength={limits.maxPhraseLength}
+                      className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                    <input
+                      type="number"
+                      value={editing.boost}
+                      onChange={(e) => setEditing({ ...editing, boost: e.target.value })}
+                      min={0}
+                      max={limits.maxBoost}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                    <button onClick={handleSaveEdit} className="p-1 text-green-600" aria-label="保存">
+                      <Check size={20} />
+                    </button>
+                    <button onClick={() => setEditing(null)} className="p-1 text-gray-500" aria-label="キャンセル">
+                      <X size={20} />
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <span className="flex-1 min-w-0 break-words text-lg text-[#333333]">{item.phrase}</span>
+                    {item.boost !== null && (
+                      <span className="text-sm bg-blue-100 text-blue-700 px-2 py-0.5 rounded">×{item.boost}</span>
+                    )}
+                    <button onClick={() => startEdit(item)} className="p-1 text-gray-500 hover:text-gray-700" aria-label="編集">
+                      <Pencil size={20} />
+                    </button>
+                    <button onClick={() => deletePhrase(item.id)} className="p-1 text-red-500 hover:text-red-700" aria-label="削除">
+                      <Trash2 size={20} />
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Footer - 同期状態 */}
+      <div className="p-4 border-t border-gray-200 flex items-center justify-between gap-2">
+        <span className={`text-sm ${syncStatus === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+          {syncStatus === 'error' && syncError ? syncError : SYNC_LABELS[syncStatus]}
+          {' '}({phrases.length}/{limits.maxPhrases})
+        </span>
+        <button
+          onClick={() => sync()}
+          disabled={syncStatus === 'syncing'}
+          className="flex items-center gap-1 px-3 py-2 text-[#007bff] border border-[#007bff] rounded-md disabled:opacity-50"
+        >
+          <RefreshCw size={16} className={syncStatus === 'syncing' ? 'animate-spin' : ''} />
+          同期
+        </button>
+      </div>
+    </>
+  );
+};
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import { Bell, BellOff, CalendarDays, AlarmClock, Check, RotateCcw, Plus } from 'lucide-react';
+import { CalendarPopup } from './CalendarPopup';
+import {
+  MemoReminder,
+  completeReminder,
+  formatReminderTime,
+  isReminderActive,
+  parseReminderTime,
+  reopenReminder,
+  snoozeReminder,
+} from '../utils/reminderTime';
+
+interface ReminderEditorProps {
+  reminder?: MemoReminder;
+  text: string; // 本文から日時を読み取って候補にする
+  onChange: (reminder: MemoReminder | undefined) => void;
+}
+
+const buttonClass = 'flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50';
+
+// メモ詳細のリマインダー（カレンダーで選ぶ・本文の日時から設定・10分後・完了・解除）
+export const ReminderEditor: React.FC<ReminderEditorProps> = ({ reminder, text, onChange }) => {
+  const [showCalendar, setShowCalendar] = useState(false);
+  const now = Date.now();
+  const active = isReminderActive(reminder);
+  const overdue = active && reminder.dueAt <= now;
+  const suggestion = active ? null : parseReminderTime(text, now);
+
+  return (
+    <div className="px-4 py-2 border-t border-gray-200 space-y-2" style={{ lineHeight: '1.5' }}>
+      <div className="flex flex-wrap items-center gap-2">
+        <Bell size={16} className={overdue ? 'text-red-600' : 'text-gray-500'} />
+        <span className={`text-sm ${overdue ? 'text-red-600' : 'text-gray-700'}`}>
+          {!reminder
+            ? 'リマインダーなし'
+            : `${formatReminderTime(reminder.dueAt, now)}${reminder.doneAt !== undefined ? '（完了）' : overdue ? '（期限切れ）' : ''}`}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => setShowCalendar(true)} className={buttonClass}>
+          <CalendarDays size={16} />
+          {reminder ? '日時を変更' : '日時を選ぶ'}
+        </button>
+        {overdue && (
+          <button onClick={() => onChange(snoozeReminder(Date.now()))} className={buttonClass}>
+            <AlarmClock size={16} />
+            10分後
+          </button>
+        )}
+        {active && (
+          <button onClick={() => onChange(completeReminder(reminder, Date.now()))} className={buttonClass}>
+            <Check size={16} />
+            完了
+          </button>
+        )}
+        {reminder && !active && (
+          <button onClick={() => onChange(reopenReminder(reminder))} className={buttonClass}>
+            <RotateCcw size={16} />
+            未完了に戻す
+          </button>
+        )}
+        {reminder && (
+          <button onClick={() => onChange(undefined)} className={buttonClass}>
+            <BellOff size={16} />
+            解除
+          </button>
+        )}
+      </div>
+
+      {suggestion && (
+        <button
+          onClick={() => onChange({ dueAt: suggestion.dueAt })}
+          className="flex items-center gap-0.5 px-2 py-0.5 border border-dashed border-gray-400 rounded-full text-sm text-gray-700 hover:bg-gray-50"
+        >
+          <Plus size={12} />
+          「{suggestion.phrase}」から {formatReminderTime(suggestion.dueAt, now)} に設定
+        </button>
+      )}
+
+      {/* メモ詳細（transform のかかった最前面のポップアップ）の中では画面全体に出せないため、body に重ねる */}
+      {showCalendar && ReactDOM.createPortal(
+        <div style={{ position: 'relative', zIndex: 100001 }}>
+          <CalendarPopup
+            initialDueAt={active ? reminder.dueAt : suggestion?.dueAt}
+            onPick={(dueAt) => {
+              onChange({ dueAt });
+              setShowCalendar(false);
+            }}
+            onClose={() => setShowCalendar(false)}
+          />
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
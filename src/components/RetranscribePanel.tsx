@@ -0,0 +1,176 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { STTResponse } from '../services/sttApiService';
+import { AudioRecording } from '../hooks/IndexedDBAudio';
+import { useLanguageSettings, getLanguageLabel } from '../hooks/LanguageSettings';
+import {
+  retranscribeRecording,
+  getDefaultRetranscriptionOptions,
+  useRecognitionModels,
+  getModelLabel,
+} from '../hooks/Retranscription';
+
+interface RetranscribePanelProps {
+  recording: AudioRecording;
+  text: string; // 現在の本文（新しい結果と比べる）
+  language?: string;
+  onApply: (result: STTResponse) => Promise<boolean>;
+  onDone: () => void;
+}
+
+// 保存した音声の再文字起こし（条件を変えて実行し、今の本文と比べてから採用する）
+export const RetranscribePanel: React.FC<RetranscribePanelProps> = ({ recording, text, language, onApply, onDone }) => {
+  const { settings, supportedLanguages } = useLanguageSettings();
+  const { models, defaultModel, maxPhraseHints } = useRecognitionModels();
+  const [selectedLanguage, setSelectedLanguage] = useState(() => language || getDefaultRetranscriptionOptions().language);
+  const [model, setModel] = useState('');
+  const [phraseHints, setPhraseHints] = useState('');
+  const [result, setResult] = useState<STTResponse | null>(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const controllerRef = useRef<AbortController | null>(null);
+
+  // 閉じたら実行中の再文字起こしを取り消す
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const hints = phraseHints.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+    setResult(null);
+    setError(null);
+
+    try {
+      // 選んだ言語を主言語に、設定の言語を候補にする
+      const next = await retranscribeRecording(recording, {
+        language: selectedLanguage,
+        alternativeLanguages: [settings.primary, ...settings.candidates],
+        model: model || undefined,
+        phraseHints: hints,
+      }, controller.signal);
+      if (!controller.signal.aborted) setResult(next);
+    } catch (runError) {
+      if (!controller.signal.aborted) {
+        setError(runError instanceof Error ? runError.message : '再文字起こしに失敗しました');
+      }
+    } finally {
+      controllerRef.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!result) return;
+    setIsApplying(true);
+    try {
+      if (await onApply(result)) onDone();
+      else setError('結果を保存できませんでした');
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4" style={{ lineHeight: '1.5' }}>
+      {/* 条件 */}
+      <section className="space-y-2">
+        <label className="block text-sm font-semibold text-gray-600">
+          言語
+          <select
+            value={selectedLanguage}
+            onChange={(e) => setSelectedLanguage(e.target.value)}
+            disabled={isRunning}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-lg bg-white font-normal text-[#333333]"
+          >
+            {Array.from(new Set([selectedLanguage, ...supportedLanguages])).map((code) => (
+              <option key={code} value={code}>{getLanguageLabel(code)}</option>
+            ))}
+          </select>
+        </label>
+
+        {models.length > 0 && (
+          <label className="block text-sm font-semibold text-gray-600">
+            認識モデル
+            <select
+              value={model}
+              onChange={(e) => setModel(e.target.value)}
+              disabled={isRunning}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-lg bg-white font-normal text-[#333333]"
+            >
+              <option value="">既定（{getModelLabel(defaultModel)}）</option>
+              {models.filter(item => item !== defaultModel).map((item) => (
+                <option key={item} value={item}>{getModelLabel(item)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <label className="block text-sm font-semibold text-gray-600">
+          追加のフレーズ（1行に1つ。カスタム語彙に加えて使います）
+          <textarea
+            value={phraseHints}
+            onChange={(e) => setPhraseHints(e.target.value)}
+            disabled={isRunning}
+            rows={3}
+            placeholder="例: ふせん君"
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-lg font-normal text-[#333333]"
+          />
+        </label>
+        {hints.length > maxPhraseHints && (
+          <p className="text-sm text-red-600">追加のフレーズは{maxPhraseHints}個までです</p>
+        )}
+
+        <button
+          onClick={handleRun}
+          disabled={isRunning || hints.length > maxPhraseHints}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2 border border-[#007bff] text-[#007bff] rounded-md disabled:opacity-50"
+        >
+          <RefreshCw size={18} className={isRunning ? 'animate-spin' : ''} />
+          {isRunning ? '文字起こし中...' : result ? 'もう一度実行' : '再文字起こし'}
+        </button>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </section>
+
+      {/* 今の本文と新しい結果の比較 */}
+      {result && (
+        <section className="space-y-2">
+          <div>
+            <h4 className="text-sm font-semibold text-gray-600">現在の本文</h4>
+            <p className="text-lg text-gray-600 whitespace-pre-wrap break-words bg-gray-50 rounded-md p-2">{text}</p>
+          </div>
+          <div>
+            <h4 className="text-sm font-semibold text-gray-600">
+              新しい結果
+              <span className="ml-2 font-normal text-gray-500">
+                {result.detectedLanguage && getLanguageLabel(result.detectedLanguage)}
+                {result.confidence > 0 && `・信頼度 ${Math.round(result.confidence * 100)}%`}
+              </span>
+            </h4>
+            <p className="text-lg text-[#333333] whitespace-pre-wrap break-words bg-blue-50 rounded-md p-2">
+              {result.transcription || '（認識できませんでした）'}
+            </p>
+          </div>
+        </section>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={result ? () => setResult(null) : onDone}
+          className="px-4 py-2 border border-gray-300 text-gray-600 rounded-md"
+        >
+          {result ? '破棄' : 'キャンセル'}
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={!result?.transcription.trim() || isApplying || isRunning}
+          className="px-4 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200 disabled:opacity-50"
+        >
+          採用
+        </button>
+      </div>
+    </div>
+  );
+};
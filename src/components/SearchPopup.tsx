@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ReactDOM from 'react-dom';
+import { Search, X } from 'lucide-react';
+import { Memo, MemoSearchResult, isMemoArchived } from '../hooks/IndexedDBMemo';
+
+interface SearchPopupProps {
+  isOpen: boolean;
+  onClose: () => void;
+  searchMemos: (query: string) => Promise<MemoSearchResult[]>;
+  onSelect: (memo: Memo) => void; // 結果を選んだとき（一覧でそのメモを表示する）
+}
+
+const SEARCH_DELAY = 200; // 入力が止まってから検索する（ミリ秒）
+
+function formatDate(timestamp: number): string {
+  return new Date(timestamp).toLocaleString('ja-JP', { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// メモの全文検索（端末の索引だけで検索するためオフラインでも使える）
+export const SearchPopup: React.FC<SearchPopupProps> = ({ isOpen, onClose, searchMemos, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<MemoSearchResult[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    if (isOpen) inputRef.current?.focus();
+  }, [isOpen]);
+
+  // 入力が止まったら検索（前の検索の結果が後から届いても使わない）
+  useEffect(() => {
+    if (!isOpen) return;
+    if (!query.trim()) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsSearching(true);
+    const timeoutId = setTimeout(async () => {
+      try {
+        const found = await searchMemos(query);
+        if (!cancelled) setResults(found);
+      } catch (error) {
+        console.error('検索エラー:', error);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [isOpen, query, searchMemos]);
+
+  if (!isOpen) return null;
+
+  return ReactDOM.createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4"
+      style={{ zIndex: 99999 }}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white rounded-lg shadow-2xl animate-fadeIn flex flex-col"
+        style={{
+          width: '90vw',
+          maxWidth: '600px',
+          height: '80vh',
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center gap-2 p-4 border-b border-gray-200">
+          <Search size={20} className="text-gray-400 flex-shrink-0" />
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="メモを検索"
+            className="flex-1 min-w-0 text-lg outline-none"
+          />
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700"
+            aria-label="閉じる"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto flex-1">
+          {query.trim() && !isSearching && results.length === 0 && (
+            <p className="text-center text-gray-500 mt-8">一致するメモはありません</p>
+          )}
+          <ul className="space-y-2">
+            {results.map(({ memo, snippet }) => (
+              <li key={memo.id}>
+                <button
+                  onClick={() => onSelect(memo)}
+                  className="w-full text-left p-3 rounded-md border border-gray-200 hover:bg-gray-50"
+                >
+                  <div className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+                    <span>{formatDate(memo.createdAt)}</span>
+                    {isMemoArchived(memo) && <span className="px-1.5 py-0.5 rounded bg-gray-100">アーカイブ</span>}
+                  </div>
+                  <p className="text-[#333333] break-words">
+                    {snippet.map((part, index) => (part.match ? (
+                      <mark key={index} className="bg-yellow-200 rounded-sm">{part.text}</mark>
+                    ) : (
+                      <React.Fragment key={index}>{part.text}</React.Fragment>
+                    )))}
+                  </p>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
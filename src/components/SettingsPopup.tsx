@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import { X } from 'lucide-react';
+import { LanguageSettings } from './LanguageSettings';
+import { DiarizationSettings } from './DiarizationSettings';
+import { PhraseSettings } from './PhraseSettings';
+import { BackupSettings } from './BackupSettings';
+import { AgingSettings } from './AgingSettings';
+import { TagSettings } from './TagSettings';
+import { SyncSettings } from './SyncSettings';
+import { usePhraseSet } from '../hooks/PhraseSet';
+import { useMemoBackup } from '../hooks/MemoBackup';
+import { useAgingSettings } from '../hooks/AgingSettings';
+import { useMemoListSettings } from '../hooks/MemoListSettings';
+import { useSmartFolders } from '../hooks/SmartFolders';
+import { Memo, useMemos } from '../hooks/IndexedDBMemo';
+
+interface SettingsPopupProps {
+  isOpen: boolean;
+  onClose: () => void;
+  memos: Memo[];
+  backup: ReturnType<typeof useMemoBackup>;
+  tagActions: Pick<ReturnType<typeof useMemos>, 'tags' | 'setTagColor' | 'renameTag' | 'deleteTag'>;
+  sync: Pick<ReturnType<typeof useMemos>, 'getSyncKey' | 'changeSyncKey'>;
+  smartFolders: ReturnType<typeof useSmartFolders>;
+  agingSettings: ReturnType<typeof useAgingSettings>;
+  memoListSettings: ReturnType<typeof useMemoListSettings>;
+}
+
+type SettingsTab = 'language' | 'speakers' | 'phrases' | 'tags' | 'aging' | 'sync' | 'backup';
+
+const TABS: Array<{ id: SettingsTab; label: string }> = [
+  { id: 'language', label: '言語' },
+  { id: 'speakers', label: '話者' },
+  { id: 'phrases', label: 'カスタム語彙' },
+  { id: 'tags', label: 'タグ' },
+  { id: 'aging', label: 'ふせん' },
+  { id: 'sync', label: '同期' },
+  { id: 'backup', label: 'バックアップ' },
+];
+
+export const SettingsPopup: React.FC<SettingsPopupProps> = ({ isOpen, onClose, memos, backup, tagActions, sync, smartFolders, agingSettings, memoListSettings }) => {
+  const [activeTab, setActiveTab] = useState<SettingsTab>('language');
+  // 未同期のフレーズは画面を開かなくても起動時・オンライン復帰時に同期する
+  const phraseSet = usePhraseSet();
+
+  if (!isOpen) return null;
+
+  return ReactDOM.createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4"
+      style={{ zIndex: 99999 }}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white rounded-lg shadow-2xl animate-fadeIn flex flex-col"
+        style={{
+          width: '90vw',
+          maxWidth: '600px',
+          height: '80vh',
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex justify-between items-center p-4 border-b border-gray-200">
+          <h3 className="text-2xl font-semibold text-[#333333]">設定</h3>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700"
+            aria-label="閉じる"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* タブ */}
+        <div className="flex border-b border-gray-200">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`flex-1 py-3 text-center font-medium ${
+                activeTab === tab.id ? 'text-[#007bff] border-b-2 border-[#007bff]' : 'text-gray-500'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'language' && <LanguageSettings />}
+        {activeTab === 'speakers' && <DiarizationSettings />}
+        {activeTab === 'phrases' && <PhraseSettings phraseSet={phraseSet} />}
+        {activeTab === 'tags' && (
+          <TagSettings
+            memos={memos}
+            tags={tagActions.tags}
+            onSetColor={tagActions.setTagColor}
+            onRename={tagActions.renameTag}
+            onDelete={tagActions.deleteTag}
+            smartFolders={smartFolders}
+          />
+        )}
+        {activeTab === 'aging' && <AgingSettings agingSettings={agingSettings} memoListSettings={memoListSettings} />}
+        {activeTab === 'sync' && <SyncSettings sync={sync} />}
+        {activeTab === 'backup' && <BackupSettings memoCount={memos.length} backup={backup} />}
+      </div>
+    </div>,
+    document.body
+  );
+};
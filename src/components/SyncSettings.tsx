@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, Eye, EyeOff, RefreshCw } from 'lucide-react';
+import { useMemos } from '../hooks/IndexedDBMemo';
+import sttApiService from '../services/sttApiService';
+import { parseSyncKey } from '../utils/syncKey';
+
+interface SyncSettingsProps {
+  sync: Pick<ReturnType<typeof useMemos>, 'getSyncKey' | 'changeSyncKey'>;
+}
+
+// メモの同期（この端末の同期キーの表示・他の端末の同期キーへの切り替え）パネル
+export const SyncSettings: React.FC<SyncSettingsProps> = ({ sync }) => {
+  const { getSyncKey, changeSyncKey } = sync;
+  const [syncKey, setSyncKey] = useState<string | null>(null);
+  const [showKey, setShowKey] = useState(false);
+  const [input, setInput] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getSyncKey()
+      .then(setSyncKey)
+      .catch((loadError) => {
+        console.error('同期キーの読み込みに失敗:', loadError);
+        setError('同期キーを読み込めませんでした');
+      });
+  }, [getSyncKey]);
+
+  const handleCopy = async () => {
+    if (!syncKey) return;
+    try {
+      await navigator.clipboard.writeText(syncKey);
+      setMessage('同期キーをコピーしました');
+      setError(null);
+    } catch {
+      setShowKey(true);
+      setError('コピーできませんでした。表示したキーを選択してコピーしてください');
+    }
+  };
+
+  const handleChange = async () => {
+    const key = parseSyncKey(input);
+    if (!key) {
+      setError('同期キーの形式が正しくありません');
+      return;
+    }
+    if (key === syncKey) {
+      setError('この端末の同期キーと同じです');
+      return;
+    }
+    if (!window.confirm('この同期キーのメモと同期しますか？この端末のメモも新しい同期キーの方に送られます')) return;
+
+    setIsBusy(true);
+    try {
+      await changeSyncKey(key);
+      setSyncKey(key);
+      setInput('');
+      setMessage('同期キーを切り替えました');
+      setError(null);
+    } catch (changeError) {
+      console.error('同期キーの切り替えに失敗:', changeError);
+      setError('同期キーを切り替えられませんでした');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!sttApiService.isMemoSyncEnabled()) {
+    return (
+      <div className="p-4 overflow-y-auto flex-1">
+        <p className="text-sm text-gray-600">メモの同期はAPIキー（<code>VITE_STT_API_KEY</code>）を設定した場合に使えます。</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 overflow-y-auto flex-1 space-y-6">
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">この端末の同期キー</h4>
+        <p className="text-sm text-gray-600">
+          メモは同期キーごとにサーバーに保存されます。同じ同期キーを入力した端末どうしでメモを共有できます。キーを知っている人はメモを読めるため、他の人には教えないでください。
+        </p>
+        <div className="flex items-center gap-2">
+          <code className="flex-1 min-w-0 px-2 py-1 bg-gray-100 rounded text-sm break-all">
+            {syncKey ? (showKey ? syncKey : '•'.repeat(24)) : '読み込み中...'}
+          </code>
+          <button
+            onClick={() => setShowKey(value => !value)}
+            disabled={!syncKey}
+            className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            aria-label={showKey ? '同期キーを隠す' : '同期キーを表示'}
+          >
+            {showKey ? <EyeOff size={18} /> : <Eye size={18} />}
+          </button>
+          <button
+            onClick={handleCopy}
+            disabled={!syncKey}
+            className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            aria-label="同期キーをコピー"
+          >
+            <Copy size={18} />
+          </button>
+        </div>
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">他の端末と同期する</h4>
+        <p className="text-sm text-gray-600">
+          他の端末の同期キーを入力すると、その端末のメモを取り込み、以降は同じメモを同期します。
+        </p>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="同期キーを貼り付け"
+          autoComplete="off"
+          spellCheck={false}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+        />
+        <button
+          onClick={handleChange}
+          disabled={isBusy || !input.trim()}
+          className="flex items-center gap-2 px-4 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200 disabled:opacity-50"
+        >
+          <RefreshCw size={18} />
+          {isBusy ? '同期中...' : 'この同期キーに切り替える'}
+        </button>
+      </section>
+
+      {message && !error && <p className="text-sm text-green-700">{message}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
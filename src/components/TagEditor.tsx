@@ -0,0 +1,81 @@
+import React, { useId, useState } from 'react';
+import { Tag, X, Plus } from 'lucide-react';
+import { MemoTag, MAX_MEMO_TAGS, getTagColor, normalizeTagName } from '../utils/memoTags';
+
+interface TagEditorProps {
+  tags: string[]; // メモに付いているタグ
+  allTags: MemoTag[]; // 候補の入力と色に使う
+  suggestions: string[]; // 本文から挙げたタグの候補
+  onChange: (tags: string[]) => void;
+}
+
+// メモ詳細のタグ（付け外し・本文からの候補）
+export const TagEditor: React.FC<TagEditorProps> = ({ tags, allTags, suggestions, onChange }) => {
+  const [input, setInput] = useState('');
+  const listId = useId();
+  const canAdd = tags.length < MAX_MEMO_TAGS;
+
+  const addTag = (value: string) => {
+    const name = normalizeTagName(value);
+    setInput('');
+    if (!name || tags.includes(name) || !canAdd) return;
+    onChange([...tags, name]);
+  };
+
+  return (
+    <div className="px-4 py-2 border-t border-gray-200 space-y-2" style={{ lineHeight: '1.5' }}>
+      <div className="flex flex-wrap items-center gap-2">
+        <Tag size={16} className="text-gray-500" />
+        {tags.map(name => (
+          <span
+            key={name}
+            className="flex items-center gap-1 px-2 py-0.5 rounded-full text-sm text-white"
+            style={{ backgroundColor: getTagColor(name, allTags) }}
+          >
+            {name}
+            <button onClick={() => onChange(tags.filter(tag => tag !== name))} aria-label={`${name}を外す`}>
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        {canAdd && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              addTag(input);
+            }}
+          >
+            <input
+              list={listId}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="タグを追加"
+              className="w-32 px-2 py-0.5 border border-gray-300 rounded-md text-sm"
+            />
+            <datalist id={listId}>
+              {allTags.filter(tag => !tags.includes(tag.name)).map(tag => (
+                <option key={tag.name} value={tag.name} />
+              ))}
+            </datalist>
+          </form>
+        )}
+      </div>
+
+      {canAdd && suggestions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-sm">
+          <span className="text-gray-500">候補:</span>
+          {suggestions.map(name => (
+            <button
+              key={name}
+              onClick={() => addTag(name)}
+              className="flex items-center gap-0.5 px-2 py-0.5 border border-dashed border-gray-400 rounded-full text-gray-700 hover:bg-gray-50"
+            >
+              <Plus size={12} />
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
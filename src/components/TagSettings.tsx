@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { Pencil, Check, Trash2, X } from 'lucide-react';
+import { Memo } from '../hooks/IndexedDBMemo';
+import { useSmartFolders, SmartFolder } from '../hooks/SmartFolders';
+import { MemoTag, TAG_COLORS } from '../utils/memoTags';
+import { matchesMemoFilter, parseMemoFilter } from '../utils/memoFilter';
+
+interface TagSettingsProps {
+  memos: Memo[];
+  tags: MemoTag[];
+  onSetColor: (name: string, color: string) => void;
+  onRename: (from: string, to: string) => Promise<boolean>;
+  onDelete: (name: string) => void;
+  smartFolders: ReturnType<typeof useSmartFolders>;
+}
+
+const FILTER_EXAMPLES = [
+  { expression: 'tag:会議', description: 'タグ「会議」が付いている（-tag:会議 は付いていない）' },
+  { expression: 'type:audio', description: '種類（text・audio・mixed）' },
+  { expression: 'date:2026-10-01..2026-10-31', description: '作成日の範囲（片方は省略可）' },
+  { expression: 'age:>7d', description: '作成してから7日より経っている（h・d・w、< は以内）' },
+  { expression: '見積', description: '本文に含まれる語' },
+];
+
+// タグ（色・名前の変更・削除）とスマートフォルダ（絞り込み条件の保存）のパネル
+export const TagSettings: React.FC<TagSettingsProps> = ({ memos, tags, onSetColor, onRename, onDelete, smartFolders }) => {
+  const { folders, addFolder, updateFolder, removeFolder } = smartFolders;
+  const [renaming, setRenaming] = useState<{ from: string; to: string } | null>(null);
+  const [renameError, setRenameError] = useState(false);
+  const [editingFolderId, setEditingFolderId] = useState<string | null>(null);
+  const [folderName, setFolderName] = useState('');
+  const [expression, setExpression] = useState('');
+
+  const { filter, errors } = parseMemoFilter(expression);
+  const now = Date.now();
+  const matchCount = expression.trim() ? memos.filter(memo => matchesMemoFilter(memo, filter, now)).length : null;
+  const countTag = (name: string) => memos.filter(memo => memo.tags?.includes(name)).length;
+
+  const submitRename = async () => {
+    if (!renaming) return;
+    const renamed = await onRename(renaming.from, renaming.to);
+    setRenameError(!renamed);
+    if (renamed) setRenaming(null);
+  };
+
+  const editFolder = (folder: SmartFolder) => {
+    setEditingFolderId(folder.id);
+    setFolderName(folder.name);
+    setExpression(folder.expression);
+  };
+
+  const resetFolderForm = () => {
+    setEditingFolderId(null);
+    setFolderName('');
+    setExpression('');
+  };
+
+  const saveFolder = () => {
+    if (!folderName.trim() || !expression.trim() || errors.length > 0) return;
+    if (editingFolderId) {
+      updateFolder(editingFolderId, { name: folderName, expression });
+    } else {
+      addFolder(folderName, expression);
+    }
+    resetFolderForm();
+  };
+
+  return (
+    <div className="p-4 overflow-y-auto flex-1 space-y-6">
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">タグ</h4>
+        {tags.length === 0 ? (
+          <p className="text-sm text-gray-600">タグはまだありません。メモ詳細でタグを付けられます（本文から候補も表示します）。</p>
+        ) : (
+          <ul className="space-y-3">
+            {tags.map(tag => (
+              <li key={tag.name} className="space-y-1">
+                <div className="flex items-center gap-2">
+                  {renaming?.from === tag.name ? (
+                    <form
+                      className="flex flex-1 items-center gap-1"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        submitRename();
+                      }}
+                    >
+                      <input
+                        value={renaming.to}
+                        onChange={(e) => setRenaming({ from: tag.name, to: e.target.value })}
+                        className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md"
+                        autoFocus
+                      />
+                      <button type="submit" className="p-1 text-[#007bff]" aria-label="名前を保存">
+                        <Check size={18} />
+                      </button>
+                      <button type="button" onClick={() => setRenaming(null)} className="p-1 text-gray-500" aria-label="やめる">
+                        <X size={18} />
+                      </button>
+                    </form>
+                  ) : (
+                    <>
+                      <span className="px-2 py-0.5 rounded-full text-sm text-white" style={{ backgroundColor: tag.color }}>
+                        {tag.name}
+                      </span>
+                      <span className="flex-1 text-sm text-gray-500">{countTag(tag.name)}件</span>
+                      <button
+                        onClick={() => {
+                          setRenameError(false);
+                          setRenaming({ from: tag.name, to: tag.name });
+                        }}
+                        className="p-1 text-gray-500 hover:text-gray-700"
+                        aria-label={`${tag.name}の名前を変える`}
+                      >
+                        <Pencil size={16} />
+                      </button>
+                      <button
+                        onClick={() => {
+                          if (window.confirm(`タグ「${tag.name}」を削除しますか？（メモからも外れます）`)) onDelete(tag.name);
+                        }}
+                        className="p-1 text-gray-500 hover:text-red-600"
+                        aria-label={`${tag.name}を削除`}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </>
+                  )}
+                </div>
+                {renaming?.from === tag.name && renameError && (
+                  <p className="text-sm text-red-600">名前を変更できませんでした</p>
+                )}
+                <div className="flex flex-wrap gap-1">
+                  {TAG_COLORS.map(color => (
+                    <button
+                      key={color}
+                      onClick={() => onSetColor(tag.name, color)}
+                      className={`w-6 h-6 rounded-full ${tag.color === color ? 'ring-2 ring-offset-1 ring-gray-700' : ''}`}
+                      style={{ backgroundColor: color }}
+                      aria-label={`${tag.name}の色を${color}にする`}
+                    />
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="text-lg font-semibold text-[#333333]">スマートフォルダ</h4>
+        <p className="text-sm text-gray-600">条件に合うメモを集めて一覧の上部から選べます。条件は空白で区切ってすべてを満たすメモを表示します。</p>
+
+        {folders.length > 0 && (
+          <ul className="space-y-2">
+            {folders.map(folder => (
+              <li key={folder.id} className="flex items-center gap-2 p-2 border border-gray-200 rounded-md">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-[#333333]">{folder.name}</p>
+                  <p className="text-sm text-gray-500 font-mono break-all">{folder.expression}</p>
+                </div>
+                <button onClick={() => editFolder(folder)} className="p-1 text-gray-500 hover:text-gray-700" aria-label={`${folder.name}を編集`}>
+                  <Pencil size={16} />
+                </button>
+                <button
+                  onClick={() => {
+                    if (editingFolderId === folder.id) resetFolderForm();
+                    removeFolder(folder.id);
+                  }}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                  aria-label={`${folder.name}を削除`}
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="space-y-2 p-3 rounded-md bg-gray-50">
+          <input
+            value={folderName}
+            onChange={(e) => setFolderName(e.target.value)}
+            placeholder="フォルダ名"
+            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+          />
+          <input
+            value={expression}
+            onChange={(e) => setExpression(e.target.value)}
+            placeholder="条件（例: tag:会議 age:>7d）"
+            className="w-full px-2 py-1 border border-gray-300 rounded-md font-mono"
+          />
+          {errors.map(error => (
+            <p key={error} className="text-sm text-red-600">{error}</p>
+          ))}
+          {matchCount !== null && errors.length === 0 && (
+            <p className="text-sm text-gray-600">一致するメモ: {matchCount}件</p>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={saveFolder}
+              disabled={!folderName.trim() || !expression.trim() || errors.length > 0}
+              className="px-4 py-1 bg-[#007bff] text-white rounded-md disabled:opacity-50"
+            >
+              {editingFolderId ? '更新' : '追加'}
+            </button>
+            {editingFolderId && (
+              <button onClick={resetFolderForm} className="px-4 py-1 border border-gray-300 text-gray-700 rounded-md">
+                やめる
+              </button>
+            )}
+          </div>
+          <ul className="text-sm text-gray-600 space-y-0.5">
+            {FILTER_EXAMPLES.map(example => (
+              <li key={example.expression}>
+                <code className="font-mono text-[#333333]">{example.expression}</code> {example.description}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </section>
+    </div>
+  );
+};
@@ -1,16 +1,170 @@
-import React from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import ReactDOM from 'react-dom';
-import { X } from 'lucide-react';
+import { Pencil, Play, Pause, RefreshCw, AlertCircle, Archive, ArchiveRestore } from 'lucide-react';
+import { SpeakerSegment, WordDetail, TranscriptAlternative, STTResponse } from '../services/sttApiService';
+import { getSpeakerLabel, MemoRevision, RevisionSource } from '../hooks/IndexedDBMemo';
+import { AudioRecording } from '../hooks/IndexedDBAudio';
+import { TranscriptWords, LOW_CONFIDENCE_THRESHOLD } from './TranscriptWords';
+import { TranscriptEditor } from './TranscriptEditor';
+import { RetranscribePanel } from './RetranscribePanel';
+
+// 本文の修正（渡された場合のみ編集できる）
+export interface TextEditHandlers {
+  onSave: (text: string, source: RevisionSource) => Promise<boolean>;
+  loadRevisions: () => Promise<MemoRevision[]>;
+  onRevert: (revision: MemoRevision) => Promise<boolean>;
+}
 
 interface TextPopupProps {
   text: string;
+  originalText?: string; // 元の文字起こし（本文を修正した場合は認識結果の表示をやめる）
+  alternatives?: TranscriptAlternative[];
+  editHandlers?: TextEditHandlers;
+  onApplyRetranscription?: (result: STTResponse) => Promise<boolean>; // 渡された場合のみ再文字起こしできる
+  transcriptionError?: string;
+  audioRecording?: AudioRecording | null; // 単語の時刻があれば再生位置に合わせて表示
+  language?: string;
+  segments?: SpeakerSegment[]; // あれば話者ごとの発言として表示
+  speakerLabels?: Record<number, string>;
+  onRenameSpeaker?: (speaker: number, label: string) => void;
+  agingControls?: React.ReactNode; // 経年変化の調整（詳細表示のときのみ）
+  tagEditor?: React.ReactNode; // タグの付け外し（詳細表示のときのみ）
+  reminderEditor?: React.ReactNode; // リマインダーの設定（詳細表示のときのみ）
+  isArchived?: boolean;
+  onToggleArchive?: () => void; // 渡された場合のみアーカイブ・一覧に戻す
   isOpen: boolean;
   onClose: () => void;
 }
 
-export const TextPopup: React.FC<TextPopupProps> = ({ text, isOpen, onClose }) => {
+type PopupMode = 'view' | 'edit' | 'retranscribe';
+
+// 話者ごとの色（話者番号順に割り当て）
+const SPEAKER_COLORS = [
+  'bg-blue-100 text-blue-800',
+  'bg-green-100 text-green-800',
+  'bg-purple-100 text-purple-800',
+  'bg-orange-100 text-orange-800',
+  'bg-pink-100 text-pink-800',
+  'bg-teal-100 text-teal-800',
+];
+
+// 秒数を m:ss 形式に
+function formatTime(seconds: number): string {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+// 発言区間に含まれる単語
+function wordsInSegment(words: WordDetail[], segment: SpeakerSegment): WordDetail[] {
+  return words.filter(word =>
+    word.speaker === segment.speaker && word.startTime >= segment.startTime && word.endTime <= segment.endTime
+  );
+}
+
+export const TextPopup: React.FC<TextPopupProps> = ({
+  text,
+  originalText,
+  alternatives,
+  editHandlers,
+  onApplyRetranscription,
+  transcriptionError,
+  audioRecording,
+  language,
+  segments,
+  speakerLabels,
+  onRenameSpeaker,
+  agingControls,
+  tagEditor,
+  reminderEditor,
+  isArchived,
+  onToggleArchive,
+  isOpen,
+  onClose
+}) => {
+  const [editingSpeaker, setEditingSpeaker] = useState<{ speaker: number; label: string } | null>(null);
+  const [mode, setMode] = useState<PopupMode>('view');
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackTime, setPlaybackTime] = useState<number | null>(null);
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+
+  const stopPlayback = useCallback(() => {
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current = null;
+    }
+    setIsPlaying(false);
+    setPlaybackTime(null);
+  }, []);
+
+  // 閉じたら再生を止め、編集・再文字起こしも終える
+  useEffect(() => {
+    if (!isOpen) {
+      stopPlayback();
+      setMode('view');
+    }
+  }, [isOpen, stopPlayback]);
+
+  useEffect(() => stopPlayback, [stopPlayback]);
+
+  // 再生中は描画ごとに再生位置を更新（timeupdateイベントは間隔が粗いため）
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let frame = 0;
+    const tick = () => {
+      if (audioRef.current) setPlaybackTime(audioRef.current.currentTime);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying]);
+
+  // 指定した位置から再生
+  const playFrom = useCallback((time?: number) => {
+    if (!audioRecording?.audioUrl) return;
+
+    if (!audioRef.current) {
+      const audio = new Audio(audioRecording.audioUrl);
+      audio.onplay = () => setIsPlaying(true);
+      audio.onpause = () => setIsPlaying(false);
+      audio.onended = () => {
+        setIsPlaying(false);
+        setPlaybackTime(null);
+        audioRef.current = null;
+      };
+      audio.onerror = (e) => {
+        console.error('音声再生エラー:', e);
+        stopPlayback();
+      };
+      audioRef.current = audio;
+    }
+
+    if (time !== undefined) {
+      audioRef.current.currentTime = time;
+      setPlaybackTime(time);
+    }
+    audioRef.current.play().catch((error) => {
+      console.error('音声再生エラー:', error);
+      stopPlayback();
+    });
+  }, [audioRecording, stopPlayback]);
+
   if (!isOpen) return null;
 
+  // 本文を修正した場合、話者・単語の表示は元の文字起こしと食い違うため本文をそのまま表示
+  const isEdited = originalText !== undefined && text !== originalText;
+  const hasSpeakers = !isEdited && Boolean(segments && segments.length > 0);
+  const words = audioRecording?.wordDetails || [];
+  const hasWords = !isEdited && words.length > 0 && Boolean(audioRecording?.audioUrl);
+  const lowConfidenceCount = words.filter(word => word.confidence > 0 && word.confidence < LOW_CONFIDENCE_THRESHOLD).length;
+
+  const saveSpeakerLabel = () => {
+    if (editingSpeaker && onRenameSpeaker) {
+      onRenameSpeaker(editingSpeaker.speaker, editingSpeaker.label);
+    }
+    setEditingSpeaker(null);
+  };
+
   return ReactDOM.createPortal(
     <div 
       className="fixed bg-black bg-opacity-50 flex items-center justify-center z-[9999] p-4"
@@ -48,7 +202,37 @@ export const TextPopup: React.FC<TextPopupProps> = ({ text, isOpen, onClose }) =
       >
         {/* Header */}
         <div className="flex justify-between items-center p-4 border-b border-gray-200">
-          <h3 className="text-3xl font-semibold text-[#333333]">メモ詳細</h3>
+          <h3 className="text-3xl font-semibold text-[#333333]">
+            {mode === 'retranscribe' ? '再文字起こし' : 'メモ詳細'}
+          </h3>
+          {mode === 'view' && (
+            <div className="flex items-center">
+              {onApplyRetranscription && audioRecording?.audioBlob && (
+                <button
+                  onClick={() => {
+                    stopPlayback();
+                    setMode('retranscribe');
+                  }}
+                  className="p-2 text-gray-600 hover:text-gray-800"
+                  aria-label="再文字起こし"
+                >
+                  <RefreshCw size={24} />
+                </button>
+              )}
+              {editHandlers && (
+                <button
+                  onClick={() => {
+                    stopPlayback();
+                    setMode('edit');
+                  }}
+                  className="p-2 text-gray-600 hover:text-gray-800"
+                  aria-label="修正"
+                >
+                  <Pencil size={24} />
+                </button>
+              )}
+            </div>
+          )}
         </div>
         
         {/* Content */}
@@ -59,14 +243,131 @@ export const TextPopup: React.FC<TextPopupProps> = ({ text, isOpen, onClose }) =
             lineHeight: '2'
           }}
         >
-          <p className=
-            "text-[#333333] whitespace-pre-wrap break-words text-4xl leading-relaxed font-medium">
-            {text}
-          </p>
+          {mode === 'view' && transcriptionError && (
+            <p className="flex items-center gap-2 mb-2 text-base text-red-600" style={{ lineHeight: '1.5' }}>
+              <AlertCircle size={18} className="shrink-0" />
+              文字起こしに失敗しました: {transcriptionError}
+            </p>
+          )}
+          {mode === 'edit' && editHandlers ? (
+            <TranscriptEditor
+              text={text}
+              originalText={originalText}
+              alternatives={alternatives}
+              {...editHandlers}
+              onDone={() => setMode('view')}
+            />
+          ) : mode === 'retranscribe' && onApplyRetranscription && audioRecording ? (
+            <RetranscribePanel
+              recording={audioRecording}
+              text={text}
+              language={language}
+              onApply={onApplyRetranscription}
+              onDone={() => setMode('view')}
+            />
+          ) : hasSpeakers ? (
+            // 話者ごとの発言（話者名をタップすると名前を変更。同じ話者のすべての発言に反映）
+            <ul className="space-y-4">
+              {segments!.map((segment, index) => (
+                <li key={`${segment.speaker}-${segment.startTime}-${index}`} className="space-y-1">
+                  <div className="flex items-center gap-2" style={{ lineHeight: '1.5' }}>
+                    {editingSpeaker?.speaker === segment.speaker ? (
+                      <input
+                        type="text"
+                        value={editingSpeaker.label}
+                        onChange={(e) => setEditingSpeaker({ ...editingSpeaker, label: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') saveSpeakerLabel();
+                          if (e.key === 'Escape') setEditingSpeaker(null);
+                        }}
+                        onBlur={saveSpeakerLabel}
+                        placeholder={`話者${segment.speaker}`}
+                        maxLength={30}
+                        autoFocus
+                        className="px-2 py-1 border border-gray-300 rounded-md text-lg"
+                      />
+                    ) : (
+                      <button
+                        onClick={() => setEditingSpeaker({ speaker: segment.speaker, label: speakerLabels?.[segment.speaker] || '' })}
+                        disabled={!onRenameSpeaker}
+                        className={`flex items-center gap-1 px-2 py-0.5 rounded text-lg font-semibold ${
+                          SPEAKER_COLORS[(segment.speaker - 1) % SPEAKER_COLORS.length]
+                        }`}
+                        aria-label="話者名を変更"
+                      >
+                        {getSpeakerLabel({ speakerLabels }, segment.speaker)}
+                        {onRenameSpeaker && <Pencil size={14} />}
+                      </button>
+                    )}
+                    <span className="text-sm text-gray-500">{formatTime(segment.startTime)}</span>
+                  </div>
+                  {hasWords ? (
+                    <TranscriptWords
+                      words={wordsInSegment(words, segment)}
+                      currentTime={playbackTime}
+                      language={language}
+                      onSeek={playFrom}
+                      className="text-[#333333] break-words text-3xl leading-relaxed font-medium"
+                    />
+                  ) : (
+                    <p className="text-[#333333] whitespace-pre-wrap break-words text-3xl leading-relaxed font-medium">
+                      {segment.transcript}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : hasWords ? (
+            // 再生中の単語を強調し、タップした単語の位置から再生
+            <TranscriptWords
+              words={words}
+              currentTime={playbackTime}
+              language={language}
+              onSeek={playFrom}
+              className="text-[#333333] break-words text-4xl leading-relaxed font-medium"
+            />
+          ) : (
+            <p className=
+              "text-[#333333] whitespace-pre-wrap break-words text-4xl leading-relaxed font-medium">
+              {text}
+            </p>
+          )}
         </div>
         
+        {mode === 'view' && tagEditor}
+        {mode === 'view' && reminderEditor}
+        {mode === 'view' && agingControls}
+
         {/* Footer */}
-        <div className="p-4 border-t border-gray-200 flex justify-end">
+        <div className="p-4 border-t border-gray-200 flex items-center justify-end gap-2">
+          {hasWords && (
+            <>
+              <button
+                onClick={() => (isPlaying ? audioRef.current?.pause() : playFrom())}
+                className={`w-10 h-10 rounded-full text-white flex items-center justify-center ${
+                  isPlaying ? 'bg-[#28a745]' : 'bg-[#007bff]'
+                }`}
+                aria-label={isPlaying ? '一時停止' : '再生'}
+              >
+                {isPlaying ? <Pause size={20} /> : <Play size={20} />}
+              </button>
+              <span className="flex-1 text-sm text-gray-500">
+                {lowConfidenceCount > 0 ? `要確認の単語: ${lowConfidenceCount}` : '単語をタップするとその位置から再生します'}
+              </span>
+            </>
+          )}
+          {mode === 'view' && onToggleArchive && (
+            <button
+              onClick={() => {
+                onToggleArchive();
+                onClose();
+              }}
+              className="flex items-center gap-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md"
+            >
+              {isArchived ? <ArchiveRestore size={18} /> : <Archive size={18} />}
+              {isArchived ? '一覧に戻す' : 'アーカイブ'}
+            </button>
+          )}
           <button
             onClick={onClose}
             className="px-4 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200"
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { MemoRevision, RevisionSource } from '../hooks/IndexedDBMemo';
+import { TranscriptAlternative } from '../services/sttApiService';
+import { getPhraseSuggestions, applyPhraseSuggestion } from '../utils/transcriptAlternatives';
+
+interface TranscriptEditorProps {
+  text: string;
+  originalText?: string; // 元の文字起こし
+  alternatives?: TranscriptAlternative[];
+  onSave: (text: string, source: RevisionSource) => Promise<boolean>;
+  loadRevisions: () => Promise<MemoRevision[]>;
+  onRevert: (revision: MemoRevision) => Promise<boolean>;
+  onDone: () => void;
+}
+
+const SOURCE_LABELS: Record<RevisionSource, string> = {
+  original: '修正前',
+  edit: '手入力で修正',
+  alternative: '認識候補で修正',
+  revert: '履歴から復元',
+  retranscribe: '再文字起こし',
+};
+
+function formatDateTime(timestamp: number): string {
+  return new Date(timestamp).toLocaleString('ja-JP', {
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+// メモ本文の修正（認識候補での置き換え・修正履歴・元の文字起こしへの復元）
+export const TranscriptEditor: React.FC<TranscriptEditorProps> = ({
+  text,
+  originalText,
+  alternatives,
+  onSave,
+  loadRevisions,
+  onRevert,
+  onDone,
+}) => {
+  const [draft, setDraft] = useState(text);
+  const [source, setSource] = useState<RevisionSource>('edit');
+  const [revisions, setRevisions] = useState<MemoRevision[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // 呼び出し元の再描画ごとに関数が変わっても読み込み直さない
+  const loadRevisionsRef = useRef(loadRevisions);
+  loadRevisionsRef.current = loadRevisions;
+
+  const refreshRevisions = useCallback(async () => {
+    setRevisions(await loadRevisionsRef.current());
+  }, []);
+
+  useEffect(() => {
+    refreshRevisions();
+  }, [refreshRevisions]);
+
+  // 認識候補は元の文字起こしとの差分から作る
+  const suggestions = useMemo(
+    () => getPhraseSuggestions(originalText ?? text, alternatives),
+    [originalText, text, alternatives]
+  );
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      if (await onSave(draft, source)) onDone();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRevert = async (revision: MemoRevision) => {
+    if (await onRevert(revision)) {
+      setDraft(revision.text);
+      await refreshRevisions();
+    }
+  };
+
+  return (
+    <div className="space-y-4" style={{ lineHeight: '1.5' }}>
+      <textarea
+        value={draft}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          setSource('edit');
+        }}
+        rows={6}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-2xl text-[#333333]"
+        autoFocus
+      />
+
+      {/* 認識候補での置き換え */}
+      {suggestions.length > 0 && (
+        <section className="space-y-2">
+          <h4 className="text-sm font-semibold text-gray-600">認識候補</h4>
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map((suggestion) => {
+              const applied = applyPhraseSuggestion(draft, suggestion);
+              return (
+                <button
+                  key={`${suggestion.original}-${suggestion.replacement}`}
+                  onClick={() => {
+                    if (applied === null) return;
+                    setDraft(applied);
+                    setSource('alternative');
+                  }}
+                  disabled={applied === null}
+                  className="px-3 py-1 rounded-full border border-[#007bff] text-[#007bff] text-lg disabled:opacity-40"
+                >
+                  {suggestion.original} → {suggestion.replacement}
+                </button>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      {/* 元の文字起こし（修正しても残る） */}
+      {originalText && originalText !== draft && (
+        <section className="space-y-1">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-gray-600">元の文字起こし</h4>
+            <button
+              onClick={() => {
+                setDraft(originalText);
+                setSource('revert');
+              }}
+              className="flex items-center gap-1 text-sm text-[#007bff]"
+            >
+              <RotateCcw size={14} />
+              元に戻す
+            </button>
+          </div>
+          <p className="text-lg text-gray-600 whitespace-pre-wrap break-words bg-gray-50 rounded-md p-2">{originalText}</p>
+        </section>
+      )}
+
+      {/* 修正履歴 */}
+      {revisions.length > 0 && (
+        <section className="space-y-2">
+          <h4 className="text-sm font-semibold text-gray-600">修正履歴</h4>
+          <ul className="space-y-2">
+            {revisions.map((revision) => (
+              <li key={revision.id} className="flex items-start gap-2 border border-gray-200 rounded-md p-2">
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs text-gray-500">
+                    {formatDateTime(revision.createdAt)}・{SOURCE_LABELS[revision.source]}
+                  </p>
+                  <p className="text-base text-[#333333] break-words line-clamp-2">{revision.text}</p>
+                </div>
+                {revision.text !== text && (
+                  <button
+                    onClick={() => handleRevert(revision)}
+                    className="shrink-0 px-2 py-1 text-sm text-[#007bff] border border-[#007bff] rounded-md"
+                  >
+                    この版に戻す
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onDone}
+          className="px-4 py-2 border border-gray-300 text-gray-600 rounded-md"
+        >
+          キャンセル
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving || !draft.trim() || draft.trim() === text}
+          className="px-4 py-2 bg-[#007bff] text-white rounded-md hover:bg-blue-600 transition-colors duration-200 disabled:opacity-50"
+        >
+          保存
+        </button>
+      </div>
+    </div>
+  );
+};
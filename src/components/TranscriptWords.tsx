@@ -0,0 +1,61 @@
+import React, { useEffect, useRef } from 'react';
+import { WordDetail } from '../services/sttApiService';
+
+// この信頼度未満の単語は確認が必要な単語として印を付ける（0は信頼度なしのため対象外）
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+// 単語の間を空けずに表示する言語
+const UNSPACED_LANGUAGES = ['ja', 'zh', 'cmn', 'yue', 'th'];
+
+interface TranscriptWordsProps {
+  words: WordDetail[];
+  currentTime: number | null; // 再生位置（再生していなければnull）
+  language?: string;
+  onSeek?: (time: number) => void;
+  className?: string;
+}
+
+// 再生位置の単語（開始時刻が再生位置以前の最後の単語）
+function findActiveIndex(words: WordDetail[], currentTime: number | null): number {
+  if (currentTime === null) return -1;
+  let active = -1;
+  for (let i = 0; i < words.length && words[i].startTime <= currentTime; i++) {
+    active = i;
+  }
+  return active;
+}
+
+// 単語ごとの文字起こし表示（再生中の単語を強調し、タップでその位置から再生）
+export const TranscriptWords: React.FC<TranscriptWordsProps> = ({ words, currentTime, language, onSeek, className }) => {
+  const activeRef = useRef<HTMLSpanElement>(null);
+  const activeIndex = findActiveIndex(words, currentTime);
+  const spaced = !UNSPACED_LANGUAGES.includes((language || '').split('-')[0]);
+
+  // 再生中の単語が見えるようにスクロール
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [activeIndex]);
+
+  return (
+    <p className={className}>
+      {words.map((word, index) => {
+        const lowConfidence = word.confidence > 0 && word.confidence < LOW_CONFIDENCE_THRESHOLD;
+        return (
+          <React.Fragment key={`${word.startTime}-${index}`}>
+            {spaced && index > 0 && ' '}
+            <span
+              ref={index === activeIndex ? activeRef : undefined}
+              onClick={() => onSeek?.(word.startTime)}
+              title={lowConfidence ? `信頼度 ${Math.round(word.confidence * 100)}%（要確認）` : undefined}
+              className={`rounded transition-colors duration-100 ${onSeek ? 'cursor-pointer' : ''} ${
+                index === activeIndex ? 'bg-[#ffeaa7]' : ''
+              } ${lowConfidence ? 'underline decoration-dotted decoration-red-500 text-red-700' : ''}`}
+            >
+              {word.word}
+            </span>
+          </React.Fragment>
+        );
+      })}
+    </p>
+  );
+};
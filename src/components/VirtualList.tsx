@@ -0,0 +1,112 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+
+interface VirtualListProps<T> {
+  items: T[];
+  getKey: (item: T) => React.Key;
+  getHeight: (item: T) => number; // 描画前に決まる高さ（ふせんは経年変化の大きさで決まる）
+  renderItem: (item: T) => React.ReactNode;
+  scrollRef: React.RefObject<HTMLElement>; // スクロールする要素（リストの上に他の表示があってもよい）
+  gap?: number;
+  overscan?: number; // 画面外に余分に描画する範囲（px）
+  scrollToKey?: React.Key | null; // この項目までスクロールする（検索結果から選んだメモなど）
+}
+
+// 表示範囲の前後だけを描画するリスト（数百件のメモでも低性能の端末で重くならないように）
+// 高さは描画前に計算できるため、実際の大きさを測らずに位置を決める
+export function VirtualList<T>({ items, getKey, getHeight, renderItem, scrollRef, gap = 16, overscan = 600, scrollToKey = null }: VirtualListProps<T>) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const scrolledKeyRef = useRef<React.Key | null>(null); // スクロール済みの scrollToKey（同じ項目へは1回だけ）
+  const [viewport, setViewport] = useState({ top: 0, height: typeof window !== 'undefined' ? window.innerHeight : 0 });
+
+  // 各項目の上端の位置と全体の高さ
+  const { offsets, totalHeight } = useMemo(() => {
+    const offsets: number[] = [];
+    let position = 0;
+    items.forEach((item, index) => {
+      offsets.push(position);
+      position += getHeight(item) + (index < items.length - 1 ? gap : 0);
+    });
+    return { offsets, totalHeight: position };
+  }, [items, getHeight, gap]);
+
+  // スクロール位置からリスト内の表示範囲を求める（描画のたびに1回だけ）
+  useEffect(() => {
+    const scrollElement = scrollRef.current;
+    if (!scrollElement) return;
+
+    let frame = 0;
+    const update = () => {
+      frame = 0;
+      const container = containerRef.current;
+      if (!container) return;
+
+      const top = scrollElement.getBoundingClientRect().top - container.getBoundingClientRect().top;
+      const height = scrollElement.clientHeight;
+      setViewport(prev => (prev.top === top && prev.height === height ? prev : { top, height }));
+    };
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    scrollElement.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      if (frame) cancelAnimationFrame(frame);
+      scrollElement.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+    };
+  }, [scrollRef, totalHeight]);
+
+  // scrollToKey の項目が表示範囲の上端に来るようにスクロール（描画前でも位置は計算できる）
+  useEffect(() => {
+    if (scrollToKey === null) {
+      scrolledKeyRef.current = null;
+      return;
+    }
+    if (scrolledKeyRef.current === scrollToKey) return;
+
+    const scrollElement = scrollRef.current;
+    const container = containerRef.current;
+    const index = items.findIndex(item => getKey(item) === scrollToKey);
+    if (!scrollElement || !container || index === -1) return;
+
+    scrolledKeyRef.current = scrollToKey;
+    const containerTop = container.getBoundingClientRect().top - scrollElement.getBoundingClientRect().top + scrollElement.scrollTop;
+    scrollElement.scrollTo({ top: Math.max(containerTop + offsets[index] - gap, 0), behavior: 'smooth' });
+  }, [scrollToKey, items, getKey, offsets, scrollRef, gap]);
+
+  // 表示範囲に重なる最初の項目（上端の位置で二分探索）
+  const findFirst = (position: number) => {
+    let low = 0;
+    let high = items.length - 1;
+    let result = 0;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (offsets[middle] <= position) {
+        result = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return result;
+  };
+
+  const start = findFirst(viewport.top - overscan);
+  const end = findFirst(viewport.top + viewport.height + overscan);
+  const visible = items.slice(start, end + 1);
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative', height: `${totalHeight}px` }}>
+      {visible.map((item, index) => (
+        <div
+          key={getKey(item)}
+          style={{ position: 'absolute', top: `${offsets[start + index]}px`, left: 0, right: 0 }}
+        >
+          {renderItem(item)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { useState, useCallback } from 'react';
+import { AGING_PROFILES, AgingProfile, AgingProfileId, DEFAULT_AGING_PROFILE, isAgingProfileId } from '../utils/memoAging';
+
+// ふせんの経年変化の設定（大きく・赤くなる速さの種類）
+// メモごとのピン留め・スヌーズ・リセット・期限はメモに保存する（memoAging.ts）
+
+export interface AgingSettings {
+  profile: AgingProfileId;
+}
+
+const STORAGE_KEY = 'fusenkun-aging-settings';
+
+const DEFAULT_SETTINGS: AgingSettings = { profile: DEFAULT_AGING_PROFILE };
+
+export function loadAgingSettings(): AgingSettings {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      if (isAgingProfileId(parsed.profile)) {
+        return { profile: parsed.profile };
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load aging settings:', error);
+  }
+  return DEFAULT_SETTINGS;
+}
+
+function saveAgingSettings(settings: AgingSettings): void {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// 一覧の表示と設定画面で同じ設定を使うため、App で1つだけ使い設定画面に渡す
+export const useAgingSettings = () => {
+  const [settings, setSettings] = useState<AgingSettings>(loadAgingSettings);
+  const profile: AgingProfile = AGING_PROFILES[settings.profile];
+
+  const setProfile = useCallback((id: AgingProfileId) => {
+    const next = { profile: id };
+    saveAgingSettings(next);
+    setSettings(next);
+  }, []);
+
+  return {
+    settings,
+    profile,
+    setProfile,
+  };
+};
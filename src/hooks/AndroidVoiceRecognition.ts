@@ -1,5 +1,8 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
-import sttApiService, { STTResponse } from '../services/sttApiService';
+import sttApiService, { STTResponse, SpeakerSegment, WordDetail, TranscriptAlternative } from '../services/sttApiService';
+import { STTStreamSession } from '../services/sttStreamService';
+import { loadLanguageSettings } from './LanguageSettings';
+import { loadDiarizationSettings } from './DiarizationSettings';
 
 declare global {
   interface Window {
@@ -17,6 +20,10 @@ export interface AudioRecording {
   duration: number;
   confidence?: number;
   processingTime?: number;
+  language?: string; // 文字起こし時に判定した言語
+  segments?: SpeakerSegment[]; // 話者分離を行った場合の発言区間
+  wordDetails?: WordDetail[]; // 単語ごとの時刻と信頼度（再生位置の表示・頭出しに使う）
+  alternatives?: TranscriptAlternative[]; // 認識候補（メモに保存し、修正時に使う）
 }
 
 // Android最適化音声録音クラス（STT処理はバックエンドに移行）
@@ -25,6 +32,7 @@ class AndroidVoiceRecognition {
   private mediaStream: MediaStream | null = null;
   private audioWorkletNode: AudioWorkletNode | null = null;
   private mediaRecorder: MediaRecorder | null = null;
+  private streamSession: STTStreamSession | null = null; // リアルタイム文字起こし
   
   // Android検出
   private isAndroid: boolean = false;
@@ -38,7 +46,7 @@ class AndroidVoiceRecognition {
   private onRecordingStateChange?: (isRecording: boolean) => void;
   private onError?: (error: string) => void;
   private onAudioLevel?: (level: number) => void;
-  private onTranscriptionComplete?: (result: STTResponse) => void;
+  private onPartialTranscript?: (text: string) => void;
 
   constructor() {
     this.detectPlatform();
@@ -128,6 +136,9 @@ class AndroidVoiceRecognition {
               this.onAudioLevel(data.rms);
             }
             break;
+          case 'pcm-frame':
+            this.streamSession?.sendAudio(data);
+            break;
           case 'silence-detected':
             console.log('Silence detected:', data);
             break;
@@ -146,6 +157,9 @@ class AndroidVoiceRecognition {
       // MediaRecorderの設定（フォールバック用）
       this.setupMediaRecorder();
 
+      // リアルタイム文字起こしセッション開始
+      this.startStreamSession();
+
       // 録音開始
       this.recordingStartTime = Date.now();
       this.audioChunks = [];
@@ -156,7 +170,8 @@ class AndroidVoiceRecognition {
         data: {
           sampleRate: this.isAndroid ? 16000 : 44100,
           noiseGate: 0.005,
-          silenceThreshold: 0.01
+          silenceThreshold: 0.01,
+          streamFrames: this.streamSession !== null
         }
       });
 
@@ -186,6 +201,29 @@ class AndroidVoiceRecognition {
     }
   }
 
+  // リアルタイム文字起こしセッションの開始（失敗しても録音は継続）
+  private startStreamSession(): void {
+    const languageSettings = loadLanguageSettings();
+    this.streamSession = new STTStreamSession(
+      {
+        sampleRate: this.audioContext!.sampleRate,
+        language: languageSettings.primary,
+        alternativeLanguages: languageSettings.candidates
+      },
+      {
+        onPartialTranscript: (text) => {
+          if (this.onPartialTranscript) {
+            this.onPartialTranscript(text);
+          }
+        },
+        onError: (error) => {
+          console.warn('Live transcription error:', error);
+        }
+      }
+    );
+    void this.streamSession.start();
+  }
+
   // MediaRecorderの設定
   private setupMediaRecorder(): void {
     if (!this.mediaStream) return;
@@ -228,7 +266,7 @@ class AndroidVoiceRecognition {
     // 必要に応じて高品質音声データの処理を実装
   }
 
-  // 録音停止
+  // 録音停止（文字起こしは呼び出し元が録音を保存してから transcribe で行う）
   async stopRecording(): Promise<AudioRecording | null> {
     try {
       const duration = Date.now() - this.recordingStartTime;
@@ -240,6 +278,12 @@ class AndroidVoiceRecognition {
         this.audioWorkletNode = null;
       }
 
+      // リアルタイム文字起こし終了（最終結果を受け取った後にサーバー側で切断）
+      if (this.streamSession) {
+        this.streamSession.stop();
+        this.streamSession = null;
+      }
+
       // MediaRecorder停止
       if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
         this.mediaRecorder.stop();
@@ -261,21 +305,17 @@ class AndroidVoiceRecognition {
           type: this.mediaRecorder?.mimeType || 'audio/wav' 
         });
 
-        
-        // バックエンドSTTサービスで文字起こし
-        this.processAudioWithSTT(audioBlob, duration);
-        
-        // 一時的な録音データを返す（文字起こし結果は後で更新）
-        const tempRecording: AudioRecording = {
+        // 文字起こし前の録音データ（結果はメモに反映する）
+        const recording: AudioRecording = {
           id: Date.now().toString(),
           timestamp: new Date(),
-          transcript: '文字起こし処理中...',
+          transcript: '',
           audioBlob,
           audioUrl: URL.createObjectURL(audioBlob),
           duration
         };
 
-        return tempRecording;
+        return recording;
       }
 
       return null;
@@ -286,28 +326,37 @@ class AndroidVoiceRecognition {
     }
   }
 
-  // バックエンドSTTサービスで音声を文字起こし
-  private async processAudioWithSTT(audioBlob: Blob, duration: number): Promise<void> {
+  // バックエンドSTTサービスで録音を文字起こし（非同期ジョブ。言語は設定の主言語・候補言語から判定される）
+  // 話者分離は設定で有効にした場合のみ。onUploaded は音声を送り終え、サーバーで文字起こしが始まったときに呼ばれる
+  // 失敗した場合は STTApiError を投げる（retryable なら再送すれば成功しうる）
+  async transcribe(recording: AudioRecording, onUploaded?: () => void): Promise<STTResponse> {
+    console.log('Starting backend STT processing...');
+
+    const format = sttApiService.detectAudioFormat(recording.audioBlob);
+    const languageSettings = loadLanguageSettings();
+    const diarizationSettings = loadDiarizationSettings();
+    let uploaded = false;
+
     try {
-      console.log('Starting backend STT processing...');
-      
-      // 音声フォーマットを検出
-      const format = sttApiService.detectAudioFormat(audioBlob);
-      
-      // STTサービスで文字起こし
-      const sttResult = await sttApiService.transcribeAudioFile(audioBlob, format, 'ja-JP');
-      
-      if (sttResult.success && this.onTranscriptionComplete) {
-        this.onTranscriptionComplete(sttResult);
-      } else if (this.onError) {
-        this.onError(sttResult.error || '文字起こしに失敗しました');
-      }
-      
+      return await sttApiService.transcribeAudioFile(recording.audioBlob, format, languageSettings.primary, {
+        alternativeLanguages: languageSettings.candidates,
+        diarization: diarizationSettings.enabled
+          ? { minSpeakers: diarizationSettings.minSpeakers, maxSpeakers: diarizationSettings.maxSpeakers }
+          : undefined,
+        onProgress: (job) => {
+          if (!uploaded) {
+            uploaded = true;
+            onUploaded?.();
+          }
+          if (job.progress.totalChunks) {
+            console.log(`STT job ${job.status}: ${job.progress.completedChunks}/${job.progress.totalChunks} chunks (${recording.duration}ms)`);
+          }
+        }
+      });
     } catch (error) {
       console.error('STT processing error:', error);
-      if (this.onError) {
-        this.onError(error instanceof Error ? error.message : '文字起こしに失敗しました');
-      }
+      this.onError?.(error instanceof Error ? error.message : '文字起こしに失敗しました');
+      throw error;
     }
   }
 
@@ -316,16 +365,21 @@ class AndroidVoiceRecognition {
     onRecordingStateChange?: (isRecording: boolean) => void;
     onError?: (error: string) => void;
     onAudioLevel?: (level: number) => void;
-    onTranscriptionComplete?: (result: STTResponse) => void;
+    onPartialTranscript?: (text: string) => void;
   }): void {
     this.onRecordingStateChange = callbacks.onRecordingStateChange;
     this.onError = callbacks.onError;
     this.onAudioLevel = callbacks.onAudioLevel;
-    this.onTranscriptionComplete = callbacks.onTranscriptionComplete;
+    this.onPartialTranscript = callbacks.onPartialTranscript;
   }
 
   // クリーンアップ
   cleanup(): void {
+    if (this.streamSession) {
+      this.streamSession.close();
+      this.streamSession = null;
+    }
+
     if (this.mediaStream) {
       this.mediaStream.getTracks().forEach(track => track.stop());
     }
@@ -350,12 +404,12 @@ class AndroidVoiceRecognition {
 export const useAndroidVoiceRecognition = () => {
   const [isRecording, setIsRecording] = useState(false);
   const [transcript, setTranscript] = useState('');
+  const [partialTranscript, setPartialTranscript] = useState('');
   const [audioLevel, setAudioLevel] = useState(0);
   const [error, setError] = useState<string | null>(null);
   const [isProcessing, setIsProcessing] = useState(false);
   
   const voiceRecognitionRef = useRef<AndroidVoiceRecognition | null>(null);
-  const currentRecordingRef = useRef<AudioRecording | null>(null);
 
   // 初期化
   useEffect(() => {
@@ -365,18 +419,7 @@ export const useAndroidVoiceRecognition = () => {
       onRecordingStateChange: setIsRecording,
       onError: setError,
       onAudioLevel: setAudioLevel,
-      onTranscriptionComplete: (sttResult) => {
-        console.log('STT processing completed:', sttResult);
-        setIsProcessing(false);
-        
-        // 現在の録音データを更新
-        if (currentRecordingRef.current) {
-          currentRecordingRef.current.transcript = sttResult.transcription;
-          currentRecordingRef.current.confidence = sttResult.confidence;
-          currentRecordingRef.current.processingTime = sttResult.processingTime;
-          setTranscript(sttResult.transcription);
-        }
-      }
+      onPartialTranscript: setPartialTranscript
     });
 
     return () => {
@@ -386,37 +429,31 @@ export const useAndroidVoiceRecognition = () => {
     };
   }, []);
 
-  // 録音開始
-  const startRecording = useCallback(async () => {
+  // 録音開始（開始できなければfalse）
+  const startRecording = useCallback(async (): Promise<boolean> => {
     try {
       setError(null);
       setTranscript('');
+      setPartialTranscript('');
       setIsProcessing(false);
-      currentRecordingRef.current = null;
       
       if (voiceRecognitionRef.current) {
         await voiceRecognitionRef.current.startRecording();
+        return true;
       }
+      return false;
     } catch (error) {
       console.error('Start recording failed:', error);
       setError(error instanceof Error ? error.message : '録音開始に失敗しました');
+      return false;
     }
   }, []);
 
-  // 録音停止
+  // 録音停止（文字起こしはしない）
   const stopRecording = useCallback(async (): Promise<AudioRecording | null> => {
     try {
-      setIsProcessing(true);
-      
       if (voiceRecognitionRef.current) {
-        const recording = await voiceRecognitionRef.current.stopRecording();
-        
-        if (recording) {
-          currentRecordingRef.current = recording;
-          setTranscript('文字起こし処理中...');
-        }
-        
-        return recording;
+        return await voiceRecognitionRef.current.stopRecording();
       }
       return null;
     } catch (error) {
@@ -426,6 +463,26 @@ export const useAndroidVoiceRecognition = () => {
     }
   }, []);
 
+  // 録音を文字起こし（結果の反映・失敗の記録は呼び出し元で行う。失敗した場合は STTApiError 等を投げる）
+  const transcribeRecording = useCallback(async (
+    recording: AudioRecording,
+    onUploaded?: () => void
+  ): Promise<STTResponse> => {
+    if (!voiceRecognitionRef.current) {
+      throw new Error('文字起こしの準備ができていません');
+    }
+
+    setIsProcessing(true);
+    try {
+      const result = await voiceRecognitionRef.current.transcribe(recording, onUploaded);
+      console.log('STT processing completed:', result);
+      setTranscript(result.transcription);
+      return result;
+    } finally {
+      setIsProcessing(false);
+    }
+  }, []);
+
   // プラットフォーム情報
   const platformInfo = voiceRecognitionRef.current?.getPlatformInfo() || {
     isAndroid: false,
@@ -435,11 +492,13 @@ export const useAndroidVoiceRecognition = () => {
   return {
     isRecording,
     transcript,
+    partialTranscript,
     audioLevel,
     error,
     isProcessing,
     startRecording,
     stopRecording,
+    transcribeRecording,
     platformInfo
   };
 };
\ No newline at end of file
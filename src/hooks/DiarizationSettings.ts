@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from 'react';
+import sttApiService, { DiarizationSupport } from '../services/sttApiService';
+
+// 話者分離の設定（会議など複数人の録音で、発言ごとに話者を分ける）
+
+export interface DiarizationSettings {
+  enabled: boolean;
+  minSpeakers: number;
+  maxSpeakers: number;
+}
+
+const STORAGE_KEY = 'fusenkun-diarization-settings';
+
+const DEFAULT_SETTINGS: DiarizationSettings = { enabled: false, minSpeakers: 2, maxSpeakers: 6 };
+
+// サーバーから取得できない場合の対応状況
+const FALLBACK_SUPPORT: DiarizationSupport = {
+  supported: true,
+  defaultMinSpeakers: DEFAULT_SETTINGS.minSpeakers,
+  defaultMaxSpeakers: DEFAULT_SETTINGS.maxSpeakers,
+  maxSpeakers: 10,
+};
+
+// 保存済みの設定を読み込み（録音処理からも参照する）
+export function loadDiarizationSettings(): DiarizationSettings {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      if (typeof parsed.enabled === 'boolean' && Number.isInteger(parsed.minSpeakers) && Number.isInteger(parsed.maxSpeakers)) {
+        return { enabled: parsed.enabled, minSpeakers: parsed.minSpeakers, maxSpeakers: parsed.maxSpeakers };
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load diarization settings:', error);
+  }
+  return DEFAULT_SETTINGS;
+}
+
+function saveDiarizationSettings(settings: DiarizationSettings): void {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+export const useDiarizationSettings = () => {
+  const [settings, setSettings] = useState<DiarizationSettings>(loadDiarizationSettings);
+  const [support, setSupport] = useState<DiarizationSupport>(FALLBACK_SUPPORT);
+
+  // 対応状況はサーバー（使用中のプロバイダー）から取得
+  useEffect(() => {
+    let cancelled = false;
+
+    sttApiService.getDiarizationSupport()
+      .then((result) => {
+        if (!cancelled) setSupport(result);
+      })
+      .catch((error) => {
+        console.warn('Failed to load diarization support:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const update = useCallback((next: DiarizationSettings) => {
+    saveDiarizationSettings(next);
+    setSettings(next);
+  }, []);
+
+  const setEnabled = useCallback((enabled: boolean) => {
+    update({ ...settings, enabled });
+  }, [settings, update]);
+
+  // 話者数の範囲を変更（下限が上限を超えないようにもう片方を合わせる）
+  const setMinSpeakers = useCallback((minSpeakers: number) => {
+    update({ ...settings, minSpeakers, maxSpeakers: Math.max(minSpeakers, settings.maxSpeakers) });
+  }, [settings, update]);
+
+  const setMaxSpeakers = useCallback((maxSpeakers: number) => {
+    update({ ...settings, maxSpeakers, minSpeakers: Math.min(maxSpeakers, settings.minSpeakers) });
+  }, [settings, update]);
+
+  return {
+    settings,
+    support,
+    setEnabled,
+    setMinSpeakers,
+    setMaxSpeakers,
+  };
+};
@@ -1,5 +1,6 @@
 import { useState, useRef, useCallback } from 'react';
 import { Mic, MicOff, Play, Pause, Download, Trash2 } from 'lucide-react';
+import { SpeakerSegment, WordDetail, TranscriptAlternative } from '../services/sttApiService';
 
 declare global {
   interface Window {
@@ -15,6 +16,10 @@ export interface AudioRecording {
   audioBlob: Blob;
   audioUrl: string;
   duration: number;
+  language?: string; // 文字起こし時に判定した言語
+  segments?: SpeakerSegment[]; // 話者分離を行った場合の発言区間
+  wordDetails?: WordDetail[]; // 単語ごとの時刻と信頼度（再生位置の表示・頭出しに使う）
+  alternatives?: TranscriptAlternative[]; // 認識候補（メモに保存し、修正時に使う）
 }
 
 // Bluetooth HFP/HSP検出とマイク制御クラス
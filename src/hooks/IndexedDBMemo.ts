@@ -1,14 +1,134 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { calculateMemoSize } from '../utils/sizeCalculator';
+import { AgingProfile, MemoAging, getAgingState, normalizeAging } from '../utils/memoAging';
+import { MemoTag, normalizeMemoTag, normalizeTagName, normalizeTags, getDefaultTagColor } from '../utils/memoTags';
+import { MemoReminder, isReminderActive, normalizeReminder } from '../utils/reminderTime';
+import { generateSyncKey } from '../utils/syncKey';
+import { SearchQueryTerm, SnippetPart, buildSnippet, matchesSearchTerms, normalizeSearchText, parseSearchQuery } from '../utils/searchText';
 import { AudioRecording } from './IndexedDBAudio';
+import sttApiService, {
+  SpeakerSegment,
+  WordDetail,
+  TranscriptAlternative,
+  STTResponse,
+  MemoChange,
+  RemoteMemoRecord,
+} from '../services/sttApiService';
+import { STTApiError } from '../services/sttErrors';
+import { registerBackgroundSync } from './PWAManager';
+import {
+  MEMO_DB_NAME,
+  MEMO_DB_VERSION,
+  MEMO_STORE,
+  AUDIO_STORE,
+  REVISION_STORE,
+  TOMBSTONE_STORE,
+  SYNC_STORE,
+  TAG_STORE,
+  REMINDER_INDEX,
+  runMemoMigrations,
+} from './MemoMigrations';
+import { BackupEntry, BackupImportMode, BackupMemo } from './MemoBackup';
+import { loadMemoViewSettings, saveMemoViewSettings } from './MemoViewSettings';
+import {
+  SEARCH_STORES,
+  SearchHit,
+  clearSearchIndex,
+  indexMemoText,
+  rankSearchHits,
+  readSearchPostings,
+  removeMemoFromIndex,
+  syncSearchIndex,
+} from './MemoSearchIndex';
 
 export interface Memo {
   id: number;
   text: string;
-  audioRecording?: AudioRecording | null;
+  audioRecording?: AudioRecording | null; // 音声本体（一覧では読み込まない。再生・再文字起こしのときに loadMemoAudio で読み込む）
+  audio?: MemoAudioSummary | null; // 音声の概要（一覧で使う）
   createdAt: number;
   currentSize: number;
   type: 'text' | 'audio' | 'mixed'; // メモの種類を判別
+  language?: string; // 文字起こしで判定した言語（テキストメモ・判定前は無し）
+  segments?: SpeakerSegment[]; // 話者分離した場合の発言区間
+  speakerLabels?: Record<number, string>; // 話者番号ごとにユーザーが付けた名前
+  originalText?: string; // 文字起こしの結果（ユーザーが修正してもそのまま残す）
+  alternatives?: TranscriptAlternative[]; // 認識候補（修正時の置き換え候補に使う）
+  transcriptionState?: TranscriptionState; // 録音メモの文字起こしの進み具合（テキストメモ・以前の録音メモは無し）
+  transcriptionError?: string; // 最後に失敗したときのエラー（文字起こしが成功すると消える）
+  aging?: MemoAging; // 経年変化の調整（ピン留め・スヌーズ・リセット・期限）
+  archivedAt?: number; // アーカイブした時刻（一覧に表示せず、表示するメモの数にも数えない）
+  tags?: string[]; // タグの名前（色は端末のタグのストア）
+  reminder?: MemoReminder; // 通知する日時
+}
+
+export interface MemoAudioSummary {
+  id: string;
+  duration: number; // ミリ秒
+}
+
+// メモの音声の概要（読み込み済みの音声があればそちらを使う）
+export function getMemoAudio(memo: Pick<Memo, 'audioRecording' | 'audio'>): MemoAudioSummary | null {
+  if (memo.audioRecording) return { id: memo.audioRecording.id, duration: memo.audioRecording.duration };
+  return memo.audio ?? null;
+}
+
+export function hasMemoAudio(memo: Pick<Memo, 'audioRecording' | 'audio'>): boolean {
+  return getMemoAudio(memo) !== null;
+}
+
+export function isMemoArchived(memo: Pick<Memo, 'archivedAt'>): boolean {
+  return memo.archivedAt !== undefined;
+}
+
+// 録音メモのライフサイクル: recording → uploading → transcribing → done / failed
+// recording: 録音中（音声はまだ無い）、uploading: 音声を送信中、transcribing: サーバーで文字起こし中、done: 本文に反映済み
+// pending: オフライン・通信エラーで文字起こしキューの再送を待っている
+// failed: 再試行できない・再試行の上限に達した（保存した音声から再文字起こしで直す）
+export type TranscriptionState = 'recording' | 'uploading' | 'transcribing' | 'pending' | 'done' | 'failed';
+
+// 各状態から移れる状態（遅れて届いた結果や失敗で、先に進んだメモを戻さない）
+// done からは再文字起こしの採用（applyRetranscription）でのみ変わる
+const TRANSCRIPTION_TRANSITIONS: Record<TranscriptionState, TranscriptionState[]> = {
+  recording: ['uploading', 'pending', 'failed'],
+  uploading: ['transcribing', 'pending', 'done', 'failed'],
+  transcribing: ['pending', 'done', 'failed'],
+  pending: ['uploading', 'transcribing', 'done', 'failed'],
+  failed: ['pending', 'done'],
+  done: []
+};
+
+// 状態の無いメモは文字起こし済みとして扱う
+export function getTranscriptionState(memo: Pick<Memo, 'transcriptionState'>): TranscriptionState {
+  return memo.transcriptionState ?? 'done';
+}
+
+export function canTransitionTranscription(from: TranscriptionState, to: TranscriptionState): boolean {
+  return TRANSCRIPTION_TRANSITIONS[from].includes(to);
+}
+
+// 文字起こしが進行中（録音中・送信中・文字起こし中）か
+export function isTranscriptionInProgress(memo: Pick<Memo, 'transcriptionState'>): boolean {
+  const state = getTranscriptionState(memo);
+  return state === 'recording' || state === 'uploading' || state === 'transcribing';
+}
+
+// メモの修正履歴
+// original: 最初の修正の直前の本文、edit: 手入力、alternative: 認識候補で置き換え、revert: 履歴から復元、
+// retranscribe: 保存した音声の再文字起こしの結果を採用
+export type RevisionSource = 'original' | 'edit' | 'alternative' | 'revert' | 'retranscribe';
+
+export interface MemoRevision {
+  id: number;
+  memoId: number;
+  text: string; // この修正後の本文
+  source: RevisionSource;
+  createdAt: number;
+}
+
+// 話者の表示名（名前を付けていなければ「話者1」など）
+export function getSpeakerLabel(memo: Pick<Memo, 'speakerLabels'>, speaker: number): string {
+  return memo.speakerLabels?.[speaker] || `話者${speaker}`;
 }
 
 export interface MemoStats {
@@ -19,13 +139,28 @@ export interface MemoStats {
   totalAudioDuration: number;
 }
 
+// 全文検索の結果（snippet は一致した箇所の前後の抜粋）
+export interface MemoSearchResult {
+  memo: Memo;
+  score: number;
+  snippet: SnippetPart[];
+}
+
 export type SortOrder = 'newest-first' | 'oldest-first' | 'alphabetical' | 'type' | 'size';
 
-// IndexedDB関連の設定
-const DB_NAME = 'MemoAppDB';
-const DB_VERSION = 1;
-const MEMO_STORE = 'memos';
-const AUDIO_STORE = 'audioData';
+// IndexedDBのストア・版ごとの移行は MemoMigrations.ts
+// バックアップから取り込んだ、文字起こしが終わっていなかったメモ（キューは引き継がないため再文字起こしで直す）
+const IMPORTED_INCOMPLETE_ERROR = '取り込んだ時点で文字起こしが完了していませんでした';
+
+// サーバーとの同期（同期の流れは public/sw.js と揃えること）
+const SYNC_KEY = 'memos';
+const SYNC_TAG = 'memo-sync'; // 文字起こしキューと同じタグ（Service Workerで両方を処理する）
+const SYNC_LEASE_DURATION = 2 * 60 * 1000;
+const SYNC_BATCH_SIZE = 20; // 1件の上限が大きいため、サーバーの上限（100件）より少なく送る
+const SYNC_DEBOUNCE = 2000; // 続けて変更した場合はまとめて送る
+
+const SEARCH_RESULT_LIMIT = 50;
+const EMPTY_TRANSCRIPTION_ERROR = '音声を認識できませんでした';
 
 interface MemoData {
   id: number;
@@ -34,6 +169,37 @@ interface MemoData {
   currentSize: number;
   type: 'text' | 'audio' | 'mixed';
   audioId?: string; // 音声データのID（別ストアに保存）
+  audioDuration?: number; // 音声の長さ（一覧で音声を読み込まずに表示する）
+  language?: string;
+  segments?: SpeakerSegment[];
+  speakerLabels?: Record<number, string>;
+  originalText?: string;
+  alternatives?: TranscriptAlternative[];
+  transcriptionState?: TranscriptionState;
+  transcriptionError?: string;
+  aging?: MemoAging;
+  archivedAt?: number;
+  tags?: string[];
+  reminder?: MemoReminder;
+  reminderNotifiedAt?: number; // 通知したリマインダーの dueAt（端末ごとに通知するため同期しない）
+  updatedAt?: number; // 端末で最後に変更した時刻（同期の競合判定に使う。以前のメモは作成時刻）
+  remoteUpdatedAt?: number; // サーバーにある版の updatedAt（updatedAt と違えば未送信の変更がある。未同期は無し）
+  remoteAudio?: boolean; // 音声をサーバーに送信済みか
+}
+
+// 端末で削除した同期済みのメモ（サーバーに削除を送るまで残す）
+interface MemoTombstone {
+  id: number;
+  deletedAt: number;
+}
+
+// サーバーとの同期状態（アプリとService Workerで共有）
+interface MemoSyncState {
+  key: typeof SYNC_KEY;
+  cursor: number; // 取り込み済みの変更の位置（サーバーの seq）
+  leaseUntil: number; // 同期中の期限（アプリとService Workerで同時に同期しない）
+  lastSyncedAt: number | null;
+  syncKey?: string; // サーバーでメモを分ける同期キー（src/utils/syncKey.ts。最初の同期で作る）
 }
 
 interface AudioData {
@@ -42,6 +208,263 @@ interface AudioData {
   transcript: string;
   timestamp: Date;
   duration: number;
+  wordDetails?: WordDetail[];
+}
+
+// 保存形式からメモに変換
+function toMemo(memoData: MemoData, audioRecording: AudioRecording | null): Memo {
+  return {
+    id: memoData.id,
+    text: memoData.text,
+    audioRecording,
+    audio: memoData.audioId
+      ? { id: memoData.audioId, duration: memoData.audioDuration ?? audioRecording?.duration ?? 0 }
+      : null,
+    createdAt: memoData.createdAt,
+    currentSize: memoData.currentSize,
+    type: memoData.type,
+    language: memoData.language,
+    segments: memoData.segments,
+    speakerLabels: memoData.speakerLabels,
+    originalText: memoData.originalText,
+    alternatives: memoData.alternatives,
+    transcriptionState: memoData.transcriptionState,
+    transcriptionError: memoData.transcriptionError,
+    aging: memoData.aging,
+    archivedAt: memoData.archivedAt,
+    tags: memoData.tags,
+    reminder: memoData.reminder
+  };
+}
+
+// 文字起こしの結果を反映したメモ（本文と認識結果を置き換え、文字起こし済みにする）
+// 混合メモは追記したテキストを残し、文字起こしの部分だけ置き換える
+function withTranscription(memo: Memo & { audioRecording: AudioRecording }, result: STTResponse): Memo {
+  const transcript = result.transcription.trim();
+  const previousTranscript = memo.audioRecording.transcript;
+  const text = memo.type === 'mixed' && memo.text.startsWith(previousTranscript)
+    ? transcript + memo.text.slice(previousTranscript.length)
+    : transcript;
+  const recognition = {
+    language: result.detectedLanguage ?? memo.language,
+    segments: result.segments?.length ? result.segments : undefined,
+    alternatives: result.alternatives?.length ? result.alternatives : undefined
+  };
+
+  return {
+    ...memo,
+    ...recognition,
+    text,
+    originalText: transcript,
+    transcriptionState: 'done',
+    transcriptionError: undefined,
+    audioRecording: {
+      ...memo.audioRecording,
+      ...recognition,
+      transcript,
+      wordDetails: result.wordDetails?.length ? result.wordDetails : undefined
+    }
+  };
+}
+
+// サーバーに送るメモ（端末ごとの同期状態・表示サイズ・音声のバイナリ・修正履歴は送らない）
+interface SyncedMemoPayload extends Omit<MemoData, 'id' | 'currentSize' | 'audioId' | 'audioDuration' | 'reminderNotifiedAt' | 'updatedAt' | 'remoteUpdatedAt' | 'remoteAudio'> {
+  audio: (Omit<AudioData, 'audioBlob' | 'timestamp'> & { timestamp: string }) | null;
+}
+
+function getUpdatedAt(memoData: MemoData): number {
+  return memoData.updatedAt ?? memoData.createdAt;
+}
+
+// 未送信の変更があるか
+function hasLocalChanges(memoData: MemoData): boolean {
+  return memoData.remoteUpdatedAt !== getUpdatedAt(memoData);
+}
+
+// 保存するメモに同期状態と通知の記録を引き継ぐ（touch なら変更として扱い、次の同期で送る）
+// 同じミリ秒に続けて変更しても前の版と区別できるよう、変更時刻は必ず進める
+function withSyncFields(memoData: MemoData, existing: MemoData | undefined, touch: boolean): MemoData {
+  return {
+    ...memoData,
+    updatedAt: touch
+      ? Math.max(Date.now(), (existing ? getUpdatedAt(existing) : 0) + 1)
+      : existing?.updatedAt ?? memoData.updatedAt,
+    reminderNotifiedAt: existing?.reminderNotifiedAt,
+    remoteUpdatedAt: existing?.remoteUpdatedAt,
+    remoteAudio: Boolean(existing?.remoteAudio) && existing?.audioId === memoData.audioId
+  };
+}
+
+function toSyncPayload(memoData: MemoData, audioData: AudioData | undefined): SyncedMemoPayload {
+  return {
+    text: memoData.text,
+    createdAt: memoData.createdAt,
+    type: memoData.type,
+    language: memoData.language,
+    segments: memoData.segments,
+    speakerLabels: memoData.speakerLabels,
+    originalText: memoData.originalText,
+    alternatives: memoData.alternatives,
+    transcriptionState: memoData.transcriptionState,
+    transcriptionError: memoData.transcriptionError,
+    aging: memoData.aging,
+    archivedAt: memoData.archivedAt,
+    tags: memoData.tags,
+    reminder: memoData.reminder,
+    audio: audioData
+      ? {
+          id: audioData.id,
+          transcript: audioData.transcript,
+          timestamp: new Date(audioData.timestamp).toISOString(),
+          duration: audioData.duration,
+          wordDetails: audioData.wordDetails
+        }
+      : null
+  };
+}
+
+// サーバーの記録を保存形式に変換（サーバーと同じ版として保存する）
+function fromSyncPayload(record: RemoteMemoRecord): { memoData: MemoData; audio: SyncedMemoPayload['audio'] } {
+  const payload = record.memo as unknown as SyncedMemoPayload;
+  return {
+    memoData: {
+      id: record.id,
+      text: payload.text,
+      createdAt: payload.createdAt,
+      currentSize: calculateMemoSize(payload.createdAt, normalizeAging(payload.aging)),
+      type: payload.type,
+      audioId: payload.audio?.id,
+      audioDuration: payload.audio?.duration,
+      language: payload.language,
+      segments: payload.segments,
+      speakerLabels: payload.speakerLabels,
+      originalText: payload.originalText,
+      alternatives: payload.alternatives,
+      transcriptionState: payload.transcriptionState,
+      transcriptionError: payload.transcriptionError,
+      aging: normalizeAging(payload.aging),
+      archivedAt: Number.isFinite(payload.archivedAt) ? payload.archivedAt : undefined,
+      tags: normalizeTags(payload.tags),
+      reminder: normalizeReminder(payload.reminder),
+      updatedAt: record.updatedAt,
+      remoteUpdatedAt: record.updatedAt,
+      remoteAudio: Boolean(record.audio)
+    },
+    audio: payload.audio
+  };
+}
+
+// 保存形式からバックアップの形式に変換（音声と修正履歴は読み出した後に付ける）
+function toBackupMemo(memoData: MemoData): BackupMemo {
+  return {
+    id: memoData.id,
+    text: memoData.text,
+    createdAt: memoData.createdAt,
+    updatedAt: getUpdatedAt(memoData),
+    type: memoData.type,
+    language: memoData.language,
+    segments: memoData.segments,
+    speakerLabels: memoData.speakerLabels,
+    originalText: memoData.originalText,
+    alternatives: memoData.alternatives,
+    transcriptionState: memoData.transcriptionState,
+    transcriptionError: memoData.transcriptionError,
+    aging: memoData.aging,
+    archivedAt: memoData.archivedAt,
+    tags: memoData.tags,
+    reminder: memoData.reminder,
+    audio: null,
+    revisions: []
+  };
+}
+
+// バックアップのメモを保存形式に変換
+// 取り込んだメモは端末での変更として扱い、次の同期でサーバーに送る（同じバックアップを再び取り込んでも重複しない）
+function fromBackupMemo(memo: BackupMemo): MemoData {
+  const state = memo.transcriptionState;
+  const incomplete = state !== undefined && state !== 'done' && state !== 'failed';
+
+  return {
+    id: memo.id,
+    text: memo.text,
+    createdAt: memo.createdAt,
+    currentSize: calculateMemoSize(memo.createdAt, normalizeAging(memo.aging)),
+    type: memo.type,
+    audioId: memo.audio?.id,
+    audioDuration: memo.audio?.duration,
+    language: memo.language,
+    segments: memo.segments,
+    speakerLabels: memo.speakerLabels,
+    originalText: memo.originalText,
+    alternatives: memo.alternatives,
+    transcriptionState: incomplete ? (memo.audio ? 'failed' : undefined) : state,
+    transcriptionError: incomplete && memo.audio ? IMPORTED_INCOMPLETE_ERROR : memo.transcriptionError,
+    aging: normalizeAging(memo.aging),
+    archivedAt: Number.isFinite(memo.archivedAt) ? memo.archivedAt : undefined,
+    tags: normalizeTags(memo.tags),
+    reminder: normalizeReminder(memo.reminder),
+    updatedAt: Math.max(Date.now(), memo.updatedAt)
+  };
+}
+
+// メモを保存形式に変換（音声データは別ストア）
+function toMemoData(memo: Memo): MemoData {
+  return {
+    id: memo.id,
+    text: memo.text,
+    createdAt: memo.createdAt,
+    currentSize: memo.currentSize,
+    type: memo.type,
+    audioId: getMemoAudio(memo)?.id,
+    audioDuration: getMemoAudio(memo)?.duration,
+    language: memo.language,
+    segments: memo.segments,
+    speakerLabels: memo.speakerLabels,
+    originalText: memo.originalText,
+    alternatives: memo.alternatives,
+    transcriptionState: memo.transcriptionState,
+    transcriptionError: memo.transcriptionError,
+    aging: memo.aging,
+    archivedAt: memo.archivedAt,
+    tags: memo.tags?.length ? memo.tags : undefined,
+    reminder: memo.reminder
+  };
+}
+
+// 録音データを保存形式に変換
+function toAudioData(audioRecording: AudioRecording): AudioData {
+  return {
+    id: audioRecording.id,
+    audioBlob: audioRecording.audioBlob,
+    transcript: audioRecording.transcript,
+    timestamp: audioRecording.timestamp,
+    duration: audioRecording.duration,
+    wordDetails: audioRecording.wordDetails
+  };
+}
+
+// 保存形式から録音データに変換
+function toAudioRecording(audioData: AudioData, audioUrl: string): AudioRecording {
+  return {
+    id: audioData.id,
+    audioBlob: audioData.audioBlob,
+    audioUrl,
+    transcript: audioData.transcript,
+    timestamp: audioData.timestamp,
+    duration: audioData.duration,
+    wordDetails: audioData.wordDetails
+  };
+}
+
+// 保存済みの音声データから変わったか（変わっていなければ音声を書き直さない）
+function isAudioChanged(audioData: AudioData | undefined, audioRecording: AudioRecording): boolean {
+  if (!audioData) return true;
+  return audioData.id !== audioRecording.id
+    || audioData.audioBlob !== audioRecording.audioBlob
+    || audioData.transcript !== audioRecording.transcript
+    || audioData.timestamp !== audioRecording.timestamp
+    || audioData.duration !== audioRecording.duration
+    || JSON.stringify(audioData.wordDetails) !== JSON.stringify(audioRecording.wordDetails);
 }
 
 class MemoIndexedDB {
@@ -50,30 +473,23 @@ class MemoIndexedDB {
 
   async init(): Promise<void> {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      const request = indexedDB.open(MEMO_DB_NAME, MEMO_DB_VERSION);
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
         this.db = request.result;
+        // 新しい版のアプリ（別のタブ）がDBを更新できるよう閉じる
+        this.db.onversionchange = () => this.db?.close();
         resolve();
       };
 
+      // 開いた版より新しい移行を順に実行（失敗した場合はアップグレード全体が取り消され、古い版のまま残る）
       request.onupgradeneeded = (event) => {
-        const db = (event.target as IDBOpenDBRequest).result;
-        
-        // メモストア
-        if (!db.objectStoreNames.contains(MEMO_STORE)) {
-          const memoStore = db.createObjectStore(MEMO_STORE, { keyPath: 'id' });
-          memoStore.createIndex('createdAt', 'createdAt', { unique: false });
-          memoStore.createIndex('type', 'type', { unique: false });
-        }
-
-        // 音声データストア
-        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
-          const audioStore = db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
-          audioStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+        runMemoMigrations(request.result, request.transaction!, event.oldVersion);
       };
+
+      // 古い版を開いたままの別のタブがある（そのタブが閉じると続行する）
+      request.onblocked = () => console.warn('MemoAppDB upgrade is blocked by another tab');
     });
   }
 
@@ -129,51 +545,88 @@ class MemoIndexedDB {
     }
   }
 
-  async saveMemo(memo: Memo): Promise<void> {
+  // touch=false は同期する内容が変わらない保存（表示サイズの更新など。サーバーに送らない）
+  async saveMemo(memo: Memo, touch = true): Promise<void> {
     if (!this.db) throw new Error('Database not initialized');
 
     return new Promise(async (resolve, reject) => {
       try {
-        const transaction = this.db!.transaction([MEMO_STORE, AUDIO_STORE], 'readwrite');
+        const transaction = this.db!.transaction([MEMO_STORE, AUDIO_STORE, ...SEARCH_STORES], 'readwrite');
         const memoStore = transaction.objectStore(MEMO_STORE);
         const audioStore = transaction.objectStore(AUDIO_STORE);
 
-        let audioId: string | undefined;
-
         // 音声データがある場合は別ストアに保存
         if (memo.audioRecording) {
-          audioId = memo.audioRecording.id;
-          const audioData: AudioData = {
-            id: audioId,
-            audioBlob: memo.audioRecording.audioBlob,
-            transcript: memo.audioRecording.transcript,
-            timestamp: memo.audioRecording.timestamp,
-            duration: memo.audioRecording.duration
-          };
-          
-          const audioRequest = audioStore.put(audioData);
+          const audioRequest = audioStore.put(toAudioData(memo.audioRecording));
           audioRequest.onerror = () => reject(audioRequest.error);
         }
 
-        // メモデータを保存
-        const memoData: MemoData = {
-          id: memo.id,
-          text: memo.text,
-          createdAt: memo.createdAt,
-          currentSize: memo.currentSize,
-          type: memo.type,
-          audioId
-        };
+        // メモデータを保存（保存済みの同期状態を引き継ぐ）
+        const existingRequest = memoStore.get(memo.id);
+        existingRequest.onsuccess = () => {
+          const memoData = withSyncFields(toMemoData(memo), existingRequest.result as MemoData | undefined, touch);
 
-        const memoRequest = memoStore.put(memoData);
-        memoRequest.onsuccess = () => resolve();
-        memoRequest.onerror = () => reject(memoRequest.error);
+          const memoRequest = memoStore.put(memoData);
+          memoRequest.onsuccess = () => resolve();
+          memoRequest.onerror = () => reject(memoRequest.error);
+          indexMemoText(transaction, memoData.id, memoData.text);
+        };
+        existingRequest.onerror = () => reject(existingRequest.error);
       } catch (error) {
         reject(error);
       }
     });
   }
 
+  // メモを読み出して書き換える（読み取りと書き込みを同じトランザクションで行い、他の更新と混ざらない）
+  // update が null を返した場合は書き込まない。メモが無ければ null
+  // revisionSource を渡すと、本文が変わった場合に修正履歴も同じトランザクションで記録する
+  // touch が false なら更新日時を変えない（端末内だけの値の更新。同期の対象にしない）
+  async updateMemo(id: number, update: (memo: Memo) => Memo | null, revisionSource?: RevisionSource, touch = true): Promise<Memo | null> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const storeNames = revisionSource ? [MEMO_STORE, AUDIO_STORE, REVISION_STORE, ...SEARCH_STORES] : [MEMO_STORE, AUDIO_STORE, ...SEARCH_STORES];
+      const transaction = this.db!.transaction(storeNames, 'readwrite');
+      const memoStore = transaction.objectStore(MEMO_STORE);
+      const audioStore = transaction.objectStore(AUDIO_STORE);
+      let updated: Memo | null = null;
+
+      const apply = (memoData: MemoData, audioData: AudioData | undefined) => {
+        const audioRecording = audioData
+          ? toAudioRecording(audioData, this.getOrCreateAudioUrl(audioData.id, audioData.audioBlob))
+          : null;
+        updated = update(toMemo(memoData, audioRecording));
+        if (!updated) return;
+
+        if (updated.audioRecording && isAudioChanged(audioData, updated.audioRecording)) {
+          audioStore.put(toAudioData(updated.audioRecording));
+        }
+        memoStore.put(withSyncFields(toMemoData(updated), memoData, touch));
+        indexMemoText(transaction, updated.id, updated.text);
+        if (revisionSource && updated.text !== memoData.text) {
+          addMemoRevision(transaction, id, memoData.text, updated.text, revisionSource);
+        }
+      };
+
+      const memoRequest = memoStore.get(id);
+      memoRequest.onsuccess = () => {
+        const memoData = memoRequest.result as MemoData | undefined;
+        if (!memoData) return;
+
+        if (memoData.audioId) {
+          const audioRequest = audioStore.get(memoData.audioId);
+          audioRequest.onsuccess = () => apply(memoData, audioRequest.result as AudioData | undefined);
+        } else {
+          apply(memoData, undefined);
+        }
+      };
+
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   async getMemo(id: number): Promise<Memo | null> {
     if (!this.db) throw new Error('Database not initialized');
 
@@ -201,61 +654,26 @@ class MemoIndexedDB {
               if (audioData) {
                 // URLキャッシュシステムを使用
                 const audioUrl = this.getOrCreateAudioUrl(audioData.id, audioData.audioBlob);
-                audioRecording = {
-                  id: audioData.id,
-                  audioBlob: audioData.audioBlob,
-                  audioUrl,
-                  transcript: audioData.transcript,
-                  timestamp: audioData.timestamp,
-                  duration: audioData.duration
-                };
+                audioRecording = toAudioRecording(audioData, audioUrl);
               }
 
-              const memo: Memo = {
-                id: memoData.id,
-                text: memoData.text,
-                audioRecording,
-                createdAt: memoData.createdAt,
-                currentSize: memoData.currentSize,
-                type: memoData.type
-              };
+              const memo = toMemo(memoData, audioRecording);
 
               resolve(memo);
             };
             audioRequest.onerror = () => {
               // 音声データの取得に失敗した場合もメモは返す
-              const memo: Memo = {
-                id: memoData.id,
-                text: memoData.text,
-                audioRecording: null,
-                createdAt: memoData.createdAt,
-                currentSize: memoData.currentSize,
-                type: memoData.type
-              };
+              const memo = toMemo(memoData, null);
               resolve(memo);
             };
           } catch (error) {
             console.error('Audio data loading failed:', error);
             // 音声データの取得に失敗した場合もメモは返す
-            const memo: Memo = {
-              id: memoData.id,
-              text: memoData.text,
-              audioRecording: null,
-              createdAt: memoData.createdAt,
-              currentSize: memoData.currentSize,
-              type: memoData.type
-            };
+            const memo = toMemo(memoData, null);
             resolve(memo);
           }
         } else {
-          const memo: Memo = {
-            id: memoData.id,
-            text: memoData.text,
-            audioRecording: null,
-            createdAt: memoData.createdAt,
-            currentSize: memoData.currentSize,
-            type: memoData.type
-          };
+          const memo = toMemo(memoData, null);
           resolve(memo);
         }
       };
@@ -264,138 +682,729 @@ class MemoIndexedDB {
     });
   }
 
-  async getAllMemos(): Promise<Memo[]> {
-    if (!this.db) throw new Error('Database not initialized');
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db!.transaction([MEMO_STORE, AUDIO_STORE], 'readonly');
+  // すべてのメモ（音声本体は読み込まない。数百件でも起動が遅くならないよう、音声は getAudioRecording で必要なときに読み込む）
+  async getAllMemos(): Promise<Memo[]> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const request = this.db!.transaction([MEMO_STORE], 'readonly').objectStore(MEMO_STORE).getAll();
+      request.onsuccess = () => resolve((request.result as MemoData[]).map(memoData => toMemo(memoData, null)));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 音声本体を読み込む（保存されていなければnull）
+  async getAudioRecording(audioId: string): Promise<AudioRecording | null> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const request = this.db!.transaction([AUDIO_STORE], 'readonly').objectStore(AUDIO_STORE).get(audioId);
+      request.onsuccess = () => {
+        const audioData = request.result as AudioData | undefined;
+        resolve(audioData ? toAudioRecording(audioData, this.getOrCreateAudioUrl(audioData.id, audioData.audioBlob)) : null);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // メモの修正履歴（新しい順）
+  async getRevisions(memoId: number): Promise<MemoRevision[]> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const request = this.db!.transaction([REVISION_STORE], 'readonly')
+        .objectStore(REVISION_STORE)
+        .index('memoId')
+        .getAll(IDBKeyRange.only(memoId));
+      request.onsuccess = () => {
+        const revisions = request.result as MemoRevision[];
+        resolve(revisions.sort((a, b) => b.id - a.id));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteMemo(id: number): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise(async (resolve, reject) => {
+      try {
+        const transaction = this.db!.transaction([MEMO_STORE, AUDIO_STORE, REVISION_STORE, TOMBSTONE_STORE, ...SEARCH_STORES], 'readwrite');
+        const memoStore = transaction.objectStore(MEMO_STORE);
+        const audioStore = transaction.objectStore(AUDIO_STORE);
+
+        // 修正履歴と検索の索引も削除
+        removeMemoFromIndex(transaction, id);
+        const revisionRequest = transaction.objectStore(REVISION_STORE).index('memoId').openCursor(IDBKeyRange.only(id));
+        revisionRequest.onsuccess = () => {
+          const cursor = revisionRequest.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+
+        // まずメモデータを取得して音声IDを確認
+        const memoRequest = memoStore.get(id);
+        memoRequest.onsuccess = () => {
+          const memoData = memoRequest.result as MemoData;
+          
+          // 音声データとURLキャッシュも削除
+          if (memoData?.audioId) {
+            this.removeFromUrlCache(memoData.audioId);
+            const audioDeleteRequest = audioStore.delete(memoData.audioId);
+            audioDeleteRequest.onerror = () => console.error('Audio data deletion failed');
+          }
+
+          // 同期済みのメモは他の端末からも消えるよう削除を記録
+          if (memoData?.remoteUpdatedAt !== undefined) {
+            transaction.objectStore(TOMBSTONE_STORE).put(toTombstone(memoData));
+          }
+
+          // メモデータを削除
+          const memoDeleteRequest = memoStore.delete(id);
+          memoDeleteRequest.onsuccess = () => resolve();
+          memoDeleteRequest.onerror = () => reject(memoDeleteRequest.error);
+        };
+
+        memoRequest.onerror = () => reject(memoRequest.error);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  async clearAll(): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      // URLキャッシュをクリア
+      this.clearUrlCache();
+
+      const transaction = this.db!.transaction([MEMO_STORE, AUDIO_STORE, REVISION_STORE, TOMBSTONE_STORE, ...SEARCH_STORES], 'readwrite');
+      const memoStore = transaction.objectStore(MEMO_STORE);
+      const tombstoneStore = transaction.objectStore(TOMBSTONE_STORE);
+
+      // 同期済みのメモは他の端末からも消えるよう削除を記録
+      const memoRequest = memoStore.getAll();
+      memoRequest.onsuccess = () => {
+        (memoRequest.result as MemoData[])
+          .filter(memoData => memoData.remoteUpdatedAt !== undefined)
+          .forEach(memoData => tombstoneStore.put(toTombstone(memoData)));
+        memoStore.clear();
+      };
+
+      transaction.objectStore(AUDIO_STORE).clear();
+      transaction.objectStore(REVISION_STORE).clear();
+      clearSearchIndex(transaction);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // --- タグ ---
+
+  // 色を登録したタグ
+  async getAllTags(): Promise<MemoTag[]> {
+    const tags: MemoTag[] = [];
+    await this.runTransaction([TAG_STORE], 'readonly', (transaction) => {
+      const request = transaction.objectStore(TAG_STORE).getAll();
+      request.onsuccess = () => {
+        tags.push(...(request.result as unknown[]).map(normalizeMemoTag).filter((tag): tag is MemoTag => tag !== null));
+      };
+    });
+    return tags;
+  }
+
+  // タグの色を保存（同じ名前のタグは置き換える）
+  async putTags(tags: MemoTag[]): Promise<void> {
+    await this.runTransaction([TAG_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(TAG_STORE);
+      tags.forEach(tag => store.put(tag));
+    });
+  }
+
+  // タグの名前を変える（付いているメモも書き換える。同じ名前のタグが既にあればそちらにまとめる）
+  async renameTag(from: string, to: string): Promise<void> {
+    await this.runTransaction([MEMO_STORE, TAG_STORE], 'readwrite', (transaction) => {
+      updateTaggedMemos(transaction, from, tags => tags.map(tag => (tag === from ? to : tag)));
+
+      const tagStore = transaction.objectStore(TAG_STORE);
+      const fromRequest = tagStore.get(from);
+      const toRequest = tagStore.get(to);
+      toRequest.onsuccess = () => {
+        if (fromRequest.result && !toRequest.result) tagStore.put({ ...fromRequest.result, name: to });
+        tagStore.delete(from);
+      };
+    });
+  }
+
+  // タグを削除（付いているメモからも外す）
+  async deleteTag(name: string): Promise<void> {
+    await this.runTransaction([MEMO_STORE, TAG_STORE], 'readwrite', (transaction) => {
+      updateTaggedMemos(transaction, name, tags => tags.filter(tag => tag !== name));
+      transaction.objectStore(TAG_STORE).delete(name);
+    });
+  }
+
+  // --- リマインダー ---
+
+  // 日時を過ぎてまだ通知していないリマインダーのメモを、通知したと記録して返す
+  // 読み取りと記録を同じトランザクションで行い、Service Worker（public/sw.js の takeDueReminders）と二重に通知しない
+  async takeDueReminders(now: number): Promise<Memo[]> {
+    const due: Memo[] = [];
+    await this.runTransaction([MEMO_STORE], 'readwrite', (transaction) => {
+      const request = transaction.objectStore(MEMO_STORE).index(REMINDER_INDEX).openCursor(IDBKeyRange.upperBound(now));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const memoData = cursor.value as MemoData;
+        if (isReminderActive(memoData.reminder) && memoData.reminderNotifiedAt !== memoData.reminder.dueAt) {
+          cursor.update({ ...memoData, reminderNotifiedAt: memoData.reminder.dueAt });
+          due.push(toMemo(memoData, null));
+        }
+        cursor.continue();
+      };
+    });
+    return due;
+  }
+
+  // --- 全文検索 ---
+
+  // 索引に無いメモ・本文が索引と違うメモを索引に反映する（索引を作る前に保存したメモ。起動時に実行）
+  async syncSearchIndex(): Promise<void> {
+    await this.runTransaction([MEMO_STORE, ...SEARCH_STORES], 'readwrite', (transaction) => {
+      const request = transaction.objectStore(MEMO_STORE).getAll();
+      request.onsuccess = () => syncSearchIndex(transaction, request.result as MemoData[]);
+    });
+  }
+
+  // すべての検索語を含むメモ（順位の高い順。本文の確認と抜粋は呼び出し側で行う）
+  async searchIndex(terms: SearchQueryTerm[]): Promise<SearchHit[]> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction(SEARCH_STORES, 'readonly');
+      const postings = readSearchPostings(transaction, terms);
+      transaction.oncomplete = () => resolve(rankSearchHits(postings));
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // --- バックアップ ---
+
+  // すべてのメモを音声・修正履歴と一緒に読み出す（録音中のメモは除く）
+  async getBackupEntries(): Promise<BackupEntry[]> {
+    const entries: BackupEntry[] = [];
+    await this.runTransaction([MEMO_STORE, AUDIO_STORE, REVISION_STORE], 'readonly', (transaction) => {
+      const audioStore = transaction.objectStore(AUDIO_STORE);
+      const revisionIndex = transaction.objectStore(REVISION_STORE).index('memoId');
+
+      const memoRequest = transaction.objectStore(MEMO_STORE).getAll();
+      memoRequest.onsuccess = () => {
+        (memoRequest.result as MemoData[])
+          .filter(memoData => getTranscriptionState(memoData) !== 'recording')
+          .forEach(memoData => {
+            const entry: BackupEntry = { memo: toBackupMemo(memoData), audioBlob: null };
+            entries.push(entry);
+
+            const revisionRequest = revisionIndex.getAll(IDBKeyRange.only(memoData.id));
+            revisionRequest.onsuccess = () => {
+              entry.memo.revisions = (revisionRequest.result as MemoRevision[])
+                .sort((a, b) => a.id - b.id)
+                .map(({ text, source, createdAt }) => ({ text, source, createdAt }));
+            };
+
+            if (!memoData.audioId) return;
+            const audioRequest = audioStore.get(memoData.audioId);
+            audioRequest.onsuccess = () => {
+              const audioData = audioRequest.result as AudioData | undefined;
+              if (!audioData) return;
+              entry.audioBlob = audioData.audioBlob;
+              entry.memo.audio = {
+                id: audioData.id,
+                file: '',
+                mimeType: audioData.audioBlob.type,
+                transcript: audioData.transcript,
+                timestamp: new Date(audioData.timestamp).toISOString(),
+                duration: audioData.duration,
+                wordDetails: audioData.wordDetails
+              };
+            };
+          });
+      };
+    });
+    return entries;
+  }
+
+  // バックアップを取り込む
+  // merge: IDが同じメモは updatedAt の新しい方を残す（端末の方が新しい・同じなら飛ばす）、replace: すべて削除してから取り込む
+  async importBackupEntries(entries: BackupEntry[], mode: BackupImportMode): Promise<{ added: number; updated: number; skipped: number }> {
+    if (mode === 'replace') await this.clearAll();
+
+    const result = { added: 0, updated: 0, skipped: 0 };
+    await this.runTransaction([MEMO_STORE, AUDIO_STORE, REVISION_STORE, TOMBSTONE_STORE, ...SEARCH_STORES], 'readwrite', (transaction) => {
+      const memoStore = transaction.objectStore(MEMO_STORE);
+      const audioStore = transaction.objectStore(AUDIO_STORE);
+      const revisionStore = transaction.objectStore(REVISION_STORE);
+      const tombstoneStore = transaction.objectStore(TOMBSTONE_STORE);
+
+      entries.forEach(({ memo, audioBlob }) => {
+        const request = memoStore.get(memo.id);
+        request.onsuccess = () => {
+          const local = request.result as MemoData | undefined;
+          if (local && getUpdatedAt(local) >= memo.updatedAt) {
+            result.skipped++;
+            return;
+          }
+
+          if (local) {
+            deleteMemoRecords(transaction, local);
+            if (local.audioId) this.removeFromUrlCache(local.audioId);
+            result.updated++;
+          } else {
+            result.added++;
+          }
+
+          // 置き換えで記録した削除より、取り込んだメモを優先する
+          tombstoneStore.delete(memo.id);
+          memoStore.put({ ...fromBackupMemo(memo), remoteUpdatedAt: local?.remoteUpdatedAt });
+          indexMemoText(transaction, memo.id, memo.text);
+          if (memo.audio && audioBlob) {
+            audioStore.put({
+              id: memo.audio.id,
+              audioBlob,
+              transcript: memo.audio.transcript,
+              timestamp: new Date(memo.audio.timestamp),
+              duration: memo.audio.duration,
+              wordDetails: memo.audio.wordDetails
+            });
+          }
+          memo.revisions.forEach(revision => revisionStore.add({ ...revision, memoId: memo.id }));
+        };
+      });
+    });
+    return result;
+  }
+
+  // --- サーバーとの同期 ---
+
+  // 読み書きを1つのトランザクションで行い、完了を待つ
+  private runTransaction(storeNames: string[], mode: IDBTransactionMode, work: (transaction: IDBTransaction) => void): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction(storeNames, mode);
+      work(transaction);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // 同期を引き受ける（Service Workerなど他が同期中ならnull。同期キーが無ければ作る）
+  async claimSync(): Promise<Required<MemoSyncState> | null> {
+    let claimed: Required<MemoSyncState> | null = null;
+    await this.runTransaction([SYNC_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(SYNC_STORE);
+      const request = store.get(SYNC_KEY);
+      request.onsuccess = () => {
+        const state: MemoSyncState = request.result ?? { key: SYNC_KEY, cursor: 0, leaseUntil: 0, lastSyncedAt: null };
+        const now = Date.now();
+        if (state.leaseUntil > now) return;
+
+        claimed = { ...state, syncKey: state.syncKey ?? generateSyncKey(), leaseUntil: now + SYNC_LEASE_DURATION };
+        store.put(claimed);
+      };
+    });
+    return claimed;
+  }
+
+  // 取り込んだ位置を保存し、同期を終える（lastSyncedAt は成功した場合のみ）
+  // 同期中に同期キーが変わった場合は、新しいキーの位置（最初から）を残す
+  async releaseSync(syncKey: string, cursor: number, succeeded: boolean): Promise<void> {
+    await this.runTransaction([SYNC_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(SYNC_STORE);
+      const request = store.get(SYNC_KEY);
+      request.onsuccess = () => {
+        const state = request.result as MemoSyncState | undefined;
+        if (state && state.syncKey !== syncKey) {
+          store.put({ ...state, leaseUntil: 0 });
+          return;
+        }
+        store.put({
+          key: SYNC_KEY,
+          cursor,
+          leaseUntil: 0,
+          lastSyncedAt: succeeded ? Date.now() : state?.lastSyncedAt ?? null,
+          syncKey
+        });
+      };
+    });
+  }
+
+  // サーバーのデータが初期化された場合に、すべてのメモと音声を未送信に戻す
+  async resetSync(): Promise<void> {
+    await this.runTransaction([MEMO_STORE, TOMBSTONE_STORE], 'readwrite', (transaction) => {
+      markAllUnsynced(transaction);
+    });
+  }
+
+  // 同期キー（まだ無ければ作って保存する）
+  async getSyncKey(): Promise<string> {
+    let syncKey = '';
+    await this.runTransaction([SYNC_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(SYNC_STORE);
+      const request = store.get(SYNC_KEY);
+      request.onsuccess = () => {
+        const state: MemoSyncState = request.result ?? { key: SYNC_KEY, cursor: 0, leaseUntil: 0, lastSyncedAt: null };
+        syncKey = state.syncKey ?? generateSyncKey();
+        if (state.syncKey !== syncKey) store.put({ ...state, syncKey });
+      };
+    });
+    return syncKey;
+  }
+
+  // 同期キーを変える（他の端末のメモを共有する）。新しいキーのメモを最初から取り込み、端末のメモはすべて送り直す
+  async setSyncKey(syncKey: string): Promise<void> {
+    await this.runTransaction([SYNC_STORE, MEMO_STORE, TOMBSTONE_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(SYNC_STORE).put({ key: SYNC_KEY, cursor: 0, leaseUntil: 0, lastSyncedAt: null, syncKey });
+      markAllUnsynced(transaction);
+    });
+  }
+
+  // 未送信の変更と削除（録音中・文字起こし中のメモは完了してから送る）
+  async getPendingChanges(): Promise<MemoChange[]> {
+    const changes: MemoChange[] = [];
+    await this.runTransaction([MEMO_STORE, AUDIO_STORE, TOMBSTONE_STORE], 'readonly', (transaction) => {
+      const audioStore = transaction.objectStore(AUDIO_STORE);
+
+      const tombstoneRequest = transaction.objectStore(TOMBSTONE_STORE).getAll();
+      tombstoneRequest.onsuccess = () => {
+        (tombstoneRequest.result as MemoTombstone[]).forEach(tombstone => {
+          changes.push({ id: tombstone.id, updatedAt: tombstone.deletedAt, deleted: true });
+        });
+      };
+
+      const memoRequest = transaction.objectStore(MEMO_STORE).getAll();
+      memoRequest.onsuccess = () => {
+        (memoRequest.result as MemoData[])
+          .filter(memoData => hasLocalChanges(memoData) && !isTranscriptionInProgress(memoData))
+          .forEach(memoData => {
+            const push = (audioData: AudioData | undefined) => changes.push({
+              id: memoData.id,
+              updatedAt: getUpdatedAt(memoData),
+              memo: toSyncPayload(memoData, audioData) as unknown as Record<string, unknown>
+            });
+
+            if (!memoData.audioId) {
+              push(undefined);
+              return;
+            }
+            const audioRequest = audioStore.get(memoData.audioId);
+            audioRequest.onsuccess = () => push(audioRequest.result as AudioData | undefined);
+          });
+      };
+    });
+    return changes;
+  }
+
+  // サーバーに送っていない音声（メモを送った後に送る）
+  async getPendingAudio(): Promise<Array<{ id: number; audioId: string; audioBlob: Blob }>> {
+    const pending: Array<{ id: number; audioId: string; audioBlob: Blob }> = [];
+    await this.runTransaction([MEMO_STORE, AUDIO_STORE], 'readonly', (transaction) => {
+      const audioStore = transaction.objectStore(AUDIO_STORE);
+      const memoRequest = transaction.objectStore(MEMO_STORE).getAll();
+      memoRequest.onsuccess = () => {
+        (memoRequest.result as MemoData[])
+          .filter(memoData => memoData.audioId && !memoData.remoteAudio && memoData.remoteUpdatedAt !== undefined)
+          .forEach(memoData => {
+            const audioRequest = audioStore.get(memoData.audioId!);
+            audioRequest.onsuccess = () => {
+              const audioData = audioRequest.result as AudioData | undefined;
+              if (audioData) pending.push({ id: memoData.id, audioId: audioData.id, audioBlob: audioData.audioBlob });
+            };
+          });
+      };
+    });
+    return pending;
+  }
+
+  // 送った変更をサーバーと同じ版として記録（送信中に変更されていれば未送信のまま残る）
+  async markPushed(change: MemoChange): Promise<void> {
+    await this.runTransaction([MEMO_STORE, TOMBSTONE_STORE], 'readwrite', (transaction) => {
+      if (change.deleted) {
+        const tombstoneStore = transaction.objectStore(TOMBSTONE_STORE);
+        const request = tombstoneStore.get(change.id);
+        request.onsuccess = () => {
+          if ((request.result as MemoTombstone | undefined)?.deletedAt === change.updatedAt) tombstoneStore.delete(change.id);
+        };
+        return;
+      }
+
+      const memoStore = transaction.objectStore(MEMO_STORE);
+      const request = memoStore.get(change.id);
+      request.onsuccess = () => {
+        const memoData = request.result as MemoData | undefined;
+        if (memoData) memoStore.put({ ...memoData, updatedAt: getUpdatedAt(memoData), remoteUpdatedAt: change.updatedAt });
+      };
+    });
+  }
+
+  async markAudioUploaded(id: number, audioId: string): Promise<void> {
+    await this.runTransaction([MEMO_STORE], 'readwrite', (transaction) => {
+      const memoStore = transaction.objectStore(MEMO_STORE);
+      const request = memoStore.get(id);
+      request.onsuccess = () => {
+        const memoData = request.result as MemoData | undefined;
+        if (memoData?.audioId === audioId) memoStore.put({ ...memoData, remoteAudio: true });
+      };
+    });
+  }
+
+  async hasAudio(audioId: string): Promise<boolean> {
+    let found = false;
+    await this.runTransaction([AUDIO_STORE], 'readonly', (transaction) => {
+      const request = transaction.objectStore(AUDIO_STORE).getKey(audioId);
+      request.onsuccess = () => {
+        found = request.result !== undefined;
+      };
+    });
+    return found;
+  }
+
+  // サーバーの記録を取り込む（last-writer-wins。端末の未送信の変更・削除の方が新しければ残して次の同期で送る）
+  // audioBlob は端末に無い音声をダウンロードしたもの。一覧が変わった場合はtrue
+  async applyRemote(record: RemoteMemoRecord, audioBlob: Blob | null): Promise<boolean> {
+    let changed = false;
+    await this.runTransaction([MEMO_STORE, AUDIO_STORE, REVISION_STORE, TOMBSTONE_STORE, ...SEARCH_STORES], 'readwrite', (transaction) => {
       const memoStore = transaction.objectStore(MEMO_STORE);
       const audioStore = transaction.objectStore(AUDIO_STORE);
+      const tombstoneStore = transaction.objectStore(TOMBSTONE_STORE);
 
-      const memoRequest = memoStore.getAll();
-      memoRequest.onsuccess = async () => {
-        const memoDataList = memoRequest.result as MemoData[];
-        const memos: Memo[] = [];
-
-        for (const memoData of memoDataList) {
-          let audioRecording: AudioRecording | null = null;
-
-          if (memoData.audioId) {
-            try {
-              const audioRequest = audioStore.get(memoData.audioId);
-              await new Promise<void>((audioResolve) => {
-                audioRequest.onsuccess = () => {
-                  const audioData = audioRequest.result as AudioData;
-                  if (audioData) {
-                    // URLキャッシュシステムを使用
-                    const audioUrl = this.getOrCreateAudioUrl(audioData.id, audioData.audioBlob);
-                    audioRecording = {
-                      id: audioData.id,
-                      audioBlob: audioData.audioBlob,
-                      audioUrl,
-                      transcript: audioData.transcript,
-                      timestamp: audioData.timestamp,
-                      duration: audioData.duration
-                    };
-                  }
-                  audioResolve();
-                };
-                audioRequest.onerror = () => {
-                  console.error('Audio data loading failed for memo:', memoData.id);
-                  audioResolve();
-                };
-              });
-            } catch (error) {
-              console.error('Audio data loading failed for memo:', memoData.id, error);
-            }
+      const memoRequest = memoStore.get(record.id);
+      const tombstoneRequest = tombstoneStore.get(record.id);
+      tombstoneRequest.onsuccess = () => {
+        const local = memoRequest.result as MemoData | undefined;
+        const tombstone = tombstoneRequest.result as MemoTombstone | undefined;
+
+        if (tombstone) {
+          if (tombstone.deletedAt >= record.updatedAt) return;
+          tombstoneStore.delete(record.id);
+        }
+
+        const remote = record.deleted ? null : fromSyncPayload(record);
+        const saveAudio = () => {
+          if (remote?.audio && audioBlob) {
+            audioStore.put({ ...remote.audio, timestamp: new Date(remote.audio.timestamp), audioBlob });
+            changed = true;
           }
+        };
 
-          const memo: Memo = {
-            id: memoData.id,
-            text: memoData.text,
-            audioRecording,
-            createdAt: memoData.createdAt,
-            currentSize: memoData.currentSize,
-            type: memoData.type
-          };
+        if (local) {
+          // 自分が送った版（音声の送信状態と、まだ無い音声だけ反映）
+          if (getUpdatedAt(local) === record.updatedAt) {
+            memoStore.put({ ...local, updatedAt: record.updatedAt, remoteUpdatedAt: record.updatedAt, remoteAudio: Boolean(record.audio) });
+            saveAudio();
+            return;
+          }
+          if (hasLocalChanges(local) && getUpdatedAt(local) > record.updatedAt) return;
+          if (isTranscriptionInProgress(local)) return;
+        }
 
-          memos.push(memo);
+        if (!remote) {
+          if (local) {
+            deleteMemoRecords(transaction, local);
+            if (local.audioId) this.removeFromUrlCache(local.audioId);
+            changed = true;
+          }
+          return;
         }
 
-        resolve(memos);
+        memoStore.put({ ...remote.memoData, reminderNotifiedAt: local?.reminderNotifiedAt });
+        indexMemoText(transaction, remote.memoData.id, remote.memoData.text);
+        if (local?.audioId && local.audioId !== remote.memoData.audioId) {
+          audioStore.delete(local.audioId);
+          this.removeFromUrlCache(local.audioId);
+        }
+        if (remote.audio && !audioBlob) {
+          // 音声は端末にある: 文字起こし・単語の時刻だけ更新
+          const audioRequest = audioStore.get(remote.audio.id);
+          audioRequest.onsuccess = () => {
+            const audioData = audioRequest.result as AudioData | undefined;
+            if (audioData && remote.audio) {
+              audioStore.put({ ...audioData, transcript: remote.audio.transcript, wordDetails: remote.audio.wordDetails });
+            }
+          };
+        }
+        saveAudio();
+        changed = true;
       };
-
-      memoRequest.onerror = () => reject(memoRequest.error);
     });
+    return changed;
   }
+}
 
-  async deleteMemo(id: number): Promise<void> {
-    if (!this.db) throw new Error('Database not initialized');
+// 削除の記録（サーバーの版より新しい時刻にする）
+function toTombstone(memoData: MemoData): MemoTombstone {
+  return { id: memoData.id, deletedAt: Math.max(Date.now(), getUpdatedAt(memoData) + 1) };
+}
 
-    return new Promise(async (resolve, reject) => {
-      try {
-        const transaction = this.db!.transaction([MEMO_STORE, AUDIO_STORE], 'readwrite');
-        const memoStore = transaction.objectStore(MEMO_STORE);
-        const audioStore = transaction.objectStore(AUDIO_STORE);
+// 修正履歴に本文を記録（最初の修正では修正前の本文も残す）
+function addMemoRevision(transaction: IDBTransaction, memoId: number, previousText: string, text: string, source: RevisionSource): void {
+  const revisionStore = transaction.objectStore(REVISION_STORE);
+  const countRequest = revisionStore.index('memoId').count(IDBKeyRange.only(memoId));
+  countRequest.onsuccess = () => {
+    const now = Date.now();
+    if (countRequest.result === 0) revisionStore.add({ memoId, text: previousText, source: 'original', createdAt: now });
+    revisionStore.add({ memoId, text, source, createdAt: now });
+  };
+}
 
-        // まずメモデータを取得して音声IDを確認
-        const memoRequest = memoStore.get(id);
-        memoRequest.onsuccess = () => {
-          const memoData = memoRequest.result as MemoData;
-          
-          // 音声データとURLキャッシュも削除
-          if (memoData?.audioId) {
-            this.removeFromUrlCache(memoData.audioId);
-            const audioDeleteRequest = audioStore.delete(memoData.audioId);
-            audioDeleteRequest.onerror = () => console.error('Audio data deletion failed');
-          }
+// すべてのメモと音声を未送信に戻す（削除の記録は送り先が変わるため捨てる）
+function markAllUnsynced(transaction: IDBTransaction): void {
+  transaction.objectStore(TOMBSTONE_STORE).clear();
+  const request = transaction.objectStore(MEMO_STORE).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const memoData = cursor.value as MemoData;
+    cursor.update({ ...memoData, remoteUpdatedAt: undefined, remoteAudio: false });
+    cursor.continue();
+  };
+}
 
-          // メモデータを削除
-          const memoDeleteRequest = memoStore.delete(id);
-          memoDeleteRequest.onsuccess = () => resolve();
-          memoDeleteRequest.onerror = () => reject(memoDeleteRequest.error);
-        };
+// メモと音声・修正履歴・検索の索引を削除（他の端末での削除を取り込むとき。削除の記録は残さない）
+function deleteMemoRecords(transaction: IDBTransaction, memoData: MemoData): void {
+  removeMemoFromIndex(transaction, memoData.id);
+  const revisionRequest = transaction.objectStore(REVISION_STORE).index('memoId').openCursor(IDBKeyRange.only(memoData.id));
+  revisionRequest.onsuccess = () => {
+    const cursor = revisionRequest.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+  if (memoData.audioId) transaction.objectStore(AUDIO_STORE).delete(memoData.audioId);
+  transaction.objectStore(MEMO_STORE).delete(memoData.id);
+}
 
-        memoRequest.onerror = () => reject(memoRequest.error);
-      } catch (error) {
-        reject(error);
-      }
-    });
-  }
+// タグの付いたメモのタグを書き換える（タグのインデックスで探す。変更として次の同期で送る）
+function updateTaggedMemos(transaction: IDBTransaction, name: string, update: (tags: string[]) => string[]): void {
+  const request = transaction.objectStore(MEMO_STORE).index('tags').openCursor(IDBKeyRange.only(name));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
 
-  async clearAll(): Promise<void> {
-    if (!this.db) throw new Error('Database not initialized');
+    const memoData = cursor.value as MemoData;
+    cursor.update(withSyncFields({ ...memoData, tags: normalizeTags(update(memoData.tags ?? [])) }, memoData, true));
+    cursor.continue();
+  };
+}
 
-    return new Promise((resolve, reject) => {
-      // URLキャッシュをクリア
-      this.clearUrlCache();
+// サーバーの記録を取り込む（音声が端末に無ければ先にダウンロードする）
+async function applyRemoteRecord(db: MemoIndexedDB, syncKey: string, record: RemoteMemoRecord): Promise<boolean> {
+  const audioId = (record.memo as unknown as SyncedMemoPayload | null)?.audio?.id;
+  const audioBlob = !record.deleted && record.audio && audioId && !(await db.hasAudio(audioId))
+    ? await sttApiService.downloadMemoAudio(syncKey, record.id)
+    : null;
+  return db.applyRemote(record, audioBlob);
+}
 
-      const transaction = this.db!.transaction([MEMO_STORE, AUDIO_STORE], 'readwrite');
-      const memoStore = transaction.objectStore(MEMO_STORE);
-      const audioStore = transaction.objectStore(AUDIO_STORE);
+// サーバーと同期（端末の変更・削除を送り、音声を送り、他の端末の変更を取り込む）
+// 他が同期中なら何もしない。取り込んだ変更で一覧が変わった場合はtrue
+async function syncWithServer(db: MemoIndexedDB): Promise<boolean> {
+  const state = await db.claimSync();
+  if (!state) return false;
+
+  const { syncKey } = state;
+  let cursor = state.cursor;
+  let changed = false;
+  let succeeded = false;
+  try {
+    // 1. 端末の変更・削除（サーバーの方が新しければその版を取り込む）
+    const changes = await db.getPendingChanges();
+    for (let i = 0; i < changes.length; i += SYNC_BATCH_SIZE) {
+      const batch = changes.slice(i, i + SYNC_BATCH_SIZE);
+      const { results } = await sttApiService.pushMemoChanges(syncKey, batch);
+
+      for (const result of results) {
+        const change = batch.find(item => item.id === result.id);
+        if (!change) continue;
+        if (result.status === 'applied') {
+          await db.markPushed(change);
+        } else {
+          changed = await applyRemoteRecord(db, syncKey, result.memo) || changed;
+        }
+      }
+    }
 
-      let completed = 0;
-      const complete = () => {
-        completed++;
-        if (completed === 2) resolve();
-      };
+    // 2. 音声（メモの後に送る）
+    for (const audio of await db.getPendingAudio()) {
+      await sttApiService.uploadMemoAudio(syncKey, audio.id, audio.audioBlob);
+      await db.markAudioUploaded(audio.id, audio.audioId);
+    }
 
-      const memoRequest = memoStore.clear();
-      const audioRequest = audioStore.clear();
+    // 3. 他の端末の変更（自分が送った変更も戻ってくるが、同じ版なので書き換えない）
+    let hasMore = true;
+    while (hasMore) {
+      const page = await sttApiService.getMemoChanges(syncKey, cursor);
+      if (page.cursor < cursor) {
+        // サーバーのデータが初期化された: 最初から取り込み、端末のメモは次の同期で送り直す
+        await db.resetSync();
+        cursor = 0;
+        continue;
+      }
 
-      memoRequest.onsuccess = () => complete();
-      memoRequest.onerror = () => reject(memoRequest.error);
+      for (const record of page.memos) {
+        changed = await applyRemoteRecord(db, syncKey, record) || changed;
+      }
+      cursor = page.cursor;
+      hasMore = page.hasMore;
+    }
+    succeeded = true;
+  } finally {
+    await db.releaseSync(syncKey, cursor, succeeded);
+  }
+  return changed;
+}
 
-      audioRequest.onsuccess = () => complete();
-      audioRequest.onerror = () => reject(audioRequest.error);
-    });
+// 一覧に置くメモ（音声本体は持たず、概要だけ残す。音声は表示・再生するときに読み込む）
+function toListMemo(memo: Memo): Memo {
+  return memo.audioRecording ? { ...memo, audio: getMemoAudio(memo), audioRecording: null } : memo;
+}
+
+// 録音中・文字起こし中にアプリを閉じたメモを直す
+// 音声の無い録音中のメモは削除し、送信中・文字起こし中だったメモは文字起こしキューで送り直す（pending）
+async function recoverInterruptedMemos(db: MemoIndexedDB, memos: Memo[]): Promise<Memo[]> {
+  const recovered: Memo[] = [];
+
+  for (const memo of memos) {
+    if (!isTranscriptionInProgress(memo)) {
+      recovered.push(memo);
+    } else if (!hasMemoAudio(memo)) {
+      await db.deleteMemo(memo.id);
+    } else {
+      // 一覧のメモではなく保存済みのメモを書き換える（読み込んだ後の他の更新を消さない）
+      const pendingMemo = await db.updateMemo(memo.id, current => (
+        isTranscriptionInProgress(current) ? { ...current, transcriptionState: 'pending' } : null
+      ));
+      recovered.push(pendingMemo ? toListMemo(pendingMemo) : memo);
+    }
   }
+
+  return recovered;
 }
 
 export const useMemos = () => {
   const [memos, setMemos] = useState<Memo[]>([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [sortOrder, setSortOrder] = useState<SortOrder>('oldest-first'); // デフォルトを古い順に変更
+  // 並び順・言語の絞り込みは前回の表示を引き継ぐ（既定は古い順）
+  const [sortOrder, setSortOrder] = useState<SortOrder>(() => loadMemoViewSettings().sortOrder);
+  const [languageFilter, setLanguageFilterState] = useState<string | null>(() => loadMemoViewSettings().languageFilter); // nullはすべての言語
+  const [tagRecords, setTagRecords] = useState<MemoTag[]>([]); // 色を登録したタグ
+  const [showArchived, setShowArchived] = useState(false); // アーカイブしたメモを表示する
   const dbRef = useState(() => new MemoIndexedDB())[0];
   const currentAudioRef = useRef<HTMLAudioElement | null>(null); // 音声再生管理の改善
 
@@ -405,9 +1414,12 @@ export const useMemos = () => {
       setIsLoading(true);
       try {
         await dbRef.init();
-        const savedMemos = await dbRef.getAllMemos();
+        const savedMemos = await recoverInterruptedMemos(dbRef, await dbRef.getAllMemos());
         setMemos(savedMemos);
+        setTagRecords(await dbRef.getAllTags());
         console.log('Loaded memos:', savedMemos.length);
+        // 索引を作る前のメモを検索できるようにする（一覧の表示は待たない）
+        dbRef.syncSearchIndex().catch(error => console.error('検索の索引の更新エラー:', error));
       } catch (error) {
         console.error('メモの読み込みエラー:', error);
         // エラーの場合は空の配列で初期化
@@ -420,6 +1432,106 @@ export const useMemos = () => {
     loadMemos();
   }, [dbRef]);
 
+  // IndexedDBから一覧を読み直す（同期で他の端末の変更を取り込んだとき）
+  const reloadMemos = useCallback(async () => {
+    setMemos(await dbRef.getAllMemos());
+  }, [dbRef]);
+
+  // Service Workerがメモを変更したとき（通知からリマインダーを延ばした・完了にした）
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+
+    const handleMessage = (event: MessageEvent) => {
+      if (event.data?.type === 'memos-updated') {
+        reloadMemos().catch((error) => console.error('メモの読み込みエラー:', error));
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [reloadMemos]);
+
+  // バックアップ用にすべてのメモを読み出す
+  const getBackupEntries = useCallback(() => dbRef.getBackupEntries(), [dbRef]);
+
+  // バックアップを取り込み、一覧を読み直す
+  const importBackupEntries = useCallback(async (entries: BackupEntry[], mode: BackupImportMode) => {
+    if (currentAudioRef.current) {
+      currentAudioRef.current.pause();
+      currentAudioRef.current = null;
+    }
+
+    const result = await dbRef.importBackupEntries(entries, mode);
+    await reloadMemos();
+    return result;
+  }, [dbRef, reloadMemos]);
+
+  // サーバーと同期（APIキーを設定した場合のみ）
+  // オフライン・通信エラーの場合はBackground Syncに任せ、認証・権限のエラーはこの画面を開いている間は再試行しない
+  const syncingRef = useRef<Promise<void> | null>(null);
+  const syncDisabledRef = useRef(false);
+  const syncMemos = useCallback(async () => {
+    if (!sttApiService.isMemoSyncEnabled() || syncDisabledRef.current) return;
+    if (!navigator.onLine) {
+      registerBackgroundSync(SYNC_TAG);
+      return;
+    }
+    if (syncingRef.current) return syncingRef.current;
+
+    syncingRef.current = (async () => {
+      try {
+        if (await syncWithServer(dbRef)) await reloadMemos();
+      } catch (error) {
+        if (error instanceof STTApiError && ['AUTHENTICATION_REQUIRED', 'AUTHENTICATION_FAILED', 'INSUFFICIENT_SCOPE', 'SYNC_KEY_REQUIRED'].includes(error.code)) {
+          syncDisabledRef.current = true;
+        } else {
+          registerBackgroundSync(SYNC_TAG);
+        }
+        console.error('メモの同期に失敗:', error);
+      } finally {
+        syncingRef.current = null;
+      }
+    })();
+    return syncingRef.current;
+  }, [dbRef, reloadMemos]);
+
+  // この端末の同期キー（他の端末に入力するとメモを共有できる）
+  const getSyncKey = useCallback(() => dbRef.getSyncKey(), [dbRef]);
+
+  // 他の端末の同期キーに切り替え、そのメモを取り込む（端末のメモは新しいキーの方に送り直す）
+  const changeSyncKey = useCallback(async (syncKey: string) => {
+    await syncingRef.current;
+    await dbRef.setSyncKey(syncKey);
+    syncDisabledRef.current = false;
+    await syncMemos();
+  }, [dbRef, syncMemos]);
+
+  // メモを変更したら少し待って同期（続けて変更した場合はまとめて送る）
+  useEffect(() => {
+    if (isLoading) return;
+    const timer = setTimeout(() => {
+      syncMemos();
+    }, SYNC_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [memos, isLoading, syncMemos]);
+
+  // オンライン復帰時・アプリに戻ったときに他の端末の変更を取り込む
+  useEffect(() => {
+    if (isLoading) return;
+
+    const handleOnline = () => {
+      syncMemos();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') syncMemos();
+    };
+    window.addEventListener('online', handleOnline);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isLoading, syncMemos]);
+
   // コンポーネントアンマウント時のクリーンアップ
   useEffect(() => {
     return () => {
@@ -466,23 +1578,47 @@ export const useMemos = () => {
     }
   }, []);
 
-  // ソートされたメモを取得
+  // ソートされたメモを取得（一覧かアーカイブのどちらか。言語で絞り込み中はその言語のメモのみ）
   const sortedMemos = useCallback(() => {
-    return sortMemos(memos, sortOrder);
-  }, [memos, sortOrder, sortMemos]);
+    const filtered = memos.filter(memo =>
+      isMemoArchived(memo) === showArchived && (!languageFilter || memo.language === languageFilter)
+    );
+    return sortMemos(filtered, sortOrder);
+  }, [memos, sortOrder, sortMemos, languageFilter, showArchived]);
+
+  const archivedCount = useMemo(() => memos.filter(isMemoArchived).length, [memos]);
+
+  // メモに含まれる言語の一覧（絞り込みの選択肢）
+  const memoLanguages = useMemo(() => {
+    const languages = new Set<string>();
+    memos.forEach(memo => {
+      if (memo.language) languages.add(memo.language);
+    });
+    return Array.from(languages).sort();
+  }, [memos]);
 
   // 並び順を変更
   const changeSortOrder = useCallback((newOrder: SortOrder) => {
+    saveMemoViewSettings({ sortOrder: newOrder });
     setSortOrder(newOrder);
   }, []);
 
+  const setLanguageFilter = useCallback((language: string | null) => {
+    saveMemoViewSettings({ languageFilter: language });
+    setLanguageFilterState(language);
+  }, []);
+
+  // タグの一覧（色を登録していないタグ・他の端末で付けたタグも含む。名前順）
+  const tags = useMemo(() => {
+    const byName = new Map(tagRecords.map(tag => [tag.name, tag]));
+    memos.forEach(memo => memo.tags?.forEach((name) => {
+      if (!byName.has(name)) byName.set(name, { name, color: getDefaultTagColor(name), createdAt: memo.createdAt });
+    }));
+    return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+  }, [tagRecords, memos]);
+
   // テキストメモを追加
   const addTextMemo = useCallback(async (text: string) => {
-    if (memos.length >= 15) {
-      alert('メモの数が上限（15個）に達しました。古いメモを削除してください。');
-      return null;
-    }
-
     if (!text.trim()) {
       alert('メモの内容を入力してください。');
       return null;
@@ -499,22 +1635,21 @@ export const useMemos = () => {
       };
 
       await dbRef.saveMemo(newMemo);
-      setMemos(prev => [...prev, newMemo]);
+      setMemos(prev => [...prev, toListMemo(newMemo)]);
       return newMemo;
     } catch (error) {
       console.error('テキストメモの保存に失敗:', error);
       alert('メモの保存に失敗しました');
       return null;
     }
-  }, [memos.length, dbRef]);
+  }, [dbRef]);
 
   // 音声メモを追加
-  const addAudioMemo = useCallback(async (audioRecording: AudioRecording, additionalText?: string) => {
-    if (memos.length >= 15) {
-      alert('メモの数が上限（15個）に達しました。古いメモを削除してください。');
-      return null;
-    }
-
+  const addAudioMemo = useCallback(async (
+    audioRecording: AudioRecording,
+    additionalText?: string,
+    transcriptionState?: TranscriptionState // 文字起こしを送らずに保存する場合は 'pending'
+  ) => {
     try {
       const combinedText = additionalText ? 
         `${audioRecording.transcript}\n\n${additionalText.trim()}` : 
@@ -528,11 +1663,17 @@ export const useMemos = () => {
         audioRecording,
         createdAt: Date.now(),
         currentSize: 1.0,
-        type: memoType
+        type: memoType,
+        originalText: audioRecording.transcript,
+        // 文字起こしが先に完了していた場合
+        language: audioRecording.language,
+        segments: audioRecording.segments,
+        alternatives: audioRecording.alternatives,
+        transcriptionState
       };
 
       await dbRef.saveMemo(newMemo);
-      setMemos(prev => [...prev, newMemo]);
+      setMemos(prev => [...prev, toListMemo(newMemo)]);
       console.log('Audio memo added successfully');
       return newMemo;
     } catch (error) {
@@ -540,15 +1681,33 @@ export const useMemos = () => {
       alert('メモの保存に失敗しました');
       return null;
     }
-  }, [memos.length, dbRef]);
+  }, [dbRef]);
 
-  // 混合メモを追加（テキスト + 音声）
-  const addMixedMemo = useCallback(async (text: string, audioRecording: AudioRecording) => {
-    if (memos.length >= 15) {
-      alert('メモの数が上限（15個）に達しました。古いメモを削除してください。');
+  // 録音を始めたときのメモを追加（録音中の状態。止めた録音は attachRecording で保存する）
+  const startAudioMemo = useCallback(async () => {
+    try {
+      const newMemo: Memo = {
+        id: Date.now(),
+        text: '',
+        audioRecording: null,
+        createdAt: Date.now(),
+        currentSize: 1.0,
+        type: 'audio',
+        transcriptionState: 'recording'
+      };
+
+      await dbRef.saveMemo(newMemo);
+      setMemos(prev => [...prev, toListMemo(newMemo)]);
+      return newMemo;
+    } catch (error) {
+      console.error('録音中のメモの保存に失敗:', error);
+      alert('メモの保存に失敗しました');
       return null;
     }
+  }, [dbRef]);
 
+  // 混合メモを追加（テキスト + 音声）
+  const addMixedMemo = useCallback(async (text: string, audioRecording: AudioRecording) => {
     try {
       const newMemo: Memo = {
         id: Date.now(),
@@ -560,14 +1719,14 @@ export const useMemos = () => {
       };
 
       await dbRef.saveMemo(newMemo);
-      setMemos(prev => [...prev, newMemo]);
+      setMemos(prev => [...prev, toListMemo(newMemo)]);
       return newMemo;
     } catch (error) {
       console.error('混合メモの保存に失敗:', error);
       alert('メモの保存に失敗しました');
       return null;
     }
-  }, [memos.length, dbRef]);
+  }, [dbRef]);
 
   // メモを削除
   const deleteMemo = useCallback(async (id: number) => {
@@ -575,7 +1734,7 @@ export const useMemos = () => {
       const memoToDelete = memos.find(memo => memo.id === id);
       
       // 現在再生中の音声が削除対象の場合は停止
-      if (currentAudioRef.current && memoToDelete?.audioRecording) {
+      if (currentAudioRef.current && memoToDelete && hasMemoAudio(memoToDelete)) {
         currentAudioRef.current.pause();
         currentAudioRef.current = null;
       }
@@ -589,50 +1748,323 @@ export const useMemos = () => {
     }
   }, [memos, dbRef]);
 
-  // メモを編集
-  const editMemo = useCallback(async (id: number, newText: string) => {
-    if (!newText.trim()) {
+  // メモを読み出して書き換え、一覧にも反映（IndexedDBから読み出すため、直前に追加したメモも古い一覧に左右されない）
+  const commitMemoUpdate = useCallback(async (id: number, update: (memo: Memo) => Memo | null, revisionSource?: RevisionSource) => {
+    const updatedMemo = await dbRef.updateMemo(id, update, revisionSource);
+    if (updatedMemo) {
+      setMemos(prev => prev.map(item => item.id === id ? toListMemo(updatedMemo) : item));
+    }
+    return updatedMemo;
+  }, [dbRef]);
+
+  // メモを編集（修正履歴に記録。最初の修正では修正前の本文も履歴に残す）
+  // 一覧の状態ではなく保存済みのメモを書き換えるため、直前の文字起こし・他の端末からの更新を消さない
+  const editMemo = useCallback(async (id: number, newText: string, source: RevisionSource = 'edit') => {
+    const text = newText.trim();
+    if (!text) {
       alert('メモの内容を入力してください。');
       return false;
     }
 
     try {
-      const memoToEdit = memos.find(memo => memo.id === id);
-      if (!memoToEdit) {
+      let found = false;
+      await commitMemoUpdate(id, (memo) => {
+        found = true;
+        return memo.text === text ? null : { ...memo, text };
+      }, source);
+      if (!found) {
         alert('編集するメモが見つかりません');
         return false;
       }
-
-      const updatedMemo = { ...memoToEdit, text: newText.trim() };
-      await dbRef.saveMemo(updatedMemo);
-      
-      setMemos(prev => prev.map(memo => 
-        memo.id === id ? updatedMemo : memo
-      ));
       return true;
     } catch (error) {
       console.error('メモの編集に失敗:', error);
       alert('メモの編集に失敗しました');
       return false;
     }
-  }, [memos, dbRef]);
+  }, [commitMemoUpdate]);
+
+  // メモの修正履歴を取得（新しい順）
+  const getMemoRevisions = useCallback(async (id: number): Promise<MemoRevision[]> => {
+    try {
+      return await dbRef.getRevisions(id);
+    } catch (error) {
+      console.error('修正履歴の読み込みに失敗:', error);
+      return [];
+    }
+  }, [dbRef]);
+
+  // 履歴の本文に戻す（戻したことも履歴に残る）
+  const revertMemo = useCallback(async (id: number, revision: MemoRevision) => {
+    return editMemo(id, revision.text, 'revert');
+  }, [editMemo]);
+
+  // 文字起こしの状態を進める（メモが無い・その状態に移れない場合は何もしない。保存に失敗した場合のみfalse）
+  const setTranscriptionState = useCallback(async (id: number, state: TranscriptionState, message?: string) => {
+    try {
+      await commitMemoUpdate(id, memo => canTransitionTranscription(getTranscriptionState(memo), state)
+        ? { ...memo, transcriptionState: state, transcriptionError: message ?? memo.transcriptionError }
+        : null
+      );
+      return true;
+    } catch (error) {
+      console.error('文字起こしの状態の保存に失敗:', error);
+      return false;
+    }
+  }, [commitMemoUpdate]);
+
+  // 文字起こしキューで再送する
+  const markTranscriptionPending = useCallback((id: number, message?: string) => {
+    return setTranscriptionState(id, 'pending', message);
+  }, [setTranscriptionState]);
+
+  // 文字起こしの失敗を記録（保存した音声から再文字起こしできる）
+  const markTranscriptionFailed = useCallback((id: number, message: string) => {
+    return setTranscriptionState(id, 'failed', message);
+  }, [setTranscriptionState]);
+
+  // 録音中のメモに止めた録音を保存し、送信（uploading）か文字起こしキュー待ち（pending）に進める
+  // 録音中にメモが削除された場合はnull
+  const attachRecording = useCallback(async (
+    id: number,
+    audioRecording: AudioRecording,
+    state: Extract<TranscriptionState, 'uploading' | 'pending'>
+  ) => {
+    try {
+      return await commitMemoUpdate(id, memo => canTransitionTranscription(getTranscriptionState(memo), state)
+        ? { ...memo, audioRecording, transcriptionState: state }
+        : null
+      );
+    } catch (error) {
+      console.error('録音の保存に失敗:', error);
+      alert('録音の保存に失敗しました');
+      return null;
+    }
+  }, [commitMemoUpdate]);
+
+  // 文字起こしの結果をメモに反映（本文・元の文字起こし・言語・話者・単語の時刻・認識候補）
+  // 録音直後の空の本文や送信待ちの間の本文を置き換えるため、修正履歴には残さない
+  // 何も認識できなかった場合は失敗として残す。メモが無い・反映済みの場合は何もしない（保存に失敗した場合のみfalse）
+  const updateMemoTranscription = useCallback(async (id: number, result: STTResponse) => {
+    try {
+      await commitMemoUpdate(id, memo => {
+        const state = getTranscriptionState(memo);
+        if (!memo.audioRecording) return null;
+
+        if (!result.transcription?.trim()) {
+          return canTransitionTranscription(state, 'failed')
+            ? { ...memo, transcriptionState: 'failed', transcriptionError: EMPTY_TRANSCRIPTION_ERROR }
+            : null;
+        }
+        return canTransitionTranscription(state, 'done')
+          ? withTranscription({ ...memo, audioRecording: memo.audioRecording }, result)
+          : null;
+      });
+      return true;
+    } catch (error) {
+      console.error('文字起こし結果の保存に失敗:', error);
+      return false;
+    }
+  }, [commitMemoUpdate]);
+
+  // 再文字起こしの結果を採用（本文と認識結果を置き換え、置き換え前の本文は修正履歴に残す）
+  const applyRetranscription = useCallback(async (id: number, result: STTResponse) => {
+    if (!result.transcription?.trim()) return false;
+
+    try {
+      const updatedMemo = await commitMemoUpdate(id, memo => memo.audioRecording
+        ? withTranscription({ ...memo, audioRecording: memo.audioRecording }, result)
+        : null,
+      'retranscribe');
+      return updatedMemo !== null;
+    } catch (error) {
+      console.error('再文字起こしの結果の保存に失敗:', error);
+      return false;
+    }
+  }, [commitMemoUpdate]);
+
+  // 話者の名前を変更（空にすると既定の「話者N」に戻す）
+  const renameSpeaker = useCallback(async (id: number, speaker: number, label: string) => {
+    try {
+      await commitMemoUpdate(id, (memo) => {
+        const speakerLabels = { ...memo.speakerLabels };
+        if (label.trim()) {
+          speakerLabels[speaker] = label.trim();
+        } else {
+          delete speakerLabels[speaker];
+        }
+        return { ...memo, speakerLabels };
+      });
+    } catch (error) {
+      console.error('話者名の保存に失敗:', error);
+      alert('話者名の保存に失敗しました');
+    }
+  }, [commitMemoUpdate]);
 
-  // メモサイズを更新
-  const updateMemoSizes = useCallback(async () => {
+  // メモサイズを経年変化の設定に合わせて更新（変わったメモだけ保存する。並び替えの「大きい順」に使う）
+  // サイズだけを保存済みのメモに書き込む（一覧の古い内容で Service Worker・同期の更新を上書きしない）
+  const updateMemoSizes = useCallback(async (profile: AgingProfile) => {
     try {
-      const updatedMemos = memos.map(memo => ({
-        ...memo,
-        currentSize: calculateMemoSize(memo.createdAt)
-      }));
-
-      // 更新されたメモをすべて保存
-      await Promise.all(updatedMemos.map(memo => dbRef.saveMemo(memo)));
-      setMemos(updatedMemos);
+      const now = Date.now();
+      const changed = memos.filter(memo => getAgingState(memo, profile, now).size !== memo.currentSize);
+      if (changed.length === 0) return;
+
+      const sizes = new Map<number, number>();
+      await Promise.all(changed.map(memo => dbRef.updateMemo(memo.id, current => {
+        const currentSize = getAgingState(current, profile, now).size;
+        sizes.set(current.id, currentSize);
+        return currentSize === current.currentSize ? null : { ...current, currentSize };
+      }, undefined, false)));
+      setMemos(prev => prev.map(memo => sizes.has(memo.id) ? { ...memo, currentSize: sizes.get(memo.id)! } : memo));
     } catch (error) {
       console.error('メモサイズの更新に失敗:', error);
     }
   }, [memos, dbRef]);
 
+  // 経年変化を調整（ピン留め・スヌーズ・リセット・期限。他の端末にも同期する）
+  const updateMemoAging = useCallback(async (id: number, update: (aging: MemoAging | undefined, now: number) => MemoAging) => {
+    try {
+      await commitMemoUpdate(id, memo => ({ ...memo, aging: update(memo.aging, Date.now()) }));
+    } catch (error) {
+      console.error('経年変化の設定の保存に失敗:', error);
+      alert('メモの設定の保存に失敗しました');
+    }
+  }, [commitMemoUpdate]);
+
+  // メモのタグを置き換える（初めて使うタグは色を決めて登録する）
+  const setMemoTags = useCallback(async (id: number, names: string[]) => {
+    const memoTags = normalizeTags(names);
+    try {
+      const newTags = (memoTags ?? [])
+        .filter(name => !tagRecords.some(tag => tag.name === name))
+        .map(name => ({ name, color: tags.find(tag => tag.name === name)?.color ?? getDefaultTagColor(name), createdAt: Date.now() }));
+      if (newTags.length > 0) {
+        await dbRef.putTags(newTags);
+        setTagRecords(prev => [...prev, ...newTags]);
+      }
+      await commitMemoUpdate(id, memo => ({ ...memo, tags: memoTags }));
+    } catch (error) {
+      console.error('タグの保存に失敗:', error);
+      alert('メモの保存に失敗しました');
+    }
+  }, [dbRef, tagRecords, tags, commitMemoUpdate]);
+
+  const setTagColor = useCallback(async (name: string, color: string) => {
+    const tag = { ...(tags.find(item => item.name === name) ?? { name, createdAt: Date.now() }), color };
+    try {
+      await dbRef.putTags([tag]);
+      setTagRecords(prev => [...prev.filter(item => item.name !== name), tag]);
+    } catch (error) {
+      console.error('タグの色の保存に失敗:', error);
+    }
+  }, [dbRef, tags]);
+
+  // タグの名前を変える（同じ名前のタグがあればまとめる）。名前が不正ならfalse
+  const renameTag = useCallback(async (from: string, to: string) => {
+    const name = normalizeTagName(to);
+    if (!name) return false;
+    if (name === from) return true;
+
+    try {
+      await dbRef.renameTag(from, name);
+      setTagRecords(await dbRef.getAllTags());
+      await reloadMemos();
+      return true;
+    } catch (error) {
+      console.error('タグの名前の変更に失敗:', error);
+      return false;
+    }
+  }, [dbRef, reloadMemos]);
+
+  const deleteTag = useCallback(async (name: string) => {
+    try {
+      await dbRef.deleteTag(name);
+      setTagRecords(prev => prev.filter(tag => tag.name !== name));
+      await reloadMemos();
+    } catch (error) {
+      console.error('タグの削除に失敗:', error);
+    }
+  }, [dbRef, reloadMemos]);
+
+  // バックアップのタグの色を取り込む
+  const importTags = useCallback(async (imported: MemoTag[]) => {
+    if (imported.length === 0) return;
+    await dbRef.putTags(imported);
+    setTagRecords(await dbRef.getAllTags());
+  }, [dbRef]);
+
+  // リマインダーを設定・変更する（undefined で解除。他の端末にも同期する）
+  const setMemoReminder = useCallback(async (id: number, reminder: MemoReminder | undefined) => {
+    try {
+      await commitMemoUpdate(id, memo => ({ ...memo, reminder }));
+    } catch (error) {
+      console.error('リマインダーの保存に失敗:', error);
+      alert('メモの保存に失敗しました');
+    }
+  }, [commitMemoUpdate]);
+
+  // 通知するリマインダーのメモ（通知したと記録する。読み込み前・失敗した場合は無し）
+  const takeDueReminders = useCallback(async (now: number): Promise<Memo[]> => {
+    if (isLoading) return [];
+    try {
+      return await dbRef.takeDueReminders(now);
+    } catch (error) {
+      console.error('リマインダーの読み込みに失敗:', error);
+      return [];
+    }
+  }, [dbRef, isLoading]);
+
+  // メモの音声本体を読み込む（再生・再文字起こしのとき。一覧には置かず、呼び出し側で持つ）
+  const loadMemoAudio = useCallback(async (id: number): Promise<AudioRecording | null> => {
+    const memo = memos.find(item => item.id === id);
+    const audio = memo ? getMemoAudio(memo) : null;
+    if (!audio) return null;
+
+    try {
+      return memo?.audioRecording ?? await dbRef.getAudioRecording(audio.id);
+    } catch (error) {
+      console.error('音声の読み込みに失敗:', error);
+      return null;
+    }
+  }, [memos, dbRef]);
+
+  // メモをアーカイブする・一覧に戻す（他の端末にも同期する）
+  const setMemoArchived = useCallback(async (id: number, archived: boolean) => {
+    try {
+      await commitMemoUpdate(id, memo => isMemoArchived(memo) === archived
+        ? null
+        : { ...memo, archivedAt: archived ? Date.now() : undefined }
+      );
+    } catch (error) {
+      console.error('アーカイブの保存に失敗:', error);
+      alert('メモの保存に失敗しました');
+    }
+  }, [commitMemoUpdate]);
+
+  // 一覧のメモが上限を超えたら古い順にアーカイブする（ピン留め・文字起こし中のメモは残す。null は上限なし）
+  const archivingRef = useRef(false);
+  const archiveOverflow = useCallback(async (limit: number | null) => {
+    if (limit === null || archivingRef.current) return;
+
+    const active = memos.filter(memo => !isMemoArchived(memo));
+    const overflow = active.length - limit;
+    if (overflow <= 0) return;
+
+    const targets = active
+      .filter(memo => memo.aging?.pinnedAt === undefined && !isTranscriptionInProgress(memo) && getTranscriptionState(memo) !== 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, overflow);
+
+    archivingRef.current = true;
+    try {
+      for (const memo of targets) {
+        await setMemoArchived(memo.id, true);
+      }
+    } finally {
+      archivingRef.current = false;
+    }
+  }, [memos, setMemoArchived]);
+
   // すべてのメモを削除
   const clearAllMemos = useCallback(async () => {
     if (window.confirm('すべてのメモを削除しますか？この操作は元に戻せません。')) {
@@ -653,21 +2085,32 @@ export const useMemos = () => {
     }
   }, [dbRef]);
 
-  // メモを検索
-  const searchMemos = useCallback((query: string) => {
-    if (!query.trim()) return memos;
-    
-    const lowercaseQuery = query.toLowerCase();
-    return memos.filter(memo => 
-      memo.text.toLowerCase().includes(lowercaseQuery)
-    );
-  }, [memos]);
+  // メモを全文検索（索引で候補を探し、検索語がすべて本文に含まれるメモを順位の高い順に返す。アーカイブしたメモも含む）
+  const searchMemos = useCallback(async (query: string): Promise<MemoSearchResult[]> => {
+    const terms = parseSearchQuery(query);
+    if (terms.length === 0) return [];
+
+    const memoById = new Map(memos.map(memo => [memo.id, memo]));
+    const hits = await dbRef.searchIndex(terms);
+    return hits
+      .flatMap(({ memoId, score }) => {
+        const memo = memoById.get(memoId);
+        if (!memo || !matchesSearchTerms(normalizeSearchText(memo.text).text, terms)) return [];
+        return [{ memo, score, snippet: buildSnippet(memo.text, terms) }];
+      })
+      .slice(0, SEARCH_RESULT_LIMIT);
+  }, [dbRef, memos]);
 
   // 特定のタイプのメモを取得
   const getMemosByType = useCallback((type: 'text' | 'audio' | 'mixed') => {
     return memos.filter(memo => memo.type === type);
   }, [memos]);
 
+  // 言語でメモを取得
+  const getMemosByLanguage = useCallback((language: string) => {
+    return memos.filter(memo => memo.language === language);
+  }, [memos]);
+
   // メモの統計情報を取得
   const getMemoStats = useCallback((): MemoStats => {
     const stats = memos.reduce((acc, memo) => {
@@ -683,9 +2126,7 @@ export const useMemos = () => {
           acc.mixed++;
           break;
       }
-      if (memo.audioRecording) {
-        acc.totalAudioDuration += memo.audioRecording.duration;
-      }
+      acc.totalAudioDuration += getMemoAudio(memo)?.duration ?? 0;
       return acc;
     }, {
       total: 0,
@@ -699,11 +2140,11 @@ export const useMemos = () => {
   }, [memos]);
 
   // 音声付きメモの音声を再生（改善版）
-  const playMemoAudio = useCallback((id: number, onPlay?: () => void, onEnd?: () => void) => {
+  const playMemoAudio = useCallback(async (id: number, onPlay?: () => void, onEnd?: () => void) => {
     console.log('playMemoAudio called for memo id:', id);
     
-    const memo = memos.find(m => m.id === id);
-    if (!memo?.audioRecording) {
+    const audioRecording = await loadMemoAudio(id);
+    if (!audioRecording) {
       console.warn('指定されたメモに音声が見つかりません:', id);
       return null;
     }
@@ -745,8 +2186,8 @@ export const useMemos = () => {
       audio.addEventListener('error', handleError);
 
       // 音声ソースを設定
-      audio.src = memo.audioRecording.audioUrl;
-      console.log('Audio src set to:', memo.audioRecording.audioUrl);
+      audio.src = audioRecording.audioUrl;
+      console.log('Audio src set to:', audioRecording.audioUrl);
 
       // 明示的にロード
       audio.load();
@@ -771,20 +2212,21 @@ export const useMemos = () => {
       currentAudioRef.current = null;
       return null;
     }
-  }, [memos]);
+  }, [loadMemoAudio]);
 
   // メモの音声をダウンロード（エラーハンドリング改善）
-  const downloadMemoAudio = useCallback((id: number) => {
+  const downloadMemoAudio = useCallback(async (id: number) => {
     try {
       const memo = memos.find(m => m.id === id);
-      if (!memo?.audioRecording) {
+      const audioRecording = memo ? await loadMemoAudio(id) : null;
+      if (!memo || !audioRecording) {
         alert('このメモには音声が含まれていません');
         return;
       }
 
       console.log('Downloading audio for memo:', id);
       const link = document.createElement('a');
-      link.href = memo.audioRecording.audioUrl;
+      link.href = audioRecording.audioUrl;
       link.download = `memo_${memo.id}_${new Date(memo.createdAt).toISOString().slice(0, 19).replace(/:/g, '-')}.wav`;
       document.body.appendChild(link);
       link.click();
@@ -794,7 +2236,7 @@ export const useMemos = () => {
       console.error('Audio download error for memo:', id, error);
       alert('音声のダウンロードに失敗しました');
     }
-  }, [memos]);
+  }, [memos, loadMemoAudio]);
 
   // クリーンアップ関数
   const cleanup = useCallback(async () => {
@@ -822,18 +2264,52 @@ export const useMemos = () => {
     sortOrder,
     sortedMemos,
     changeSortOrder,
+    languageFilter,
+    setLanguageFilter,
+    tags,
+    setMemoTags,
+    setTagColor,
+    renameTag,
+    deleteTag,
+    importTags,
+    setMemoReminder,
+    takeDueReminders,
+    memoLanguages,
+    showArchived,
+    setShowArchived,
+    archivedCount,
     addTextMemo,
     addAudioMemo,
     addMixedMemo,
     deleteMemo,
     editMemo,
+    getMemoRevisions,
+    revertMemo,
+    startAudioMemo,
+    attachRecording,
+    setTranscriptionState,
+    markTranscriptionPending,
+    markTranscriptionFailed,
+    updateMemoTranscription,
+    applyRetranscription,
+    renameSpeaker,
     updateMemoSizes,
+    updateMemoAging,
+    loadMemoAudio,
+    setMemoArchived,
+    archiveOverflow,
     clearAllMemos,
     searchMemos,
     getMemosByType,
+    getMemosByLanguage,
     getMemoStats,
     playMemoAudio,
     downloadMemoAudio,
+    syncMemos,
+    getSyncKey,
+    changeSyncKey,
+    getBackupEntries,
+    importBackupEntries,
     cleanup
   };
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+import sttApiService from '../services/sttApiService';
+
+// 音声認識の言語設定（主言語 + 候補言語）
+// 候補言語を指定すると、サーバーが主言語と候補の中から話された言語を判定する
+
+export interface LanguageSettings {
+  primary: string;
+  candidates: string[];
+}
+
+const STORAGE_KEY = 'fusenkun-language-settings';
+
+// サーバーから一覧を取得できない場合の対応言語
+const FALLBACK_LANGUAGES = ['ja-JP', 'en-US'];
+const DEFAULT_SETTINGS: LanguageSettings = { primary: 'ja-JP', candidates: ['en-US'] };
+const DEFAULT_MAX_CANDIDATES = 3;
+
+// 保存済みの設定を読み込み（録音処理からも参照する）
+export function loadLanguageSettings(): LanguageSettings {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      if (typeof parsed.primary === 'string' && Array.isArray(parsed.candidates)) {
+        return { primary: parsed.primary, candidates: parsed.candidates.filter((code: unknown) => typeof code === 'string') };
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load language settings:', error);
+  }
+  return DEFAULT_SETTINGS;
+}
+
+function saveLanguageSettings(settings: LanguageSettings): void {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// 言語コードの表示名（例: ja-JP → 日本語 (日本)）
+export function getLanguageLabel(code: string): string {
+  try {
+    const displayNames = new Intl.DisplayNames(['ja'], { type: 'language' });
+    return displayNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+export const useLanguageSettings = () => {
+  const [settings, setSettings] = useState<LanguageSettings>(loadLanguageSettings);
+  const [supportedLanguages, setSupportedLanguages] = useState<string[]>(FALLBACK_LANGUAGES);
+  const [maxCandidates, setMaxCandidates] = useState(DEFAULT_MAX_CANDIDATES);
+
+  // 対応言語はサーバー（使用中のプロバイダー）から取得
+  useEffect(() => {
+    let cancelled = false;
+
+    sttApiService.getSupportedLanguages()
+      .then((supported) => {
+        if (cancelled || supported.languages.length === 0) return;
+        setSupportedLanguages(supported.languages);
+        setMaxCandidates(supported.maxAlternativeLanguages);
+      })
+      .catch((error) => {
+        console.warn('Failed to load supported languages:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const update = useCallback((next: LanguageSettings) => {
+    saveLanguageSettings(next);
+    setSettings(next);
+  }, []);
+
+  // 主言語を変更（候補に含まれていれば候補から外す）
+  const setPrimaryLanguage = useCallback((code: string) => {
+    update({ primary: code, candidates: settings.candidates.filter(candidate => candidate !== code) });
+  }, [settings, update]);
+
+  // 候補言語の追加・削除（上限を超える追加は無視）
+  const toggleCandidate = useCallback((code: string) => {
+    if (code === settings.primary) return;
+
+    if (settings.candidates.includes(code)) {
+      update({ ...settings, candidates: settings.candidates.filter(candidate => candidate !== code) });
+    } else if (settings.candidates.length < maxCandidates) {
+      update({ ...settings, candidates: [...settings.candidates, code] });
+    }
+  }, [settings, maxCandidates, update]);
+
+  return {
+    settings,
+    supportedLanguages,
+    maxCandidates,
+    setPrimaryLanguage,
+    toggleCandidate,
+  };
+};
@@ -0,0 +1,299 @@
+import { useState, useCallback } from 'react';
+import { createZip, readZip } from '../utils/zipArchive';
+import { getLanguageLabel } from './LanguageSettings';
+import { Memo, RevisionSource, TranscriptionState, getSpeakerLabel, getMemoAudio } from './IndexedDBMemo';
+import { MemoAging } from '../utils/memoAging';
+import { MemoTag, normalizeMemoTag } from '../utils/memoTags';
+import { MemoReminder } from '../utils/reminderTime';
+import { SpeakerSegment, WordDetail, TranscriptAlternative } from '../services/sttApiService';
+
+// メモのバックアップ（ZIP: manifest.json とメモごとの音声ファイル）と、文字起こしのMarkdown書き出し
+// 端末の移行・保管に使う。取り込みはマニフェストの版を確認し、統合（IDが同じなら新しい方）か置き換えを選ぶ
+
+export const BACKUP_FORMAT = 'fusenkun-memos';
+export const BACKUP_VERSION = 1; // 形式を変えたら上げ、古い版の読み込みを残す
+const MANIFEST_FILE = 'manifest.json';
+const AUDIO_FOLDER = 'audio';
+
+export type BackupImportMode = 'merge' | 'replace';
+
+export interface BackupAudio {
+  id: string;
+  file: string; // ZIP内の音声ファイル（書き出し時に付ける）
+  mimeType: string;
+  transcript: string;
+  timestamp: string; // ISO 8601
+  duration: number;
+  wordDetails?: WordDetail[];
+}
+
+export interface BackupRevision {
+  text: string;
+  source: RevisionSource;
+  createdAt: number;
+}
+
+export interface BackupMemo {
+  id: number;
+  text: string;
+  createdAt: number;
+  updatedAt: number;
+  type: 'text' | 'audio' | 'mixed';
+  language?: string;
+  segments?: SpeakerSegment[];
+  speakerLabels?: Record<number, string>;
+  originalText?: string;
+  alternatives?: TranscriptAlternative[];
+  transcriptionState?: TranscriptionState;
+  transcriptionError?: string;
+  aging?: MemoAging;
+  archivedAt?: number;
+  tags?: string[];
+  reminder?: MemoReminder;
+  audio: BackupAudio | null;
+  revisions: BackupRevision[]; // 古い順
+}
+
+export interface BackupManifest {
+  format: typeof BACKUP_FORMAT;
+  version: number;
+  exportedAt: string;
+  memos: BackupMemo[];
+  tags?: MemoTag[]; // タグの色（無い版のバックアップもある）
+}
+
+// 書き出し・取り込みの1件（音声はZIPの外ではBlobで持つ）
+export interface BackupEntry {
+  memo: BackupMemo;
+  audioBlob: Blob | null;
+}
+
+export interface BackupImportResult {
+  added: number;
+  updated: number;
+  skipped: number; // 端末の方が新しい・同じ
+  invalid: number; // マニフェストの内容が壊れていて取り込めなかった
+}
+
+const MIME_EXTENSIONS: Record<string, string> = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/flac': 'flac',
+};
+
+function getAudioExtension(mimeType: string): string {
+  return MIME_EXTENSIONS[mimeType.split(';')[0].trim()] || 'bin';
+}
+
+// 日時をファイル名に使える形に（2026-10-19_10-30）
+function toFileTimestamp(date: Date): string {
+  const pad = (value: number) => value.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}`;
+}
+
+// すべてのメモとタグの色をZIPに書き出す
+export async function createBackupArchive(entries: BackupEntry[], tags: MemoTag[] = [], exportedAt = new Date()): Promise<Blob> {
+  const memos: BackupMemo[] = [];
+  const audioFiles: Array<{ name: string; data: Blob }> = [];
+
+  for (const { memo, audioBlob } of entries) {
+    if (memo.audio && audioBlob) {
+      const file = `${AUDIO_FOLDER}/${memo.id}.${getAudioExtension(audioBlob.type)}`;
+      memos.push({ ...memo, audio: { ...memo.audio, file, mimeType: audioBlob.type } });
+      audioFiles.push({ name: file, data: audioBlob });
+    } else {
+      memos.push({ ...memo, audio: null });
+    }
+  }
+
+  const manifest: BackupManifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    memos,
+    tags,
+  };
+
+  return createZip([
+    { name: MANIFEST_FILE, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)), modifiedAt: exportedAt },
+    ...audioFiles.map(file => ({ ...file, modifiedAt: exportedAt })),
+  ]);
+}
+
+const MEMO_TYPES = ['text', 'audio', 'mixed'];
+
+function isBackupMemo(value: unknown): value is BackupMemo {
+  const memo = value as BackupMemo | null;
+  return Boolean(memo)
+    && Number.isSafeInteger(memo!.id) && memo!.id > 0
+    && typeof memo!.text === 'string'
+    && Number.isFinite(memo!.createdAt)
+    && MEMO_TYPES.includes(memo!.type);
+}
+
+// ZIPを読み込んでマニフェストを検証する（ZIPでない・形式や版が違う場合は例外。壊れたメモは数えて飛ばす）
+// 同じIDのメモが複数あれば updatedAt の新しい方を残す
+export async function readBackupArchive(file: Blob): Promise<{ entries: BackupEntry[]; tags: MemoTag[]; invalid: number; exportedAt: string }> {
+  const files = await readZip(file);
+  const manifestFile = files.get(MANIFEST_FILE);
+  if (!manifestFile) throw new Error('バックアップのファイルではありません（manifest.json がありません）');
+
+  let manifest: BackupManifest;
+  try {
+    manifest = JSON.parse(await manifestFile.text());
+  } catch {
+    throw new Error('バックアップの manifest.json を読み込めません');
+  }
+  if (manifest?.format !== BACKUP_FORMAT || !Array.isArray(manifest.memos)) {
+    throw new Error('ふせん君のバックアップではありません');
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+    throw new Error('バックアップの版が不正です');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error('新しい版のアプリで作成されたバックアップです。アプリを更新してから取り込んでください');
+  }
+
+  const byId = new Map<number, BackupEntry>();
+  let invalid = 0;
+
+  for (const item of manifest.memos) {
+    if (!isBackupMemo(item)) {
+      invalid++;
+      continue;
+    }
+
+    const audioFile = item.audio?.file ? files.get(item.audio.file) : undefined;
+    const audioBlob = audioFile ? new Blob([audioFile], { type: item.audio!.mimeType || 'application/octet-stream' }) : null;
+    const memo: BackupMemo = {
+      ...item,
+      updatedAt: Number.isFinite(item.updatedAt) ? item.updatedAt : item.createdAt,
+      audio: audioBlob ? item.audio : null,
+      revisions: Array.isArray(item.revisions) ? item.revisions.filter(revision => typeof revision?.text === 'string') : [],
+    };
+
+    const existing = byId.get(memo.id);
+    if (!existing || existing.memo.updatedAt < memo.updatedAt) {
+      byId.set(memo.id, { memo, audioBlob });
+    }
+  }
+
+  const tags = Array.isArray(manifest.tags)
+    ? manifest.tags.map(normalizeMemoTag).filter((tag): tag is MemoTag => tag !== null)
+    : [];
+
+  return { entries: Array.from(byId.values()), tags, invalid, exportedAt: manifest.exportedAt };
+}
+
+function formatDateTime(timestamp: number): string {
+  return new Date(timestamp).toLocaleString('ja-JP', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+function formatDuration(ms: number): string {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+const TYPE_LABELS: Record<Memo['type'], string> = {
+  text: 'テキスト',
+  audio: '音声',
+  mixed: '音声＋テキスト',
+};
+
+// 文字起こしをMarkdownに書き出す（古い順。話者分離したメモは発言ごと）
+export function memosToMarkdown(memos: Memo[], exportedAt = new Date()): string {
+  const lines = [`# ふせん君のメモ（${formatDateTime(exportedAt.getTime())} 書き出し）`, ''];
+
+  [...memos].sort((a, b) => a.createdAt - b.createdAt).forEach((memo) => {
+    const details = [TYPE_LABELS[memo.type]];
+    if (memo.language) details.push(getLanguageLabel(memo.language));
+    const audio = getMemoAudio(memo);
+    if (audio) details.push(`録音 ${formatDuration(audio.duration)}`);
+    if (memo.tags?.length) details.push(memo.tags.map(tag => `#${tag}`).join(' '));
+
+    lines.push(`## ${formatDateTime(memo.createdAt)}`, '', `*${details.join('・')}*`, '');
+
+    if (memo.segments?.length && memo.text === memo.originalText) {
+      memo.segments.forEach((segment) => {
+        lines.push(`**${getSpeakerLabel(memo, segment.speaker)}**: ${segment.transcript}`, '');
+      });
+    } else {
+      lines.push(memo.text || '（本文なし）', '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// ファイルとして保存（ブラウザのダウンロード）
+export function downloadFile(blob: Blob, fileName: string): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // ダウンロードが始まってから解放する
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+interface MemoBackupSource {
+  memos: Memo[];
+  tags: MemoTag[];
+  getBackupEntries: () => Promise<BackupEntry[]>;
+  importBackupEntries: (entries: BackupEntry[], mode: BackupImportMode) => Promise<Omit<BackupImportResult, 'invalid'>>;
+  importTags: (tags: MemoTag[]) => Promise<void>;
+}
+
+// バックアップの書き出し・取り込み（useMemos の読み書きを使う）
+export const useMemoBackup = ({ memos, tags, getBackupEntries, importBackupEntries, importTags }: MemoBackupSource) => {
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [lastImport, setLastImport] = useState<BackupImportResult | null>(null);
+
+  const run = useCallback(async <T>(task: () => Promise<T>, failure: string): Promise<T | null> => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      return await task();
+    } catch (taskError) {
+      console.error(failure, taskError);
+      setError(taskError instanceof Error ? taskError.message : failure);
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  }, []);
+
+  const exportArchive = useCallback(() => run(async () => {
+    const archive = await createBackupArchive(await getBackupEntries(), tags);
+    downloadFile(archive, `fusenkun_${toFileTimestamp(new Date())}.zip`);
+  }, 'バックアップの書き出しに失敗しました'), [run, getBackupEntries, tags]);
+
+  const exportMarkdown = useCallback(() => run(async () => {
+    const markdown = memosToMarkdown(memos);
+    downloadFile(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }), `fusenkun_${toFileTimestamp(new Date())}.md`);
+  }, 'Markdownの書き出しに失敗しました'), [run, memos]);
+
+  const importArchive = useCallback((file: Blob, mode: BackupImportMode) => run(async () => {
+    setLastImport(null);
+    const { entries, tags: importedTags, invalid } = await readBackupArchive(file);
+    const result = { ...(await importBackupEntries(entries, mode)), invalid };
+    await importTags(importedTags);
+    setLastImport(result);
+    return result;
+  }, 'バックアップの取り込みに失敗しました'), [run, importBackupEntries, importTags]);
+
+  return { isBusy, error, lastImport, exportArchive, exportMarkdown, importArchive };
+};
@@ -0,0 +1,52 @@
+import { useState, useCallback } from 'react';
+
+// 一覧に表示するメモの数の上限（超えた分は古い順にアーカイブする。メモの保存数には上限なし）
+
+export interface MemoListSettings {
+  activeLimit: number | null; // null は上限なし
+}
+
+const STORAGE_KEY = 'fusenkun-memo-list-settings';
+
+export const ACTIVE_LIMIT_OPTIONS: Array<number | null> = [15, 30, 50, 100, null];
+
+const DEFAULT_SETTINGS: MemoListSettings = { activeLimit: 15 };
+
+function isActiveLimit(value: unknown): value is number | null {
+  return value === null || (Number.isInteger(value) && (value as number) > 0);
+}
+
+export function loadMemoListSettings(): MemoListSettings {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      if (isActiveLimit(parsed.activeLimit)) {
+        return { activeLimit: parsed.activeLimit };
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load memo list settings:', error);
+  }
+  return DEFAULT_SETTINGS;
+}
+
+function saveMemoListSettings(settings: MemoListSettings): void {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// 一覧と設定画面で同じ設定を使うため、App で1つだけ使い設定画面に渡す
+export const useMemoListSettings = () => {
+  const [settings, setSettings] = useState<MemoListSettings>(loadMemoListSettings);
+
+  const setActiveLimit = useCallback((activeLimit: number | null) => {
+    const next = { activeLimit };
+    saveMemoListSettings(next);
+    setSettings(next);
+  }, []);
+
+  return {
+    settings,
+    setActiveLimit,
+  };
+};
@@ -0,0 +1,309 @@
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  AUDIO_STORE,
+  LEGACY_MEMOS_KEY,
+  MEMO_DB_VERSION,
+  MEMO_MIGRATIONS,
+  MEMO_STORE,
+  REMINDER_INDEX,
+  REVISION_STORE,
+  SEARCH_DOC_STORE,
+  SEARCH_TERM_STORE,
+  SYNC_STORE,
+  TAG_STORE,
+  TOMBSTONE_STORE,
+  runMemoMigrations,
+} from './MemoMigrations';
+
+// 各版のスキーマ（ストアの keyPath・autoIncrement と、インデックスの keyPath・multiEntry）
+type StoreSchema = { keyPath: string | string[]; autoIncrement: boolean; indexes: Record<string, { keyPath: string | string[]; multiEntry: boolean }> };
+type Schema = Record<string, StoreSchema>;
+
+const index = (keyPath: string, multiEntry = false) => ({ keyPath, multiEntry });
+
+const SCHEMA_V1: Schema = {
+  [MEMO_STORE]: { keyPath: 'id', autoIncrement: false, indexes: { createdAt: index('createdAt'), type: index('type') } },
+  [AUDIO_STORE]: { keyPath: 'id', autoIncrement: false, indexes: { timestamp: index('timestamp') } },
+};
+const SCHEMA_V2: Schema = {
+  ...SCHEMA_V1,
+  [MEMO_STORE]: { ...SCHEMA_V1[MEMO_STORE], indexes: { ...SCHEMA_V1[MEMO_STORE].indexes, language: index('language') } },
+};
+const SCHEMA_V3: Schema = {
+  ...SCHEMA_V2,
+  [REVISION_STORE]: { keyPath: 'id', autoIncrement: true, indexes: { memoId: index('memoId') } },
+};
+const SCHEMA_V4: Schema = {
+  ...SCHEMA_V3,
+  [TOMBSTONE_STORE]: { keyPath: 'id', autoIncrement: false, indexes: {} },
+  [SYNC_STORE]: { keyPath: 'key', autoIncrement: false, indexes: {} },
+};
+const SCHEMA_V8: Schema = {
+  ...SCHEMA_V4,
+  [SEARCH_TERM_STORE]: { keyPath: ['token', 'memoId'], autoIncrement: false, indexes: { memoId: index('memoId') } },
+  [SEARCH_DOC_STORE]: { keyPath: 'memoId', autoIncrement: false, indexes: {} },
+};
+const SCHEMA_V9: Schema = {
+  ...SCHEMA_V8,
+  [MEMO_STORE]: { ...SCHEMA_V8[MEMO_STORE], indexes: { ...SCHEMA_V8[MEMO_STORE].indexes, tags: index('tags', true) } },
+  [TAG_STORE]: { keyPath: 'name', autoIncrement: false, indexes: {} },
+};
+const SCHEMA_V10: Schema = {
+  ...SCHEMA_V9,
+  [MEMO_STORE]: { ...SCHEMA_V9[MEMO_STORE], indexes: { ...SCHEMA_V9[MEMO_STORE].indexes, [REMINDER_INDEX]: index('reminder.dueAt') } },
+};
+
+// v5〜v7 はデータの移行だけでスキーマは変わらない
+const SCHEMAS: Record<number, Schema> = {
+  1: SCHEMA_V1, 2: SCHEMA_V2, 3: SCHEMA_V3, 4: SCHEMA_V4, 5: SCHEMA_V4, 6: SCHEMA_V4, 7: SCHEMA_V4, 8: SCHEMA_V8, 9: SCHEMA_V9, 10: SCHEMA_V10,
+};
+
+let dbCount = 0;
+let dbName = '';
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function openDB(version: number, upgrade: (db: IDBDatabase, transaction: IDBTransaction, oldVersion: number) => void): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, request.transaction!, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// その版までの移行だけで作ったDB（当時のアプリが作ったDBと同じスキーマ）にデータを入れて閉じる
+async function createFixture(version: number, records: Record<string, object[]> = {}): Promise<void> {
+  const db = await openDB(version, (db, transaction, oldVersion) => {
+    MEMO_MIGRATIONS
+      .filter(migration => migration.version > oldVersion && migration.version <= version)
+      .forEach(migration => migration.migrate(db, transaction));
+  });
+
+  const storeNames = Object.keys(records);
+  if (storeNames.length > 0) {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => records[name].forEach(record => transaction.objectStore(name).put(record)));
+    await transactionDone(transaction);
+  }
+  db.close();
+}
+
+// アプリと同じく最新の版で開く
+function upgradeToLatest(): Promise<IDBDatabase> {
+  return openDB(MEMO_DB_VERSION, (db, transaction, oldVersion) => {
+    runMemoMigrations(db, transaction, oldVersion);
+  });
+}
+
+function readSchema(db: IDBDatabase): Schema {
+  const storeNames = Array.from(db.objectStoreNames);
+  const transaction = db.transaction(storeNames, 'readonly');
+
+  return Object.fromEntries(storeNames.map((name) => {
+    const store = transaction.objectStore(name);
+    const indexes = Object.fromEntries(Array.from(store.indexNames).map((indexName) => {
+      const storeIndex = store.index(indexName);
+      return [indexName, { keyPath: storeIndex.keyPath, multiEntry: storeIndex.multiEntry }];
+    }));
+    return [name, { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes }];
+  }));
+}
+
+function getAll<T = Record<string, unknown>>(db: IDBDatabase, storeName: string): Promise<T[]> {
+  return requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).getAll()) as Promise<T[]>;
+}
+
+function createMemoryStorage(initial: Record<string, string>): Storage {
+  const items = new Map(Object.entries(initial));
+  return {
+    get length() { return items.size; },
+    key: (i: number) => Array.from(items.keys())[i] ?? null,
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => { items.set(key, value); },
+    removeItem: (key: string) => { items.delete(key); },
+    clear: () => items.clear(),
+  };
+}
+
+beforeEach(() => {
+  dbName = `MemoAppDB-test-${++dbCount}`;
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('MEMO_MIGRATIONS', () => {
+  it('版は1から連番で、最新の版が MEMO_DB_VERSION', () => {
+    expect(MEMO_MIGRATIONS.map(migration => migration.version)).toEqual(
+      Array.from({ length: MEMO_DB_VERSION }, (_, i) => i + 1)
+    );
+  });
+
+  it.each(MEMO_MIGRATIONS.map(migration => migration.version))('v%i への移行で、その版のスキーマになる', async (version) => {
+    if (version > 1) await createFixture(version - 1);
+    const db = await openDB(version, (db, transaction, oldVersion) => {
+      MEMO_MIGRATIONS
+        .filter(migration => migration.version > oldVersion && migration.version <= version)
+        .forEach(migration => migration.migrate(db, transaction));
+    });
+
+    expect(readSchema(db)).toEqual(SCHEMAS[version]);
+    db.close();
+  });
+});
+
+describe('runMemoMigrations', () => {
+  it('新規作成では全ての移行を実行する', async () => {
+    let migrated: number[] = [];
+    const db = await openDB(MEMO_DB_VERSION, (db, transaction, oldVersion) => {
+      migrated = runMemoMigrations(db, transaction, oldVersion);
+    });
+
+    expect(migrated).toEqual(MEMO_MIGRATIONS.map(migration => migration.version));
+    expect(readSchema(db)).toEqual(SCHEMAS[MEMO_DB_VERSION]);
+    db.close();
+  });
+
+  it.each([1, 4, 6, 9])('v%i のDBを最新のスキーマにする', async (version) => {
+    await createFixture(version);
+
+    let migrated: number[] = [];
+    const db = await openDB(MEMO_DB_VERSION, (db, transaction, oldVersion) => {
+      migrated = runMemoMigrations(db, transaction, oldVersion);
+    });
+
+    expect(migrated[0]).toBe(version + 1);
+    expect(readSchema(db)).toEqual(SCHEMAS[MEMO_DB_VERSION]);
+    db.close();
+  });
+
+  it('v5: 最初の版のメモに種類・更新日時・サイズを補う', async () => {
+    const createdAt = new Date(2024, 0, 1).getTime();
+    await createFixture(1, {
+      [MEMO_STORE]: [
+        { id: createdAt, text: '最初の版のメモ', createdAt, currentSize: 1, audioBlob: null },
+        { id: createdAt + 1, text: '', createdAt: String(createdAt + 1), audioId: createdAt + 1 },
+        { id: createdAt + 2, text: '作成日時なし' },
+        { id: createdAt + 3, text: '更新済み', createdAt, updatedAt: createdAt + 10, type: 'text', currentSize: 0.5 },
+      ],
+    });
+
+    const db = await upgradeToLatest();
+    const memos = await getAll(db, MEMO_STORE);
+
+    expect(memos[0]).toMatchObject({ type: 'text', createdAt, updatedAt: createdAt, currentSize: 1 });
+    expect(memos[1]).toMatchObject({ type: 'audio', createdAt: createdAt + 1, updatedAt: createdAt + 1 });
+    expect(typeof memos[1].currentSize).toBe('number');
+    expect(memos[2]).toMatchObject({ type: 'text', createdAt: createdAt + 2, updatedAt: createdAt + 2 });
+    expect(memos[3]).toMatchObject({ type: 'text', createdAt, updatedAt: createdAt + 10, currentSize: 0.5 });
+    db.close();
+  });
+
+  it('v6: localStorage のメモを取り込み、同じIDのメモはIndexedDBの方を残して、取り込んだらキーを消す', async () => {
+    const createdAt = new Date(2024, 0, 1).getTime();
+    await createFixture(5, {
+      [MEMO_STORE]: [{ id: 1, text: 'IndexedDBのメモ', createdAt, updatedAt: createdAt, currentSize: 1, type: 'text' }],
+    });
+
+    const storage = createMemoryStorage({
+      [LEGACY_MEMOS_KEY]: JSON.stringify([
+        { id: 1, text: '重複するメモ', createdAt, currentSize: 1 },
+        { id: 2, text: '  localStorageのメモ  ', createdAt: createdAt + 1, currentSize: 1, type: 'voice', hadAudioRecording: true },
+        { id: 'broken', text: 'IDが壊れたメモ', createdAt: createdAt + 2, currentSize: 1 },
+        { id: 4, text: '   ', createdAt, currentSize: 1 },
+        { id: 5, text: '作成日時が壊れたメモ', createdAt: 'x', currentSize: 1 },
+      ]),
+      other: 'keep',
+    });
+    vi.stubGlobal('localStorage', storage);
+
+    const db = await upgradeToLatest();
+    const memos = await getAll(db, MEMO_STORE);
+
+    expect(memos.map(memo => memo.id)).toEqual([1, 2, createdAt + 2]);
+    expect(memos[0]).toMatchObject({ text: 'IndexedDBのメモ' });
+    expect(memos[1]).toMatchObject({ text: 'localStorageのメモ', type: 'text', createdAt: createdAt + 1, updatedAt: createdAt + 1 });
+    expect(memos[2]).toMatchObject({ text: 'IDが壊れたメモ', createdAt: createdAt + 2 });
+    expect(storage.getItem(LEGACY_MEMOS_KEY)).toBeNull();
+    expect(storage.getItem('other')).toBe('keep');
+    db.close();
+  });
+
+  it('v6: 取り込みに失敗したら localStorage のキーを残す', async () => {
+    await createFixture(5);
+    const storage = createMemoryStorage({
+      [LEGACY_MEMOS_KEY]: JSON.stringify([{ id: 1, text: 'メモ', createdAt: 1 }]),
+    });
+    vi.stubGlobal('localStorage', storage);
+
+    // 移行の後で失敗させて、アップグレード全体を取り消す
+    await expect(openDB(MEMO_DB_VERSION, (db, transaction, oldVersion) => {
+      runMemoMigrations(db, transaction, oldVersion);
+      transaction.objectStore(MEMO_STORE).add({ id: 1 });
+      transaction.objectStore(MEMO_STORE).add({ id: 1 });
+    })).rejects.toBeTruthy();
+
+    expect(storage.getItem(LEGACY_MEMOS_KEY)).not.toBeNull();
+  });
+
+  it('v7: 音声つきのメモに音声の長さを記録する', async () => {
+    const createdAt = new Date(2024, 0, 1).getTime();
+    const memo = { text: '', createdAt, updatedAt: createdAt, currentSize: 1, type: 'audio' };
+    await createFixture(6, {
+      [MEMO_STORE]: [
+        { ...memo, id: 1, audioId: 101 },
+        { ...memo, id: 2, audioId: 102 },
+        { ...memo, id: 3, audioId: 103, audioDuration: 7 },
+        { ...memo, id: 4, type: 'text' },
+      ],
+      [AUDIO_STORE]: [
+        { id: 101, blob: null, duration: 12.5, timestamp: createdAt },
+        { id: 103, blob: null, duration: 99, timestamp: createdAt },
+      ],
+    });
+
+    const db = await upgradeToLatest();
+    const memos = await getAll(db, MEMO_STORE);
+
+    expect(memos.map(memo => memo.audioDuration)).toEqual([12.5, 0, 7, undefined]);
+    db.close();
+  });
+
+  it('v10: リマインダーの日時のインデックスで、リマインダーのあるメモだけを日時順に引ける', async () => {
+    const createdAt = new Date(2024, 0, 1).getTime();
+    const memo = { text: 'メモ', createdAt, updatedAt: createdAt, currentSize: 1, type: 'text', tags: [] };
+    await createFixture(9, {
+      [MEMO_STORE]: [
+        { ...memo, id: 1, reminder: { dueAt: createdAt + 300 } },
+        { ...memo, id: 2 },
+        { ...memo, id: 3, reminder: { dueAt: createdAt + 100 } },
+        { ...memo, id: 4, reminder: { dueAt: createdAt + 200, doneAt: createdAt } },
+      ],
+    });
+
+    const db = await upgradeToLatest();
+    const reminderIndex = db.transaction(MEMO_STORE, 'readonly').objectStore(MEMO_STORE).index(REMINDER_INDEX);
+
+    const due = await requestToPromise(reminderIndex.getAll(IDBKeyRange.upperBound(createdAt + 200)));
+    expect(due.map(memo => memo.id)).toEqual([3, 4]);
+    expect(await requestToPromise(reminderIndex.count())).toBe(3);
+    db.close();
+  });
+});
@@ -0,0 +1,222 @@
+import { calculateMemoSize } from '../utils/sizeCalculator';
+
+// メモのIndexedDB（MemoAppDB）のスキーマ移行
+// 版ごとの移行を古い順に並べ、開いたときの版（oldVersion）より新しいものを1つのアップグレードトランザクションで順に実行する
+// どの版から開いても同じ結果になるよう、新しい版は末尾に足し、公開済みの移行は書き換えないこと
+
+export const MEMO_DB_NAME = 'MemoAppDB';
+export const MEMO_STORE = 'memos';
+export const AUDIO_STORE = 'audioData';
+export const REVISION_STORE = 'revisions';
+export const TOMBSTONE_STORE = 'tombstones';
+export const SYNC_STORE = 'syncState';
+export const SEARCH_TERM_STORE = 'searchTerms';
+export const SEARCH_DOC_STORE = 'searchDocs';
+export const TAG_STORE = 'tags';
+export const REMINDER_INDEX = 'reminderDueAt'; // リマインダーのあるメモ（通知の日時順。public/sw.js でも使う）
+
+// IndexedDB以前（src/hooks/useMemos.ts）のlocalStorageのメモ
+export const LEGACY_MEMOS_KEY = 'fusenkun-memos';
+
+export interface MemoMigration {
+  version: number;
+  description: string;
+  // アップグレードトランザクション内で実行する（ストアの作成・データの変換。非同期の処理は待てない）
+  migrate: (db: IDBDatabase, transaction: IDBTransaction) => void;
+}
+
+// 以前の保存形式: { id, text, createdAt, currentSize, audioBlob: null }（最初の版）
+// または { id, text, createdAt, currentSize, type, hadAudioRecording }（localStorage版の useMemos）
+interface LegacyMemo {
+  id?: unknown;
+  text?: unknown;
+  createdAt?: unknown;
+}
+
+// localStorageのメモをIndexedDBの保存形式に変換（音声は保存されていなかったためテキストメモにする）
+// 壊れたデータ・空のメモは取り込まない
+export function parseLegacyMemos(raw: string | null): Array<{ id: number; text: string; createdAt: number; currentSize: number; type: 'text' }> {
+  if (!raw) return [];
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    console.warn('Legacy memos are not valid JSON:', error);
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return (parsed as LegacyMemo[]).flatMap((legacy) => {
+    const text = typeof legacy?.text === 'string' ? legacy.text.trim() : '';
+    const createdAt = Number(legacy?.createdAt);
+    if (!text || !Number.isFinite(createdAt) || createdAt <= 0) return [];
+
+    const id = Number.isSafeInteger(legacy.id) && (legacy.id as number) > 0 ? legacy.id as number : createdAt;
+    return [{ id, text, createdAt, currentSize: calculateMemoSize(createdAt), type: 'text' as const }];
+  });
+}
+
+// ストアの全件を書き換える（update が null を返したものはそのまま）
+function updateAll(store: IDBObjectStore, update: (value: Record<string, unknown>) => Record<string, unknown> | null): void {
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    const updated = update(cursor.value);
+    if (updated) cursor.update(updated);
+    cursor.continue();
+  };
+}
+
+export const MEMO_MIGRATIONS: MemoMigration[] = [
+  {
+    version: 1,
+    description: 'メモと音声のストア',
+    migrate: (db) => {
+      const memoStore = db.createObjectStore(MEMO_STORE, { keyPath: 'id' });
+      memoStore.createIndex('createdAt', 'createdAt', { unique: false });
+      memoStore.createIndex('type', 'type', { unique: false });
+
+      const audioStore = db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
+      audioStore.createIndex('timestamp', 'timestamp', { unique: false });
+    },
+  },
+  {
+    version: 2,
+    description: '言語での絞り込み用のインデックス（既存のメモは言語なし）',
+    migrate: (_db, transaction) => {
+      transaction.objectStore(MEMO_STORE).createIndex('language', 'language', { unique: false });
+    },
+  },
+  {
+    version: 3,
+    description: '修正履歴のストア',
+    migrate: (db) => {
+      const revisionStore = db.createObjectStore(REVISION_STORE, { keyPath: 'id', autoIncrement: true });
+      revisionStore.createIndex('memoId', 'memoId', { unique: false });
+    },
+  },
+  {
+    version: 4,
+    description: 'サーバー同期（削除の記録・同期状態。既存のメモは未同期として次の同期で送る）',
+    migrate: (db) => {
+      db.createObjectStore(TOMBSTONE_STORE, { keyPath: 'id' });
+      db.createObjectStore(SYNC_STORE, { keyPath: 'key' });
+    },
+  },
+  {
+    version: 5,
+    description: '以前の版のメモを補完（種類・変更時刻・表示サイズ）',
+    migrate: (_db, transaction) => {
+      updateAll(transaction.objectStore(MEMO_STORE), (memo) => {
+        const createdAt = Number(memo.createdAt) || Number(memo.id);
+        const type = memo.type === 'text' || memo.type === 'audio' || memo.type === 'mixed'
+          ? memo.type
+          : memo.audioId ? 'audio' : 'text';
+        if (memo.type === type && memo.createdAt === createdAt && memo.updatedAt !== undefined && typeof memo.currentSize === 'number') {
+          return null;
+        }
+
+        return {
+          ...memo,
+          type,
+          createdAt,
+          updatedAt: memo.updatedAt ?? createdAt,
+          currentSize: typeof memo.currentSize === 'number' ? memo.currentSize : calculateMemoSize(createdAt),
+        };
+      });
+    },
+  },
+  {
+    version: 6,
+    description: 'localStorage（fusenkun-memos）のメモを取り込む',
+    migrate: (_db, transaction) => {
+      if (typeof localStorage === 'undefined') return;
+
+      const legacyMemos = parseLegacyMemos(localStorage.getItem(LEGACY_MEMOS_KEY));
+      const memoStore = transaction.objectStore(MEMO_STORE);
+
+      // 同じIDのメモがあればIndexedDBの方を残す
+      legacyMemos.forEach((legacy) => {
+        const request = memoStore.getKey(legacy.id);
+        request.onsuccess = () => {
+          if (request.result === undefined) memoStore.put({ ...legacy, updatedAt: legacy.createdAt });
+        };
+      });
+
+      // 取り込みを確定してから消す（失敗した場合は次に開いたときにやり直す）
+      transaction.addEventListener('complete', () => {
+        localStorage.removeItem(LEGACY_MEMOS_KEY);
+        if (legacyMemos.length > 0) console.log('Imported legacy memos:', legacyMemos.length);
+      });
+    },
+  },
+  {
+    version: 7,
+    description: '音声の長さをメモに記録（一覧で音声を読み込まずに表示する）',
+    migrate: (_db, transaction) => {
+      const memoStore = transaction.objectStore(MEMO_STORE);
+      const audioStore = transaction.objectStore(AUDIO_STORE);
+
+      const request = memoStore.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const memo = cursor.value;
+        if (memo.audioId && memo.audioDuration === undefined) {
+          const audioRequest = audioStore.get(memo.audioId);
+          audioRequest.onsuccess = () => {
+            const duration = Number(audioRequest.result?.duration);
+            // 同じアップグレードで先に動く v5 の補完を上書きしないよう、書き込む直前に読み直す
+            const memoRequest = memoStore.get(memo.id);
+            memoRequest.onsuccess = () => {
+              memoStore.put({ ...memoRequest.result, audioDuration: Number.isFinite(duration) ? duration : 0 });
+            };
+          };
+        }
+        cursor.continue();
+      };
+    },
+  },
+  {
+    version: 8,
+    description: '全文検索の索引（語とメモの組・メモごとの語数。既存のメモは開いたときに索引を作る）',
+    migrate: (db) => {
+      const termStore = db.createObjectStore(SEARCH_TERM_STORE, { keyPath: ['token', 'memoId'] });
+      termStore.createIndex('memoId', 'memoId', { unique: false });
+      db.createObjectStore(SEARCH_DOC_STORE, { keyPath: 'memoId' });
+    },
+  },
+  {
+    version: 9,
+    description: 'タグ（メモのタグのインデックス・タグの色のストア。既存のメモはタグなし）',
+    migrate: (db, transaction) => {
+      transaction.objectStore(MEMO_STORE).createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      db.createObjectStore(TAG_STORE, { keyPath: 'name' });
+    },
+  },
+  {
+    version: 10,
+    description: 'リマインダー（通知の日時のインデックス。既存のメモはリマインダーなし）',
+    migrate: (_db, transaction) => {
+      transaction.objectStore(MEMO_STORE).createIndex(REMINDER_INDEX, 'reminder.dueAt', { unique: false });
+    },
+  },
+];
+
+export const MEMO_DB_VERSION = MEMO_MIGRATIONS[MEMO_MIGRATIONS.length - 1].version;
+
+// oldVersion より新しい移行を順に実行し、実行した版を返す
+export function runMemoMigrations(db: IDBDatabase, transaction: IDBTransaction, oldVersion: number): number[] {
+  const pending = MEMO_MIGRATIONS.filter(migration => migration.version > oldVersion);
+
+  pending.forEach((migration) => {
+    console.log(`Migrating ${MEMO_DB_NAME} to v${migration.version}: ${migration.description}`);
+    migration.migrate(db, transaction);
+  });
+
+  return pending.map(migration => migration.version);
+}
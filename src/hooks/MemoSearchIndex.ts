@@ -0,0 +1,160 @@
+import { SEARCH_DOC_STORE, SEARCH_TERM_STORE } from './MemoMigrations';
+import { SearchQueryKey, SearchQueryTerm, tokenizeForIndex } from '../utils/searchText';
+import { crc32 } from '../utils/zipArchive';
+
+// メモの全文検索の索引（MemoAppDB の searchTerms・searchDocs）
+// 語ごとにそれを含むメモと出現回数を記録し（転置索引）、メモの保存・編集・削除と同じトランザクションで更新する
+// 本文が変わっていない保存（表示サイズの更新など）では索引を書き換えない
+
+export const SEARCH_STORES = [SEARCH_TERM_STORE, SEARCH_DOC_STORE];
+
+// 語とメモの組（キーは [token, memoId]）
+interface SearchTermRecord {
+  token: string;
+  memoId: number;
+  count: number;
+}
+
+// 索引に入っているメモ（語数は順位付けに、本文のハッシュは変更の確認に使う）
+interface SearchDocRecord {
+  memoId: number;
+  length: number;
+  hash: number;
+}
+
+export interface SearchHit {
+  memoId: number;
+  score: number;
+}
+
+// 検索語ごとに読み出した索引（keys は検索語の key を順に並べたもの）
+export interface SearchPostings {
+  docs: SearchDocRecord[];
+  keys: Array<{ key: SearchQueryKey; records: SearchTermRecord[] }>;
+}
+
+// 順位付け（BM25）の係数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_WEIGHT = 0.5; // 前方一致だけの語（入力途中の英単語など）は完全に一致した語より低くする
+
+function hashText(text: string): number {
+  return crc32(new TextEncoder().encode(text));
+}
+
+// メモの語をすべて削除
+function deleteTerms(transaction: IDBTransaction, memoId: number, onDeleted?: () => void): void {
+  const termStore = transaction.objectStore(SEARCH_TERM_STORE);
+  const request = termStore.index('memoId').getAllKeys(IDBKeyRange.only(memoId));
+  request.onsuccess = () => {
+    request.result.forEach(key => termStore.delete(key));
+    onDeleted?.();
+  };
+}
+
+// メモの本文を索引に反映する（索引と同じ本文なら何もしない）
+export function indexMemoText(transaction: IDBTransaction, memoId: number, text: string): void {
+  const docStore = transaction.objectStore(SEARCH_DOC_STORE);
+  const hash = hashText(text);
+
+  const docRequest = docStore.get(memoId);
+  docRequest.onsuccess = () => {
+    const doc = docRequest.result as SearchDocRecord | undefined;
+    if (doc?.hash === hash) return;
+
+    const counts = tokenizeForIndex(text);
+    deleteTerms(transaction, memoId, () => {
+      const termStore = transaction.objectStore(SEARCH_TERM_STORE);
+      let length = 0;
+      counts.forEach((count, token) => {
+        termStore.put({ token, memoId, count });
+        length += count;
+      });
+      docStore.put({ memoId, length, hash });
+    });
+  };
+}
+
+export function removeMemoFromIndex(transaction: IDBTransaction, memoId: number): void {
+  deleteTerms(transaction, memoId);
+  transaction.objectStore(SEARCH_DOC_STORE).delete(memoId);
+}
+
+export function clearSearchIndex(transaction: IDBTransaction): void {
+  transaction.objectStore(SEARCH_TERM_STORE).clear();
+  transaction.objectStore(SEARCH_DOC_STORE).clear();
+}
+
+// 索引をメモに合わせる（索引を作る前のメモを加え、本文が変わったメモを作り直し、無くなったメモを除く）
+export function syncSearchIndex(transaction: IDBTransaction, memos: Array<{ id: number; text: string }>): void {
+  const memoIds = new Set(memos.map(memo => memo.id));
+  memos.forEach(memo => indexMemoText(transaction, memo.id, memo.text));
+
+  const docRequest = transaction.objectStore(SEARCH_DOC_STORE).getAllKeys();
+  docRequest.onsuccess = () => {
+    docRequest.result
+      .filter(memoId => !memoIds.has(memoId as number))
+      .forEach(memoId => removeMemoFromIndex(transaction, memoId as number));
+  };
+}
+
+// 検索語に一致する索引を読み出す（トランザクションの完了後に rankSearchHits で順位を付ける）
+export function readSearchPostings(transaction: IDBTransaction, terms: SearchQueryTerm[]): SearchPostings {
+  const termStore = transaction.objectStore(SEARCH_TERM_STORE);
+  const postings: SearchPostings = {
+    docs: [],
+    keys: terms.flatMap(term => term.keys.map(key => ({ key, records: [] as SearchTermRecord[] }))),
+  };
+
+  const docRequest = transaction.objectStore(SEARCH_DOC_STORE).getAll();
+  docRequest.onsuccess = () => {
+    postings.docs = docRequest.result;
+  };
+
+  postings.keys.forEach((entry) => {
+    const { token, prefix } = entry.key;
+    const range = prefix
+      ? IDBKeyRange.bound([token], [`${token}\uffff`])
+      : IDBKeyRange.bound([token, -Infinity], [token, Infinity]);
+    const request = termStore.getAll(range);
+    request.onsuccess = () => {
+      entry.records = request.result;
+    };
+  });
+  return postings;
+}
+
+// すべての検索語を含むメモに順位を付ける（スコアの高い順）
+export function rankSearchHits({ docs, keys }: SearchPostings): SearchHit[] {
+  if (docs.length === 0 || keys.length === 0) return [];
+
+  const lengths = new Map(docs.map(doc => [doc.memoId, doc.length]));
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+
+  // 検索語の key ごとのスコア
+  const keyScores = keys.map(({ key, records }) => {
+    // 前方一致で広がった語ごとに、含むメモの数（少ない語ほど重い）
+    const documentFrequency = new Map<string, number>();
+    records.forEach(record => documentFrequency.set(record.token, (documentFrequency.get(record.token) ?? 0) + 1));
+
+    const scores = new Map<number, number>();
+    records.forEach((record) => {
+      const length = lengths.get(record.memoId);
+      if (length === undefined) return;
+
+      const frequency = documentFrequency.get(record.token)!;
+      const idf = Math.log(1 + (docs.length - frequency + 0.5) / (frequency + 0.5));
+      const tf = (record.count * (BM25_K1 + 1)) / (record.count + BM25_K1 * (1 - BM25_B + (BM25_B * length) / averageLength));
+      const weight = record.token === key.token ? 1 : PREFIX_WEIGHT;
+      scores.set(record.memoId, (scores.get(record.memoId) ?? 0) + idf * tf * weight);
+    });
+    return scores;
+  });
+
+  // すべての key を含むメモだけを残し、スコアを合計する
+  const [first, ...rest] = keyScores;
+  return Array.from(first)
+    .filter(([memoId]) => rest.every(scores => scores.has(memoId)))
+    .map(([memoId, score]) => ({ memoId, score: rest.reduce((sum, scores) => sum + scores.get(memoId)!, score) }))
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,53 @@
+import type { SortOrder } from './IndexedDBMemo';
+
+// 一覧の並び順・絞り込み（次に開いたときも同じ表示にする）
+// 並び順と言語は useMemos、スマートフォルダとタグは useSmartFolders が読み書きする（保存は項目ごとにまとめて上書き）
+
+export interface MemoViewSettings {
+  sortOrder: SortOrder;
+  languageFilter: string | null;
+  folderId: string | null; // 選んでいるスマートフォルダ
+  tag: string | null; // 絞り込み中のタグ
+}
+
+const STORAGE_KEY = 'fusenkun-memo-view';
+
+export const SORT_ORDER_OPTIONS: Array<{ id: SortOrder; label: string }> = [
+  { id: 'oldest-first', label: '古い順' },
+  { id: 'newest-first', label: '新しい順' },
+  { id: 'alphabetical', label: '本文順' },
+  { id: 'type', label: '種類順' },
+  { id: 'size', label: '大きい順' },
+];
+
+const DEFAULT_SETTINGS: MemoViewSettings = { sortOrder: 'oldest-first', languageFilter: null, folderId: null, tag: null };
+
+function isSortOrder(value: unknown): value is SortOrder {
+  return SORT_ORDER_OPTIONS.some(option => option.id === value);
+}
+
+function toNullableString(value: unknown): string | null {
+  return typeof value === 'string' && value ? value : null;
+}
+
+export function loadMemoViewSettings(): MemoViewSettings {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      return {
+        sortOrder: isSortOrder(parsed.sortOrder) ? parsed.sortOrder : DEFAULT_SETTINGS.sortOrder,
+        languageFilter: toNullableString(parsed.languageFilter),
+        folderId: toNullableString(parsed.folderId),
+        tag: toNullableString(parsed.tag),
+      };
+    }
+  } catch (error) {
+    console.warn('Failed to load memo view settings:', error);
+  }
+  return DEFAULT_SETTINGS;
+}
+
+export function saveMemoViewSettings(update: Partial<MemoViewSettings>): void {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadMemoViewSettings(), ...update }));
+}
@@ -4,12 +4,105 @@ interface PWAManagerState {
   isOnline: boolean;
 }
 
+// Background Syncのタグを登録（Service Workerが無い・Background Sync非対応ならfalse）
+// 登録したタグは接続が戻るとService Workerの sync イベントで処理される
+export async function registerBackgroundSync(tag: string): Promise<boolean> {
+  if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    const sync = (registration as (ServiceWorkerRegistration & { sync?: { register(tag: string): Promise<void> } }) | undefined)?.sync;
+    if (!sync) return false;
+
+    await sync.register(tag);
+    return true;
+  } catch (error) {
+    console.warn('Background sync registration failed:', tag, error);
+    return false;
+  }
+}
+
+// 定期バックグラウンド同期を登録（対応ブラウザでインストールしたアプリのみ。間隔はブラウザが決める）
+export async function registerPeriodicSync(tag: string, minInterval: number): Promise<boolean> {
+  if (!('serviceWorker' in navigator)) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    const periodicSync = (registration as (ServiceWorkerRegistration & {
+      periodicSync?: { register(tag: string, options: { minInterval: number }): Promise<void> };
+    }) | undefined)?.periodicSync;
+    if (!periodicSync) return false;
+
+    await periodicSync.register(tag, { minInterval });
+    return true;
+  } catch (error) {
+    console.warn('Periodic sync registration failed:', tag, error);
+    return false;
+  }
+}
+
+export interface AppNotificationOptions extends NotificationOptions {
+  actions?: Array<{ action: string; title: string }>; // 通知のボタン（Service Worker経由の通知のみ）
+}
+
+export function canNotify(): boolean {
+  return 'Notification' in window && Notification.permission === 'granted';
+}
+
+// 通知の許可を求める（ボタンの操作などから呼ぶ。許可済みならそのままtrue）
+export async function requestNotificationPermission(): Promise<boolean> {
+  if (!('Notification' in window)) return false;
+  if (Notification.permission !== 'default') return Notification.permission === 'granted';
+
+  try {
+    return (await Notification.requestPermission()) === 'granted';
+  } catch (error) {
+    console.warn('Notification permission request failed:', error);
+    return false;
+  }
+}
+
+// 通知を表示（Service Worker経由にし、ボタンとクリックは public/sw.js の notificationclick で処理する）
+// Service Workerが無い場合（開発サーバー）はボタンの無い通知にし、クリックで onClick を呼ぶ
+export async function showNotification(title: string, options: AppNotificationOptions, onClick?: () => void): Promise<boolean> {
+  if (!canNotify()) return false;
+
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : undefined;
+    if (registration?.active) {
+      await registration.showNotification(title, options);
+      return true;
+    }
+
+    const notification = new Notification(title, { body: options.body, tag: options.tag, icon: options.icon });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+    return true;
+  } catch (error) {
+    console.warn('Notification failed:', title, error);
+    return false;
+  }
+}
+
 export const usePWAManager = () => {
   const [state, setState] = useState<PWAManagerState>({
     isOnline: navigator.onLine
   });
 
-  // オンライン/オフライン状態の監視のみ維持
+  // Service Worker（Background Syncでの文字起こしキューの送信に使う）
+  // 開発サーバーではモジュールがキャッシュされないよう登録しない
+  useEffect(() => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Service Worker registration failed:', error);
+    });
+  }, []);
+
+  // オンライン/オフライン状態の監視
   useEffect(() => {
     const handleOnline = () => {
       setState(prev => ({ ...prev, isOnline: true }));
@@ -39,23 +132,13 @@ export const usePWAManager = () => {
     console.warn('PWA update functionality is disabled in this environment');
   }, []);
 
-  const registerBackgroundSync = useCallback(async (tag: string) => {
-    console.warn('Background sync is disabled in this environment:', tag);
-  }, []);
-
-  const requestNotificationPermission = useCallback(async () => {
-    console.warn('Notification permission is disabled in this environment');
-    return false;
-  }, []);
-
-  const sendNotification = useCallback(async (title: string, options?: NotificationOptions) => {
-    console.warn('Notifications are disabled in this environment:', title);
-    return null;
+  const sendNotification = useCallback((title: string, options: AppNotificationOptions = {}) => {
+    return showNotification(title, options);
   }, []);
 
   return {
     ...state,
-    // PWA機能は全て無効
+    // インストール・更新は無効（Background Syncとリマインダーの通知のみ使用）
     isInstallable: false,
     isInstalled: false,
     updateAvailable: false,
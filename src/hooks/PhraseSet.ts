@@ -0,0 +1,268 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import sttApiService, { PhraseEntry, PhraseSetLimits, STTApiError } from '../services/sttApiService';
+
+// カスタム語彙（フレーズセット）
+// 端末のIndexedDBに保存し、サーバーと同期する（認識時はサーバー側の一覧が使われる）
+// - 端末で変更した場合: 未同期として記録し、次の同期でサーバーの一覧を置き換える
+// - 端末に未同期の変更が無い場合: サーバーの一覧を取り込む（他の端末での変更を反映）
+
+export type PhraseSyncStatus = 'idle' | 'syncing' | 'synced' | 'offline' | 'error';
+
+const DB_NAME = 'PhraseSetDB';
+const DB_VERSION = 1;
+const PHRASE_STORE = 'phrases';
+const META_STORE = 'meta';
+
+interface SyncState {
+  key: 'sync';
+  dirty: boolean; // サーバーに反映していない変更があるか
+  serverUpdatedAt: string | null; // 最後に同期したサーバー側の更新日時
+}
+
+// サーバーから制限値を取得するまでの既定値
+export const DEFAULT_PHRASE_LIMITS: PhraseSetLimits = {
+  maxPhrases: 500,
+  maxPhraseLength: 100,
+  maxBoost: 20,
+  classTokens: [],
+};
+
+class PhraseIndexedDB {
+  private db: IDBDatabase | null = null;
+
+  async init(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = (event.target as IDBOpenDBRequest).result;
+
+        if (!db.objectStoreNames.contains(PHRASE_STORE)) {
+          const phraseStore = db.createObjectStore(PHRASE_STORE, { keyPath: 'id' });
+          phraseStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+
+        // 同期状態
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+      };
+    });
+  }
+
+  async getAll(): Promise<PhraseEntry[]> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const request = this.db!.transaction([PHRASE_STORE], 'readonly').objectStore(PHRASE_STORE).getAll();
+      request.onsuccess = () => {
+        const phrases = request.result as PhraseEntry[];
+        resolve(phrases.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 一覧を丸ごと置き換え（同期状態も同じトランザクションで更新）
+  async replaceAll(phrases: PhraseEntry[], syncState: SyncState): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([PHRASE_STORE, META_STORE], 'readwrite');
+      const phraseStore = transaction.objectStore(PHRASE_STORE);
+
+      phraseStore.clear();
+      phrases.forEach(phrase => phraseStore.put(phrase));
+      transaction.objectStore(META_STORE).put(syncState);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getSyncState(): Promise<SyncState> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const request = this.db!.transaction([META_STORE], 'readonly').objectStore(META_STORE).get('sync');
+      request.onsuccess = () => {
+        resolve((request.result as SyncState) || { key: 'sync', dirty: false, serverUpdatedAt: null });
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+// フレーズの入力を検証（エラーメッセージ、問題なければnull）
+export function validatePhrase(
+  phrase: string,
+  boost: number | null,
+  limits: PhraseSetLimits = DEFAULT_PHRASE_LIMITS
+): string | null {
+  const trimmed = phrase.trim();
+  if (!trimmed) return 'フレーズを入力してください';
+  if (trimmed.length > limits.maxPhraseLength) return `フレーズは${limits.maxPhraseLength}文字以内にしてください`;
+
+  if (limits.classTokens.length > 0) {
+    const unknown = (trimmed.match(/\$[A-Z_]+/g) || []).filter(token => !limits.classTokens.includes(token));
+    if (unknown.length > 0) return `使用できないクラストークンです: ${unknown.join(', ')}`;
+  }
+
+  if (boost !== null && (!Number.isFinite(boost) || boost <= 0 || boost > limits.maxBoost)) {
+    return `ブースト値は0より大きく${limits.maxBoost}以下にしてください`;
+  }
+  return null;
+}
+
+export const usePhraseSet = () => {
+  const [phrases, setPhrases] = useState<PhraseEntry[]>([]);
+  const [limits, setLimits] = useState<PhraseSetLimits>(DEFAULT_PHRASE_LIMITS);
+  const [syncStatus, setSyncStatus] = useState<PhraseSyncStatus>('idle');
+  const [syncError, setSyncError] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const dbRef = useState(() => new PhraseIndexedDB())[0];
+  const syncingRef = useRef<Promise<void> | null>(null);
+  const resyncRef = useRef(false);
+
+  // サーバーと同期（実行中なら終了後にもう一度実行する）
+  const sync = useCallback(async (): Promise<void> => {
+    if (syncingRef.current) {
+      resyncRef.current = true;
+      return syncingRef.current;
+    }
+
+    const run = async () => {
+      if (!navigator.onLine) {
+        setSyncStatus('offline');
+        return;
+      }
+
+      setSyncStatus('syncing');
+      try {
+        const state = await dbRef.getSyncState();
+        const local = await dbRef.getAll();
+
+        const remote = state.dirty
+          ? await sttApiService.replacePhraseSet(local)
+          : await sttApiService.getPhraseSet();
+
+        setLimits(remote.limits);
+
+        // 同期中に端末側で変更された場合は取り込まず、次の同期で送る
+        // サーバー側が前回の同期から変わっていなければ書き込みは不要
+        if (resyncRef.current || (!state.dirty && remote.updatedAt === state.serverUpdatedAt)) {
+          setSyncError(null);
+          setSyncStatus('synced');
+          return;
+        }
+
+        await dbRef.replaceAll(remote.phrases, { key: 'sync', dirty: false, serverUpdatedAt: remote.updatedAt });
+        setPhrases(remote.phrases);
+        setSyncError(null);
+        setSyncStatus('synced');
+      } catch (error) {
+        console.error('Phrase sync error:', error);
+        const apiError = error instanceof STTApiError ? error : null;
+        setSyncError(apiError ? apiError.message : 'フレーズの同期に失敗しました');
+        setSyncStatus(apiError?.code === 'NETWORK_ERROR' ? 'offline' : 'error');
+      }
+    };
+
+    syncingRef.current = run().finally(() => {
+      syncingRef.current = null;
+    });
+    await syncingRef.current;
+
+    if (resyncRef.current) {
+      resyncRef.current = false;
+      await sync();
+    }
+  }, [dbRef]);
+
+  // 端末側の一覧を更新して同期
+  const commit = useCallback(async (next: PhraseEntry[]) => {
+    const state = await dbRef.getSyncState();
+    await dbRef.replaceAll(next, { ...state, dirty: true });
+    setPhrases(next);
+    sync();
+  }, [dbRef, sync]);
+
+  // 初期読み込み
+  useEffect(() => {
+    const load = async () => {
+      try {
+        await dbRef.init();
+        setPhrases(await dbRef.getAll());
+      } catch (error) {
+        console.error('Failed to load phrases:', error);
+      } finally {
+        setIsLoading(false);
+      }
+      sync();
+    };
+
+    load();
+  }, [dbRef, sync]);
+
+  // オンラインに戻ったら同期
+  useEffect(() => {
+    const handleOnline = () => {
+      sync();
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [sync]);
+
+  // フレーズ追加（同じフレーズがあればブースト値を更新）
+  const addPhrase = useCallback(async (phrase: string, boost: number | null) => {
+    const validationError = validatePhrase(phrase, boost, limits);
+    if (validationError) throw new Error(validationError);
+    if (phrases.length >= limits.maxPhrases) {
+      throw new Error(`フレーズは${limits.maxPhrases}件まで登録できます`);
+    }
+
+    const text = phrase.trim().replace(/\s+/g, ' ');
+    const now = new Date().toISOString();
+    const existing = phrases.find(item => item.phrase === text);
+
+    await commit(existing
+      ? phrases.map(item => item === existing ? { ...item, boost, updatedAt: now } : item)
+      : [...phrases, { id: crypto.randomUUID(), phrase: text, boost, createdAt: now, updatedAt: now }]);
+  }, [phrases, limits, commit]);
+
+  // フレーズ更新
+  const updatePhrase = useCallback(async (id: string, phrase: string, boost: number | null) => {
+    const validationError = validatePhrase(phrase, boost, limits);
+    if (validationError) throw new Error(validationError);
+
+    const text = phrase.trim().replace(/\s+/g, ' ');
+    const now = new Date().toISOString();
+
+    await commit(phrases
+      .filter(item => item.id === id || item.phrase !== text)
+      .map(item => item.id === id ? { ...item, phrase: text, boost, updatedAt: now } : item));
+  }, [phrases, limits, commit]);
+
+  // フレーズ削除
+  const deletePhrase = useCallback(async (id: string) => {
+    await commit(phrases.filter(item => item.id !== id));
+  }, [phrases, commit]);
+
+  return {
+    phrases,
+    limits,
+    isLoading,
+    syncStatus,
+    syncError,
+    addPhrase,
+    updatePhrase,
+    deletePhrase,
+    sync,
+  };
+};
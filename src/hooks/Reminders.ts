@@ -0,0 +1,85 @@
+import { useState, useEffect, useRef } from 'react';
+import { Memo } from './IndexedDBMemo';
+import { AppNotificationOptions, canNotify, registerPeriodicSync, showNotification } from './PWAManager';
+import { getNextReminderDue, isReminderActive } from '../utils/reminderTime';
+
+// リマインダーの通知
+// アプリを開いている間は次の日時にタイマーで、閉じている間は Service Worker の定期バックグラウンド同期（対応ブラウザのみ）で通知する
+// 通知の内容・ボタン（10分後・完了）・クリックでメモを開く処理は public/sw.js と揃えること
+
+export const REMINDER_SYNC_TAG = 'memo-reminders';
+const REMINDER_SYNC_INTERVAL = 15 * 60 * 1000; // 定期バックグラウンド同期の間隔の希望（実際の間隔はブラウザが決める）
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000; // setTimeout の上限（約24.8日）を超えないように
+const NOTIFICATION_BODY_LENGTH = 120;
+
+// 通知の内容（public/sw.js の showReminderNotification と同じ）
+function toReminderNotification(memo: Memo): { title: string; options: AppNotificationOptions } {
+  const text = memo.text.trim() || '（本文なし）';
+  return {
+    title: 'ふせん君のリマインダー',
+    options: {
+      body: text.length > NOTIFICATION_BODY_LENGTH ? `${text.slice(0, NOTIFICATION_BODY_LENGTH)}…` : text,
+      tag: `reminder-${memo.id}`,
+      icon: '/icon-192.png',
+      badge: '/icon-192.png',
+      requireInteraction: true,
+      data: { memoId: memo.id, url: `/?memo=${memo.id}` },
+      actions: [
+        { action: 'snooze', title: '10分後' },
+        { action: 'done', title: '完了' },
+      ],
+    },
+  };
+}
+
+interface ReminderSchedulerOptions {
+  memos: Memo[];
+  isLoading: boolean;
+  takeDueReminders: (now: number) => Promise<Memo[]>;
+  onOpenMemo: (id: number) => void; // Service Workerが無い場合の通知をクリックしたとき
+}
+
+// 日時を過ぎたリマインダーを通知し、次の日時にもう一度確認する（通知が許可されていなければ通知済みにしない）
+// バックグラウンドではタイマーが遅れるため、画面に戻ったときにも確認する
+export const useReminderScheduler = ({ memos, isLoading, takeDueReminders, onOpenMemo }: ReminderSchedulerOptions) => {
+  const [tick, setTick] = useState(0);
+  const onOpenMemoRef = useRef(onOpenMemo);
+
+  useEffect(() => {
+    onOpenMemoRef.current = onOpenMemo;
+  }, [onOpenMemo]);
+
+  useEffect(() => {
+    if (isLoading) return;
+
+    const now = Date.now();
+    if (canNotify()) {
+      takeDueReminders(now).then((due) => {
+        due.forEach((memo) => {
+          const { title, options } = toReminderNotification(memo);
+          showNotification(title, options, () => onOpenMemoRef.current(memo.id));
+        });
+      });
+    }
+
+    const next = getNextReminderDue(memos.map(memo => memo.reminder), now);
+    const timeoutId = next === null
+      ? undefined
+      : setTimeout(() => setTick(value => value + 1), Math.min(Math.max(next - now, 1000), MAX_TIMER_DELAY));
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') setTick(value => value + 1);
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearTimeout(timeoutId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isLoading, memos, tick, takeDueReminders]);
+
+  // 閉じている間も通知できるよう、通知を待つリマインダーがあれば定期バックグラウンド同期を登録
+  const hasActiveReminders = memos.some(memo => isReminderActive(memo.reminder));
+  useEffect(() => {
+    if (hasActiveReminders) registerPeriodicSync(REMINDER_SYNC_TAG, REMINDER_SYNC_INTERVAL);
+  }, [hasActiveReminders]);
+};
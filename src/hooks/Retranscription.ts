@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import sttApiService, { STTResponse, SupportedModels } from '../services/sttApiService';
+import { AudioRecording } from './IndexedDBAudio';
+import { Memo, hasMemoAudio } from './IndexedDBMemo';
+import { loadLanguageSettings } from './LanguageSettings';
+import { loadDiarizationSettings } from './DiarizationSettings';
+
+// 保存した音声の再文字起こし（言語・認識モデル・追加フレーズを変えてやり直す）
+
+export interface RetranscriptionOptions {
+  language: string;
+  alternativeLanguages: string[];
+  model?: string; // 省略時はサーバーの既定
+  phraseHints?: string[]; // 登録済みのカスタム語彙に加えて、この再文字起こしだけで使うフレーズ
+}
+
+export interface BulkRetranscriptionProgress {
+  done: number;
+  total: number;
+  failed: number; // 再文字起こしでも失敗した件数
+}
+
+// サーバーから取得できない場合（モデルは選べない扱い）
+const FALLBACK_MODELS: SupportedModels = { models: [], defaultModel: '', maxPhraseHints: 50 };
+
+// 認識モデルの表示名
+const MODEL_LABELS: Record<string, string> = {
+  latest_long: '長い音声・会話',
+  latest_short: '短い音声',
+  default: '汎用',
+  command_and_search: '短い指示・検索',
+  phone_call: '電話の音声',
+  video: '動画・複数人',
+};
+
+export function getModelLabel(model: string): string {
+  return MODEL_LABELS[model] || model;
+}
+
+// 設定（主言語・候補言語）から作る既定の条件
+export function getDefaultRetranscriptionOptions(): RetranscriptionOptions {
+  const languageSettings = loadLanguageSettings();
+  return { language: languageSettings.primary, alternativeLanguages: languageSettings.candidates };
+}
+
+// 保存した録音をもう一度文字起こし（話者分離は設定に従う）
+export async function retranscribeRecording(
+  recording: AudioRecording,
+  options: RetranscriptionOptions = getDefaultRetranscriptionOptions(),
+  signal?: AbortSignal
+): Promise<STTResponse> {
+  const format = sttApiService.detectAudioFormat(recording.audioBlob);
+  const diarizationSettings = loadDiarizationSettings();
+
+  return sttApiService.transcribeAudioFile(recording.audioBlob, format, options.language, {
+    alternativeLanguages: options.alternativeLanguages.filter(code => code !== options.language),
+    diarization: diarizationSettings.enabled
+      ? { minSpeakers: diarizationSettings.minSpeakers, maxSpeakers: diarizationSettings.maxSpeakers }
+      : undefined,
+    model: options.model,
+    phraseHints: options.phraseHints?.length ? options.phraseHints : undefined,
+    signal,
+  });
+}
+
+// 使用中のプロバイダーで選べる認識モデル
+export const useRecognitionModels = (): SupportedModels => {
+  const [supported, setSupported] = useState<SupportedModels>(FALLBACK_MODELS);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    sttApiService.getSupportedModels()
+      .then((models) => {
+        if (!cancelled) setSupported(models);
+      })
+      .catch((error) => {
+        console.warn('Failed to load recognition models:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return supported;
+};
+
+// 文字起こしに失敗したメモをまとめて再文字起こし（1件ずつ順に処理し、成功した結果はそのまま採用）
+// 音声は1件ずつ読み込む（一覧のメモは音声本体を持たない）
+export const useBulkRetranscription = (
+  applyResult: (memoId: number, result: STTResponse) => Promise<boolean>,
+  loadAudio: (memoId: number) => Promise<AudioRecording | null>
+) => {
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState<BulkRetranscriptionProgress | null>(null);
+  const controllerRef = useRef<AbortController | null>(null);
+
+  // 処理中にメモ一覧が更新されても最新の関数で採用する
+  const applyResultRef = useRef(applyResult);
+  applyResultRef.current = applyResult;
+  const loadAudioRef = useRef(loadAudio);
+  loadAudioRef.current = loadAudio;
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const run = useCallback(async (memos: Memo[]) => {
+    const targets = memos.filter(hasMemoAudio);
+    if (controllerRef.current || targets.length === 0) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+
+    let done = 0;
+    let failed = 0;
+    setProgress({ done, total: targets.length, failed });
+
+    try {
+      for (const memo of targets) {
+        if (controller.signal.aborted) break;
+
+        try {
+          const recording = await loadAudioRef.current(memo.id);
+          if (!recording) {
+            failed++;
+          } else {
+            const result = await retranscribeRecording(recording, undefined, controller.signal);
+            if (!(await applyResultRef.current(memo.id, result))) failed++;
+          }
+        } catch (error) {
+          if (controller.signal.aborted) break;
+          console.error('Bulk retranscription error:', memo.id, error);
+          failed++;
+        }
+
+        done++;
+        setProgress({ done, total: targets.length, failed });
+      }
+    } finally {
+      controllerRef.current = null;
+      setIsRunning(false);
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  return { isRunning, progress, run, cancel };
+};
@@ -0,0 +1,101 @@
+import { useState, useCallback, useMemo } from 'react';
+import { MemoFilter, MemoFilterTarget, matchesMemoFilter, parseMemoFilter } from '../utils/memoFilter';
+import { loadMemoViewSettings, saveMemoViewSettings } from './MemoViewSettings';
+
+// スマートフォルダ（名前を付けて保存した絞り込み条件。条件の書き方は utils/memoFilter.ts）
+// 選んでいるフォルダ・タグは次に開いたときも引き継ぐ
+
+export interface SmartFolder {
+  id: string;
+  name: string;
+  expression: string;
+}
+
+const STORAGE_KEY = 'fusenkun-smart-folders';
+
+function isSmartFolder(value: unknown): value is SmartFolder {
+  const folder = value as SmartFolder | null;
+  return Boolean(folder) && typeof folder!.id === 'string' && typeof folder!.name === 'string' && typeof folder!.expression === 'string';
+}
+
+export function loadSmartFolders(): SmartFolder[] {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      if (Array.isArray(parsed)) return parsed.filter(isSmartFolder);
+    }
+  } catch (error) {
+    console.warn('Failed to load smart folders:', error);
+  }
+  return [];
+}
+
+function saveSmartFolders(folders: SmartFolder[]): void {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(folders));
+}
+
+// 一覧と設定画面で同じフォルダを使うため、App で1つだけ使い設定画面に渡す
+export const useSmartFolders = () => {
+  const [folders, setFolders] = useState<SmartFolder[]>(loadSmartFolders);
+  const [folderId, setFolderId] = useState<string | null>(() => loadMemoViewSettings().folderId);
+  const [tag, setTag] = useState<string | null>(() => loadMemoViewSettings().tag);
+
+  const updateFolders = useCallback((update: (folders: SmartFolder[]) => SmartFolder[]) => {
+    setFolders((prev) => {
+      const next = update(prev);
+      saveSmartFolders(next);
+      return next;
+    });
+  }, []);
+
+  const selectFolder = useCallback((id: string | null) => {
+    saveMemoViewSettings({ folderId: id });
+    setFolderId(id);
+  }, []);
+
+  const selectTag = useCallback((name: string | null) => {
+    saveMemoViewSettings({ tag: name });
+    setTag(name);
+  }, []);
+
+  const addFolder = useCallback((name: string, expression: string) => {
+    updateFolders(prev => [...prev, { id: crypto.randomUUID(), name: name.trim(), expression: expression.trim() }]);
+  }, [updateFolders]);
+
+  const updateFolder = useCallback((id: string, changes: Pick<SmartFolder, 'name' | 'expression'>) => {
+    updateFolders(prev => prev.map(folder => (
+      folder.id === id ? { ...folder, name: changes.name.trim(), expression: changes.expression.trim() } : folder
+    )));
+  }, [updateFolders]);
+
+  const removeFolder = useCallback((id: string) => {
+    updateFolders(prev => prev.filter(folder => folder.id !== id));
+    if (folderId === id) selectFolder(null);
+  }, [updateFolders, folderId, selectFolder]);
+
+  // 選んでいるフォルダ（削除済みなら無し）とタグの条件
+  const activeFolder = folders.find(folder => folder.id === folderId) ?? null;
+  const activeFilter = useMemo<MemoFilter | null>(
+    () => (activeFolder ? parseMemoFilter(activeFolder.expression).filter : null),
+    [activeFolder]
+  );
+
+  const filterMemos = useCallback(<T extends MemoFilterTarget>(memos: T[], now: number): T[] => {
+    return memos.filter(memo =>
+      (!activeFilter || matchesMemoFilter(memo, activeFilter, now)) && (!tag || (memo.tags ?? []).includes(tag))
+    );
+  }, [activeFilter, tag]);
+
+  return {
+    folders,
+    activeFolder,
+    activeTag: tag,
+    selectFolder,
+    selectTag,
+    addFolder,
+    updateFolder,
+    removeFolder,
+    filterMemos,
+  };
+};
@@ -0,0 +1,460 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import sttApiService, { STTResponse, DiarizationOptions, STTApiError } from '../services/sttApiService';
+import { toSTTApiError } from '../services/sttErrors';
+import { AudioRecording } from './IndexedDBAudio';
+import { loadLanguageSettings } from './LanguageSettings';
+import { loadDiarizationSettings } from './DiarizationSettings';
+import { registerBackgroundSync } from './PWAManager';
+
+// 文字起こしキュー
+// オフライン時や送信に失敗した録音をIndexedDBに残し、接続が戻ったらバックオフしながら再送する
+// - Background Syncが使える場合: Service Worker（public/sw.js の memo-sync）がアプリを閉じていても送信する
+// - アプリを開いている間: 次の再試行時刻とオンライン復帰時にアプリ内でも送信する（Background Sync非対応時の代わり）
+// 同じ項目をアプリとService Workerが同時に送らないよう、処理中は期限付きで引き受ける
+// 結果はキューに残し、アプリがメモに反映してから削除する（Service Workerはメモを書き換えない）
+// DB名・ストア・再試行の設定は public/sw.js と揃えること
+
+export type QueueState = 'pending' | 'uploading' | 'transcribing' | 'completed' | 'failed';
+
+export interface QueueEntry {
+  memoId: number;
+  audioBlob: Blob;
+  format: string;
+  language: string;
+  alternativeLanguages: string[];
+  diarization?: DiarizationOptions;
+  state: QueueState;
+  attempts: number; // 失敗した回数
+  nextAttemptAt: number; // 次に送信する時刻
+  leaseUntil: number; // 処理を引き受けた期限（アプリまたはService Worker）
+  jobId?: string; // 登録済みのジョブ（再開時はアップロードし直さずに結果を待つ）
+  result?: STTResponse;
+  lastError?: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+// メモに表示するキューの状態
+export type QueueStatus = Pick<QueueEntry, 'state' | 'attempts' | 'nextAttemptAt' | 'lastError'>;
+
+interface QueueConfig {
+  key: 'connection';
+  baseUrl: string;
+  apiKey: string | null;
+}
+
+const DB_NAME = 'TranscriptionQueueDB';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'queue';
+const CONFIG_STORE = 'config';
+
+const SYNC_TAG = 'memo-sync';
+const MAX_ATTEMPTS = 8; // 失敗がこの回数に達したら再送をやめ、再文字起こしに回す
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+const LEASE_DURATION = 5 * 60 * 1000;
+const POLL_INTERVAL = 2000;
+const POLL_LIMIT = 3 * 60 * 1000; // これより長いジョブは一度手放し、次の処理で結果を待ち直す
+
+const ACTIVE_STATES: QueueState[] = ['pending', 'uploading', 'transcribing'];
+
+// 再試行までの待ち時間（失敗するたびに倍、サーバーがRetry-Afterを返した場合はそれ以上）
+export function getRetryDelay(attempts: number, retryAfterSeconds?: number | null): number {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+  return Math.max(delay, (retryAfterSeconds ?? 0) * 1000);
+}
+
+function toStatus(entry: QueueEntry): QueueStatus {
+  return { state: entry.state, attempts: entry.attempts, nextAttemptAt: entry.nextAttemptAt, lastError: entry.lastError };
+}
+
+class TranscriptionQueueDB {
+  private db: IDBDatabase | null = null;
+
+  async init(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = (event.target as IDBOpenDBRequest).result;
+
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'memoId' });
+        }
+
+        // Service Workerが使う接続先
+        if (!db.objectStoreNames.contains(CONFIG_STORE)) {
+          db.createObjectStore(CONFIG_STORE, { keyPath: 'key' });
+        }
+      };
+    });
+  }
+
+  async getAll(): Promise<QueueEntry[]> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const request = this.db!.transaction([QUEUE_STORE], 'readonly').objectStore(QUEUE_STORE).getAll();
+      request.onsuccess = () => {
+        const entries = request.result as QueueEntry[];
+        resolve(entries.sort((a, b) => a.createdAt - b.createdAt));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async put(entry: QueueEntry): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([QUEUE_STORE], 'readwrite');
+      transaction.objectStore(QUEUE_STORE).put(entry);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // 同じメモの項目が無い場合のみ追加（追加したらtrue）
+  async add(entry: QueueEntry): Promise<boolean> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([QUEUE_STORE], 'readwrite');
+      const store = transaction.objectStore(QUEUE_STORE);
+      let added = false;
+
+      const request = store.getKey(entry.memoId);
+      request.onsuccess = () => {
+        if (request.result !== undefined) return;
+        store.put(entry);
+        added = true;
+      };
+
+      transaction.oncomplete = () => resolve(added);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async delete(memoId: number): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([QUEUE_STORE], 'readwrite');
+      transaction.objectStore(QUEUE_STORE).delete(memoId);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // 送信を引き受ける（他が処理中、または再試行時刻前ならnull。force=trueなら再試行時刻を待たない）
+  // 読み取りと書き込みを同じトランザクションで行い、アプリとService Workerで重複させない
+  async claim(memoId: number, force: boolean): Promise<QueueEntry | null> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([QUEUE_STORE], 'readwrite');
+      const store = transaction.objectStore(QUEUE_STORE);
+      let claimed: QueueEntry | null = null;
+
+      const request = store.get(memoId);
+      request.onsuccess = () => {
+        const entry = request.result as QueueEntry | undefined;
+        const now = Date.now();
+        if (!entry || !ACTIVE_STATES.includes(entry.state) || entry.leaseUntil > now) return;
+        if (!force && entry.nextAttemptAt > now) return;
+
+        claimed = { ...entry, leaseUntil: now + LEASE_DURATION, updatedAt: now };
+        store.put(claimed);
+      };
+
+      transaction.oncomplete = () => resolve(claimed);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async saveConfig(config: Omit<QueueConfig, 'key'>): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db!.transaction([CONFIG_STORE], 'readwrite');
+      transaction.objectStore(CONFIG_STORE).put({ key: 'connection', ...config });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// 1件送信して結果を待つ（途中の状態もキューに保存し、onUpdateで知らせる）
+async function processEntry(
+  db: TranscriptionQueueDB,
+  entry: QueueEntry,
+  onUpdate: (entry: QueueEntry) => void
+): Promise<void> {
+  let current = entry;
+  const save = async (changes: Partial<QueueEntry>) => {
+    current = { ...current, ...changes, updatedAt: Date.now() };
+    await db.put(current);
+    onUpdate(current);
+  };
+
+  try {
+    if (!current.jobId) {
+      await save({ state: 'uploading' });
+      const job = await sttApiService.createTranscriptionJob(current.audioBlob, current.format, current.language, {
+        alternativeLanguages: current.alternativeLanguages,
+        diarization: current.diarization,
+      });
+      await save({ state: 'transcribing', jobId: job.id });
+    }
+
+    const deadline = Date.now() + POLL_LIMIT;
+    while (Date.now() < deadline) {
+      const job = await sttApiService.getTranscriptionJob(current.jobId!);
+
+      if (job.status === 'completed' && job.result) {
+        await save({ state: 'completed', result: { ...job.result, success: true }, leaseUntil: 0 });
+        return;
+      }
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        // 次に送るときはジョブを登録し直す
+        await save({ jobId: undefined });
+        throw new STTApiError(job.errorCode || 'TRANSCRIPTION_FAILED', {
+          retryable: job.status === 'cancelled' || (job.retryable ?? false),
+          serverMessage: job.error || undefined,
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+
+    // 長いジョブは一度手放す（次の処理で続きから結果を待つ）
+    await save({ leaseUntil: 0, nextAttemptAt: Date.now() + POLL_INTERVAL });
+
+  } catch (error) {
+    const apiError = toSTTApiError(error);
+    const attempts = current.attempts + 1;
+    // サーバーがジョブを失った場合（再起動等）は登録し直す
+    const jobId = apiError.code === 'JOB_NOT_FOUND' ? undefined : current.jobId;
+
+    if (apiError.retryable && attempts < MAX_ATTEMPTS) {
+      await save({
+        state: 'pending',
+        attempts,
+        jobId,
+        nextAttemptAt: Date.now() + getRetryDelay(attempts, apiError.retryAfter),
+        leaseUntil: 0,
+        lastError: apiError.message,
+      });
+    } else {
+      await save({ state: 'failed', attempts, jobId: undefined, leaseUntil: 0, lastError: apiError.message });
+    }
+  }
+}
+
+export interface TranscriptionQueueOptions {
+  // 結果をメモに反映（反映できなければfalse。キューに残し、次の更新で反映し直す）
+  onCompleted: (memoId: number, result: STTResponse) => Promise<boolean>;
+  onFailed: (memoId: number, error: string) => Promise<boolean>;
+}
+
+// キューの新しい項目（言語・話者分離は今の設定。lastErrorがあれば送信に失敗した後として再試行を待つ）
+function createEntry(memoId: number, recording: AudioRecording, lastError?: string): QueueEntry {
+  const languageSettings = loadLanguageSettings();
+  const diarizationSettings = loadDiarizationSettings();
+  const attempts = lastError ? 1 : 0;
+  const now = Date.now();
+
+  return {
+    memoId,
+    audioBlob: recording.audioBlob,
+    format: sttApiService.detectAudioFormat(recording.audioBlob),
+    language: languageSettings.primary,
+    alternativeLanguages: languageSettings.candidates,
+    diarization: diarizationSettings.enabled
+      ? { minSpeakers: diarizationSettings.minSpeakers, maxSpeakers: diarizationSettings.maxSpeakers }
+      : undefined,
+    state: 'pending',
+    attempts,
+    nextAttemptAt: now + (attempts > 0 ? getRetryDelay(attempts) : 0),
+    leaseUntil: 0,
+    lastError,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+export const useTranscriptionQueue = (options: TranscriptionQueueOptions) => {
+  const [statuses, setStatuses] = useState<Record<number, QueueStatus>>({});
+  const dbRef = useState(() => new TranscriptionQueueDB())[0];
+  const readyRef = useRef<Promise<void> | null>(null);
+  const processingRef = useRef<Promise<void> | null>(null);
+  const rerunRef = useRef(false);
+  const timerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const processRef = useRef<(force?: boolean) => Promise<void>>(async () => {});
+
+  // キューの更新中にメモ一覧が変わっても最新の関数で反映する
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  // DBを開き、Service Workerが使う接続先を保存
+  const ready = useCallback(() => {
+    if (!readyRef.current) {
+      readyRef.current = dbRef.init().then(() => dbRef.saveConfig(sttApiService.getConnectionConfig()));
+    }
+    return readyRef.current;
+  }, [dbRef]);
+
+  // 終わった項目をメモに反映してキューから消し、残りの状態を表示。次の再試行を予約する
+  const refresh = useCallback(async () => {
+    await ready();
+    const remaining: QueueEntry[] = [];
+
+    for (const entry of await dbRef.getAll()) {
+      let applied = false;
+      if (entry.state === 'completed' && entry.result) {
+        applied = await optionsRef.current.onCompleted(entry.memoId, entry.result);
+      } else if (entry.state === 'failed') {
+        applied = await optionsRef.current.onFailed(entry.memoId, entry.lastError || '文字起こしに失敗しました');
+      }
+
+      if (applied) {
+        await dbRef.delete(entry.memoId);
+      } else {
+        remaining.push(entry);
+      }
+    }
+
+    setStatuses(Object.fromEntries(remaining.map(entry => [entry.memoId, toStatus(entry)])));
+
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+    const waiting = remaining.filter(entry => ACTIVE_STATES.includes(entry.state));
+    if (waiting.length > 0) {
+      // オフラインの間はオンライン復帰時に送る
+      if (navigator.onLine) {
+        const next = Math.min(...waiting.map(entry => Math.max(entry.nextAttemptAt, entry.leaseUntil)));
+        timerRef.current = setTimeout(() => processRef.current(), Math.max(next - Date.now(), POLL_INTERVAL));
+      }
+      // アプリを閉じても送れるよう、Background Syncにも任せる
+      registerBackgroundSync(SYNC_TAG);
+    }
+  }, [dbRef, ready]);
+
+  // 送信時刻になった項目を送る（force=trueなら再試行時刻を待たない。実行中なら終了後にもう一度実行する）
+  const processQueue = useCallback(async (force: boolean = false): Promise<void> => {
+    if (processingRef.current) {
+      rerunRef.current = true;
+      return processingRef.current;
+    }
+
+    const run = async () => {
+      await ready();
+
+      if (navigator.onLine) {
+        for (const entry of await dbRef.getAll()) {
+          const claimed = await dbRef.claim(entry.memoId, force);
+          if (!claimed) continue;
+
+          await processEntry(dbRef, claimed, (updated) => {
+            setStatuses(prev => ({ ...prev, [updated.memoId]: toStatus(updated) }));
+          });
+        }
+      }
+
+      await refresh();
+    };
+
+    processingRef.current = run()
+      .catch((error) => {
+        console.error('Transcription queue error:', error);
+      })
+      .finally(() => {
+        processingRef.current = null;
+      });
+    await processingRef.current;
+
+    if (rerunRef.current) {
+      rerunRef.current = false;
+      await processQueue(force);
+    }
+  }, [dbRef, ready, refresh]);
+
+  processRef.current = processQueue;
+
+  // 起動時（前回の残り・Service Workerが閉じている間に送った結果）
+  useEffect(() => {
+    processQueue();
+  }, [processQueue]);
+
+  // 接続が戻ったらバックオフを待たずに送る
+  useEffect(() => {
+    const handleOnline = () => {
+      processQueue(true);
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [processQueue]);
+
+  // Service Workerが送信した結果を反映
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+
+    const handleMessage = (event: MessageEvent) => {
+      if (event.data?.type === 'transcription-queue-updated') {
+        refresh().catch((error) => console.error('Transcription queue refresh error:', error));
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [refresh]);
+
+  useEffect(() => () => {
+    if (timerRef.current) clearTimeout(timerRef.current);
+  }, []);
+
+  // 録音をキューに入れる（同じメモの項目があれば置き換える）
+  const enqueue = useCallback(async (memoId: number, recording: AudioRecording, lastError?: string) => {
+    await ready();
+    await dbRef.put(createEntry(memoId, recording, lastError));
+    await processQueue();
+  }, [dbRef, ready, processQueue]);
+
+  // 送信中・文字起こし中にアプリを閉じた録音をキューに戻す（キューに残っていればそのまま）
+  const resume = useCallback(async (memoId: number, recording: AudioRecording) => {
+    await ready();
+    if (await dbRef.add(createEntry(memoId, recording))) {
+      await processQueue();
+    }
+  }, [dbRef, ready, processQueue]);
+
+  // キューから外す（メモの削除・再文字起こしの採用時）
+  const remove = useCallback(async (memoId: number) => {
+    await ready();
+    await dbRef.delete(memoId);
+    setStatuses(prev => {
+      const next = { ...prev };
+      delete next[memoId];
+      return next;
+    });
+  }, [dbRef, ready]);
+
+  // 今すぐ送る（再試行時刻を待たない）
+  const retryNow = useCallback(() => processQueue(true), [processQueue]);
+
+  return {
+    statuses,
+    enqueue,
+    resume,
+    remove,
+    retryNow,
+    refresh,
+  };
+};
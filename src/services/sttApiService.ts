@@ -1,28 +1,117 @@
 // STT API通信サービス
+import { STTApiError, parseErrorResponse, toSTTApiError } from './sttErrors';
+
+export { STTApiError } from './sttErrors';
+
+// 認識候補（最有力の結果以外の文字起こし）
+export interface TranscriptAlternative {
+  transcript: string;
+  confidence: number;
+}
+
+// 単語ごとの時刻（音声の先頭からの秒数）と信頼度
+export interface WordDetail {
+  word: string;
+  startTime: number;
+  endTime: number;
+  confidence: number; // 0は信頼度なし（プロバイダーが返さない場合）
+  speaker?: number; // 話者分離を有効にした場合
+}
+
+// 話者ごとの発言区間（話者分離を有効にした場合）
+export interface SpeakerSegment {
+  speaker: number; // 1始まりの話者番号
+  startTime: number;
+  endTime: number;
+  transcript: string;
+  confidence: number;
+}
+
+// 話者分離の指定（話者数の範囲。省略時はサーバーの既定）
+export interface DiarizationOptions {
+  minSpeakers?: number;
+  maxSpeakers?: number;
+}
+
 export interface STTResponse {
   success: boolean;
   transcription: string;
   confidence: number;
   processingTime: number;
   totalTime?: number;
-  alternatives?: Array<{
-    transcript: string;
-    confidence: number;
-  }>;
-  wordDetails?: Array<{
-    word: string;
-    startTime: number;
-    endTime: number;
-    confidence: number;
-  }>;
+  alternatives?: TranscriptAlternative[];
+  wordDetails?: WordDetail[];
+  detectedLanguage?: string; // 主言語・候補言語から判定した言語
+  segments?: SpeakerSegment[]; // 話者分離を有効にした場合の発言区間
   metadata?: {
     audioFormat: string;
     audioSize: number;
     language: string;
+    alternativeLanguages?: string[];
+    diarization?: { minSpeakers: number; maxSpeakers: number } | null;
+    model?: string;
+    phraseHints?: number; // リクエストで追加したフレーズ数
     chunks?: number;
+    sampleRate?: number;
+    channels?: number;
+    transcoded?: boolean;
     timestamp: string;
   };
   error?: string;
+  code?: string;
+  retryable?: boolean;
+}
+
+export type TranscriptionJobStatus = 'queued' | 'processing' | 'completed' | 'failed' | 'cancelled';
+
+export interface TranscriptionJob {
+  id: string;
+  status: TranscriptionJobStatus;
+  progress: {
+    completedChunks: number;
+    totalChunks: number | null;
+  };
+  result: STTResponse | null;
+  error: string | null;
+  errorCode: string | null;
+  retryable: boolean | null;
+  cancelRequested: boolean;
+  createdAt: string;
+  updatedAt: string;
+  finishedAt: string | null;
+}
+
+export interface TranscriptionJobOptions {
+  onProgress?: (job: TranscriptionJob) => void;
+  signal?: AbortSignal;
+  callbackUrl?: string;
+  alternativeLanguages?: string[]; // 候補言語（省略時はサーバーの既定）
+  diarization?: DiarizationOptions; // 指定すると話者分離を行う
+  model?: string; // 認識モデル（省略時はサーバーの既定）
+  phraseHints?: string[]; // このリクエストだけ追加するフレーズ（登録済みのカスタム語彙に加える）
+}
+
+// 使用中のプロバイダーが対応する言語
+export interface SupportedLanguages {
+  languages: string[];
+  defaultLanguage: string;
+  defaultAlternativeLanguages: string[];
+  maxAlternativeLanguages: number;
+}
+
+// 使用中のプロバイダーの話者分離対応
+export interface DiarizationSupport {
+  supported: boolean;
+  defaultMinSpeakers: number;
+  defaultMaxSpeakers: number;
+  maxSpeakers: number; // 指定できる話者数の上限
+}
+
+// 使用中のプロバイダーで選べる認識モデル
+export interface SupportedModels {
+  models: string[]; // 空ならモデルは指定できない
+  defaultModel: string;
+  maxPhraseHints: number;
 }
 
 export interface STTServiceHealth {
@@ -33,6 +122,7 @@ export interface STTServiceHealth {
   stats: {
     totalRequests: number;
     activeClients: number;
+    audioSeconds?: number;
     initialized: boolean;
     uptime: number;
   };
@@ -40,10 +130,77 @@ export interface STTServiceHealth {
   version: string;
 }
 
+// カスタム語彙（認識時に優先するフレーズ）
+// boost: 0より大きく上限以下の値（nullはブーストなし）。"$ADDRESSNUM" 等のクラストークンを含められる
+export interface PhraseEntry {
+  id: string;
+  phrase: string;
+  boost: number | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PhraseSetLimits {
+  maxPhrases: number;
+  maxPhraseLength: number;
+  maxBoost: number;
+  classTokens: string[];
+}
+
+export interface PhraseSet {
+  phrases: PhraseEntry[];
+  updatedAt: string | null;
+  limits: PhraseSetLimits;
+}
+
+// サーバーに同期したメモ（memo は端末が送った内容をそのまま返す。削除済みはnull）
+export interface RemoteMemoRecord {
+  id: number;
+  updatedAt: number; // 端末で変更した時刻（競合はこれが新しい方を採用する）
+  deleted: boolean;
+  memo: Record<string, unknown> | null;
+  audio: { type: string; size: number } | null; // サーバーに保存済みの音声
+  seq: number;
+}
+
+// 端末から送る変更（削除は deleted: true のみ）
+export interface MemoChange {
+  id: number;
+  updatedAt: number;
+  deleted?: boolean;
+  memo?: Record<string, unknown>;
+}
+
+export interface MemoSyncLimits {
+  maxMemos: number;
+  maxMemoBytes: number;
+  maxBatch: number;
+  maxAudioBytes: number;
+}
+
+export interface MemoChanges {
+  memos: RemoteMemoRecord[];
+  cursor: number; // 次の取得の since（since より小さければサーバーのデータが初期化された）
+  hasMore: boolean;
+  limits: MemoSyncLimits;
+}
+
+// applied: 反映された、conflict: サーバーの方が新しい（memo がサーバーの版）
+export interface MemoPushResult {
+  results: Array<{ id: number; status: 'applied' | 'conflict'; memo: RemoteMemoRecord }>;
+  cursor: number;
+}
+
 class STTApiService {
   private baseUrl: string;
   private timeout: number;
   private retryAttempts: number;
+  private maxRetryDelay: number;
+  private pollInterval: number;
+  private jobTimeout: number;
+  private apiKey: string | null;
+  private accessToken: { token: string; expiresAt: number } | null = null;
+  private tokenRequest: Promise<string | null> | null = null;
 
   constructor() {
     // 環境に応じてベースURLを設定
@@ -53,10 +210,94 @@ class STTApiService {
     
     this.timeout = 30000; // 30秒タイムアウト
     this.retryAttempts = 3;
+    this.maxRetryDelay = 60000; // Retry-Afterがこれより長い場合は再試行しない
+    this.pollInterval = 1000; // ジョブ状態の確認間隔
+    this.jobTimeout = 10 * 60 * 1000; // ジョブ完了待ちの上限
+
+    // APIキー（設定されていれば短期トークンに交換して使う）
+    this.apiKey = import.meta.env.VITE_STT_API_KEY || null;
+  }
+
+  // アクセストークンを取得（期限の30秒前に更新、APIキー未設定ならnull）
+  async getAccessToken(): Promise<string | null> {
+    if (!this.apiKey) return null;
+
+    if (this.accessToken && this.accessToken.expiresAt - 30000 > Date.now()) {
+      return this.accessToken.token;
+    }
+
+    // 同時に複数回発行しないよう、実行中の要求を共有
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.requestAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+    return this.tokenRequest;
+  }
+
+  private async requestAccessToken(): Promise<string | null> {
+    const response = await fetch(`${this.baseUrl.replace(/\/stt$/, '/auth')}/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': this.apiKey as string,
+      },
+      body: JSON.stringify({ scopes: ['transcribe', 'memos'] }),
+      signal: AbortSignal.timeout(5000)
+    });
+
+    if (!response.ok) {
+      const error = await parseErrorResponse(response);
+      // サーバーでトークンが無効な場合はAPIキーをそのまま使う
+      if (error.code === 'TOKENS_DISABLED') return null;
+      throw error;
+    }
+
+    const data = await response.json();
+    this.accessToken = {
+      token: data.accessToken,
+      expiresAt: Date.now() + data.expiresIn * 1000
+    };
+    return this.accessToken.token;
+  }
+
+  // Service Workerから直接呼び出すための接続先（Background Syncでの文字起こしキューの送信に使う）
+  // Service Workerではトークンを交換せず、APIキーをそのまま送る
+  getConnectionConfig(): { baseUrl: string; apiKey: string | null } {
+    return { baseUrl: this.baseUrl, apiKey: this.apiKey };
+  }
+
+  // 認証ヘッダー
+  private async getAuthHeaders(): Promise<Record<string, string>> {
+    if (!this.apiKey) return {};
+
+    const token = await this.getAccessToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : { 'X-API-Key': this.apiKey };
+  }
+
+  // メモ同期APIのURL（/api/stt と同じサーバーの /api/memos）
+  private getMemosUrl(): string {
+    return this.baseUrl.replace(/\/stt$/, '/memos');
+  }
+
+  // メモの同期を使うか（memos スコープのあるAPIキーを設定した場合のみ。メモは同期キーごとに分かれる）
+  isMemoSyncEnabled(): boolean {
+    return Boolean(this.apiKey);
+  }
+
+  // リアルタイム文字起こし（WebSocket）のURL
+  getStreamUrl(): string {
+    return `${this.baseUrl.replace(/^http/, 'ws')}/stream`;
   }
 
   // 音声ファイルを文字起こし
-  async transcribeAudioFile(audioBlob: Blob, format: string = 'webm', language: string = 'ja-JP'): Promise<STTResponse> {
+  // 非同期ジョブとして登録し、完了までポーリングする（長時間音声でも接続を保持しない）
+  async transcribeAudioFile(
+    audioBlob: Blob,
+    format: string = 'webm',
+    language: string = 'ja-JP',
+    options: TranscriptionJobOptions = {}
+  ): Promise<STTResponse> {
     try {
       console.log('Transcribing audio file:', {
         size: audioBlob.size,
@@ -64,23 +305,17 @@ class STTApiService {
         format: format
       });
 
-      const formData = new FormData();
-      formData.append('audio', audioBlob, `audio.${format}`);
-      formData.append('audioFormat', format);
-      formData.append('language', language);
-
-      const response = await this.fetchWithRetry('/transcribe', {
-        method: 'POST',
-        body: formData,
-        // Content-Typeは自動設定されるため指定しない
-      });
+      const job = await this.createTranscriptionJob(audioBlob, format, language, options);
+      const finished = await this.waitForTranscriptionJob(job.id, options);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+      if (finished.status !== 'completed' || !finished.result) {
+        throw new STTApiError(
+          finished.status === 'cancelled' ? 'TRANSCRIPTION_CANCELLED' : finished.errorCode || 'TRANSCRIPTION_FAILED',
+          { retryable: finished.retryable ?? false, serverMessage: finished.error || undefined }
+        );
       }
 
-      const result: STTResponse = await response.json();
+      const result: STTResponse = { ...finished.result, success: true };
       
       console.log('Transcription completed:', {
         success: result.success,
@@ -97,6 +332,100 @@ class STTApiService {
     }
   }
 
+  // 文字起こしジョブを登録（アップロードのみで、結果は待たない）
+  async createTranscriptionJob(
+    audioBlob: Blob,
+    format: string = 'webm',
+    language: string = 'ja-JP',
+    options: Omit<TranscriptionJobOptions, 'onProgress' | 'signal'> = {}
+  ): Promise<TranscriptionJob> {
+    const { callbackUrl, alternativeLanguages, diarization, model, phraseHints } = options;
+    const formData = new FormData();
+    formData.append('audio', audioBlob, `audio.${format}`);
+    formData.append('audioFormat', format);
+    formData.append('language', language);
+    if (alternativeLanguages) {
+      formData.append('alternativeLanguages', alternativeLanguages.join(','));
+    }
+    if (diarization) {
+      formData.append('diarization', 'true');
+      if (diarization.minSpeakers) formData.append('minSpeakers', String(diarization.minSpeakers));
+      if (diarization.maxSpeakers) formData.append('maxSpeakers', String(diarization.maxSpeakers));
+    }
+    if (model) {
+      formData.append('model', model);
+    }
+    if (phraseHints?.length) {
+      formData.append('phraseHints', JSON.stringify(phraseHints));
+    }
+    if (callbackUrl) {
+      formData.append('callbackUrl', callbackUrl);
+    }
+
+    // 再送しても同じジョブになるよう、リトライ間で同じ冪等キーを送る
+    const response = await this.fetchWithRetry('/jobs', {
+      method: 'POST',
+      body: formData,
+      // Content-Typeは自動設定されるため指定しない
+      headers: { 'Idempotency-Key': crypto.randomUUID() },
+    });
+
+    const data = await response.json();
+    console.log('Transcription job created:', data.job.id);
+    return data.job;
+  }
+
+  // ジョブ状態を取得
+  async getTranscriptionJob(jobId: string): Promise<TranscriptionJob> {
+    const response = await this.fetchWithRetry(`/jobs/${encodeURIComponent(jobId)}`, {
+      method: 'GET',
+    });
+
+    const data = await response.json();
+    return data.job;
+  }
+
+  // ジョブをキャンセル
+  async cancelTranscriptionJob(jobId: string): Promise<TranscriptionJob | null> {
+    try {
+      const response = await this.fetchWithRetry(`/jobs/${encodeURIComponent(jobId)}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json().catch(() => ({}));
+      return data.job || null;
+
+    } catch (error) {
+      // 既に終了しているジョブ（JOB_ALREADY_FINISHED）も含め、キャンセルできなくても処理は続ける
+      console.error('Cancel job error:', error);
+      return null;
+    }
+  }
+
+  // ジョブの終了までポーリング
+  async waitForTranscriptionJob(jobId: string, options: TranscriptionJobOptions = {}): Promise<TranscriptionJob> {
+    const deadline = Date.now() + this.jobTimeout;
+
+    while (Date.now() < deadline) {
+      if (options.signal?.aborted) {
+        await this.cancelTranscriptionJob(jobId);
+        throw new STTApiError('TRANSCRIPTION_CANCELLED');
+      }
+
+      const job = await this.getTranscriptionJob(jobId);
+      options.onProgress?.(job);
+
+      if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
+        return job;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    await this.cancelTranscriptionJob(jobId);
+    throw new STTApiError('JOB_TIMEOUT', { retryable: true });
+  }
+
   // Base64音声データを文字起こし
   async transcribeBase64Audio(audioData: string, format: string = 'webm', language: string = 'ja-JP'): Promise<STTResponse> {
     try {
@@ -119,11 +448,6 @@ class STTApiService {
         body: JSON.stringify(requestBody),
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
-      }
-
       const result: STTResponse = await response.json();
       
       console.log('Base64 transcription completed:', {
@@ -140,6 +464,100 @@ class STTApiService {
     }
   }
 
+  // フレーズセットを取得
+  async getPhraseSet(): Promise<PhraseSet> {
+    try {
+      const response = await this.fetchWithRetry('/phrases', { method: 'GET' });
+      const data = await response.json();
+      return { phrases: data.phrases, updatedAt: data.updatedAt, limits: data.limits };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // フレーズセットを丸ごと置き換え（端末側の一覧をサーバーに反映）
+  async replacePhraseSet(phrases: Array<Pick<PhraseEntry, 'id' | 'phrase' | 'boost'>>): Promise<PhraseSet> {
+    try {
+      const response = await this.fetchWithRetry('/phrases', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          phrases: phrases.map(({ id, phrase, boost }) => ({ id, phrase, boost })),
+        }),
+      });
+      const data = await response.json();
+      return { phrases: data.phrases, updatedAt: data.updatedAt, limits: data.limits };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // 同期したメモの変更を取得（since より後。削除を含む）
+  // メモAPIには同期キー（src/utils/syncKey.ts）を X-Sync-Key で付ける
+  async getMemoChanges(syncKey: string, since: number): Promise<MemoChanges> {
+    try {
+      const response = await this.fetchWithRetry(`${this.getMemosUrl()}?since=${since}`, {
+        method: 'GET',
+        headers: { 'X-Sync-Key': syncKey },
+      });
+      const data = await response.json();
+      return { memos: data.memos, cursor: data.cursor, hasMore: data.hasMore, limits: data.limits };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // 端末の変更をまとめて送る（メモごとに更新時刻の新しい方が残る）
+  async pushMemoChanges(syncKey: string, changes: MemoChange[]): Promise<MemoPushResult> {
+    try {
+      const response = await this.fetchWithRetry(this.getMemosUrl(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Sync-Key': syncKey,
+        },
+        body: JSON.stringify({ memos: changes }),
+      });
+      const data = await response.json();
+      return { results: data.results, cursor: data.cursor };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // メモの音声を送る
+  async uploadMemoAudio(syncKey: string, id: number, audioBlob: Blob): Promise<RemoteMemoRecord> {
+    try {
+      const response = await this.fetchWithRetry(`${this.getMemosUrl()}/${id}/audio`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': audioBlob.type || 'application/octet-stream',
+          'X-Sync-Key': syncKey,
+        },
+        body: audioBlob,
+      });
+      const data = await response.json();
+      return data.memo;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // メモの音声を取得
+  async downloadMemoAudio(syncKey: string, id: number): Promise<Blob> {
+    try {
+      const response = await this.fetchWithRetry(`${this.getMemosUrl()}/${id}/audio`, {
+        method: 'GET',
+        headers: { 'X-Sync-Key': syncKey },
+      });
+      return await response.blob();
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // サービス状態チェック
   async checkHealth(): Promise<STTServiceHealth> {
     try {
@@ -186,58 +604,93 @@ class STTApiService {
     }
   }
 
-  // リトライ機能付きfetch
+  // 対応言語を取得（言語の一覧はプロバイダーによって異なる）
+  async getSupportedLanguages(): Promise<SupportedLanguages> {
+    const formats = await this.getSupportedFormats();
+    return {
+      languages: formats.languages,
+      defaultLanguage: formats.defaultLanguage,
+      defaultAlternativeLanguages: formats.defaultAlternativeLanguages || [],
+      maxAlternativeLanguages: formats.maxAlternativeLanguages || 3,
+    };
+  }
+
+  // 話者分離の対応状況と指定できる話者数（プロバイダーによって異なる）
+  async getDiarizationSupport(): Promise<DiarizationSupport> {
+    const formats = await this.getSupportedFormats();
+    return {
+      supported: Boolean(formats.features?.diarization),
+      defaultMinSpeakers: formats.diarizationSpeakers?.min ?? 2,
+      defaultMaxSpeakers: formats.diarizationSpeakers?.max ?? 6,
+      maxSpeakers: formats.diarizationSpeakers?.limit ?? 10,
+    };
+  }
+
+  // 選べる認識モデル（プロバイダーによって異なる）
+  async getSupportedModels(): Promise<SupportedModels> {
+    const formats = await this.getSupportedFormats();
+    return {
+      models: formats.models || [],
+      defaultModel: formats.defaultModel,
+      maxPhraseHints: formats.maxPhraseHints ?? 50,
+    };
+  }
+
+  // リトライ機能付きfetch（endpoint は baseUrl からのパス、または /api/memos 等の完全なURL）
+  // 通信エラー・タイムアウトと、サーバーが再試行可能と返したエラーのみ再試行する
+  // エラーレスポンスはSTTApiErrorとして投げるため、戻り値は常に成功レスポンス
   private async fetchWithRetry(endpoint: string, options: RequestInit, attempt: number = 1): Promise<Response> {
+    let error: STTApiError;
+
     try {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
-      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      // 認証情報を自動で付与
+      const url = /^https?:/.test(endpoint) ? endpoint : `${this.baseUrl}${endpoint}`;
+      const response = await fetch(url, {
         ...options,
+        headers: {
+          ...(options.headers as Record<string, string> | undefined),
+          ...(await this.getAuthHeaders()),
+        },
         signal: controller.signal,
-      });
+      }).finally(() => clearTimeout(timeoutId));
 
-      clearTimeout(timeoutId);
-      return response;
+      if (response.ok) {
+        return response;
+      }
 
-    } catch (error) {
-      console.error(`Fetch attempt ${attempt} failed:`, error);
+      error = await parseErrorResponse(response);
 
-      if (attempt < this.retryAttempts) {
-        const delay = Math.pow(2, attempt) * 1000; // 指数バックオフ
-        console.log(`Retrying in ${delay}ms... (attempt ${attempt + 1}/${this.retryAttempts})`);
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
+      // トークン失効時は1回だけ取り直して再送
+      if (response.status === 401 && this.accessToken && attempt === 1) {
+        this.accessToken = null;
         return this.fetchWithRetry(endpoint, options, attempt + 1);
       }
 
-      throw error;
+    } catch (fetchError) {
+      error = toSTTApiError(fetchError);
     }
-  }
 
-  // エラーハンドリング
-  private handleError(error: any): Error {
-    if (error.name === 'AbortError') {
-      return new Error('リクエストがタイムアウトしました。ネットワーク接続を確認してください。');
-    }
-    
-    if (error.message.includes('Failed to fetch')) {
-      return new Error('STTサーバーに接続できません。ネットワーク接続を確認してください。');
-    }
-    
-    if (error.message.includes('rate limit')) {
-      return new Error('リクエスト制限に達しました。しばらく待ってから再試行してください。');
-    }
-    
-    if (error.message.includes('file too large')) {
-      return new Error('音声ファイルが大きすぎます。10MB以下のファイルを使用してください。');
+    if (!error.retryable || attempt >= this.retryAttempts) {
+      throw error;
     }
-    
-    if (error.message.includes('unsupported format')) {
-      return new Error('対応していない音声フォーマットです。WebM、WAV、MP3形式を使用してください。');
+
+    // Retry-Afterがあれば従い、無ければ指数バックオフ
+    const delay = error.retryAfter !== null ? error.retryAfter * 1000 : Math.pow(2, attempt) * 1000;
+    if (delay > this.maxRetryDelay) {
+      throw error;
     }
 
-    return error instanceof Error ? error : new Error('音声の文字起こしに失敗しました');
+    console.log(`${error.code}: retrying in ${delay}ms... (attempt ${attempt + 1}/${this.retryAttempts})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return this.fetchWithRetry(endpoint, options, attempt + 1);
+  }
+
+  // エラーハンドリング（表示メッセージはエラーコードから選ぶ）
+  private handleError(error: unknown): STTApiError {
+    return toSTTApiError(error);
   }
 
   // 音声データをBase64に変換
@@ -263,6 +716,9 @@ class STTApiService {
     if (mimeType.includes('wav')) return 'wav';
     if (mimeType.includes('mp3') || mimeType.includes('mpeg')) return 'mp3';
     if (mimeType.includes('ogg')) return 'ogg';
+    if (mimeType.includes('mp4') || mimeType.includes('m4a') || mimeType.includes('aac')) return 'mp4';
+    if (mimeType.includes('3gpp')) return '3gp';
+    if (mimeType.includes('flac')) return 'flac';
     
     // デフォルトはwebm（Android Chrome対応）
     return 'webm';
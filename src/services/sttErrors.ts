@@ -0,0 +1,197 @@
+// STT APIのエラーコードと表示メッセージ
+// サーバーはコード・HTTPステータス・再試行可否を返し、表示する文言はここでコードから選ぶ
+
+export type STTErrorCode =
+  | 'INVALID_REQUEST'
+  | 'UNSUPPORTED_LANGUAGE'
+  | 'UNSUPPORTED_MODEL'
+  | 'NO_AUDIO'
+  | 'UNSUPPORTED_FORMAT'
+  | 'FILE_TOO_LARGE'
+  | 'AUDIO_TOO_LONG'
+  | 'CORRUPTED_AUDIO'
+  | 'TRANSCODE_FAILED'
+  | 'TRANSCODER_UNAVAILABLE'
+  | 'RATE_LIMIT_EXCEEDED'
+  | 'QUOTA_EXCEEDED'
+  | 'AUTHENTICATION_REQUIRED'
+  | 'AUTHENTICATION_FAILED'
+  | 'TOKEN_EXPIRED'
+  | 'TOKENS_DISABLED'
+  | 'INSUFFICIENT_SCOPE'
+  | 'PROVIDER_UNAVAILABLE'
+  | 'PROVIDER_AUTH_FAILED'
+  | 'PROVIDER_REJECTED'
+  | 'TRANSCRIPTION_FAILED'
+  | 'TRANSCRIPTION_CANCELLED'
+  | 'STREAM_TIME_LIMIT'
+  | 'STREAM_IDLE_TIMEOUT'
+  | 'STREAM_OVERLOADED'
+  | 'JOB_NOT_FOUND'
+  | 'JOB_ALREADY_FINISHED'
+  | 'PHRASE_NOT_FOUND'
+  | 'TOO_MANY_PHRASES'
+  | 'MEMO_NOT_FOUND'
+  | 'TOO_MANY_MEMOS'
+  | 'SYNC_KEY_REQUIRED'
+  | 'NOT_FOUND'
+  | 'INTERNAL_ERROR'
+  // クライアント側で発生するエラー
+  | 'NETWORK_ERROR'
+  | 'TIMEOUT'
+  | 'JOB_TIMEOUT'
+  | 'STREAM_CONNECTION_FAILED';
+
+type Locale = 'ja' | 'en';
+
+const messages: Record<Locale, Record<STTErrorCode, string>> = {
+  ja: {
+    INVALID_REQUEST: 'リクエストが不正です。',
+    UNSUPPORTED_LANGUAGE: '選択した言語は音声認識で使用できません。言語設定を確認してください。',
+    UNSUPPORTED_MODEL: '選択した認識モデルは使用できません。別のモデルを選んでください。',
+    NO_AUDIO: '音声データが見つかりません。',
+    UNSUPPORTED_FORMAT: '対応していない音声フォーマットです。WebM、WAV、MP3、M4A形式を使用してください。',
+    FILE_TOO_LARGE: '音声ファイルが大きすぎます。10MB以下のファイルを使用してください。',
+    AUDIO_TOO_LONG: '音声が長すぎます。',
+    CORRUPTED_AUDIO: '音声ファイルを読み取れません。録音し直してください。',
+    TRANSCODE_FAILED: '音声の変換に失敗しました。',
+    TRANSCODER_UNAVAILABLE: 'この音声フォーマットはサーバーで変換できません。',
+    RATE_LIMIT_EXCEEDED: 'リクエスト制限に達しました。しばらく待ってから再試行してください。',
+    QUOTA_EXCEEDED: '本日の音声認識の利用上限に達しました。',
+    AUTHENTICATION_REQUIRED: 'STTサーバーの認証が必要です。APIキーを設定してください。',
+    AUTHENTICATION_FAILED: 'STTサーバーの認証に失敗しました。APIキーを確認してください。',
+    TOKEN_EXPIRED: '認証の有効期限が切れました。もう一度お試しください。',
+    TOKENS_DISABLED: 'STTサーバーでトークン認証が無効になっています。',
+    INSUFFICIENT_SCOPE: 'この操作を行う権限がありません。',
+    PROVIDER_UNAVAILABLE: '音声認識サービスに接続できません。しばらく待ってから再試行してください。',
+    PROVIDER_AUTH_FAILED: '音声認識サービスの認証に失敗しました。管理者に連絡してください。',
+    PROVIDER_REJECTED: '音声認識サービスが音声を処理できませんでした。',
+    TRANSCRIPTION_FAILED: '音声の文字起こしに失敗しました。',
+    TRANSCRIPTION_CANCELLED: '文字起こしがキャンセルされました。',
+    STREAM_TIME_LIMIT: 'リアルタイム文字起こしの制限時間を超えました。',
+    STREAM_IDLE_TIMEOUT: '音声が届かないためリアルタイム文字起こしを終了しました。',
+    STREAM_OVERLOADED: 'リアルタイム文字起こしの処理が追いつきません。',
+    JOB_NOT_FOUND: '文字起こしジョブが見つかりません。',
+    JOB_ALREADY_FINISHED: '文字起こしジョブは既に終了しています。',
+    PHRASE_NOT_FOUND: 'フレーズが見つかりません。',
+    TOO_MANY_PHRASES: '登録できるフレーズ数の上限を超えています。',
+    MEMO_NOT_FOUND: 'メモが見つかりません。',
+    TOO_MANY_MEMOS: '同期できるメモ数の上限を超えています。古いメモを削除してください。',
+    SYNC_KEY_REQUIRED: '同期キーが正しくありません。設定の「同期」を確認してください。',
+    NOT_FOUND: 'STTサーバーのエンドポイントが見つかりません。',
+    INTERNAL_ERROR: 'STTサーバーでエラーが発生しました。',
+    NETWORK_ERROR: 'STTサーバーに接続できません。ネットワーク接続を確認してください。',
+    TIMEOUT: 'リクエストがタイムアウトしました。ネットワーク接続を確認してください。',
+    JOB_TIMEOUT: '文字起こしがタイムアウトしました。',
+    STREAM_CONNECTION_FAILED: 'リアルタイム文字起こしに接続できません。',
+  },
+  en: {
+    INVALID_REQUEST: 'The request was invalid.',
+    UNSUPPORTED_LANGUAGE: 'The selected language is not supported for transcription. Please check the language settings.',
+    UNSUPPORTED_MODEL: 'The selected recognition model is not available. Please choose another model.',
+    NO_AUDIO: 'No audio data was found.',
+    UNSUPPORTED_FORMAT: 'This audio format is not supported. Please use WebM, WAV, MP3 or M4A.',
+    FILE_TOO_LARGE: 'The audio file is too large. Please use a file under 10MB.',
+    AUDIO_TOO_LONG: 'The audio is too long.',
+    CORRUPTED_AUDIO: 'The audio file could not be read. Please record again.',
+    TRANSCODE_FAILED: 'The audio could not be converted.',
+    TRANSCODER_UNAVAILABLE: 'The server cannot convert this audio format.',
+    RATE_LIMIT_EXCEEDED: 'Too many requests. Please wait a moment and try again.',
+    QUOTA_EXCEEDED: 'The daily transcription limit has been reached.',
+    AUTHENTICATION_REQUIRED: 'The STT server requires authentication. Please configure an API key.',
+    AUTHENTICATION_FAILED: 'Authentication with the STT server failed. Please check the API key.',
+    TOKEN_EXPIRED: 'Your session has expired. Please try again.',
+    TOKENS_DISABLED: 'Token authentication is disabled on the STT server.',
+    INSUFFICIENT_SCOPE: 'You do not have permission to perform this action.',
+    PROVIDER_UNAVAILABLE: 'The speech recognition service is unavailable. Please try again later.',
+    PROVIDER_AUTH_FAILED: 'The speech recognition service rejected the server credentials. Please contact the administrator.',
+    PROVIDER_REJECTED: 'The speech recognition service could not process the audio.',
+    TRANSCRIPTION_FAILED: 'Transcription failed.',
+    TRANSCRIPTION_CANCELLED: 'Transcription was cancelled.',
+    STREAM_TIME_LIMIT: 'The live transcription time limit was exceeded.',
+    STREAM_IDLE_TIMEOUT: 'Live transcription stopped because no audio was received.',
+    STREAM_OVERLOADED: 'Live transcription could not keep up with the audio.',
+    JOB_NOT_FOUND: 'The transcription job was not found.',
+    JOB_ALREADY_FINISHED: 'The transcription job has already finished.',
+    PHRASE_NOT_FOUND: 'The phrase was not found.',
+    TOO_MANY_PHRASES: 'Too many phrases. Please remove some before adding more.',
+    MEMO_NOT_FOUND: 'The memo was not found.',
+    TOO_MANY_MEMOS: 'Too many memos to sync. Please delete old memos.',
+    SYNC_KEY_REQUIRED: 'The sync key is invalid. Please check the sync settings.',
+    NOT_FOUND: 'The STT server endpoint was not found.',
+    INTERNAL_ERROR: 'An error occurred on the STT server.',
+    NETWORK_ERROR: 'Cannot reach the STT server. Please check your network connection.',
+    TIMEOUT: 'The request timed out. Please check your network connection.',
+    JOB_TIMEOUT: 'Transcription timed out.',
+    STREAM_CONNECTION_FAILED: 'Could not connect to live transcription.',
+  },
+};
+
+// サーバーが再試行可否を返さなかった場合（プロキシのエラー等）の判定
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+function currentLocale(): Locale {
+  const language = typeof navigator !== 'undefined' ? navigator.language : 'ja';
+  return language.toLowerCase().startsWith('ja') ? 'ja' : 'en';
+}
+
+function isKnownCode(code: unknown): code is STTErrorCode {
+  return typeof code === 'string' && code in messages.ja;
+}
+
+// コードに対応する表示メッセージ（未知のコードはサーバーのメッセージを使う）
+export function getErrorMessage(code: string | undefined, fallback?: string): string {
+  if (isKnownCode(code)) {
+    return messages[currentLocale()][code];
+  }
+  return fallback || messages[currentLocale()].TRANSCRIPTION_FAILED;
+}
+
+export class STTApiError extends Error {
+  code: string;
+  status: number | null;
+  retryable: boolean;
+  retryAfter: number | null; // 秒
+
+  constructor(
+    code: string,
+    options: { status?: number | null; retryable?: boolean; retryAfter?: number | null; serverMessage?: string } = {}
+  ) {
+    super(getErrorMessage(code, options.serverMessage));
+    this.name = 'STTApiError';
+    this.code = code;
+    this.status = options.status ?? null;
+    this.retryable = options.retryable ?? false;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+// エラーレスポンスからSTTApiErrorを生成
+export async function parseErrorResponse(response: Response): Promise<STTApiError> {
+  const body = await response.json().catch(() => ({}));
+  const retryAfterHeader = parseInt(response.headers.get('Retry-After') || '', 10);
+
+  return new STTApiError(isKnownCode(body.code) ? body.code : (body.code || `HTTP_${response.status}`), {
+    status: response.status,
+    retryable: typeof body.retryable === 'boolean' ? body.retryable : RETRYABLE_STATUSES.includes(response.status),
+    retryAfter: body.retryAfter ?? (Number.isNaN(retryAfterHeader) ? null : retryAfterHeader),
+    serverMessage: body.error || `HTTP ${response.status}: ${response.statusText}`,
+  });
+}
+
+// fetchが投げた例外（通信エラー・タイムアウト）をSTTApiErrorに変換
+export function toSTTApiError(error: unknown): STTApiError {
+  if (error instanceof STTApiError) return error;
+
+  if (error instanceof DOMException && (error.name === 'AbortError' || error.name === 'TimeoutError')) {
+    return new STTApiError('TIMEOUT', { retryable: true });
+  }
+  if (error instanceof TypeError) {
+    // fetchはネットワークエラーをTypeErrorで通知する
+    return new STTApiError('NETWORK_ERROR', { retryable: true });
+  }
+
+  return new STTApiError('TRANSCRIPTION_FAILED', {
+    serverMessage: error instanceof Error ? error.message : undefined,
+  });
+}
@@ -0,0 +1,184 @@
+// リアルタイム文字起こし（WebSocket）クライアント
+import sttApiService, { WordDetail } from './sttApiService';
+import { getErrorMessage, toSTTApiError } from './sttErrors';
+
+export interface STTStreamResult {
+  transcript: string;
+  confidence: number;
+  wordDetails: WordDetail[];
+  language?: string; // 判定した言語
+}
+
+export interface STTStreamOptions {
+  sampleRate: number;
+  language: string;
+  alternativeLanguages?: string[]; // 候補言語（この中から言語を判定する）
+}
+
+export interface STTStreamHandlers {
+  // 確定済みテキスト + 途中結果
+  onPartialTranscript?: (text: string) => void;
+  onFinal?: (result: STTStreamResult) => void;
+  onError?: (error: string) => void;
+  onEnd?: (transcript: string) => void;
+}
+
+// 送信待ちがこれを超えたら音声フレームを破棄（通信が詰まっている場合）
+const MAX_BUFFERED_BYTES = 512 * 1024;
+
+export class STTStreamSession {
+  private ws: WebSocket | null = null;
+  private options: STTStreamOptions;
+  private handlers: STTStreamHandlers;
+  private ready: boolean = false;
+  private queue: ArrayBuffer[] = []; // ready前に届いたフレーム
+  private finalText: string = '';
+  private stopRequested: boolean = false;
+  private closed: boolean = false;
+
+  constructor(options: STTStreamOptions, handlers: STTStreamHandlers) {
+    this.options = options;
+    this.handlers = handlers;
+  }
+
+  // 接続してセッション開始
+  async start(): Promise<void> {
+    if (typeof WebSocket === 'undefined') {
+      console.warn('WebSocket is not available, live transcription disabled');
+      return;
+    }
+
+    // ブラウザのWebSocketはヘッダーを付けられないため、トークンはstartメッセージで渡す
+    let token: string | null = null;
+    try {
+      token = await sttApiService.getAccessToken();
+    } catch (error) {
+      console.error('Stream token request failed:', error);
+      this.handlers.onError?.(toSTTApiError(error).message);
+      return;
+    }
+
+    // トークン取得中に録音が終了した場合
+    if (this.closed) return;
+
+    try {
+      this.ws = new WebSocket(sttApiService.getStreamUrl());
+      this.ws.binaryType = 'arraybuffer';
+    } catch (error) {
+      console.error('Stream connection failed:', error);
+      this.handlers.onError?.(getErrorMessage('STREAM_CONNECTION_FAILED'));
+      return;
+    }
+
+    this.ws.onopen = () => {
+      this.ws?.send(JSON.stringify({
+        type: 'start',
+        sampleRate: this.options.sampleRate,
+        language: this.options.language,
+        ...(this.options.alternativeLanguages && { alternativeLanguages: this.options.alternativeLanguages }),
+        ...(token && { token })
+      }));
+    };
+
+    this.ws.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+
+    this.ws.onerror = (event) => {
+      console.error('Stream socket error:', event);
+    };
+
+    this.ws.onclose = (event) => {
+      console.log('Stream closed:', event.code);
+      this.ready = false;
+      this.queue = [];
+      this.ws = null;
+    };
+  }
+
+  private handleMessage(data: string): void {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    switch (message.type) {
+      case 'ready':
+        this.ready = true;
+        this.queue.forEach(frame => this.sendFrame(frame));
+        this.queue = [];
+        if (this.stopRequested) {
+          this.stop();
+        }
+        break;
+      case 'interim':
+        this.handlers.onPartialTranscript?.(this.joinText(this.finalText, message.transcript));
+        break;
+      case 'final':
+        this.finalText = this.joinText(this.finalText, message.transcript);
+        this.handlers.onPartialTranscript?.(this.finalText);
+        this.handlers.onFinal?.(message);
+        break;
+      case 'error':
+        this.handlers.onError?.(getErrorMessage(message.code, message.error));
+        break;
+      case 'end':
+        this.handlers.onEnd?.(this.finalText);
+        break;
+    }
+  }
+
+  private joinText(base: string, addition: string): string {
+    if (!base) return addition || '';
+    if (!addition) return base;
+    return `${base} ${addition}`;
+  }
+
+  // PCM 16bitフレームを送信
+  sendAudio(frame: ArrayBuffer): void {
+    if (!this.ws || this.stopRequested) return;
+
+    if (!this.ready) {
+      this.queue.push(frame);
+      return;
+    }
+
+    this.sendFrame(frame);
+  }
+
+  private sendFrame(frame: ArrayBuffer): void {
+    if (!this.ws) return;
+
+    if (this.ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+      console.warn('Stream send buffer full, dropping audio frame');
+      return;
+    }
+
+    this.ws.send(frame);
+  }
+
+  // 音声終端を通知（サーバーは最終結果を返してから切断する）
+  stop(): void {
+    this.stopRequested = true;
+    if (this.ws && this.ready) {
+      this.ws.send(JSON.stringify({ type: 'stop' }));
+    }
+  }
+
+  // 即座に切断
+  close(): void {
+    this.closed = true;
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    this.ready = false;
+    this.queue = [];
+  }
+
+  getTranscript(): string {
+    return this.finalText;
+  }
+}
@@ -0,0 +1,183 @@
+import { describe, expect, it } from 'vitest';
+import {
+  AGING_LEVELS,
+  AGING_PROFILES,
+  MAX_MEMO_SIZE,
+  MIN_MEMO_SIZE,
+  SNOOZE_DURATION,
+  getAgingColor,
+  getAgingState,
+  getNextAgingChange,
+  getNextAgingChangeOf,
+  normalizeAging,
+  pinAging,
+  resetAging,
+  setAgingDueAt,
+  snoozeAging,
+  unpinAging,
+} from './memoAging';
+import { calculateMemoSize } from './sizeCalculator';
+
+const HOUR = 60 * 60 * 1000;
+const createdAt = new Date(2026, 9, 19, 9, 0).getTime();
+const at = (hours: number) => createdAt + hours * HOUR;
+
+const { linear, exponential, deadline } = AGING_PROFILES;
+
+describe('getAgingState', () => {
+  it.each([
+    ['linear', 0, 0],
+    ['linear', 3, 1],
+    ['linear', 24, 9],
+    ['linear', 72, AGING_LEVELS],
+    ['exponential', 0, 0],
+    ['exponential', 3, 0],
+    ['exponential', 24, 2],
+    ['exponential', 72, AGING_LEVELS],
+    ['deadline', 0, 0],
+    ['deadline', 3, 0],
+    ['deadline', 24, AGING_LEVELS],
+    ['deadline', 72, AGING_LEVELS],
+  ] as const)('%s: 作成から%i時間で段階%i', (profileId, hours, level) => {
+    const state = getAgingState({ createdAt }, AGING_PROFILES[profileId], at(hours));
+
+    expect(state.level).toBe(level);
+    expect(state.progress).toBe(level / AGING_LEVELS);
+    expect(state.size).toBe(MIN_MEMO_SIZE + (MAX_MEMO_SIZE - MIN_MEMO_SIZE) * level / AGING_LEVELS);
+    expect(state.color).toBe(getAgingColor(level / AGING_LEVELS));
+    expect(state).toMatchObject({ pinned: false, snoozed: false });
+  });
+
+  it('作ったばかりは最小・薄い黄色、最大になったら最大・赤', () => {
+    expect(getAgingState({ createdAt }, linear, createdAt)).toMatchObject({ size: MIN_MEMO_SIZE, color: 'rgb(255, 250, 122)' });
+    expect(getAgingState({ createdAt }, linear, at(100))).toMatchObject({ size: MAX_MEMO_SIZE, color: 'rgb(255, 96, 96)' });
+  });
+
+  it('作成より前の時刻では進まない', () => {
+    expect(getAgingState({ createdAt }, linear, at(-1)).level).toBe(0);
+  });
+
+  it('deadline: 期限のあるメモは期限で最大になる', () => {
+    const target = { createdAt, aging: { dueAt: at(72) } };
+
+    expect(getAgingState(target, deadline, at(3)).level).toBe(0);
+    expect(getAgingState(target, deadline, at(24)).level).toBe(3);
+    expect(getAgingState(target, deadline, at(71)).level).toBe(AGING_LEVELS - 1);
+    expect(getAgingState(target, deadline, at(72)).level).toBe(AGING_LEVELS);
+  });
+
+  it('deadline: 期限が過ぎたメモは最大のまま', () => {
+    expect(getAgingState({ createdAt, aging: { dueAt: at(-1) } }, deadline, at(1)).level).toBe(AGING_LEVELS);
+  });
+
+  it('ピン留めすると、ピン留めした時点の見た目のまま止まる', () => {
+    const target = { createdAt, aging: pinAging(undefined, at(3)) };
+    const state = getAgingState(target, linear, at(72));
+
+    expect(state).toMatchObject({ level: 1, pinned: true, snoozed: false });
+  });
+
+  it('ピン留めを外すと、止めていた時間の分だけ遅れて進む', () => {
+    const aging = unpinAging(pinAging(undefined, at(3)), at(72));
+
+    expect(aging).toEqual({ pausedMs: 69 * HOUR });
+    expect(getAgingState({ createdAt, aging }, linear, at(72)).level).toBe(1);
+    expect(getAgingState({ createdAt, aging }, linear, at(75))).toMatchObject({ level: 2, pinned: false });
+  });
+
+  it('スヌーズ中は止まり、終わったら止めた分だけ遅れて進む', () => {
+    const aging = snoozeAging(undefined, at(3));
+    const target = { createdAt, aging };
+
+    expect(aging.snoozedUntil).toBe(at(3) + SNOOZE_DURATION);
+    expect(getAgingState(target, linear, at(24))).toMatchObject({ level: 1, snoozed: true });
+    expect(getAgingState(target, linear, at(27))).toMatchObject({ level: 1, snoozed: false });
+    expect(getAgingState(target, linear, at(51)).level).toBe(getAgingState({ createdAt }, linear, at(27)).level);
+  });
+
+  it('スヌーズ中にピン留めすると、スヌーズで止めていた時間を確定してから止める', () => {
+    const aging = pinAging(snoozeAging(undefined, at(3)), at(10));
+
+    expect(aging).toEqual({ pausedMs: 7 * HOUR, pinnedAt: at(10) });
+    expect(getAgingState({ createdAt, aging }, linear, at(72))).toMatchObject({ level: 1, pinned: true, snoozed: false });
+  });
+
+  it('リセットすると作ったばかりの見た目に戻り、期限は残る', () => {
+    const aging = resetAging(pinAging(setAgingDueAt(undefined, at(96)), at(24)), at(72));
+
+    expect(aging).toEqual({ startedAt: at(72), dueAt: at(96) });
+    expect(getAgingState({ createdAt, aging }, linear, at(72))).toMatchObject({ level: 0, pinned: false });
+    expect(getAgingState({ createdAt, aging }, linear, at(75)).level).toBe(1);
+    expect(getAgingState({ createdAt, aging }, deadline, at(96)).level).toBe(AGING_LEVELS);
+  });
+
+  it('v7 で音声の長さだけを持つようになったメモ（音声本体は読み込まない）も、作成時刻から同じように進む', () => {
+    const voiceMemo = { createdAt, audioId: 'audio_1', audioDuration: 42, audioRecording: null };
+    const textMemo = { createdAt };
+
+    [0, 3, 24, 72].forEach((hours) => {
+      expect(getAgingState(voiceMemo, linear, at(hours))).toEqual(getAgingState(textMemo, linear, at(hours)));
+    });
+  });
+
+  it('calculateMemoSize（v5 の補完・大きい順の並び替え）は getAgingState のサイズと同じ', () => {
+    const now = Date.now();
+    expect(calculateMemoSize(now - 24 * HOUR)).toBe(getAgingState({ createdAt: now - 24 * HOUR }, linear, now).size);
+    expect(calculateMemoSize(now - 24 * HOUR, undefined, 'deadline')).toBe(MAX_MEMO_SIZE);
+  });
+});
+
+describe('getNextAgingChange', () => {
+  it('次の段階に上がる時刻を返し、その時刻に段階が上がる', () => {
+    [linear, exponential, deadline].forEach((profile) => {
+      [0, 3, 24].forEach((hours) => {
+        const target = { createdAt };
+        const now = at(hours);
+        const state = getAgingState(target, profile, now);
+        if (state.level >= AGING_LEVELS) return;
+
+        const next = getNextAgingChange(target, profile, now)!;
+        expect(next).toBeGreaterThan(now);
+        expect(getAgingState(target, profile, next - 1).level).toBe(state.level);
+        expect(getAgingState(target, profile, next).level).toBe(state.level + 1);
+      });
+    });
+  });
+
+  it('linear: 1段階は 72時間 / AGING_LEVELS ごと', () => {
+    expect(getNextAgingChange({ createdAt }, linear, createdAt)).toBe(createdAt + 72 * HOUR / AGING_LEVELS);
+  });
+
+  it('最大になったメモ・ピン留め中のメモは変わらない', () => {
+    expect(getNextAgingChange({ createdAt }, linear, at(72))).toBeNull();
+    expect(getNextAgingChange({ createdAt, aging: pinAging(undefined, at(3)) }, linear, at(3))).toBeNull();
+  });
+
+  it('スヌーズ中はスヌーズが終わってから進む', () => {
+    const aging = snoozeAging(undefined, createdAt);
+    const next = getNextAgingChange({ createdAt, aging }, linear, at(1));
+
+    expect(next).toBe(createdAt + SNOOZE_DURATION + 72 * HOUR / AGING_LEVELS);
+  });
+
+  it('最大になってもスヌーズ中なら、スヌーズの表示が消える時刻を返す', () => {
+    const aging = snoozeAging(undefined, at(80));
+    expect(getNextAgingChange({ createdAt, aging }, linear, at(81))).toBe(at(80) + SNOOZE_DURATION);
+  });
+
+  it('getNextAgingChangeOf: 最も早く変わる時刻', () => {
+    const targets = [{ createdAt: at(-72) }, { createdAt }, { createdAt, aging: pinAging(undefined, createdAt) }];
+
+    expect(getNextAgingChangeOf(targets, linear, createdAt)).toBe(getNextAgingChange({ createdAt }, linear, createdAt));
+    expect(getNextAgingChangeOf([], linear, createdAt)).toBeNull();
+  });
+});
+
+describe('normalizeAging', () => {
+  it('不正な値を捨て、スヌーズは開始と終了がそろっている場合だけ残す', () => {
+    expect(normalizeAging({ startedAt: 1, pausedMs: -1, pinnedAt: 'x', snoozedAt: 2 })).toEqual({ startedAt: 1 });
+    expect(normalizeAging({ snoozedAt: 2, snoozedUntil: 3 })).toEqual({ snoozedAt: 2, snoozedUntil: 3 });
+    expect(normalizeAging({})).toBeUndefined();
+    expect(normalizeAging(null)).toBeUndefined();
+  });
+});
@@ -0,0 +1,236 @@
+// ふせんの経年変化（時間が経つほど大きく・赤くなる）
+// 1本の曲線（経過時間 → 進み具合 0〜1）からサイズと色の両方を決める。進み具合は段階に丸め、段階が変わったときだけ見た目が変わる
+// 次に見た目が変わる時刻を計算できるため、定期的に更新せずにその時刻だけ更新すればよい
+// React・IndexedDBに依存しない（テストしやすいよう、現在時刻は引数で受け取る）
+
+export type AgingProfileId = 'linear' | 'exponential' | 'deadline';
+
+export interface AgingProfile {
+  id: AgingProfileId;
+  label: string;
+  description: string;
+  duration: number; // 最大になるまでの時間（ミリ秒。deadline は期限の無いメモに使う）
+  curve: (x: number) => number; // 経過の割合（0〜1）→ 進み具合（0〜1）。単調増加で curve(0)=0, curve(1)=1
+  inverse: (y: number) => number; // curve の逆関数（次に見た目が変わる時刻の計算に使う）
+}
+
+// メモごとの経年変化の調整（無ければ作成時刻から進む）
+// ピン留めとスヌーズは同時に使わない（切り替えるときは settleAging で止めていた時間を確定する）
+export interface MemoAging {
+  startedAt?: number; // 経過の起点（リセットした時刻）
+  pausedMs?: number; // これまでに止めていた時間の合計
+  pinnedAt?: number; // ピン留め中（この時点の見た目のまま止める）
+  snoozedAt?: number; // スヌーズを始めた時刻
+  snoozedUntil?: number; // スヌーズの終わり（それまで止め、以降は止めた分だけ遅れて進む）
+  dueAt?: number; // 期限（deadline で最大になる時刻）
+}
+
+export interface AgingTarget {
+  createdAt: number;
+  aging?: MemoAging;
+}
+
+export interface AgingState {
+  progress: number; // 段階に丸めた進み具合（0〜1）
+  level: number; // 段階（0〜AGING_LEVELS）
+  size: number; // 高さ・文字の倍率（MIN_MEMO_SIZE〜MAX_MEMO_SIZE）
+  color: string; // 背景色
+  pinned: boolean;
+  snoozed: boolean;
+}
+
+const HOUR = 60 * 60 * 1000;
+export const DAY = 24 * HOUR;
+
+export const MEMO_BASE_HEIGHT = 80; // 大きさ1のふせんの高さ（px）
+export const MIN_MEMO_SIZE = 1.25;
+export const MAX_MEMO_SIZE = 8.0;
+const SIZE_STEP = 0.25;
+export const AGING_LEVELS = Math.round((MAX_MEMO_SIZE - MIN_MEMO_SIZE) / SIZE_STEP);
+
+export const SNOOZE_DURATION = DAY;
+const EXPONENTIAL_RATE = 4; // 最後は最初の 2^4 倍の速さで進む
+
+export const AGING_PROFILES: Record<AgingProfileId, AgingProfile> = {
+  linear: {
+    id: 'linear',
+    label: '一定の速さ',
+    description: '3日かけて一定の速さで大きくなります',
+    duration: 3 * DAY,
+    curve: x => x,
+    inverse: y => y,
+  },
+  exponential: {
+    id: 'exponential',
+    label: '放置するほど加速',
+    description: '最初はゆっくり、時間が経つほど急に大きくなります（3日で最大）',
+    duration: 3 * DAY,
+    curve: x => (Math.pow(2, EXPONENTIAL_RATE * x) - 1) / (Math.pow(2, EXPONENTIAL_RATE) - 1),
+    inverse: y => Math.log2(1 + y * (Math.pow(2, EXPONENTIAL_RATE) - 1)) / EXPONENTIAL_RATE,
+  },
+  deadline: {
+    id: 'deadline',
+    label: '期限に合わせる',
+    description: 'メモの期限で最大になり、期限が近づくほど急に大きくなります（期限の無いメモは1日で最大）',
+    duration: DAY,
+    curve: x => x * x,
+    inverse: y => Math.sqrt(y),
+  },
+};
+
+export const DEFAULT_AGING_PROFILE: AgingProfileId = 'linear';
+
+export function isAgingProfileId(value: unknown): value is AgingProfileId {
+  return typeof value === 'string' && value in AGING_PROFILES;
+}
+
+// 色の変化（進み具合ごとの色。間は線形に補間する）
+// 薄い黄色 → 黄色〜オレンジ（最初の変化を強調）→ 赤 → 濃い赤
+const COLOR_STOPS: Array<{ at: number; rgb: [number, number, number] }> = [
+  { at: 0, rgb: [255, 250, 122] },
+  { at: 0.125, rgb: [255, 245, 125] },
+  { at: 0.375, rgb: [255, 155, 56] },
+  { at: 0.625, rgb: [255, 96, 35] },
+  { at: 1, rgb: [255, 96, 96] },
+];
+
+export function getAgingColor(progress: number): string {
+  const p = clamp(progress, 0, 1);
+  const index = COLOR_STOPS.findIndex(stop => stop.at >= p);
+  if (index <= 0) return toRgb(COLOR_STOPS[0].rgb);
+
+  const from = COLOR_STOPS[index - 1];
+  const to = COLOR_STOPS[index];
+  const t = (p - from.at) / (to.at - from.at);
+  return toRgb(from.rgb.map((value, i) => value + (to.rgb[i] - value) * t) as [number, number, number]);
+}
+
+function toRgb([r, g, b]: [number, number, number]): string {
+  return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
+
+function getStartedAt(target: AgingTarget): number {
+  return target.aging?.startedAt ?? target.createdAt;
+}
+
+// 最大になるまでの時間（deadline は期限まで。期限が起点より前なら最大のまま）
+function getDuration(target: AgingTarget, profile: AgingProfile): number {
+  const dueAt = target.aging?.dueAt;
+  if (profile.id === 'deadline' && dueAt !== undefined) {
+    return Math.max(dueAt - getStartedAt(target), 1);
+  }
+  return profile.duration;
+}
+
+// 止めていた時間を除いた経過時間
+export function getAgingAge(target: AgingTarget, now: number): number {
+  const aging = target.aging ?? {};
+  const until = aging.pinnedAt ?? now;
+  let paused = aging.pausedMs ?? 0;
+  if (aging.snoozedAt !== undefined && aging.snoozedUntil !== undefined) {
+    paused += Math.max(Math.min(until, aging.snoozedUntil) - aging.snoozedAt, 0);
+  }
+  return Math.max(until - getStartedAt(target) - paused, 0);
+}
+
+function getLevel(target: AgingTarget, profile: AgingProfile, now: number): number {
+  const x = clamp(getAgingAge(target, now) / getDuration(target, profile), 0, 1);
+  // 浮動小数の誤差で段階の境目の直前に留まらないよう、わずかに切り上げる
+  return Math.min(Math.floor(profile.curve(x) * AGING_LEVELS + 1e-9), AGING_LEVELS);
+}
+
+// ふせんの高さ（一覧の仮想スクロールでも描画前に位置を決めるのに使う）
+export function getMemoHeight(size: number): number {
+  return Math.round(MEMO_BASE_HEIGHT * size);
+}
+
+export function getAgingState(target: AgingTarget, profile: AgingProfile, now: number): AgingState {
+  const level = getLevel(target, profile, now);
+  const progress = level / AGING_LEVELS;
+  const aging = target.aging;
+
+  return {
+    progress,
+    level,
+    size: MIN_MEMO_SIZE + level * SIZE_STEP,
+    color: getAgingColor(progress),
+    pinned: aging?.pinnedAt !== undefined,
+    snoozed: aging?.snoozedUntil !== undefined && aging.snoozedUntil > now,
+  };
+}
+
+// 次に見た目（段階・スヌーズの表示）が変わる時刻（変わらない場合はnull）
+export function getNextAgingChange(target: AgingTarget, profile: AgingProfile, now: number): number | null {
+  const aging = target.aging;
+  if (aging?.pinnedAt !== undefined) return null;
+
+  const snoozedUntil = aging?.snoozedUntil !== undefined && aging.snoozedUntil > now ? aging.snoozedUntil : null;
+  const level = getLevel(target, profile, now);
+  if (level >= AGING_LEVELS) return snoozedUntil;
+
+  const nextAge = profile.inverse((level + 1) / AGING_LEVELS) * getDuration(target, profile);
+  const remaining = Math.max(nextAge - getAgingAge(target, now), 0);
+  // スヌーズ中はスヌーズが終わってから進む
+  return Math.ceil((snoozedUntil ?? now) + remaining);
+}
+
+// 複数のメモのうち最も早く見た目が変わる時刻
+export function getNextAgingChangeOf(targets: AgingTarget[], profile: AgingProfile, now: number): number | null {
+  return targets.reduce<number | null>((earliest, target) => {
+    const next = getNextAgingChange(target, profile, now);
+    return next !== null && (earliest === null || next < earliest) ? next : earliest;
+  }, null);
+}
+
+// ピン留め・スヌーズで止めていた時間を確定し、通常の状態に戻す
+export function settleAging(aging: MemoAging | undefined, now: number): MemoAging {
+  const { pinnedAt, snoozedAt, snoozedUntil, ...rest } = aging ?? {};
+  let pausedMs = rest.pausedMs ?? 0;
+  if (pinnedAt !== undefined) pausedMs += Math.max(now - pinnedAt, 0);
+  if (snoozedAt !== undefined && snoozedUntil !== undefined) {
+    pausedMs += Math.max(Math.min(now, snoozedUntil) - snoozedAt, 0);
+  }
+  return { ...rest, pausedMs: pausedMs || undefined };
+}
+
+export function pinAging(aging: MemoAging | undefined, now: number): MemoAging {
+  return { ...settleAging(aging, now), pinnedAt: now };
+}
+
+export function unpinAging(aging: MemoAging | undefined, now: number): MemoAging {
+  return settleAging(aging, now);
+}
+
+export function snoozeAging(aging: MemoAging | undefined, now: number, duration = SNOOZE_DURATION): MemoAging {
+  return { ...settleAging(aging, now), snoozedAt: now, snoozedUntil: now + duration };
+}
+
+// 作ったばかりの見た目に戻す（期限は残す）
+export function resetAging(aging: MemoAging | undefined, now: number): MemoAging {
+  return { startedAt: now, dueAt: aging?.dueAt };
+}
+
+export function setAgingDueAt(aging: MemoAging | undefined, dueAt: number | undefined): MemoAging {
+  return { ...aging, dueAt };
+}
+
+// 保存・同期されたデータを検証（不正な値は捨てる）
+export function normalizeAging(value: unknown): MemoAging | undefined {
+  if (!value || typeof value !== 'object') return undefined;
+
+  const source = value as Record<string, unknown>;
+  const aging: MemoAging = {};
+  (['startedAt', 'pausedMs', 'pinnedAt', 'snoozedAt', 'snoozedUntil', 'dueAt'] as const).forEach((key) => {
+    const field = source[key];
+    if (typeof field === 'number' && Number.isFinite(field) && field >= 0) aging[key] = field;
+  });
+  if ((aging.snoozedAt === undefined) !== (aging.snoozedUntil === undefined)) {
+    delete aging.snoozedAt;
+    delete aging.snoozedUntil;
+  }
+  return Object.keys(aging).length > 0 ? aging : undefined;
+}
@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest';
+import { MemoFilterTarget, matchesMemoFilter, parseMemoFilter } from './memoFilter';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date(2026, 9, 19, 11, 0).getTime();
+
+const memo = (overrides: Partial<MemoFilterTarget> = {}): MemoFilterTarget => ({
+  text: '明日の会議の資料',
+  type: 'text',
+  createdAt: now - HOUR,
+  ...overrides,
+});
+
+// 条件の式で絞り込む（解析できない条件があれば失敗させる）
+const matches = (expression: string, target: MemoFilterTarget) => {
+  const { filter, errors } = parseMemoFilter(expression);
+  expect(errors).toEqual([]);
+  return matchesMemoFilter(target, filter, now);
+};
+
+describe('parseMemoFilter', () => {
+  it('空の式はすべてのメモに一致する', () => {
+    const { filter, errors } = parseMemoFilter('   ');
+
+    expect(filter).toEqual({ tags: [], excludedTags: [], types: [], words: [] });
+    expect(errors).toEqual([]);
+    expect(matchesMemoFilter(memo(), filter, now)).toBe(true);
+  });
+
+  it('条件を解析する', () => {
+    const { filter } = parseMemoFilter('tag:会議 #ＰＪ -tag:done -#私用 type:audio,音声 date:2026-10-01..2026-10-31 age:>1.5d age:<2w ﾃｽﾄ URL:x');
+
+    expect(filter).toEqual({
+      tags: ['会議', 'PJ'],
+      excludedTags: ['done', '私用'],
+      types: ['audio', 'audio'],
+      from: new Date(2026, 9, 1).getTime(),
+      to: new Date(2026, 10, 1).getTime(),
+      minAge: 36 * HOUR,
+      maxAge: 14 * 24 * HOUR,
+      words: ['てすと', 'url:x'],
+    });
+  });
+
+  it('date は片方を省略でき、日付1つならその日', () => {
+    expect(parseMemoFilter('date:2026-10-19').filter).toMatchObject({
+      from: new Date(2026, 9, 19).getTime(),
+      to: new Date(2026, 9, 20).getTime(),
+    });
+    expect(parseMemoFilter('date:2026-10-19..').filter).toMatchObject({ from: new Date(2026, 9, 19).getTime() });
+    expect(parseMemoFilter('date:2026-10-19..').filter.to).toBeUndefined();
+    expect(parseMemoFilter('date:..2026-12-31').filter).toMatchObject({ to: new Date(2027, 0, 1).getTime() });
+  });
+
+  it.each([
+    ['tag:', 'タグ名がありません'],
+    ['#', 'タグ名がありません'],
+    ['type:video', '種類は text・audio・mixed'],
+    ['type:', '種類は text・audio・mixed'],
+    ['date:2026-02-30', '日付は'],
+    ['date:..', '日付は'],
+    ['date:yesterday', '日付は'],
+    ['age:7d', '経過時間は'],
+    ['age:>7m', '経過時間は'],
+    ['-type:audio', '除外できるのはタグだけ'],
+  ])('「%s」は解析できない', (expression, message) => {
+    const { filter, errors } = parseMemoFilter(`${expression} 会議`);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain(expression);
+    expect(errors[0]).toContain(message);
+    // 解析できなかった条件を除いて絞り込む
+    expect(filter).toEqual({ tags: [], excludedTags: [], types: [], words: ['会議'] });
+  });
+});
+
+describe('matchesMemoFilter', () => {
+  it('タグはすべて付いているメモ、除外したタグはどれも付いていないメモ', () => {
+    const target = memo({ tags: ['会議', 'PJ'] });
+
+    expect(matches('tag:会議 #PJ', target)).toBe(true);
+    expect(matches('tag:会議 tag:私用', target)).toBe(false);
+    expect(matches('-tag:私用', target)).toBe(true);
+    expect(matches('-#PJ', target)).toBe(false);
+    expect(matches('-tag:私用', memo())).toBe(true);
+    expect(matches('tag:会議', memo())).toBe(false);
+  });
+
+  it('種類はいずれかに一致するメモ', () => {
+    expect(matches('type:audio,mixed', memo({ type: 'mixed' }))).toBe(true);
+    expect(matches('type:テキスト', memo())).toBe(true);
+    expect(matches('type:audio', memo())).toBe(false);
+  });
+
+  it('作成日はその日の0時から、終わりの日の終わりまで', () => {
+    const expression = 'date:2026-10-01..2026-10-18';
+
+    expect(matches(expression, memo({ createdAt: new Date(2026, 9, 1).getTime() }))).toBe(true);
+    expect(matches(expression, memo({ createdAt: new Date(2026, 9, 18, 23, 59).getTime() }))).toBe(true);
+    expect(matches(expression, memo({ createdAt: new Date(2026, 9, 19).getTime() }))).toBe(false);
+    expect(matches(expression, memo({ createdAt: new Date(2026, 8, 30, 23, 59).getTime() }))).toBe(false);
+  });
+
+  it('経過時間は現在時刻から（境界の時刻は含まない）', () => {
+    expect(matches('age:>7d', memo({ createdAt: now - 8 * 24 * HOUR }))).toBe(true);
+    expect(matches('age:>7d', memo({ createdAt: now - 7 * 24 * HOUR }))).toBe(false);
+    expect(matches('age:<12h', memo({ createdAt: now - 11 * HOUR }))).toBe(true);
+    expect(matches('age:<12h', memo({ createdAt: now - 12 * HOUR }))).toBe(false);
+    expect(matches('age:>1d age:<1w', memo({ createdAt: now - 3 * 24 * HOUR }))).toBe(true);
+  });
+
+  it('本文の語はすべて含むメモ（全角・半角・カタカナとひらがなを区別しない）', () => {
+    const target = memo({ text: 'ミーティングのＡｇｅｎｄａ' });
+
+    expect(matches('みーてぃんぐ agenda', target)).toBe(true);
+    expect(matches('みーてぃんぐ 議事録', target)).toBe(false);
+  });
+
+  it('条件をすべて満たすメモだけに一致する', () => {
+    const target = memo({ type: 'audio', tags: ['会議'], createdAt: now - 2 * 24 * HOUR });
+
+    expect(matches('#会議 type:audio age:>1d 資料', target)).toBe(true);
+    expect(matches('#会議 type:audio age:>1d 議事録', target)).toBe(false);
+  });
+});
@@ -0,0 +1,144 @@
+import { normalizeSearchText } from './searchText';
+import { normalizeTagName } from './memoTags';
+
+// スマートフォルダの絞り込み条件（空白で区切った条件をすべて満たすメモ）
+//   tag:会議 / #会議      タグが付いている（-tag:会議 / -#会議 は付いていない）
+//   type:audio           種類（text・audio・mixed。カンマ区切りはいずれか）
+//   date:2026-10-01..2026-10-31  作成日（どちらかを省略できる。date:2026-10-19 はその日）
+//   age:>7d / age:<12h   作成してからの時間（h・d・w）
+//   それ以外の語          本文に含まれる
+// React・IndexedDBに依存しない（テストしやすいよう、現在時刻は引数で受け取る）
+
+export type MemoType = 'text' | 'audio' | 'mixed';
+
+export interface MemoFilter {
+  tags: string[];
+  excludedTags: string[];
+  types: MemoType[];
+  from?: number; // 作成日時の範囲（from 以上 to 未満）
+  to?: number;
+  minAge?: number; // 作成してからの時間（ミリ秒）
+  maxAge?: number;
+  words: string[]; // 正規化した語
+}
+
+export interface MemoFilterTarget {
+  text: string;
+  type: MemoType;
+  createdAt: number;
+  tags?: string[];
+}
+
+const HOUR = 60 * 60 * 1000;
+const AGE_UNITS: Record<string, number> = { h: HOUR, d: 24 * HOUR, w: 7 * 24 * HOUR };
+const TYPE_ALIASES: Record<string, MemoType> = {
+  text: 'text',
+  audio: 'audio',
+  mixed: 'mixed',
+  テキスト: 'text',
+  音声: 'audio',
+  混合: 'mixed',
+};
+
+function emptyFilter(): MemoFilter {
+  return { tags: [], excludedTags: [], types: [], words: [] };
+}
+
+// YYYY-MM-DD（端末の時刻で、その日の0時）
+function parseDate(value: string): number | null {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date.getTime() : null;
+}
+
+function nextDay(timestamp: number): number {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+// 条件の式を解析する（解析できなかった条件は errors に入れ、残りの条件で絞り込む）
+export function parseMemoFilter(expression: string): { filter: MemoFilter; errors: string[] } {
+  const filter = emptyFilter();
+  const errors: string[] = [];
+
+  expression.trim().split(/\s+/).filter(Boolean).forEach((part) => {
+    const excluded = part.startsWith('-');
+    const body = excluded ? part.slice(1) : part;
+    const separator = body.indexOf(':');
+    const key = body.startsWith('#') ? 'tag' : separator > 0 ? body.slice(0, separator).toLowerCase() : '';
+    const value = body.startsWith('#') ? body.slice(1) : body.slice(separator + 1);
+    if (excluded && ['type', 'date', 'age'].includes(key)) {
+      errors.push(`${part}: 「-」で除外できるのはタグだけです`);
+      return;
+    }
+
+    switch (key) {
+      case 'tag': {
+        const name = normalizeTagName(value);
+        if (!name) {
+          errors.push(`${part}: タグ名がありません`);
+        } else {
+          (excluded ? filter.excludedTags : filter.tags).push(name);
+        }
+        return;
+      }
+      case 'type': {
+        const types = value.split(',').map(type => TYPE_ALIASES[type.toLowerCase()]);
+        if (types.length === 0 || types.some(type => !type)) {
+          errors.push(`${part}: 種類は text・audio・mixed のいずれかです`);
+        } else {
+          filter.types.push(...types);
+        }
+        return;
+      }
+      case 'date': {
+        const [start, end] = value.includes('..') ? value.split('..') : [value, value];
+        const from = start ? parseDate(start) : undefined;
+        const to = end ? parseDate(end) : undefined;
+        if (from === null || to === null || (from === undefined && to === undefined)) {
+          errors.push(`${part}: 日付は 2026-10-01..2026-10-31 の形式です`);
+        } else {
+          if (from !== undefined) filter.from = from;
+          if (to !== undefined) filter.to = nextDay(to);
+        }
+        return;
+      }
+      case 'age': {
+        const match = /^([<>])(\d+(?:\.\d+)?)([hdw])$/.exec(value);
+        if (!match) {
+          errors.push(`${part}: 経過時間は age:>7d・age:<12h の形式です（h・d・w）`);
+        } else {
+          const age = Number(match[2]) * AGE_UNITS[match[3]];
+          if (match[1] === '>') filter.minAge = age;
+          else filter.maxAge = age;
+        }
+        return;
+      }
+      default: {
+        const word = normalizeSearchText(part).text;
+        if (word) filter.words.push(word);
+      }
+    }
+  });
+
+  return { filter, errors };
+}
+
+export function matchesMemoFilter(memo: MemoFilterTarget, filter: MemoFilter, now: number): boolean {
+  const tags = memo.tags ?? [];
+  const age = now - memo.createdAt;
+  if (!filter.tags.every(tag => tags.includes(tag))) return false;
+  if (filter.excludedTags.some(tag => tags.includes(tag))) return false;
+  if (filter.types.length > 0 && !filter.types.includes(memo.type)) return false;
+  if (filter.from !== undefined && memo.createdAt < filter.from) return false;
+  if (filter.to !== undefined && memo.createdAt >= filter.to) return false;
+  if (filter.minAge !== undefined && age <= filter.minAge) return false;
+  if (filter.maxAge !== undefined && age >= filter.maxAge) return false;
+  if (filter.words.length > 0) {
+    const text = normalizeSearchText(memo.text).text;
+    if (!filter.words.every(word => text.includes(word))) return false;
+  }
+  return true;
+}
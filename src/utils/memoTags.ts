@@ -0,0 +1,108 @@
+import { normalizeSearchText } from './searchText';
+
+// メモのタグ（メモには名前だけを保存し、同期・バックアップでもそのまま送る。色は端末のタグのストアに保存する）
+// 色を登録していないタグ（他の端末で付けたタグなど）は名前から決まる色で表示する
+// React・IndexedDBに依存しない
+
+export interface MemoTag {
+  name: string;
+  color: string;
+  createdAt: number;
+}
+
+export const TAG_COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899', '#6b7280'];
+export const MAX_MEMO_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const SUGGESTION_LIMIT = 5;
+
+// よく使われ、タグにしても絞り込みに役立たない語
+const STOP_WORDS = new Set([
+  '今日', '明日', '昨日', '今回', '自分', '時間', '場合', '感じ', '必要', '大丈夫', '本当', '一番', '全部', '最近', '今度',
+  'about', 'after', 'also', 'and', 'are', 'been', 'but', 'can', 'for', 'from', 'have', 'into', 'just', 'like',
+  'not', 'that', 'the', 'there', 'they', 'this', 'was', 'were', 'what', 'when', 'will', 'with', 'you', 'your',
+]);
+
+// 日本語の語の候補（カタカナ語・漢字の熟語）と英数字の語
+const KEYWORD_PATTERN = /[ァ-ヶー]{3,}|[\p{Script=Han}々]{2,6}|[A-Za-z][A-Za-z0-9+#.-]{2,}/gu;
+
+// タグ名を整える（前後の空白・先頭の # を除き、空白は _ にする。空なら null）
+export function normalizeTagName(value: unknown): string | null {
+  if (typeof value !== 'string') return null;
+  const name = value.normalize('NFKC').trim().replace(/^#+/, '').replace(/\s+/g, '_');
+  return name ? Array.from(name).slice(0, MAX_TAG_LENGTH).join('') : null;
+}
+
+// 保存・同期されたタグの一覧を検証（重複・不正な名前は捨てる。無ければ undefined）
+export function normalizeTags(value: unknown): string[] | undefined {
+  if (!Array.isArray(value)) return undefined;
+  const tags = Array.from(new Set(value.map(normalizeTagName).filter((name): name is string => name !== null)));
+  return tags.length > 0 ? tags.slice(0, MAX_MEMO_TAGS) : undefined;
+}
+
+export function isTagColor(value: unknown): value is string {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// 色を登録していないタグの色（同じ名前なら同じ色）
+export function getDefaultTagColor(name: string): string {
+  let hash = 0;
+  for (const char of name) hash = (hash * 31 + char.codePointAt(0)!) >>> 0;
+  return TAG_COLORS[hash % TAG_COLORS.length];
+}
+
+// 登録した色（無ければ名前から決まる色）
+export function getTagColor(name: string, tags: MemoTag[]): string {
+  return tags.find(tag => tag.name === name)?.color ?? getDefaultTagColor(name);
+}
+
+export function normalizeMemoTag(value: unknown): MemoTag | null {
+  const source = value as Partial<MemoTag> | null;
+  const name = normalizeTagName(source?.name);
+  if (!name) return null;
+  return {
+    name,
+    color: isTagColor(source?.color) ? source!.color : getDefaultTagColor(name),
+    createdAt: Number.isFinite(source?.createdAt) ? source!.createdAt! : Date.now(),
+  };
+}
+
+// 本文からタグの候補を挙げる
+// 既存のタグで本文に出てくるもの（出てくる順）→ 本文のキーワード（出現回数・長さの多い順）。付いているタグは除く
+export function suggestTags(text: string, knownTags: string[], currentTags: string[], limit = SUGGESTION_LIMIT): string[] {
+  const normalizedText = normalizeSearchText(text).text;
+  const taken = new Set(currentTags.map(tag => normalizeSearchText(tag).text));
+  const suggestions: string[] = [];
+  const add = (tag: string) => {
+    const key = normalizeSearchText(tag).text;
+    if (taken.has(key)) return;
+    taken.add(key);
+    suggestions.push(tag);
+  };
+
+  knownTags
+    .map(tag => ({ tag, index: normalizedText.indexOf(normalizeSearchText(tag).text) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ tag }) => add(tag));
+
+  const keywords = new Map<string, { count: number; first: number }>();
+  for (const match of text.normalize('NFKC').matchAll(KEYWORD_PATTERN)) {
+    const word = match[0].replace(/[.-]+$/, '');
+    if (STOP_WORDS.has(word.toLowerCase())) continue;
+
+    const keyword = keywords.get(word);
+    if (keyword) {
+      keyword.count++;
+    } else {
+      keywords.set(word, { count: 1, first: match.index ?? 0 });
+    }
+  }
+  Array.from(keywords)
+    .sort(([a, x], [b, y]) => y.count * Array.from(b).length - x.count * Array.from(a).length || x.first - y.first)
+    .forEach(([word]) => {
+      const name = normalizeTagName(word);
+      if (name) add(name);
+    });
+
+  return suggestions.slice(0, limit);
+}
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import {
+  completeReminder,
+  formatReminderTime,
+  getNextReminderDue,
+  normalizeReminder,
+  parseReminderTime,
+  reopenReminder,
+} from './reminderTime';
+
+// 2026年10月19日（月）11:00 を現在時刻とする
+const now = new Date(2026, 9, 19, 11, 0).getTime();
+const MINUTE = 60 * 1000;
+
+describe('parseReminderTime', () => {
+  it.each([
+    ['明日の10時に', new Date(2026, 9, 20, 10, 0), '明日の10時'],
+    ['tomorrow at 3pm', new Date(2026, 9, 20, 15, 0), 'tomorrow at 3pm'],
+    ['金曜の夜', new Date(2026, 9, 23, 20, 0), '金曜の夜'],
+    ['10月25日 午後3時半', new Date(2026, 9, 25, 15, 30), '10月25日 午後3時半'],
+    ['ＴＯＭＯＲＲＯＷ ａｔ ３ｐｍ', new Date(2026, 9, 20, 15, 0), 'tomorrow at 3pm'],
+    ['oct 25 9:30', new Date(2026, 9, 25, 9, 30), 'oct 25 9:30'],
+    ['来週の水曜に提出', new Date(2026, 9, 28, 9, 0), '来週の水曜'],
+    ['3日後', new Date(2026, 9, 22, 9, 0), '3日後'],
+    ['今夜', new Date(2026, 9, 19, 20, 0), '今夜'],
+  ])('「%s」→ %s', (text, dueAt, phrase) => {
+    expect(parseReminderTime(text, now)).toEqual({ dueAt: dueAt.getTime(), phrase });
+  });
+
+  it('午前・午後の無い1〜6時は午後とみなす', () => {
+    expect(parseReminderTime('3時に', now)?.dueAt).toBe(new Date(2026, 9, 19, 15, 0).getTime());
+    expect(parseReminderTime('7時に', now)?.dueAt).toBe(new Date(2026, 9, 20, 7, 0).getTime());
+    expect(parseReminderTime('午前3時に', now)?.dueAt).toBe(new Date(2026, 9, 20, 3, 0).getTime());
+  });
+
+  it('日付の無い時刻が今日は過ぎていれば明日', () => {
+    expect(parseReminderTime('10時に', now)?.dueAt).toBe(new Date(2026, 9, 20, 10, 0).getTime());
+  });
+
+  it('曜日だけの指定は、今日のその時刻が過ぎていれば翌週', () => {
+    expect(parseReminderTime('月曜', now)?.dueAt).toBe(new Date(2026, 9, 26, 9, 0).getTime());
+    expect(parseReminderTime('月曜の正午', now)?.dueAt).toBe(new Date(2026, 9, 19, 12, 0).getTime());
+    expect(parseReminderTime('next monday', now)?.dueAt).toBe(new Date(2026, 9, 26, 9, 0).getTime());
+  });
+
+  it('年の無い日付が過ぎていれば来年', () => {
+    expect(parseReminderTime('9月1日', now)?.dueAt).toBe(new Date(2027, 8, 1, 9, 0).getTime());
+  });
+
+  it('「30分後」「in 2 hours」は今から', () => {
+    expect(parseReminderTime('30分後に電話', now)).toEqual({ dueAt: now + 30 * MINUTE, phrase: '30分後' });
+    expect(parseReminderTime('1時間半後', now)?.dueAt).toBe(now + 90 * MINUTE);
+    expect(parseReminderTime('remind me in 2 hours', now)?.dueAt).toBe(now + 120 * MINUTE);
+    expect(parseReminderTime('in half an hour', now)?.dueAt).toBe(now + 30 * MINUTE);
+  });
+
+  it.each([
+    ['今日の9時に会った'],
+    ['2月30日'],
+    ['牛乳を買う'],
+    ['3時間の会議'],
+    ['0分後'],
+  ])('「%s」は読み取らない', (text) => {
+    expect(parseReminderTime(text, now)).toBeNull();
+  });
+});
+
+describe('formatReminderTime', () => {
+  it('今日・明日は日付を省き、年が違えば年を付ける', () => {
+    expect(formatReminderTime(new Date(2026, 9, 19, 15, 5).getTime(), now)).toBe('今日 15:05');
+    expect(formatReminderTime(new Date(2026, 9, 20, 9, 0).getTime(), now)).toBe('明日 9:00');
+    expect(formatReminderTime(new Date(2026, 9, 23, 20, 0).getTime(), now)).toBe('10月23日(金) 20:00');
+    expect(formatReminderTime(new Date(2027, 0, 4, 8, 30).getTime(), now)).toBe('2027年1月4日(月) 8:30');
+  });
+});
+
+describe('getNextReminderDue', () => {
+  it('完了していない、これから来るリマインダーのうち最も早い日時', () => {
+    const reminders = [
+      undefined,
+      { dueAt: now - MINUTE },
+      completeReminder({ dueAt: now + MINUTE }, now),
+      { dueAt: now + 10 * MINUTE },
+      reopenReminder(completeReminder({ dueAt: now + 5 * MINUTE }, now)),
+    ];
+
+    expect(getNextReminderDue(reminders, now)).toBe(now + 5 * MINUTE);
+    expect(getNextReminderDue([undefined], now)).toBeNull();
+  });
+});
+
+describe('normalizeReminder', () => {
+  it('不正な値を捨てる', () => {
+    expect(normalizeReminder({ dueAt: now, doneAt: now, extra: 1 })).toEqual({ dueAt: now, doneAt: now });
+    expect(normalizeReminder({ dueAt: now, doneAt: 'x' })).toEqual({ dueAt: now });
+    expect(normalizeReminder({ dueAt: -1 })).toBeUndefined();
+    expect(normalizeReminder(null)).toBeUndefined();
+  });
+});
@@ -0,0 +1,240 @@
+// リマインダー（メモに付ける通知の日時と、話し言葉からの日時の読み取り）
+//   「明日の10時に」「金曜の夜」「3日後」「30分後」「10月25日 午後3時半」
+//   「tomorrow at 3pm」「next monday」「in 2 hours」「oct 25 9:30」
+// 午前・午後の無い1〜6時は午後とみなし、日付の無い時刻は次に来るその時刻（今日が過ぎていれば明日）にする
+// React・IndexedDBに依存しない（テストしやすいよう、現在時刻は引数で受け取る）
+
+export interface MemoReminder {
+  dueAt: number; // 通知する日時
+  doneAt?: number; // 完了にした時刻（完了したリマインダーは通知しない）
+}
+
+export interface ParsedReminderTime {
+  dueAt: number;
+  phrase: string; // 日時を読み取った部分（正規化した本文の一部）
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const REMINDER_SNOOZE_DURATION = 10 * MINUTE; // 通知の「10分後」（public/sw.js と同じ）
+const DEFAULT_HOUR = 9; // 日付だけの場合の時刻
+const AMBIGUOUS_PM_LIMIT = 6; // 午前・午後の無い時刻はこの時までを午後とみなす
+
+const WEEKDAYS_JA = '日月火水木金土';
+const WEEKDAYS_EN = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS_EN = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NUMBER_WORDS: Record<string, number> = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, twenty: 20, thirty: 30,
+};
+const PERIOD_HOURS: Record<string, number> = {
+  朝: 8, 昼: 12, 夕方: 17, 夜: 20, morning: 8, afternoon: 15, evening: 18,
+};
+
+interface Found {
+  index: number;
+  end: number;
+}
+
+interface DateMatch extends Found {
+  date: Date; // その日の0時
+  defaultHour?: number; // 時刻が無い場合（「今夜」など）
+  weekly?: boolean; // 曜日だけの指定（過ぎていれば翌週）
+}
+
+interface TimeMatch extends Found {
+  hour: number;
+  minute: number;
+  ambiguous: boolean; // 午前・午後の指定が無い12時間表記
+}
+
+interface Rule<T> {
+  pattern: RegExp;
+  resolve: (match: RegExpExecArray, today: Date) => Omit<T, 'index' | 'end'> | null;
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function startOfDay(timestamp: number): Date {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function toNumber(value: string): number {
+  return NUMBER_WORDS[value] ?? Number(value);
+}
+
+// 次のその曜日（今日を含む）
+function nextWeekday(today: Date, weekday: number): Date {
+  return addDays(today, (weekday - today.getDay() + 7) % 7);
+}
+
+// 来週（月曜始まり）のその曜日
+function weekdayOfNextWeek(today: Date, weekday: number, weeks: number): Date {
+  const monday = addDays(today, ((8 - today.getDay()) % 7 || 7) + (weeks - 1) * 7);
+  return addDays(monday, (weekday + 6) % 7);
+}
+
+// 月日（年の無い日付が過ぎていれば来年）。存在しない日付はnull
+function monthDay(today: Date, month: number, day: number, year?: number): Date | null {
+  const date = new Date(year ?? today.getFullYear(), month - 1, day);
+  if (date.getMonth() !== month - 1) return null;
+  return year === undefined && date < today ? new Date(date.getFullYear() + 1, month - 1, day) : date;
+}
+
+function findFirst<T>(text: string, rules: Rule<T>[], today: Date): T | null {
+  for (const rule of rules) {
+    const match = rule.pattern.exec(text);
+    const resolved = match && rule.resolve(match, today);
+    if (match && resolved) return { ...resolved, index: match.index, end: match.index + match[0].length } as T;
+  }
+  return null;
+}
+
+const DATE_RULES: Rule<DateMatch>[] = [
+  { pattern: /(\d+)\s*(日|週間)後|\bin\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week)s?\b/, resolve: (m, today) => {
+    const count = toNumber(m[1] ?? m[3]);
+    const days = m[2] === '日' || m[4] === 'day' ? count : count * 7;
+    return { date: addDays(today, days) };
+  } },
+  { pattern: /明後日|あさって|\bday after tomorrow\b/, resolve: (_, today) => ({ date: addDays(today, 2) }) },
+  { pattern: /明日|あした|\btomorrow\b/, resolve: (_, today) => ({ date: addDays(today, 1) }) },
+  { pattern: /今夜|今晩|\btonight\b/, resolve: (_, today) => ({ date: today, defaultHour: PERIOD_HOURS['夜'] }) },
+  { pattern: /今日|本日|\btoday\b/, resolve: (_, today) => ({ date: today }) },
+  { pattern: /(?:(\d{4})年)?(\d{1,2})月(\d{1,2})日/, resolve: (m, today) => {
+    const date = monthDay(today, Number(m[2]), Number(m[3]), m[1] ? Number(m[1]) : undefined);
+    return date && { date };
+  } },
+  { pattern: new RegExp(`\\b(${MONTHS_EN.join('|')})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`), resolve: (m, today) => {
+    const date = monthDay(today, MONTHS_EN.indexOf(m[1]) + 1, Number(m[2]));
+    return date && { date };
+  } },
+  { pattern: /(?<![\d:])(\d{1,2})\/(\d{1,2})(?![\d/])/, resolve: (m, today) => {
+    const date = monthDay(today, Number(m[1]), Number(m[2]));
+    return date && { date };
+  } },
+  { pattern: new RegExp(`(再来週|来週|今週)?の?([${WEEKDAYS_JA}])曜日?`), resolve: (m, today) => {
+    const weekday = WEEKDAYS_JA.indexOf(m[2]);
+    if (m[1] === '来週' || m[1] === '再来週') return { date: weekdayOfNextWeek(today, weekday, m[1] === '来週' ? 1 : 2) };
+    return { date: nextWeekday(today, weekday), weekly: m[1] !== '今週' };
+  } },
+  { pattern: new RegExp(`\\b(next\\s+|this\\s+|on\\s+)?(${WEEKDAYS_EN.join('|')})\\b`), resolve: (m, today) => {
+    const date = nextWeekday(today, WEEKDAYS_EN.indexOf(m[2]));
+    // next は今日より後（今日がその曜日なら来週）
+    return m[1]?.startsWith('next') && date.getTime() === today.getTime()
+      ? { date: addDays(date, 7) }
+      : { date, weekly: !m[1]?.startsWith('this') };
+  } },
+  { pattern: /再来週/, resolve: (_, today) => ({ date: addDays(today, 14) }) },
+  { pattern: /来週|\bnext week\b/, resolve: (_, today) => ({ date: addDays(today, 7) }) },
+];
+
+function toTime(hour: number, minute: number, period: string | undefined, ambiguous: boolean): Omit<TimeMatch, 'index' | 'end'> | null {
+  if (hour > 23 || minute > 59) return null;
+  if (period && ['午後', '夕方', '夜', 'p'].includes(period) && hour < 12) hour += 12;
+  if (period && ['午前', '朝', 'a'].includes(period) && hour === 12) hour = 0;
+  return { hour, minute, ambiguous: ambiguous && (!period || period === '昼') && hour > 0 && hour < 12 };
+}
+
+const TIME_RULES: Rule<TimeMatch>[] = [
+  { pattern: /(午前|午後|朝|昼|夕方|夜)?の?\s*(\d{1,2})時(?!間)(?:\s*(半|(\d{1,2})分))?/, resolve: m => (
+    toTime(Number(m[2]), m[3] === '半' ? 30 : Number(m[4] ?? 0), m[1], true)
+  ) },
+  { pattern: /(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\b\.?/, resolve: m => toTime(Number(m[1]), Number(m[2] ?? 0), m[3], false) },
+  { pattern: /(?<![\d/])(\d{1,2}):(\d{2})(?!\d)/, resolve: m => toTime(Number(m[1]), Number(m[2]), undefined, true) },
+  { pattern: /\bat\s+(\d{1,2})\b(?![:/])/, resolve: m => toTime(Number(m[1]), 0, undefined, true) },
+  { pattern: /正午|\bnoon\b/, resolve: () => ({ hour: 12, minute: 0, ambiguous: false }) },
+];
+
+const RELATIVE_PATTERN = /(\d+)\s*(分|時間)(半)?後|\bin\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|fifteen|twenty|thirty)\s+(minute|min|hour|hr)s?\b|\bin\s+half\s+an\s+hour\b/;
+const PERIOD_PATTERN = new RegExp(Object.keys(PERIOD_HOURS).join('|'));
+
+// 本文から通知の日時を読み取る（日付か時刻が無い・過ぎた日時ならnull）
+export function parseReminderTime(text: string, now: number): ParsedReminderTime | null {
+  const normalized = text.normalize('NFKC').toLowerCase();
+
+  // 「30分後」「in 2 hours」は今から
+  const relative = RELATIVE_PATTERN.exec(normalized);
+  if (relative) {
+    const duration = relative[2] || relative[5]
+      ? toNumber(relative[1] ?? relative[4]) * (relative[2] === '分' || relative[5]?.startsWith('m') ? MINUTE : HOUR) + (relative[3] ? 30 * MINUTE : 0)
+      : 30 * MINUTE;
+    return duration > 0 ? { dueAt: now + duration, phrase: relative[0] } : null;
+  }
+
+  const today = startOfDay(now);
+  const date = findFirst(normalized, DATE_RULES, today);
+  const time = findFirst(normalized, TIME_RULES, today);
+  if (!date && !time) return null;
+
+  const periodMatch = time ? null : PERIOD_PATTERN.exec(normalized);
+  let hour = time?.hour ?? (periodMatch ? PERIOD_HOURS[periodMatch[0]] : date?.defaultHour ?? DEFAULT_HOUR);
+  if (time?.ambiguous && hour <= AMBIGUOUS_PM_LIMIT) hour += 12;
+
+  const day = date?.date ?? today;
+  const at = (target: Date) => new Date(target.getFullYear(), target.getMonth(), target.getDate(), hour, time?.minute ?? 0).getTime();
+  let dueAt = at(day);
+  if (dueAt <= now) {
+    // 日付の無い時刻は明日、曜日だけなら翌週。日付を指定して過ぎていれば読み取らない
+    if (date && !date.weekly) return null;
+    dueAt = at(addDays(day, date ? 7 : 1));
+  }
+
+  const parts = [date, time, periodMatch && { index: periodMatch.index, end: periodMatch.index + periodMatch[0].length }]
+    .filter((part): part is Found => Boolean(part));
+  const start = Math.min(...parts.map(part => part.index));
+  const end = Math.max(...parts.map(part => part.end));
+  return { dueAt, phrase: normalized.slice(start, end).trim() };
+}
+
+// 一覧・詳細に表示する日時（今日・明日は日付を省く）
+export function formatReminderTime(dueAt: number, now: number): string {
+  const date = new Date(dueAt);
+  const time = `${date.getHours()}:${date.getMinutes().toString().padStart(2, '0')}`;
+  const days = Math.round((startOfDay(dueAt).getTime() - startOfDay(now).getTime()) / (24 * HOUR));
+  if (days === 0) return `今日 ${time}`;
+  if (days === 1) return `明日 ${time}`;
+  if (days === -1) return `昨日 ${time}`;
+
+  const year = date.getFullYear() !== new Date(now).getFullYear() ? `${date.getFullYear()}年` : '';
+  return `${year}${date.getMonth() + 1}月${date.getDate()}日(${WEEKDAYS_JA[date.getDay()]}) ${time}`;
+}
+
+// 通知を待っている（完了していない）リマインダー
+export function isReminderActive(reminder: MemoReminder | undefined): reminder is MemoReminder {
+  return Boolean(reminder) && reminder!.doneAt === undefined;
+}
+
+export function snoozeReminder(now: number, duration = REMINDER_SNOOZE_DURATION): MemoReminder {
+  return { dueAt: now + duration };
+}
+
+export function completeReminder(reminder: MemoReminder, now: number): MemoReminder {
+  return { ...reminder, doneAt: now };
+}
+
+export function reopenReminder(reminder: MemoReminder): MemoReminder {
+  return { dueAt: reminder.dueAt };
+}
+
+// 次に通知するリマインダーの日時（無ければnull）
+export function getNextReminderDue(reminders: Array<MemoReminder | undefined>, now: number): number | null {
+  const upcoming = reminders
+    .filter(isReminderActive)
+    .map(reminder => reminder.dueAt)
+    .filter(dueAt => dueAt > now);
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+}
+
+// 保存・同期されたデータを検証（不正な値は捨てる）
+export function normalizeReminder(value: unknown): MemoReminder | undefined {
+  if (!value || typeof value !== 'object') return undefined;
+
+  const source = value as Record<string, unknown>;
+  const isTimestamp = (field: unknown): field is number => typeof field === 'number' && Number.isFinite(field) && field >= 0;
+  if (!isTimestamp(source.dueAt)) return undefined;
+  return isTimestamp(source.doneAt) ? { dueAt: source.dueAt, doneAt: source.doneAt } : { dueAt: source.dueAt };
+}
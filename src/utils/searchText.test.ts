@@ -0,0 +1,191 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SearchQueryTerm,
+  buildSnippet,
+  matchesSearchTerms,
+  normalizeSearchText,
+  parseSearchQuery,
+  tokenizeForIndex,
+} from './searchText';
+import { SearchPostings, rankSearchHits } from '../hooks/MemoSearchIndex';
+
+// 索引（searchTerms・searchDocs）と同じ内容をメモリ上で作り、readSearchPostings と同じ形で読み出す
+function createPostings(memos: Record<number, string>, terms: SearchQueryTerm[]): SearchPostings {
+  const records = Object.entries(memos).flatMap(([memoId, text]) =>
+    Array.from(tokenizeForIndex(text)).map(([token, count]) => ({ token, memoId: Number(memoId), count })));
+  const docs = Object.keys(memos).map(memoId => ({
+    memoId: Number(memoId),
+    length: records.filter(record => record.memoId === Number(memoId)).reduce((sum, record) => sum + record.count, 0),
+    hash: 0,
+  }));
+
+  return {
+    docs,
+    keys: terms.flatMap(term => term.keys.map(key => ({
+      key,
+      records: records.filter(record => (key.prefix ? record.token.startsWith(key.token) : record.token === key.token)),
+    }))),
+  };
+}
+
+const search = (memos: Record<number, string>, query: string) => {
+  const terms = parseSearchQuery(query);
+  return rankSearchHits(createPostings(memos, terms))
+    .filter(hit => matchesSearchTerms(normalizeSearchText(memos[hit.memoId]).text, terms))
+    .map(hit => hit.memoId);
+};
+
+describe('normalizeSearchText', () => {
+  it('全角・半角をそろえ、小文字・ひらがなにする', () => {
+    expect(normalizeSearchText('ＡＢＣ　ﾃｽﾄ カタカナ').text).toBe('abc てすと かたかな');
+  });
+
+  it('正規化後の各位置に対応する元の位置を返す（末尾には元の長さ）', () => {
+    // 「㌔」は NFKC で「キロ」の2文字になる
+    const { text, offsets } = normalizeSearchText('a㌔b');
+
+    expect(text).toBe('aきろb');
+    expect(offsets).toEqual([0, 1, 1, 2, 3]);
+  });
+});
+
+describe('tokenizeForIndex', () => {
+  it('日本語は2文字ずつと最後の1文字、英数字は単語ごと', () => {
+    expect(Object.fromEntries(tokenizeForIndex('会議の資料 Meeting 2026'))).toEqual({
+      会議: 1,
+      議の: 1,
+      の資: 1,
+      資料: 1,
+      料: 1,
+      meeting: 1,
+      2026: 1,
+    });
+  });
+
+  it('同じ語は出現回数を数え、カタカナはひらがなとして索引にする', () => {
+    const counts = tokenizeForIndex('メモ、めも。memo MEMO');
+
+    expect(counts.get('めも')).toBe(2);
+    expect(counts.get('も')).toBe(2);
+    expect(counts.get('memo')).toBe(2);
+  });
+
+  it('1文字だけの日本語もその1文字を索引にする', () => {
+    expect(Object.fromEntries(tokenizeForIndex('猫'))).toEqual({ 猫: 1 });
+  });
+
+  it('長い英数字は先頭の40文字だけを索引にする', () => {
+    expect(Array.from(tokenizeForIndex('x'.repeat(100)).keys())).toEqual(['x'.repeat(40)]);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('日本語は2文字ずつの完全一致、英数字は前方一致', () => {
+    expect(parseSearchQuery('会議資料 meet')).toEqual([
+      {
+        text: '会議資料',
+        keys: [
+          { token: '会議', prefix: false },
+          { token: '議資', prefix: false },
+          { token: '資料', prefix: false },
+        ],
+      },
+      { text: 'meet', keys: [{ token: 'meet', prefix: true }] },
+    ]);
+  });
+
+  it('日本語の1文字はその文字で始まる語の前方一致', () => {
+    expect(parseSearchQuery('猫')).toEqual([{ text: '猫', keys: [{ token: '猫', prefix: true }] }]);
+  });
+
+  it('同じ検索語・同じ2文字はまとめ、記号と空白は区切りとして捨てる', () => {
+    expect(parseSearchQuery('ままま  ままま、!')).toEqual([{ text: 'ままま', keys: [{ token: 'まま', prefix: false }] }]);
+    expect(parseSearchQuery('  ')).toEqual([]);
+  });
+
+  it('40文字以上の英数字は先頭だけを完全一致で探す', () => {
+    expect(parseSearchQuery('y'.repeat(50))[0].keys).toEqual([{ token: 'y'.repeat(40), prefix: false }]);
+  });
+});
+
+describe('rankSearchHits', () => {
+  const memos = {
+    1: '明日の会議の資料を準備する',
+    2: '会議 会議 会議。議事録は会議の後で',
+    3: '買い物リスト：牛乳、卵',
+    4: '資料室の会の議題',
+  };
+
+  it('検索語をすべて含むメモだけを、多く含む順に返す', () => {
+    expect(search(memos, '会議')).toEqual([2, 1]);
+    expect(search(memos, '会議 資料')).toEqual([1]);
+  });
+
+  it('2文字ずつの索引では離れた場所の一致も候補になるため、本文で確かめて除く', () => {
+    const terms = parseSearchQuery('会議資料');
+    const candidates = rankSearchHits(createPostings({ 5: '会議と議資と資料' }, terms));
+
+    expect(candidates.map(hit => hit.memoId)).toEqual([5]);
+    expect(matchesSearchTerms(normalizeSearchText('会議と議資と資料').text, terms)).toBe(false);
+  });
+
+  it('英数字は入力途中でも見つかり、完全に一致した語の方が上になる', () => {
+    const hits = search({ 1: 'meeting notes', 2: 'meet at noon' }, 'meet');
+
+    expect(hits).toEqual([2, 1]);
+  });
+
+  it('カタカナの検索語でひらがなのメモが見つかる', () => {
+    expect(search(memos, 'リスト')).toEqual([3]);
+    expect(search({ 1: 'かいもの' }, 'カイモノ')).toEqual([1]);
+  });
+
+  it('索引が空・検索語が無いときは何も返さない', () => {
+    expect(rankSearchHits({ docs: [], keys: [] })).toEqual([]);
+    expect(search(memos, '')).toEqual([]);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('一致した箇所に印を付け、元の表記のまま返す', () => {
+    expect(buildSnippet('明日のカイギの資料', parseSearchQuery('かいぎ'))).toEqual([
+      { text: '明日の', match: false },
+      { text: 'カイギ', match: true },
+      { text: 'の資料', match: false },
+    ]);
+  });
+
+  it('重なる一致はまとめ、複数の検索語の一致にそれぞれ印を付ける', () => {
+    expect(buildSnippet('ABCD abc', parseSearchQuery('abc bcd'))).toEqual([
+      { text: 'ABCD', match: true },
+      { text: ' ', match: false },
+      { text: 'abc', match: true },
+    ]);
+  });
+
+  it('最初の一致の前後だけを抜き出し、省いた部分は…にする', () => {
+    const text = `${'あ'.repeat(50)}会議${'い'.repeat(100)}`;
+    const parts = buildSnippet(text, parseSearchQuery('会議'), 10);
+
+    expect(parts).toEqual([
+      { text: '…', match: false },
+      { text: 'あ'.repeat(10), match: false },
+      { text: '会議', match: true },
+      { text: 'い'.repeat(20), match: false },
+      { text: '…', match: false },
+    ]);
+  });
+
+  it('正規化で長さが変わる文字があっても元の位置で切り出す', () => {
+    expect(buildSnippet('10㌔走った', parseSearchQuery('きろ'))).toEqual([
+      { text: '10', match: false },
+      { text: '㌔', match: true },
+      { text: '走った', match: false },
+    ]);
+  });
+
+  it('一致しなければ先頭を返す', () => {
+    expect(buildSnippet('短いメモ', parseSearchQuery('会議'))).toEqual([{ text: '短いメモ', match: false }]);
+    expect(buildSnippet('あ'.repeat(30), parseSearchQuery('会議'), 10)).toEqual([{ text: `${'あ'.repeat(20)}…`, match: false }]);
+  });
+});
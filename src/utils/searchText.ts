@@ -0,0 +1,159 @@
+// 全文検索の文字列処理（索引の語の切り出し・検索語の解析・本文の抜粋）
+// 日本語は辞書を使わず2文字ずつ（バイグラム）、英数字は単語ごとに区切る。オフラインで動くよう外部の処理には頼らない
+// React・IndexedDBに依存しない（索引の保存は hooks/MemoSearchIndex.ts）
+
+// 日本語（漢字・ひらがな・カタカナ）の連続と、それ以外の文字・数字の連続
+const CJK_CHARS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}ー々〆ヶ';
+const RUN_PATTERN = new RegExp(`[${CJK_CHARS}]+|(?:(?![${CJK_CHARS}])[\\p{L}\\p{N}\\p{M}])+`, 'gu');
+const CJK_PATTERN = new RegExp(`^[${CJK_CHARS}]`, 'u');
+
+const MAX_WORD_LENGTH = 40; // これより長い英数字（URLの一部など）は先頭だけを索引にする
+const SNIPPET_RADIUS = 40; // 抜粋で一致した箇所の前後に含める文字数
+
+export interface SearchQueryKey {
+  token: string;
+  prefix: boolean; // token で始まる語すべてに一致する
+}
+
+export interface SearchQueryTerm {
+  text: string; // 正規化した検索語（本文に含まれるかの確認・強調表示に使う）
+  keys: SearchQueryKey[]; // 索引で探す語（すべてを含むメモが候補になる）
+}
+
+export interface SnippetPart {
+  text: string;
+  match: boolean;
+}
+
+// 1文字ずつ正規化（全角・半角をそろえ、小文字・ひらがなにする）
+function normalizeChar(char: string): string {
+  return char
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+// 正規化した文字列と、正規化後の各位置に対応する元の位置（末尾には元の長さ）
+export function normalizeSearchText(text: string): { text: string; offsets: number[] } {
+  let normalized = '';
+  const offsets: number[] = [];
+  let position = 0;
+  for (const char of text) {
+    const converted = normalizeChar(char);
+    for (let i = 0; i < converted.length; i++) offsets.push(position);
+    normalized += converted;
+    position += char.length;
+  }
+  offsets.push(position);
+  return { text: normalized, offsets };
+}
+
+function splitRuns(normalized: string): string[] {
+  return normalized.match(RUN_PATTERN) ?? [];
+}
+
+function isCjkRun(run: string): boolean {
+  return CJK_PATTERN.test(run);
+}
+
+function toBigrams(run: string): string[] {
+  const chars = Array.from(run);
+  const bigrams: string[] = [];
+  for (let i = 0; i < chars.length - 1; i++) bigrams.push(chars[i] + chars[i + 1]);
+  return bigrams;
+}
+
+// 本文を索引の語に分ける（語 → 出現回数）
+// 日本語の連続は2文字ずつに加えて最後の1文字も含める（1文字の検索語を前方一致で探せるように）
+export function tokenizeForIndex(text: string): Map<string, number> {
+  const counts = new Map<string, number>();
+  const add = (token: string) => counts.set(token, (counts.get(token) ?? 0) + 1);
+
+  splitRuns(normalizeSearchText(text).text).forEach((run) => {
+    if (isCjkRun(run)) {
+      toBigrams(run).forEach(add);
+      add(Array.from(run).pop()!);
+    } else {
+      add(Array.from(run).slice(0, MAX_WORD_LENGTH).join(''));
+    }
+  });
+  return counts;
+}
+
+// 検索語を解析する（空白で区切った語はすべて含むメモを探す）
+// 英数字は入力途中でも見つかるよう前方一致、日本語の1文字はその文字で始まる語の前方一致にする
+export function parseSearchQuery(query: string): SearchQueryTerm[] {
+  const terms = new Map<string, SearchQueryTerm>();
+  splitRuns(normalizeSearchText(query).text).forEach((run) => {
+    if (terms.has(run)) return;
+
+    const chars = Array.from(run);
+    let keys: SearchQueryKey[];
+    if (!isCjkRun(run)) {
+      keys = [{ token: chars.slice(0, MAX_WORD_LENGTH).join(''), prefix: chars.length < MAX_WORD_LENGTH }];
+    } else if (chars.length === 1) {
+      keys = [{ token: run, prefix: true }];
+    } else {
+      keys = Array.from(new Set(toBigrams(run))).map(token => ({ token, prefix: false }));
+    }
+    terms.set(run, { text: run, keys });
+  });
+  return Array.from(terms.values());
+}
+
+// 検索語がすべて本文に含まれるか（2文字ずつの索引では、離れた場所の一致も候補になるため確認する）
+export function matchesSearchTerms(normalizedText: string, terms: SearchQueryTerm[]): boolean {
+  return terms.every(term => normalizedText.includes(term.text));
+}
+
+// 一致した箇所（正規化後の位置。重なる箇所はまとめる）
+function findMatches(normalizedText: string, terms: SearchQueryTerm[]): Array<[number, number]> {
+  const ranges: Array<[number, number]> = [];
+  terms.forEach(({ text }) => {
+    let index = normalizedText.indexOf(text);
+    while (index !== -1) {
+      ranges.push([index, index + text.length]);
+      index = normalizedText.indexOf(text, index + text.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce<Array<[number, number]>>((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+// 最初に一致した箇所の前後を抜き出し、一致した部分に印を付ける（元の表記のまま）
+export function buildSnippet(text: string, terms: SearchQueryTerm[], radius = SNIPPET_RADIUS): SnippetPart[] {
+  const normalized = normalizeSearchText(text);
+  const matches = findMatches(normalized.text, terms).map(([start, end]) => [
+    normalized.offsets[start],
+    normalized.offsets[end],
+  ]);
+  if (matches.length === 0) {
+    return [{ text: text.length > radius * 2 ? `${text.slice(0, radius * 2)}…` : text, match: false }];
+  }
+
+  const start = Math.max(matches[0][0] - radius, 0);
+  const end = Math.min(matches[0][1] + radius * 2, text.length);
+  const parts: SnippetPart[] = [];
+  let position = start;
+  matches
+    .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+    .forEach(([matchStart, matchEnd]) => {
+      if (matchStart > position) parts.push({ text: text.slice(position, matchStart), match: false });
+      parts.push({ text: text.slice(matchStart, matchEnd), match: true });
+      position = matchEnd;
+    });
+  if (position < end) parts.push({ text: text.slice(position, end), match: false });
+
+  if (start > 0) parts.unshift({ text: '…', match: false });
+  if (end < text.length) parts.push({ text: '…', match: false });
+  return parts;
+}
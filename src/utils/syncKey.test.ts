@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { generateSyncKey, parseSyncKey } from './syncKey';
+
+describe('syncKey', () => {
+  it('作った同期キーは base64url の43文字で、そのまま受け付けられる', () => {
+    const key = generateSyncKey();
+
+    expect(key).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(parseSyncKey(key)).toBe(key);
+    expect(generateSyncKey()).not.toBe(key);
+  });
+
+  it('貼り付けたときに入った空白・改行を除く', () => {
+    const key = generateSyncKey();
+    expect(parseSyncKey(` ${key.slice(0, 20)}\n${key.slice(20)} `)).toBe(key);
+  });
+
+  it('短いキー・使えない文字を含むキーは受け付けない', () => {
+    expect(parseSyncKey('short')).toBeNull();
+    expect(parseSyncKey(`${generateSyncKey().slice(0, 42)}+`)).toBeNull();
+    expect(parseSyncKey('')).toBeNull();
+  });
+});
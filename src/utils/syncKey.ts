@@ -0,0 +1,17 @@
+// メモの同期キー（端末で作る推測できない乱数。サーバーはこのキーごとにメモを分けて保存する）
+// APIキーはビルドに埋め込まれて全端末で同じため、同じ同期キーを設定した端末どうしだけがメモを共有する
+// 形式は backend/auth/api-auth.js の SYNC_KEY_PATTERN と揃えること
+
+const SYNC_KEY_BYTES = 32;
+const SYNC_KEY_PATTERN = /^[A-Za-z0-9_-]{43,128}$/;
+
+export function generateSyncKey(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(SYNC_KEY_BYTES));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// 入力されたキーを整える（コピー時に入った空白・改行を除く。形式が違えばnull）
+export function parseSyncKey(value: string): string | null {
+  const key = value.replace(/\s+/g, '');
+  return SYNC_KEY_PATTERN.test(key) ? key : null;
+}
@@ -0,0 +1,67 @@
+import { TranscriptAlternative } from '../services/sttApiService';
+
+// 認識候補から作るフレーズ単位の置き換え候補（original を replacement に置き換える）
+export interface PhraseSuggestion {
+  original: string;
+  replacement: string;
+  confidence: number;
+  position: number; // 文字起こし中の original の位置（同じ語が複数ある場合の目安）
+}
+
+// 認識候補は文全体なので、最有力の文字起こしとの差分（前後の一致部分を除いた部分）を置き換え候補にする
+// 空白で区切る言語では単語の途中で切らないよう、差分を空白の位置まで広げる
+export const getPhraseSuggestions = (
+  transcript: string,
+  alternatives: TranscriptAlternative[] = []
+): PhraseSuggestion[] => {
+  const suggestions: PhraseSuggestion[] = [];
+
+  for (const alternative of alternatives) {
+    const candidate = alternative.transcript;
+    if (!candidate || candidate === transcript) continue;
+
+    let prefix = 0;
+    const maxPrefix = Math.min(transcript.length, candidate.length);
+    while (prefix < maxPrefix && transcript[prefix] === candidate[prefix]) prefix++;
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (
+      suffix < maxSuffix &&
+      transcript[transcript.length - 1 - suffix] === candidate[candidate.length - 1 - suffix]
+    ) suffix++;
+
+    if (/\s/.test(transcript)) {
+      while (prefix > 0 && !/\s/.test(transcript[prefix - 1])) prefix--;
+      while (suffix > 0 && !/\s/.test(transcript[transcript.length - suffix])) suffix--;
+    }
+
+    const original = transcript.slice(prefix, transcript.length - suffix).trim();
+    const replacement = candidate.slice(prefix, candidate.length - suffix).trim();
+
+    // 挿入だけの候補は置き換える場所が決まらないため除外
+    if (!original || original === replacement) continue;
+    if (suggestions.some(item => item.original === original && item.replacement === replacement)) continue;
+
+    suggestions.push({
+      original,
+      replacement,
+      confidence: alternative.confidence,
+      position: transcript.indexOf(original, prefix)
+    });
+  }
+
+  return suggestions;
+};
+
+// 本文中の original を replacement に置き換える（複数あれば文字起こし時の位置に最も近いもの。見つからなければnull）
+export const applyPhraseSuggestion = (text: string, suggestion: PhraseSuggestion): string | null => {
+  let index = -1;
+  for (let found = text.indexOf(suggestion.original); found >= 0; found = text.indexOf(suggestion.original, found + 1)) {
+    if (index < 0 || Math.abs(found - suggestion.position) < Math.abs(index - suggestion.position)) {
+      index = found;
+    }
+  }
+  if (index < 0) return null;
+  return text.slice(0, index) + suggestion.replacement + text.slice(index + suggestion.original.length);
+};
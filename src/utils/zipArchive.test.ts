@@ -0,0 +1,171 @@
+import { describe, expect, it } from 'vitest';
+import { crc32, createZip, readZip } from './zipArchive';
+import { BACKUP_FORMAT, BACKUP_VERSION, BackupEntry, BackupMemo, createBackupArchive, readBackupArchive } from '../hooks/MemoBackup';
+
+const encoder = new TextEncoder();
+const modifiedAt = new Date(2026, 9, 19, 10, 30, 14);
+
+async function readBytes(blob: Blob): Promise<Uint8Array> {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+// ZIPのローカルヘッダー・中央ディレクトリから見出しの値を読む（他のツールでも展開できる形かの確認）
+function findSignature(view: DataView, signature: number, from = 0): number {
+  for (let i = from; i <= view.byteLength - 4; i++) {
+    if (view.getUint32(i, true) === signature) return i;
+  }
+  return -1;
+}
+
+const createMemo = (id: number, overrides: Partial<BackupMemo> = {}): BackupMemo => ({
+  id,
+  text: `メモ${id}`,
+  createdAt: id,
+  updatedAt: id,
+  type: 'text',
+  audio: null,
+  revisions: [],
+  ...overrides,
+});
+
+describe('crc32', () => {
+  it('既知の値と一致する', () => {
+    expect(crc32(encoder.encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe('createZip / readZip', () => {
+  it('無圧縮で書き出したファイルを同じ内容で読み込める（日本語のファイル名・空のファイル・Blob）', async () => {
+    const binary = Uint8Array.from({ length: 1000 }, (_, i) => (i * 7) % 256);
+    const zip = await createZip([
+      { name: 'manifest.json', data: encoder.encode('{"a":1}'), modifiedAt },
+      { name: 'audio/音声.webm', data: new Blob([binary]), modifiedAt },
+      { name: 'empty.txt', data: new Uint8Array(), modifiedAt },
+    ]);
+    const files = await readZip(zip);
+
+    expect(zip.type).toBe('application/zip');
+    expect(Array.from(files.keys())).toEqual(['manifest.json', 'audio/音声.webm', 'empty.txt']);
+    expect(await files.get('manifest.json')!.text()).toBe('{"a":1}');
+    expect(await readBytes(files.get('audio/音声.webm')!)).toEqual(binary);
+    expect(files.get('empty.txt')!.size).toBe(0);
+  });
+
+  it('見出しは無圧縮・UTF-8のファイル名・CRC・サイズ・ローカル時刻（2秒単位）', async () => {
+    const data = encoder.encode('hello');
+    const view = new DataView(await (await createZip([{ name: 'a.txt', data, modifiedAt }])).arrayBuffer());
+
+    for (const [signature, offset] of [[0x04034b50, 0], [0x02014b50, 2]]) {
+      const position = findSignature(view, signature);
+      expect(position).toBeGreaterThanOrEqual(0);
+      expect(view.getUint16(position + 6 + offset, true)).toBe(0x0800);
+      expect(view.getUint16(position + 8 + offset, true)).toBe(0);
+      expect(view.getUint16(position + 10 + offset, true)).toBe((10 << 11) | (30 << 5) | 7);
+      expect(view.getUint16(position + 12 + offset, true)).toBe(((2026 - 1980) << 9) | (10 << 5) | 19);
+      expect(view.getUint32(position + 14 + offset, true)).toBe(crc32(data));
+      expect(view.getUint32(position + 18 + offset, true)).toBe(data.length);
+      expect(view.getUint32(position + 22 + offset, true)).toBe(data.length);
+    }
+  });
+
+  it('末尾にコメントのあるZIP・フォルダの項目も読める', async () => {
+    const zip = await readBytes(await createZip([
+      { name: 'folder/', data: new Uint8Array(), modifiedAt },
+      { name: 'folder/a.txt', data: encoder.encode('a'), modifiedAt },
+    ]));
+    const comment = encoder.encode('comment');
+    const withComment = new Uint8Array(zip.length + comment.length);
+    withComment.set(zip);
+    withComment.set(comment, zip.length);
+    new DataView(withComment.buffer).setUint16(zip.length - 2, comment.length, true);
+
+    const files = await readZip(new Blob([withComment]));
+    expect(Array.from(files.keys())).toEqual(['folder/a.txt']);
+  });
+
+  it('Deflateで圧縮されたファイルも読める（他のツールで作り直したZIP）', async () => {
+    const text = 'あいうえお'.repeat(100);
+    const compressed = await readBytes(await new Response(new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'))).blob());
+    const zip = await readBytes(await createZip([{ name: 'a.txt', data: compressed, modifiedAt }]));
+    const view = new DataView(zip.buffer);
+    // 無圧縮で書いた見出しの圧縮形式と展開後のサイズを書き換える
+    [[findSignature(view, 0x04034b50), 8, 22], [findSignature(view, 0x02014b50), 10, 24]].forEach(([position, method, size]) => {
+      view.setUint16(position + method, 8, true);
+      view.setUint32(position + size, encoder.encode(text).length, true);
+    });
+
+    expect(await (await readZip(new Blob([zip]))).get('a.txt')!.text()).toBe(text);
+  });
+
+  it('ZIPでない・壊れたファイルは例外', async () => {
+    await expect(readZip(new Blob(['not a zip']))).rejects.toThrow('ZIPファイルではありません');
+
+    const zip = await readBytes(await createZip([{ name: 'a.txt', data: encoder.encode('a'), modifiedAt }]));
+    await expect(readZip(new Blob([zip.slice(10)]))).rejects.toThrow('ZIPファイルが壊れています');
+  });
+});
+
+describe('createBackupArchive / readBackupArchive', () => {
+  it('マニフェストと音声を書き出し、同じ内容で読み込める', async () => {
+    const audioBlob = new Blob([Uint8Array.from([1, 2, 3, 4])], { type: 'audio/webm' });
+    const entries: BackupEntry[] = [
+      { memo: createMemo(1, { tags: ['仕事'], reminder: { dueAt: 100 }, revisions: [{ text: '前', source: 'edit', createdAt: 2 }] }), audioBlob: null },
+      {
+        memo: createMemo(2, {
+          type: 'audio',
+          audio: { id: 'audio_2', file: '', mimeType: '', transcript: 'こんにちは', timestamp: modifiedAt.toISOString(), duration: 4 },
+        }),
+        audioBlob,
+      },
+    ];
+    const tags = [{ name: '仕事', color: '#ef4444', createdAt: 1 }];
+
+    const archive = await createBackupArchive(entries, tags, modifiedAt);
+    const files = await readZip(archive);
+    expect(Array.from(files.keys())).toEqual(['manifest.json', 'audio/2.webm']);
+
+    const manifest = JSON.parse(await files.get('manifest.json')!.text());
+    expect(manifest).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: modifiedAt.toISOString(), tags });
+    expect(manifest.memos[1].audio).toMatchObject({ file: 'audio/2.webm', mimeType: 'audio/webm' });
+
+    const backup = await readBackupArchive(archive);
+    expect(backup).toMatchObject({ tags, invalid: 0, exportedAt: modifiedAt.toISOString() });
+    expect(backup.entries.map(entry => entry.memo)).toEqual([entries[0].memo, { ...entries[1].memo, audio: manifest.memos[1].audio }]);
+    expect(backup.entries[0].audioBlob).toBeNull();
+    expect(backup.entries[1].audioBlob!.type).toBe('audio/webm');
+    expect(await readBytes(backup.entries[1].audioBlob!)).toEqual(Uint8Array.from([1, 2, 3, 4]));
+  });
+
+  it('壊れたメモは数えて飛ばし、同じIDは新しい方を残し、音声ファイルが無ければ音声なしにする', async () => {
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: modifiedAt.toISOString(),
+      memos: [
+        createMemo(1, { updatedAt: 5 }),
+        createMemo(1, { text: '新しい', updatedAt: 6 }),
+        { id: -1, text: 'x', createdAt: 1, type: 'text' },
+        createMemo(3, { audio: { id: 'a', file: 'audio/3.webm', mimeType: 'audio/webm', transcript: '', timestamp: '', duration: 1 } }),
+      ],
+    };
+    const archive = await createZip([{ name: 'manifest.json', data: encoder.encode(JSON.stringify(manifest)) }]);
+    const backup = await readBackupArchive(archive);
+
+    expect(backup.invalid).toBe(1);
+    expect(backup.tags).toEqual([]);
+    expect(backup.entries.map(entry => [entry.memo.id, entry.memo.text, entry.memo.audio, entry.audioBlob])).toEqual([
+      [1, '新しい', null, null],
+      [3, 'メモ3', null, null],
+    ]);
+  });
+
+  it.each([
+    [[], 'manifest.json がありません'],
+    [[{ name: 'manifest.json', data: encoder.encode('{') }], 'manifest.json を読み込めません'],
+    [[{ name: 'manifest.json', data: encoder.encode('{"format":"other","memos":[]}') }], 'ふせん君のバックアップではありません'],
+    [[{ name: 'manifest.json', data: encoder.encode(`{"format":"${BACKUP_FORMAT}","version":${BACKUP_VERSION + 1},"memos":[]}`) }], '新しい版のアプリ'],
+  ])('取り込めないバックアップは例外（%#）', async (zipEntries, message) => {
+    await expect(readBackupArchive(await createZip(zipEntries))).rejects.toThrow(message);
+  });
+});
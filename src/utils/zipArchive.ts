@@ -0,0 +1,160 @@
+// ZIPの書き出し・読み込み（メモのバックアップ用）
+// 書き出しは無圧縮（音声は圧縮済みのため）。読み込みは無圧縮とDeflate（他のツールで作り直したZIP）に対応する
+// ZIP64・暗号化・複数ディスクには対応しない
+
+export interface ZipEntry {
+  name: string; // フォルダは「/」区切り
+  data: Uint8Array | Blob;
+  modifiedAt?: Date;
+}
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(data: Uint8Array): number {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIPの日時（MS-DOS形式、ローカル時刻・2秒単位）
+function toDosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// 無圧縮のZIPを作成
+export async function createZip(entries: ZipEntry[]): Promise<Blob> {
+  const encoder = new TextEncoder();
+  const parts: BlobPart[] = [];
+  const centralParts: Uint8Array[] = [];
+  let offset = 0;
+  let centralSize = 0;
+
+  for (const entry of entries) {
+    const data = entry.data instanceof Blob ? new Uint8Array(await entry.data.arrayBuffer()) : entry.data;
+    const name = encoder.encode(entry.name);
+    const crc = crc32(data);
+    const { time, date } = toDosDateTime(entry.modifiedAt ?? new Date());
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true); // 展開に必要なバージョン
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true); // 作成したバージョン
+    central.setUint16(6, 20, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // ローカルヘッダーの位置（他のフィールドは0）
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+    centralSize += 46 + name.length;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// ZIPを読み込み、ファイル名ごとの内容を返す（フォルダは含めない）
+// ZIPとして読めない場合・対応していない圧縮形式の場合は例外
+export async function readZip(blob: Blob): Promise<Map<string, Blob>> {
+  // 末尾のコメントの分だけ遡って終端レコードを探す
+  const tailStart = Math.max(0, blob.size - 22 - MAX_COMMENT_LENGTH);
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+  let endOffset = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error('ZIPファイルではありません');
+
+  const count = tail.getUint16(endOffset + 10, true);
+  const centralSize = tail.getUint32(endOffset + 12, true);
+  const centralOffset = tail.getUint32(endOffset + 16, true);
+  if (centralOffset + centralSize > blob.size) throw new Error('ZIPファイルが壊れています');
+
+  const central = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+  const decoder = new TextDecoder();
+  const files = new Map<string, Blob>();
+  let position = 0;
+
+  for (let index = 0; index < count; index++) {
+    if (central.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) throw new Error('ZIPファイルが壊れています');
+
+    const method = central.getUint16(position + 10, true);
+    const compressedSize = central.getUint32(position + 20, true);
+    const nameLength = central.getUint16(position + 28, true);
+    const extraLength = central.getUint16(position + 30, true);
+    const commentLength = central.getUint16(position + 32, true);
+    const localOffset = central.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(central.buffer, central.byteOffset + position + 46, nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    // データの位置はローカルヘッダーの名前・拡張フィールドの長さで決まる（中央ディレクトリと異なる場合がある）
+    const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+    if (local.byteLength < 30 || local.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) throw new Error('ZIPファイルが壊れています');
+    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    const data = blob.slice(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) {
+      files.set(name, data);
+    } else if (method === METHOD_DEFLATE && typeof DecompressionStream !== 'undefined') {
+      files.set(name, await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob());
+    } else {
+      throw new Error(`対応していない圧縮形式です: ${name}`);
+    }
+  }
+
+  return files;
+}
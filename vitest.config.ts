@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// ユニットテスト（IndexedDB は fake-indexeddb で置き換える）
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.ts'],
+  },
+});